@@ -0,0 +1,281 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createProductData,
+} from "./setup/helpers.js";
+
+import productRoutes from "../routes/product.route.js";
+import transactionRoutes from "../routes/transaction.route.js";
+import inventoryIssueRoutes from "../routes/inventoryIssue.route.js";
+import { Product, Supplier, Warehouse, InventoryLot } from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/products", productRoutes);
+app.use("/api/transactions", transactionRoutes);
+app.use("/api/inventory-issues", inventoryIssueRoutes);
+
+const GS = "\x1d";
+// GTIN-14 của hộp Paracetamol (EAN-13 in trên hộp: 8931234567897)
+const GTIN = "08931234567897";
+const dataMatrix = (lot, yymmdd) =>
+  `]d201${GTIN}17${yymmdd}10${lot}${GS}21SN0001`;
+
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  const adminUser = await createTestUser({
+    username: "barcodeadmin",
+    email: "barcode-admin@example.com",
+    role: "admin",
+  });
+  const normalUser = await createTestUser({
+    username: "barcodeuser",
+    email: "barcode-user@example.com",
+    role: "user",
+  });
+  adminToken = generateTestToken(adminUser);
+  userToken = generateTestToken(normalUser);
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+const seed = async () => {
+  const wh = await Warehouse.create({ code: "WH-MAIN", name: "Kho chính" });
+  const sup = await Supplier.create({
+    code: "SUP001",
+    name: "Công ty Dược A",
+    contactName: "Mr. A",
+    phone: "0123456789",
+    email: "supplier@example.com",
+    address: "Somewhere",
+    taxCode: "1234567890",
+  });
+  const prod = await Product.create(
+    createProductData({
+      sku: "PARA500",
+      name: "Paracetamol",
+      barcodes: ["8931234567897"],
+    })
+  );
+  return { wh, sup, prod };
+};
+
+const scan = (body, token = userToken) =>
+  request(app)
+    .post("/api/products/scan")
+    .set("Authorization", `Bearer ${token}`)
+    .send(body);
+
+const inbound = (wh, sup, details) =>
+  request(app)
+    .post("/api/transactions")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send({
+      type: "INBOUND",
+      warehouseId: wh._id.toString(),
+      supplierId: sup._id.toString(),
+      details,
+    });
+
+describe("PUT /api/products/:id/barcodes", () => {
+  it("200 | thay danh sách mã vạch của sản phẩm", async () => {
+    const { prod } = await seed();
+
+    const res = await request(app)
+      .put(`/api/products/${prod._id}/barcodes`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ barcodes: ["8931234567897", "NB-PARA-VI"] })
+      .expect(200);
+
+    expect(res.body.data.barcodes).toEqual(["8931234567897", "NB-PARA-VI"]);
+    const saved = await Product.findById(prod._id).lean();
+    expect(saved.barcodes).toEqual(["8931234567897", "NB-PARA-VI"]);
+  });
+
+  it("409 | mã (kể cả dạng GTIN-14 tương đương) đã thuộc sản phẩm khác", async () => {
+    await seed();
+    const other = await Product.create(
+      createProductData({ sku: "AMOX250", name: "Amoxicillin" })
+    );
+
+    await request(app)
+      .put(`/api/products/${other._id}/barcodes`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ barcodes: [GTIN] })
+      .expect(409);
+  });
+
+  it("400 | sai số kiểm tra GTIN; 403 với user thường", async () => {
+    const { prod } = await seed();
+
+    await request(app)
+      .put(`/api/products/${prod._id}/barcodes`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ barcodes: ["8931234567890"] })
+      .expect(400);
+    await request(app)
+      .put(`/api/products/${prod._id}/barcodes`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ barcodes: [] })
+      .expect(403);
+  });
+});
+
+describe("POST /api/products/scan", () => {
+  it("200 | GS1 DataMatrix -> sản phẩm, số lô, hạn dùng, lô tồn trong kho", async () => {
+    const { wh, prod } = await seed();
+    await InventoryLot.create({
+      productId: prod._id,
+      warehouseId: wh._id,
+      lotNumber: "A123",
+      expiryDate: new Date("2030-06-30"),
+      quantity: 40,
+      unitCost: 1000,
+    });
+
+    const res = await scan({
+      code: dataMatrix("A123", "300600"),
+      warehouseId: wh._id.toString(),
+    }).expect(200);
+
+    expect(res.body.data).toEqual(
+      expect.objectContaining({
+        gtin: GTIN,
+        lotNumber: "A123",
+        expiryDate: "2030-06-30T00:00:00.000Z",
+        serialNumber: "SN0001",
+      })
+    );
+    expect(res.body.data.product.sku).toBe("PARA500");
+    expect(res.body.data.lot).toEqual(
+      expect.objectContaining({ lotNumber: "A123", quantity: 40 })
+    );
+  });
+
+  it("200 | dạng in trên nhãn (AI trong ngoặc) và mã EAN-13 thường", async () => {
+    await seed();
+
+    const label = await scan({
+      code: `(01)${GTIN}(17)301231(10)B9`,
+    }).expect(200);
+    expect(label.body.data.lotNumber).toBe("B9");
+    expect(label.body.data.lot).toBeNull();
+
+    const ean = await scan({ code: "8931234567897" }).expect(200);
+    expect(ean.body.data.product.sku).toBe("PARA500");
+    expect(ean.body.data.lotNumber).toBeNull();
+  });
+
+  it("400 | mã GS1 sai định dạng; 404 | mã chưa gán sản phẩm", async () => {
+    await seed();
+
+    await scan({ code: `(01)${GTIN}(99)X` }).expect(400);
+    await scan({ code: "(01)08934567890120(10)X" }).expect(404);
+  });
+});
+
+describe("Nhập/xuất bằng mã quét", () => {
+  it("201 | nhập kho từ mã quét: số lô và hạn dùng lấy từ mã", async () => {
+    const { wh, sup, prod } = await seed();
+
+    await inbound(wh, sup, [
+      { barcode: dataMatrix("A123", "300600"), quantity: 50, unitPrice: 1000 },
+    ]).expect(201);
+
+    const lot = await InventoryLot.findOne({ lotNumber: "A123" }).lean();
+    expect(String(lot.productId)).toBe(String(prod._id));
+    expect(lot.quantity).toBe(50);
+    expect(lot.expiryDate.toISOString()).toBe("2030-06-30T00:00:00.000Z");
+  });
+
+  it("201 | mã chưa gán: sản phẩm mới (productName) được gán GTIN", async () => {
+    const { wh, sup } = await seed();
+    const newGtin = "08934567890120";
+
+    await inbound(wh, sup, [
+      {
+        barcode: `(01)${newGtin}(17)301231(10)N1`,
+        productName: "Vitamin C",
+        unit: "viên",
+        quantity: 20,
+        unitPrice: 500,
+      },
+    ]).expect(201);
+
+    const created = await Product.findOne({ name: "Vitamin C" }).lean();
+    expect(created.barcodes).toEqual([newGtin]);
+    await scan({ code: "8934567890120" }).expect(200);
+  });
+
+  it("400 | số lô nhập tay khác số lô trên mã", async () => {
+    const { wh, sup } = await seed();
+
+    await inbound(wh, sup, [
+      {
+        barcode: dataMatrix("A123", "300600"),
+        lotNumber: "A124",
+        quantity: 50,
+        unitPrice: 1000,
+      },
+    ]).expect(400);
+    expect(await InventoryLot.countDocuments()).toBe(0);
+  });
+
+  it("201 | xuất kho từ mã quét: lấy đúng lô trên mã thay vì FEFO", async () => {
+    const { wh, sup } = await seed();
+    await inbound(wh, sup, [
+      { barcode: dataMatrix("EARLY", "291231"), quantity: 30, unitPrice: 1000 },
+      { barcode: dataMatrix("LATE", "301231"), quantity: 30, unitPrice: 1000 },
+    ]).expect(201);
+
+    const res = await request(app)
+      .post("/api/inventory-issues")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        warehouseId: wh._id.toString(),
+        department: "Khoa Nội",
+        issueDate: new Date().toISOString(),
+        items: [
+          {
+            barcode: dataMatrix("LATE", "301231"),
+            quantity: 10,
+            unitPrice: 1000,
+          },
+        ],
+      })
+      .expect(201);
+
+    expect(
+      res.body.data.details[0].lotAllocations.map((la) => [
+        la.lotNumber,
+        la.quantity,
+      ])
+    ).toEqual([["LATE", 10]]);
+    const late = await InventoryLot.findOne({ lotNumber: "LATE" }).lean();
+    expect(late.quantity).toBe(20);
+  });
+});
@@ -37,6 +37,8 @@ const mockInventoryIssueErrorMessages = {
   INSUFFICIENT_STOCK: "Không đủ hàng tồn kho",
   LOT_NOT_FOUND: "Không tìm thấy lô hàng phù hợp",
   PRODUCT_NOT_FOUND: "Sản phẩm không tồn tại",
+  WAREHOUSE_NOT_FOUND: "Kho không tồn tại",
+  EXPIRY_OVERRIDE_FORBIDDEN: "Chỉ admin được xuất lô vi phạm chính sách hạn dùng",
 };
 
 jest.unstable_mockModule('../../models/inventoryIssue.model.js', () => ({
@@ -73,15 +75,43 @@ jest.unstable_mockModule('../../models/inventoryLot.model.js', () => ({
     aggregateStock: mockInventoryLotAggregateStock,
     findOne: mockInventoryLotFindOne,
   },
+  AVAILABLE_LOT: { status: { $in: ['available', null] } },
 }));
 
 const mockProductFindById = jest.fn();
 const mockProductFind = jest.fn();
+const mockProductFindOne = jest.fn();
+const mockProductSyncCurrentStock = jest.fn();
 
 jest.unstable_mockModule('../../models/product.model.js', () => ({
   default: {
     findById: mockProductFindById,
     find: mockProductFind,
+    findOne: mockProductFindOne,
+    syncCurrentStock: mockProductSyncCurrentStock,
+  },
+}));
+
+const mockUnitFindById = jest.fn();
+
+jest.unstable_mockModule('../../models/unitOfMeasure.model.js', () => ({
+  default: {
+    findById: (id) => ({
+      select: () => ({
+        session: () => ({ lean: () => mockUnitFindById(id) }),
+      }),
+    }),
+  },
+  UnitSnapshotSchema: {},
+}));
+
+const mockWarehouseFindById = jest.fn();
+
+jest.unstable_mockModule('../../models/warehouse.model.js', () => ({
+  default: {
+    findById: (id) => ({
+      session: jest.fn(() => mockWarehouseFindById(id)),
+    }),
   },
 }));
 
@@ -106,6 +136,28 @@ jest.unstable_mockModule('../../models/department.model.js', () => ({
   },
 }));
 
+jest.unstable_mockModule('../../models/requisition.model.js', () => ({
+  default: {
+    findById: jest.fn(),
+  },
+}));
+
+const mockReservedQtyByLot = jest.fn(async () => new Map());
+
+jest.unstable_mockModule('../../models/stockReservation.model.js', () => ({
+  default: {
+    reservedQtyByLot: mockReservedQtyByLot,
+  },
+}));
+
+const mockReserveStock = jest.fn();
+const mockReleaseReservations = jest.fn();
+
+jest.unstable_mockModule('../../services/stockReservation.service.js', () => ({
+  reserveStock: mockReserveStock,
+  releaseReservations: mockReleaseReservations,
+}));
+
 const mockTransactionSave = jest.fn();
 
 jest.unstable_mockModule('../../models/transaction.model.js', () => ({
@@ -133,6 +185,12 @@ jest.unstable_mockModule('../../models/transactionDetail.model.js', () => ({
   },
 }));
 
+const mockStockMovementRecord = jest.fn();
+
+jest.unstable_mockModule('../../models/stockMovement.model.js', () => ({
+  default: { record: mockStockMovementRecord },
+}));
+
 // Mock ApiResponse utility
 jest.unstable_mockModule('../../utils/ApiResponse.js', () => ({
   default: {
@@ -172,6 +230,13 @@ describe('InventoryIssueController.createInventoryIssue', () => {
     });
     mockTransactionSave.mockResolvedValue();
     mockTransactionDetailInsertMany.mockResolvedValue([]);
+    mockStockMovementRecord.mockResolvedValue([]);
+    mockWarehouseFindById.mockResolvedValue({
+      _id: 'warehouse-id-123',
+      code: 'WH001',
+      name: 'Kho chính',
+    });
+    mockProductSyncCurrentStock.mockResolvedValue();
   });
 
   afterEach(() => {
@@ -458,7 +523,7 @@ describe('InventoryIssueController.createInventoryIssue', () => {
       mockInventoryLotFindById.mockResolvedValue({
         _id: 'lot-id-123',
         lotNumber: 'LOT001',
-        expiryDate: new Date('2026-01-01'),
+        expiryDate: new Date('2030-01-01'),
         unitCost: 4500,
         quantity: 100,
         save: jest.fn(),
@@ -510,6 +575,29 @@ describe('InventoryIssueController.createInventoryIssue', () => {
         errors: stockErrors,
       });
     });
+
+    it('should return 404 if warehouse not found', async () => {
+      const req = mockReq({
+        warehouseId: 'warehouse-id-404',
+        department: 'Khoa Nội',
+        issueDate: '2025-11-05',
+        items: [{ productId: 'product-id-123', quantity: 10, unitPrice: 5000 }],
+      });
+      const res = mockRes();
+
+      mockWarehouseFindById.mockResolvedValue(null);
+
+      await InventoryIssueController.createInventoryIssue(req, res);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(mockInventoryIssueValidateStockAvailability).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: mockInventoryIssueErrorMessages.WAREHOUSE_NOT_FOUND,
+        errors: null,
+      });
+    });
   });
 
   describe('Success Tests - Auto FEFO Allocation', () => {
@@ -542,7 +630,7 @@ describe('InventoryIssueController.createInventoryIssue', () => {
       const mockLot1 = {
         _id: 'lot-id-001',
         lotNumber: 'LOT001',
-        expiryDate: new Date('2026-01-01'),
+        expiryDate: new Date('2030-01-01'),
         unitCost: 4500,
         quantity: 60,
         save: jest.fn(),
@@ -550,7 +638,7 @@ describe('InventoryIssueController.createInventoryIssue', () => {
       const mockLot2 = {
         _id: 'lot-id-002',
         lotNumber: 'LOT002',
-        expiryDate: new Date('2026-03-01'),
+        expiryDate: new Date('2030-03-01'),
         unitCost: 4500,
         quantity: 40,
         save: jest.fn(),
@@ -582,14 +670,14 @@ describe('InventoryIssueController.createInventoryIssue', () => {
               {
                 inventoryLotId: 'lot-id-001',
                 lotNumber: 'LOT001',
-                expiryDate: new Date('2026-01-01'),
+                expiryDate: new Date('2030-01-01'),
                 quantity: 60,
                 unitCost: 4500,
               },
               {
                 inventoryLotId: 'lot-id-002',
                 lotNumber: 'LOT002',
-                expiryDate: new Date('2026-03-01'),
+                expiryDate: new Date('2030-03-01'),
                 quantity: 40,
                 unitCost: 4500,
               },
@@ -645,6 +733,21 @@ describe('InventoryIssueController.createInventoryIssue', () => {
         ]),
         expect.objectContaining({ session: mockSession })
       );
+      expect(mockStockMovementRecord).toHaveBeenCalledWith(
+        [
+          expect.objectContaining({ inventoryLotId: 'lot-id-001', quantity: -60 }),
+          expect.objectContaining({ inventoryLotId: 'lot-id-002', quantity: -40 }),
+        ],
+        expect.objectContaining({
+          transactionId: 'transaction-id-123',
+          movementType: 'OUTBOUND',
+        }),
+        mockSession
+      );
+      expect(mockProductSyncCurrentStock).toHaveBeenCalledWith(
+        ['product-id-123'],
+        mockSession
+      );
     });
 
     it('should return 404 if product not found', async () => {
@@ -733,8 +836,9 @@ describe('InventoryIssueController.createInventoryIssue', () => {
 
       const mockLot = {
         _id: 'lot-id-001',
+        warehouseId: 'warehouse-id-123',
         lotNumber: 'LOT001',
-        expiryDate: new Date('2026-01-01'),
+        expiryDate: new Date('2030-01-01'),
         unitCost: 4500,
         quantity: 200,
         save: jest.fn(),
@@ -826,6 +930,7 @@ describe('InventoryIssueController.createInventoryIssue', () => {
 
       const mockLot = {
         _id: 'lot-id-001',
+        warehouseId: 'warehouse-id-123',
         lotNumber: 'LOT001',
         quantity: 50,
       };
@@ -842,6 +947,459 @@ describe('InventoryIssueController.createInventoryIssue', () => {
         errors: null,
       });
     });
+
+    it('should return 400 if the selected lot is quarantined or recalled', async () => {
+      const req = mockReq({
+        warehouseId: 'warehouse-id-123',
+        department: 'Khoa Nội',
+        issueDate: '2025-11-05',
+        details: [
+          {
+            productId: 'product-id-123',
+            totalQuantity: 10,
+            unitPrice: 5000,
+            lotAllocations: [
+              { inventoryLotId: 'lot-id-001', quantity: 10 },
+            ],
+          },
+        ],
+      });
+      const res = mockRes();
+
+      mockInventoryIssueValidateStockAvailability.mockResolvedValue([]);
+      mockProductFindById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          _id: 'product-id-123',
+          name: 'Test Product',
+          productCode: 'PROD001',
+        }),
+      });
+      mockInventoryLotFindById.mockResolvedValue({
+        _id: 'lot-id-001',
+        warehouseId: 'warehouse-id-123',
+        lotNumber: 'LOT001',
+        quantity: 50,
+        status: 'recalled',
+        save: jest.fn(),
+      });
+
+      await InventoryIssueController.createInventoryIssue(req, res);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Lô "LOT001" đang ở trạng thái recalled, không được xuất',
+        errors: null,
+      });
+    });
+
+    describe('Expiry policy', () => {
+      const expiredLotReq = (extra = {}, user) =>
+        mockReq(
+          {
+            warehouseId: 'warehouse-id-123',
+            department: 'Khoa Nội',
+            issueDate: '2025-11-05',
+            details: [
+              {
+                productId: 'product-id-123',
+                totalQuantity: 10,
+                unitPrice: 5000,
+                lotAllocations: [
+                  { inventoryLotId: 'lot-id-001', quantity: 10 },
+                ],
+              },
+            ],
+            ...extra,
+          },
+          user
+        );
+
+      let mockLot;
+
+      beforeEach(() => {
+        mockInventoryIssueValidateStockAvailability.mockResolvedValue([]);
+        mockProductFindById.mockReturnValue({
+          lean: jest.fn().mockResolvedValue({
+            _id: 'product-id-123',
+            name: 'Test Product',
+            productCode: 'PROD001',
+          }),
+        });
+        mockLot = {
+          _id: 'lot-id-001',
+          warehouseId: 'warehouse-id-123',
+          lotNumber: 'LOT001',
+          expiryDate: new Date(Date.now() - 5 * 24 * 3600 * 1000),
+          unitCost: 4500,
+          quantity: 50,
+          save: jest.fn(),
+        };
+        mockInventoryLotFindById.mockResolvedValue(mockLot);
+        mockInventoryIssueCountDocuments.mockReturnValue({
+          session: jest.fn().mockResolvedValue(0),
+        });
+      });
+
+      it('should return 400 if the selected lot is expired', async () => {
+        const res = mockRes();
+
+        await InventoryIssueController.createInventoryIssue(
+          expiredLotReq(),
+          res
+        );
+
+        expect(mockSession.abortTransaction).toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith(
+          expect.objectContaining({
+            success: false,
+            message: expect.stringMatching(
+              /^Lô "LOT001" đã hết hạn ngày .+, không được xuất$/
+            ),
+          })
+        );
+        expect(mockLot.save).not.toHaveBeenCalled();
+      });
+
+      it('should return 403 if a non-admin sends an expiry override reason', async () => {
+        const res = mockRes();
+
+        await InventoryIssueController.createInventoryIssue(
+          expiredLotReq({ expiryOverrideReason: 'Cấp cứu' }),
+          res
+        );
+
+        expect(mockSession.abortTransaction).toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(403);
+        expect(mockLot.save).not.toHaveBeenCalled();
+      });
+
+      it('should let an admin issue an expired lot and record the override reason', async () => {
+        const res = mockRes();
+
+        await InventoryIssueController.createInventoryIssue(
+          expiredLotReq(
+            { expiryOverrideReason: 'Hết thuốc thay thế, trưởng khoa duyệt' },
+            { id: 'admin-id-123', role: 'admin' }
+          ),
+          res
+        );
+
+        expect(res.status).toHaveBeenCalledWith(201);
+        expect(mockLot.quantity).toBe(40);
+        const [savedIssue] = mockInventoryIssueSave.mock.calls[0];
+        expect(savedIssue.details[0].lotAllocations[0].expiryFlag).toBe(
+          'EXPIRED'
+        );
+        expect(savedIssue.expiryOverride).toEqual({
+          reason: 'Hết thuốc thay thế, trưởng khoa duyệt',
+          overriddenBy: 'admin-id-123',
+          overriddenAt: expect.any(Date),
+        });
+      });
+    });
+
+    it('should convert quantities entered in boxes to base units', async () => {
+      const req = mockReq({
+        warehouseId: 'warehouse-id-123',
+        department: 'Khoa Nội',
+        issueDate: '2025-11-05',
+        details: [
+          {
+            productId: 'product-id-123',
+            unitId: 'unit-box',
+            totalQuantity: 2,
+            unitPrice: 450000,
+            lotAllocations: [{ inventoryLotId: 'lot-id-001', quantity: 2 }],
+          },
+        ],
+      });
+      const res = mockRes();
+
+      mockInventoryIssueValidateStockAvailability.mockResolvedValue([]);
+      mockProductFindById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          _id: 'product-id-123',
+          name: 'Test Product',
+          unit: 'viên',
+          unitConversions: [{ unitId: 'unit-box', factor: 100 }],
+        }),
+      });
+      mockUnitFindById.mockResolvedValue({ _id: 'unit-box', name: 'hộp' });
+      const mockLot = {
+        _id: 'lot-id-001',
+        warehouseId: 'warehouse-id-123',
+        lotNumber: 'LOT001',
+        unitCost: 4500,
+        quantity: 500,
+        save: jest.fn(),
+      };
+      mockInventoryLotFindById.mockResolvedValue(mockLot);
+      mockInventoryIssueCountDocuments.mockReturnValue({
+        session: jest.fn().mockResolvedValue(0),
+      });
+
+      await InventoryIssueController.createInventoryIssue(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(mockLot.quantity).toBe(300);
+      const [savedIssue] = mockInventoryIssueSave.mock.calls[0];
+      expect(savedIssue.details[0]).toEqual(
+        expect.objectContaining({
+          totalQuantity: 200,
+          unitPrice: 4500,
+          lineTotal: 900000,
+          uom: {
+            unitId: 'unit-box',
+            unitName: 'hộp',
+            factor: 100,
+            quantity: 2,
+            unitPrice: 450000,
+          },
+        })
+      );
+      expect(savedIssue.details[0].lotAllocations[0].quantity).toBe(200);
+    });
+
+    it('should take product and lot from a scanned GS1 code', async () => {
+      const req = mockReq({
+        warehouseId: 'warehouse-id-123',
+        department: 'Khoa Nội',
+        issueDate: '2025-11-05',
+        details: [
+          {
+            barcode: '(01)08931234567897(17)301231(10)LOT001',
+            totalQuantity: 10,
+            unitPrice: 5000,
+          },
+        ],
+      });
+      const res = mockRes();
+
+      mockInventoryIssueValidateStockAvailability.mockResolvedValue([]);
+      const product = {
+        _id: 'product-id-123',
+        name: 'Test Product',
+        sku: 'PROD001',
+        barcodes: ['8931234567897'],
+      };
+      mockProductFindOne.mockReturnValue({
+        session: () => ({ lean: jest.fn().mockResolvedValue(product) }),
+      });
+      mockProductFindById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue(product),
+      });
+      mockInventoryLotFindOne.mockReturnValue({
+        select: () => ({
+          session: () => ({
+            lean: jest.fn().mockResolvedValue({ _id: 'lot-id-001' }),
+          }),
+        }),
+      });
+      const mockLot = {
+        _id: 'lot-id-001',
+        warehouseId: 'warehouse-id-123',
+        lotNumber: 'LOT001',
+        expiryDate: new Date('2030-12-31'),
+        unitCost: 4500,
+        quantity: 50,
+        save: jest.fn(),
+      };
+      mockInventoryLotFindById.mockResolvedValue(mockLot);
+      mockInventoryIssueCountDocuments.mockReturnValue({
+        session: jest.fn().mockResolvedValue(0),
+      });
+
+      await InventoryIssueController.createInventoryIssue(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(mockProductFindOne).toHaveBeenCalledWith({
+        barcodes: { $in: ['08931234567897', '8931234567897'] },
+      });
+      expect(mockInventoryLotFindOne).toHaveBeenCalledWith({
+        productId: 'product-id-123',
+        warehouseId: 'warehouse-id-123',
+        lotNumber: 'LOT001',
+      });
+      expect(mockLot.quantity).toBe(40);
+      const [savedIssue] = mockInventoryIssueSave.mock.calls[0];
+      expect(savedIssue.details[0].productId).toBe('product-id-123');
+    });
+
+    it('should not allocate quantity held for another pending issue', async () => {
+      const req = mockReq({
+        warehouseId: 'warehouse-id-123',
+        department: 'Khoa Nội',
+        issueDate: '2025-11-05',
+        details: [
+          {
+            productId: 'product-id-123',
+            totalQuantity: 40,
+            unitPrice: 5000,
+            lotAllocations: [
+              { inventoryLotId: 'lot-id-001', quantity: 40 },
+            ],
+          },
+        ],
+      });
+      const res = mockRes();
+
+      mockInventoryIssueValidateStockAvailability.mockResolvedValue([]);
+      mockProductFindById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          _id: 'product-id-123',
+          name: 'Test Product',
+          productCode: 'PROD001',
+        }),
+      });
+      const mockLot = {
+        _id: 'lot-id-001',
+        warehouseId: 'warehouse-id-123',
+        lotNumber: 'LOT001',
+        quantity: 50,
+        save: jest.fn(),
+      };
+      mockInventoryLotFindById.mockResolvedValue(mockLot);
+      mockReservedQtyByLot.mockResolvedValueOnce(new Map([['lot-id-001', 20]]));
+
+      await InventoryIssueController.createInventoryIssue(req, res);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(mockLot.save).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Lô "LOT001" không đủ số lượng. Có sẵn: 30, Yêu cầu: 40',
+        errors: null,
+      });
+    });
+
+    it('should return 400 if provided lot belongs to another warehouse', async () => {
+      const req = mockReq({
+        warehouseId: 'warehouse-id-123',
+        department: 'Khoa Nội',
+        issueDate: '2025-11-05',
+        details: [
+          {
+            productId: 'product-id-123',
+            totalQuantity: 10,
+            unitPrice: 5000,
+            lotAllocations: [
+              { inventoryLotId: 'lot-id-001', quantity: 10 },
+            ],
+          },
+        ],
+      });
+      const res = mockRes();
+
+      mockInventoryIssueValidateStockAvailability.mockResolvedValue([]);
+      mockProductFindById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          _id: 'product-id-123',
+          name: 'Test Product',
+          productCode: 'PROD001',
+        }),
+      });
+      const mockLot = {
+        _id: 'lot-id-001',
+        warehouseId: 'warehouse-id-999',
+        lotNumber: 'LOT001',
+        quantity: 50,
+        save: jest.fn(),
+      };
+      mockInventoryLotFindById.mockResolvedValue(mockLot);
+
+      await InventoryIssueController.createInventoryIssue(req, res);
+
+      expect(mockSession.abortTransaction).toHaveBeenCalled();
+      expect(mockLot.save).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        message: 'Lô "LOT001" không thuộc kho xuất',
+        errors: null,
+      });
+    });
+  });
+
+  describe('Draft Requests', () => {
+    it('should create draft without allocating lots when created by role user', async () => {
+      const req = mockReq(
+        {
+          warehouseId: 'warehouse-id-123',
+          department: 'Khoa Nội',
+          issueDate: '2025-11-05',
+          items: [{ productId: 'product-id-123', quantity: 20, unitPrice: 5000 }],
+        },
+        { id: 'user-id-456', role: 'user' }
+      );
+      const res = mockRes();
+
+      mockProductFindById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({
+          _id: 'product-id-123',
+          name: 'Paracetamol 500mg',
+        }),
+      });
+      mockInventoryIssueCountDocuments.mockReturnValue({
+        session: jest.fn().mockResolvedValue(0),
+      });
+      mockInventoryIssueSave.mockResolvedValue();
+
+      await InventoryIssueController.createInventoryIssue(req, res);
+
+      expect(mockSession.commitTransaction).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({
+            status: 'draft',
+            confirmedBy: null,
+            totalAmount: 100000,
+          }),
+        })
+      );
+      expect(mockInventoryIssueValidateStockAvailability).not.toHaveBeenCalled();
+      expect(mockInventoryLotFefoSuggestLots).not.toHaveBeenCalled();
+      expect(mockTransactionSave).not.toHaveBeenCalled();
+      expect(mockProductSyncCurrentStock).not.toHaveBeenCalled();
+      expect(mockReserveStock).toHaveBeenCalledWith(
+        expect.objectContaining({
+          sourceType: 'InventoryIssue',
+          sourceId: 'issue-id-123',
+          warehouseId: 'warehouse-id-123',
+          items: [{ productId: 'product-id-123', quantity: 20 }],
+          session: mockSession,
+        })
+      );
+    });
+
+    it('should let admin save a draft with status=draft', async () => {
+      const req = mockReq({
+        warehouseId: 'warehouse-id-123',
+        department: 'Khoa Nội',
+        issueDate: '2025-11-05',
+        status: 'draft',
+        items: [{ productId: 'product-id-123', quantity: 20, unitPrice: 5000 }],
+      });
+      const res = mockRes();
+
+      mockProductFindById.mockReturnValue({
+        lean: jest.fn().mockResolvedValue({ _id: 'product-id-123' }),
+      });
+      mockInventoryIssueCountDocuments.mockReturnValue({
+        session: jest.fn().mockResolvedValue(0),
+      });
+      mockInventoryIssueSave.mockResolvedValue();
+
+      await InventoryIssueController.createInventoryIssue(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json.mock.calls[0][0].data.status).toBe('draft');
+      expect(mockTransactionSave).not.toHaveBeenCalled();
+    });
   });
 
   describe('Error Handling Tests', () => {
@@ -867,7 +1425,7 @@ describe('InventoryIssueController.createInventoryIssue', () => {
       mockInventoryLotFindById.mockResolvedValue({
         _id: 'lot-id-123',
         lotNumber: 'LOT001',
-        expiryDate: new Date('2026-01-01'),
+        expiryDate: new Date('2030-01-01'),
         unitCost: 4500,
         quantity: 10,
         save: jest.fn(),
@@ -1002,7 +1560,9 @@ describe('InventoryIssueController.getProductSuggestions', () => {
     mockInventoryLotAggregateStock.mockResolvedValue([
       {
         stockQty: 1000,
-        nearestExpiry: new Date('2026-01-01'),
+        reservedQty: 0,
+        availableQty: 1000,
+        nearestExpiry: new Date('2030-01-01'),
         stockValue: 4500000,
       },
     ]);
@@ -1012,7 +1572,7 @@ describe('InventoryIssueController.getProductSuggestions', () => {
       select: jest.fn().mockReturnThis(),
       lean: jest.fn().mockResolvedValue({
         unitCost: 4500,
-        expiryDate: new Date('2026-01-01'),
+        expiryDate: new Date('2030-01-01'),
         lotNumber: 'LOT001',
       }),
     });
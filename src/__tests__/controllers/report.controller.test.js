@@ -1,8 +1,9 @@
 import { jest } from "@jest/globals";
 // Import dependencies
 import Transaction from "../../models/transaction.model.js";
-import TransactionDetail from "../../models/transactionDetail.model.js";
+import StockMovement from "../../models/stockMovement.model.js";
 import Product from "../../models/product.model.js";
+import InventorySnapshot from "../../models/inventorySnapshot.model.js";
 import ApiResponse from "../../utils/ApiResponse.js";
 import mongoose from "mongoose";
 
@@ -59,9 +60,55 @@ const PDFDocument = (await import("pdfkit")).default;
 
 // Mock Models (Standard Jest Mocking)
 jest.mock("../../models/transaction.model.js");
-jest.mock("../../models/transactionDetail.model.js");
+jest.mock("../../models/stockMovement.model.js");
 jest.mock("../../models/product.model.js");
 
+// Ảnh chụp tồn cuối ngày gần nhất trước kỳ báo cáo (null: đọc cả sổ)
+const mockSnapshotBase = (base) => {
+  InventorySnapshot.findOne = jest.fn().mockReturnValue({
+    sort: jest.fn().mockReturnValue({
+      select: jest.fn().mockReturnValue({
+        session: jest.fn().mockReturnValue({
+          lean: jest.fn().mockResolvedValue(base),
+        }),
+      }),
+    }),
+  });
+};
+mockSnapshotBase(null);
+// Sổ biến động đã khởi tạo (báo cáo theo sổ không bị chặn)
+StockMovement.isInitialized = jest.fn().mockResolvedValue(true);
+
+// Kết quả $facet của pipeline báo cáo xuất-nhập-tồn
+const mockSummaryResult = (products, total = products.length) => {
+  StockMovement.aggregate = jest
+    .fn()
+    .mockResolvedValue([{ products, total: total ? [{ count: total }] : [] }]);
+  mockSnapshotBase(null);
+};
+
+const summaryRow = (overrides = {}) => ({
+  productId: new mongoose.Types.ObjectId(),
+  sku: "SKU001",
+  productName: "Paracetamol",
+  unit: "viên",
+  openingStock: 0,
+  totalInbound: 0,
+  totalOutbound: 0,
+  totalAdjustment: 0,
+  totalDepartmentReturn: 0,
+  closingStock: 0,
+  ...overrides,
+});
+
+const mockProductFind = (products) => {
+  Product.find = jest.fn().mockReturnValue({
+    select: jest.fn().mockReturnValue({
+      lean: jest.fn().mockResolvedValue(products),
+    }),
+  });
+};
+
 describe("Report Controller - getStockSummary", () => {
   let req, res;
 
@@ -157,11 +204,7 @@ describe("Report Controller - getStockSummary", () => {
     test("should accept valid date range", async () => {
       req.query = { startDate: "2024-01-01", endDate: "2024-01-31" };
 
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([]),
-        }),
-      });
+      mockSummaryResult([]);
 
       await getStockSummary(req, res);
 
@@ -175,11 +218,7 @@ describe("Report Controller - getStockSummary", () => {
     });
 
     test("should return empty list if no products exist", async () => {
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([]),
-        }),
-      });
+      mockSummaryResult([]);
 
       await getStockSummary(req, res);
 
@@ -195,20 +234,8 @@ describe("Report Controller - getStockSummary", () => {
     });
 
     test("should calculate stock summary for single product with no activity", async () => {
-      const mockProduct = {
-        _id: new mongoose.Types.ObjectId(),
-        name: "Paracetamol",
-        unit: "viên",
-      };
-
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([mockProduct]),
-        }),
-      });
-
-      // Mock aggregate to return no transactions
-      TransactionDetail.aggregate = jest.fn().mockResolvedValue([]);
+      // Sản phẩm không tồn, không phát sinh bị loại khỏi kết quả
+      mockSummaryResult([]);
 
       await getStockSummary(req, res);
 
@@ -224,26 +251,9 @@ describe("Report Controller - getStockSummary", () => {
     });
 
     test("should calculate opening stock from transactions before startDate", async () => {
-      const mockProduct = {
-        _id: new mongoose.Types.ObjectId(),
-        name: "Paracetamol",
-        unit: "viên",
-      };
-
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([mockProduct]),
-        }),
-      });
-
-      // Mock opening stock calculation (before 2024-01-01)
-      // INBOUND: 100, OUTBOUND: 20 => Opening = 80
-      TransactionDetail.aggregate = jest
-        .fn()
-        .mockResolvedValueOnce([{ totalQuantity: 100 }]) // inbound before start
-        .mockResolvedValueOnce([{ totalQuantity: 20 }]) // outbound before start
-        .mockResolvedValueOnce([]) // inbound in period
-        .mockResolvedValueOnce([]); // outbound in period
+      // INBOUND: 100, OUTBOUND: 20 before 2024-01-01 => Opening = 80
+      const row = summaryRow({ openingStock: 80, closingStock: 80 });
+      mockSummaryResult([row]);
 
       await getStockSummary(req, res);
 
@@ -253,7 +263,7 @@ describe("Report Controller - getStockSummary", () => {
           totalProducts: 1,
           products: expect.arrayContaining([
             expect.objectContaining({
-              productId: mockProduct._id,
+              productId: row.productId,
               productName: "Paracetamol",
               unit: "viên",
               openingStock: 80,
@@ -269,25 +279,10 @@ describe("Report Controller - getStockSummary", () => {
     });
 
     test("should calculate total inbound in date range", async () => {
-      const mockProduct = {
-        _id: new mongoose.Types.ObjectId(),
-        name: "Paracetamol",
-        unit: "viên",
-      };
-
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([mockProduct]),
-        }),
-      });
-
-      // Mock: Opening = 50, Inbound in period = 100
-      TransactionDetail.aggregate = jest
-        .fn()
-        .mockResolvedValueOnce([{ totalQuantity: 50 }]) // inbound before start
-        .mockResolvedValueOnce([]) // outbound before start
-        .mockResolvedValueOnce([{ totalQuantity: 100 }]) // inbound in period
-        .mockResolvedValueOnce([]); // outbound in period
+      // Opening = 50, Inbound in period = 100
+      mockSummaryResult([
+        summaryRow({ openingStock: 50, totalInbound: 100, closingStock: 150 }),
+      ]);
 
       await getStockSummary(req, res);
 
@@ -309,25 +304,10 @@ describe("Report Controller - getStockSummary", () => {
     });
 
     test("should calculate total outbound in date range", async () => {
-      const mockProduct = {
-        _id: new mongoose.Types.ObjectId(),
-        name: "Paracetamol",
-        unit: "viên",
-      };
-
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([mockProduct]),
-        }),
-      });
-
-      // Mock: Opening = 100, Outbound in period = 30
-      TransactionDetail.aggregate = jest
-        .fn()
-        .mockResolvedValueOnce([{ totalQuantity: 100 }]) // inbound before start
-        .mockResolvedValueOnce([]) // outbound before start
-        .mockResolvedValueOnce([]) // inbound in period
-        .mockResolvedValueOnce([{ totalQuantity: 30 }]); // outbound in period
+      // Opening = 100, Outbound in period = 30
+      mockSummaryResult([
+        summaryRow({ openingStock: 100, totalOutbound: 30, closingStock: 70 }),
+      ]);
 
       await getStockSummary(req, res);
 
@@ -349,25 +329,15 @@ describe("Report Controller - getStockSummary", () => {
     });
 
     test("should calculate closing stock correctly (opening + inbound - outbound)", async () => {
-      const mockProduct = {
-        _id: new mongoose.Types.ObjectId(),
-        name: "Paracetamol",
-        unit: "viên",
-      };
-
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([mockProduct]),
-        }),
-      });
-
       // Opening: 50, Inbound: 200, Outbound: 80 => Closing: 170
-      TransactionDetail.aggregate = jest
-        .fn()
-        .mockResolvedValueOnce([{ totalQuantity: 50 }]) // inbound before
-        .mockResolvedValueOnce([]) // outbound before
-        .mockResolvedValueOnce([{ totalQuantity: 200 }]) // inbound in period
-        .mockResolvedValueOnce([{ totalQuantity: 80 }]); // outbound in period
+      mockSummaryResult([
+        summaryRow({
+          openingStock: 50,
+          totalInbound: 200,
+          totalOutbound: 80,
+          closingStock: 170,
+        }),
+      ]);
 
       await getStockSummary(req, res);
 
@@ -388,94 +358,105 @@ describe("Report Controller - getStockSummary", () => {
       );
     });
 
-    test("should handle multiple products with different stock levels", async () => {
-      const mockProducts = [
-        {
-          _id: new mongoose.Types.ObjectId(),
-          name: "Paracetamol",
-          unit: "viên",
-        },
-        {
-          _id: new mongoose.Types.ObjectId(),
-          name: "Amoxicillin",
-          unit: "viên",
-        },
-      ];
+    test("should report net adjustments as a separate column", async () => {
+      // Opening: 95, Inbound: 20, Outbound: 10, Adjustment: -3 => Closing: 102
+      mockSummaryResult([
+        summaryRow({
+          openingStock: 95,
+          totalInbound: 20,
+          totalOutbound: 10,
+          totalAdjustment: -3,
+          closingStock: 102,
+        }),
+      ]);
 
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(mockProducts),
+      await getStockSummary(req, res);
+
+      expect(ApiResponse.success).toHaveBeenCalledWith(
+        res,
+        expect.objectContaining({
+          products: expect.arrayContaining([
+            expect.objectContaining({
+              openingStock: 95,
+              totalInbound: 20,
+              totalOutbound: 10,
+              totalAdjustment: -3,
+              closingStock: 102,
+            }),
+          ]),
         }),
-      });
+        expect.any(String),
+        200
+      );
+    });
 
-      // WE USE MOCK IMPLEMENTATION TO RETURN DATA BASED ON INPUT
-      TransactionDetail.aggregate = jest
-        .fn()
-        .mockImplementation(async (pipeline) => {
-          // 1. Extract the criteria from the pipeline
-          const matchStage = pipeline.find((stage) => stage.$match);
-          const criteria = matchStage.$match;
-
-          // Convert ObjectId to string for comparison
-          const currentProductId = criteria.productId.toString();
-          const type = criteria["transaction.type"];
-          const dateQuery = criteria["transaction.transactionDate"];
-
-          // Check if this is a "Period" query (has $gte) or "Opening" query (only $lte)
-          const isPeriodQuery = dateQuery && dateQuery.$gte !== undefined;
-
-          // --- LOGIC FOR PRODUCT 1 (Paracetamol) ---
-          if (currentProductId === mockProducts[0]._id.toString()) {
-            if (type === "INBOUND") {
-              // Period Inbound: 50, Opening Inbound: 100
-              return isPeriodQuery
-                ? [{ totalQuantity: 50 }]
-                : [{ totalQuantity: 100 }];
-            }
-            if (type === "OUTBOUND") {
-              // Period Outbound: 30, Opening Outbound: 0 (empty)
-              return isPeriodQuery ? [{ totalQuantity: 30 }] : [];
-            }
-          }
-
-          // --- LOGIC FOR PRODUCT 2 (Amoxicillin) ---
-          if (currentProductId === mockProducts[1]._id.toString()) {
-            if (type === "INBOUND") {
-              // Period Inbound: 200, Opening Inbound: 0
-              return isPeriodQuery ? [{ totalQuantity: 200 }] : [];
-            }
-            if (type === "OUTBOUND") {
-              return []; // No outbound at all
-            }
-          }
-
-          return []; // Default fallback
-        });
+    test("should report department returns as a separate stock-in column", async () => {
+      // Opening: 50, Inbound: 0, Outbound: 20, Department return: 5 => Closing: 35
+      mockSummaryResult([
+        summaryRow({
+          openingStock: 50,
+          totalOutbound: 20,
+          totalDepartmentReturn: 5,
+          closingStock: 35,
+        }),
+      ]);
 
       await getStockSummary(req, res);
 
       expect(ApiResponse.success).toHaveBeenCalledWith(
         res,
         expect.objectContaining({
-          totalProducts: 2,
           products: expect.arrayContaining([
             expect.objectContaining({
-              productId: mockProducts[0]._id,
-              productName: "Paracetamol",
-              // Opening: 100(in)-0(out) = 100
-              // Period: 50(in)-30(out)
-              // Closing: 100 + 50 - 30 = 120
-              closingStock: 120,
+              openingStock: 50,
+              totalInbound: 0,
+              totalOutbound: 20,
+              totalDepartmentReturn: 5,
+              closingStock: 35,
             }),
+          ]),
+        }),
+        expect.any(String),
+        200
+      );
+    });
+
+    test("should handle multiple products with different stock levels", async () => {
+      const paracetamol = summaryRow({
+        productName: "Paracetamol",
+        openingStock: 100,
+        totalInbound: 50,
+        totalOutbound: 30,
+        closingStock: 120,
+      });
+      const amoxicillin = summaryRow({
+        sku: "SKU002",
+        productName: "Amoxicillin",
+        totalInbound: 200,
+        closingStock: 200,
+      });
+      mockSummaryResult([amoxicillin, paracetamol]);
+
+      await getStockSummary(req, res);
+
+      expect(ApiResponse.success).toHaveBeenCalledWith(
+        res,
+        expect.objectContaining({
+          totalProducts: 2,
+          products: [
             expect.objectContaining({
-              productId: mockProducts[1]._id,
+              productId: amoxicillin.productId,
               productName: "Amoxicillin",
-              // Opening: 0
-              // Period: 200(in)
-              // Closing: 200
+              // Opening: 0, Period: 200(in) => Closing: 200
               closingStock: 200,
             }),
-          ]),
+            expect.objectContaining({
+              productId: paracetamol.productId,
+              productName: "Paracetamol",
+              // Closing: 100 + 50 - 30 = 120
+              closingStock: 120,
+            }),
+          ],
         }),
         expect.any(String),
         200
@@ -483,39 +464,12 @@ describe("Report Controller - getStockSummary", () => {
     });
 
     test("should filter out products with no stock activity", async () => {
-      const mockProducts = [
-        {
-          _id: new mongoose.Types.ObjectId(),
-          name: "Active Product",
-          unit: "viên",
-        },
-        {
-          _id: new mongoose.Types.ObjectId(),
-          name: "Inactive Product",
-          unit: "viên",
-        },
-      ];
-
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(mockProducts),
-        }),
+      const active = summaryRow({
+        productName: "Active Product",
+        openingStock: 100,
+        closingStock: 100,
       });
-
-      // Product 1: Has activity
-      // Product 2: No activity (all zeros)
-      TransactionDetail.aggregate = jest
-        .fn()
-        // Product 1
-        .mockResolvedValueOnce([{ totalQuantity: 100 }])
-        .mockResolvedValueOnce([])
-        .mockResolvedValueOnce([])
-        .mockResolvedValueOnce([])
-        // Product 2 - all empty
-        .mockResolvedValueOnce([])
-        .mockResolvedValueOnce([])
-        .mockResolvedValueOnce([])
-        .mockResolvedValueOnce([]);
+      mockSummaryResult([active]);
 
       await getStockSummary(req, res);
 
@@ -523,11 +477,11 @@ describe("Report Controller - getStockSummary", () => {
         res,
         expect.objectContaining({
           totalProducts: 1,
-          products: expect.arrayContaining([
+          products: [
             expect.objectContaining({
-              productId: mockProducts[0]._id,
+              productId: active.productId,
             }),
-          ]),
+          ],
         }),
         expect.any(String),
         200
@@ -535,16 +489,91 @@ describe("Report Controller - getStockSummary", () => {
     });
   });
 
+  describe("Pagination and Filters", () => {
+    beforeEach(() => {
+      req.query = { startDate: "2024-01-01", endDate: "2024-01-31" };
+    });
+
+    test("should default to the first page of 20 products", async () => {
+      mockSummaryResult([summaryRow()], 1);
+
+      await getStockSummary(req, res);
+
+      expect(ApiResponse.success.mock.calls[0][1].pagination).toEqual({
+        page: 1,
+        limit: 20,
+        total: 1,
+        totalPages: 1,
+      });
+    });
+
+    test("should report total products and pages for the requested page", async () => {
+      req.query = { ...req.query, page: "3", limit: "10" };
+      mockSummaryResult([summaryRow()], 21);
+
+      await getStockSummary(req, res);
+
+      const data = ApiResponse.success.mock.calls[0][1];
+      expect(data.totalProducts).toBe(21);
+      expect(data.pagination).toEqual({
+        page: 3,
+        limit: 10,
+        total: 21,
+        totalPages: 3,
+      });
+    });
+
+    test("should look up products matching category and search", async () => {
+      const categoryId = new mongoose.Types.ObjectId().toString();
+      req.query = { ...req.query, categoryId, search: " para.cet " };
+      mockProductFind([{ _id: new mongoose.Types.ObjectId() }]);
+      mockSummaryResult([summaryRow()]);
+
+      await getStockSummary(req, res);
+
+      expect(Product.find).toHaveBeenCalledWith({
+        categoryId,
+        $or: [{ name: /para\.cet/i }, { sku: /para\.cet/i }],
+      });
+      expect(ApiResponse.success.mock.calls[0][1].totalProducts).toBe(1);
+    });
+
+    test("should return empty page when no product matches", async () => {
+      req.query = { ...req.query, search: "không-có" };
+      mockProductFind([]);
+      StockMovement.aggregate = jest.fn();
+
+      await getStockSummary(req, res);
+
+      expect(ApiResponse.success).toHaveBeenCalledWith(
+        res,
+        expect.objectContaining({ totalProducts: 0, products: [] }),
+        expect.any(String),
+        200
+      );
+    });
+
+    test("should return 400 if categoryId is invalid", async () => {
+      req.query = { ...req.query, categoryId: "abc" };
+
+      await getStockSummary(req, res);
+
+      expect(ApiResponse.error).toHaveBeenCalledWith(
+        res,
+        "categoryId không hợp lệ",
+        400
+      );
+    });
+  });
+
   describe("Date Range Handling", () => {
+    beforeEach(() => {
+      mockSummaryResult([]);
+    });
+
     test("should handle same-day date range", async () => {
       req.query = { startDate: "2024-01-15", endDate: "2024-01-15" };
 
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([]),
-        }),
-      });
-
       await getStockSummary(req, res);
 
       expect(ApiResponse.success).toHaveBeenCalled();
@@ -553,39 +582,39 @@ describe("Report Controller - getStockSummary", () => {
     test("should set time to start of day for startDate", async () => {
       req.query = { startDate: "2024-01-01", endDate: "2024-01-31" };
 
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([]),
-        }),
-      });
-
       await getStockSummary(req, res);
 
       const callArgs = ApiResponse.success.mock.calls[0][1];
       const startDate = callArgs.startDate;
 
-      expect(startDate.getHours()).toBe(0);
-      expect(startDate.getMinutes()).toBe(0);
-      expect(startDate.getSeconds()).toBe(0);
+      // Mặc định múi giờ nghiệp vụ Asia/Ho_Chi_Minh (UTC+7), không phụ thuộc múi giờ máy chủ
+      expect(startDate.toISOString()).toBe("2023-12-31T17:00:00.000Z");
     });
 
     test("should set time to end of day for endDate", async () => {
       req.query = { startDate: "2024-01-01", endDate: "2024-01-31" };
 
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([]),
-        }),
-      });
-
       await getStockSummary(req, res);
 
       const callArgs = ApiResponse.success.mock.calls[0][1];
       const endDate = callArgs.endDate;
 
-      expect(endDate.getHours()).toBe(23);
-      expect(endDate.getMinutes()).toBe(59);
-      expect(endDate.getSeconds()).toBe(59);
+      expect(endDate.toISOString()).toBe("2024-01-31T16:59:59.999Z");
+    });
+
+    test("should use BUSINESS_TIMEZONE for day boundaries", async () => {
+      process.env.BUSINESS_TIMEZONE = "UTC";
+      req.query = { startDate: "2024-01-01", endDate: "2024-01-31" };
+
+      try {
+        await getStockSummary(req, res);
+      } finally {
+        delete process.env.BUSINESS_TIMEZONE;
+      }
+
+      const callArgs = ApiResponse.success.mock.calls[0][1];
+      expect(callArgs.startDate.toISOString()).toBe("2024-01-01T00:00:00.000Z");
+      expect(callArgs.endDate.toISOString()).toBe("2024-01-31T23:59:59.999Z");
     });
   });
 
@@ -594,7 +623,8 @@ describe("Report Controller - getStockSummary", () => {
       req.query = { startDate: "2024-01-01", endDate: "2024-01-31" };
     });
 
-    test("should handle database error when fetching products", async () => {
+    test("should handle database error when filtering products", async () => {
+      req.query = { ...req.query, search: "para" };
       Product.find = jest.fn().mockReturnValue({
         select: jest.fn().mockReturnValue({
           lean: jest.fn().mockRejectedValue(new Error("Database error")),
@@ -612,19 +642,7 @@ describe("Report Controller - getStockSummary", () => {
     });
 
     test("should handle aggregate query failure", async () => {
-      const mockProduct = {
-        _id: new mongoose.Types.ObjectId(),
-        name: "Test",
-        unit: "viên",
-      };
-
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([mockProduct]),
-        }),
-      });
-
-      TransactionDetail.aggregate = jest
+      StockMovement.aggregate = jest
         .fn()
         .mockRejectedValue(new Error("Aggregate failed"));
 
@@ -637,30 +655,33 @@ describe("Report Controller - getStockSummary", () => {
         "Aggregate failed"
       );
     });
+
+    test("should return 503 while the stock ledger is not initialized", async () => {
+      StockMovement.isInitialized.mockResolvedValueOnce(false);
+      StockMovement.aggregate = jest.fn();
+
+      await getStockSummary(req, res);
+
+      expect(StockMovement.aggregate).not.toHaveBeenCalled();
+      expect(ApiResponse.error).toHaveBeenCalledWith(
+        res,
+        expect.stringContaining("Sổ biến động tồn kho chưa khởi tạo xong"),
+        503
+      );
+    });
   });
 
   describe("Response Format", () => {
     test("should return correct response structure", async () => {
       req.query = { startDate: "2024-01-01", endDate: "2024-01-31" };
-
-      const mockProduct = {
-        _id: new mongoose.Types.ObjectId(),
-        name: "Paracetamol",
-        unit: "viên",
-      };
-
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([mockProduct]),
+      mockSummaryResult([
+        summaryRow({
+          openingStock: 50,
+          totalInbound: 100,
+          totalOutbound: 30,
+          closingStock: 120,
         }),
-      });
-
-      TransactionDetail.aggregate = jest
-        .fn()
-        .mockResolvedValueOnce([{ totalQuantity: 50 }])
-        .mockResolvedValueOnce([])
-        .mockResolvedValueOnce([{ totalQuantity: 100 }])
-        .mockResolvedValueOnce([{ totalQuantity: 30 }]);
+      ]);
 
       await getStockSummary(req, res);
 
@@ -670,6 +691,7 @@ describe("Report Controller - getStockSummary", () => {
           startDate: expect.any(Date),
           endDate: expect.any(Date),
           totalProducts: expect.any(Number),
+          pagination: expect.any(Object),
           products: expect.arrayContaining([
             expect.objectContaining({
               productId: expect.any(Object), // ObjectId is an object
@@ -1112,9 +1134,7 @@ describe("Report Controller - getTrends", () => {
       const callArgs = ApiResponse.success.mock.calls[0][1];
       const startDate = callArgs.startDate;
 
-      expect(startDate.getHours()).toBe(0);
-      expect(startDate.getMinutes()).toBe(0);
-      expect(startDate.getSeconds()).toBe(0);
+      expect(startDate.toISOString()).toBe("2023-12-31T17:00:00.000Z");
     });
 
     test("should set time to end of day for endDate", async () => {
@@ -1127,9 +1147,7 @@ describe("Report Controller - getTrends", () => {
       const callArgs = ApiResponse.success.mock.calls[0][1];
       const endDate = callArgs.endDate;
 
-      expect(endDate.getHours()).toBe(23);
-      expect(endDate.getMinutes()).toBe(59);
-      expect(endDate.getSeconds()).toBe(59);
+      expect(endDate.toISOString()).toBe("2024-12-31T16:59:59.999Z");
     });
   });
 
@@ -1499,10 +1517,7 @@ describe("Report Controller - getStatusDistribution", () => {
 
       const matchStage = Transaction.aggregate.mock.calls[0][0][0].$match;
       const startDate = matchStage.transactionDate.$gte;
-      expect(startDate.getHours()).toBe(0);
-      expect(startDate.getMinutes()).toBe(0);
-      expect(startDate.getSeconds()).toBe(0);
-      expect(startDate.getMilliseconds()).toBe(0);
+      expect(startDate.toISOString()).toBe("2024-01-14T17:00:00.000Z");
     });
 
     test("should normalize end date to end of day", async () => {
@@ -1514,10 +1529,7 @@ describe("Report Controller - getStatusDistribution", () => {
 
       const matchStage = Transaction.aggregate.mock.calls[0][0][0].$match;
       const endDate = matchStage.transactionDate.$lte;
-      expect(endDate.getHours()).toBe(23);
-      expect(endDate.getMinutes()).toBe(59);
-      expect(endDate.getSeconds()).toBe(59);
-      expect(endDate.getMilliseconds()).toBe(999);
+      expect(endDate.toISOString()).toBe("2024-01-15T16:59:59.999Z");
     });
 
     test("should not include date filter when no dates provided", async () => {
@@ -1735,26 +1747,25 @@ describe("Report Controller - exportReport", () => {
         endDate: "2024-01-31",
       };
 
-      const mockProducts = [
-        { _id: new mongoose.Types.ObjectId(), name: "Product 1", unit: "Box" },
-      ];
-
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue(mockProducts),
+      mockSummaryResult([
+        summaryRow({
+          productName: "Product 1",
+          unit: "Box",
+          openingStock: 50,
+          totalInbound: 100,
+          totalOutbound: 30,
+          closingStock: 120,
         }),
-      });
-
-      // Mock 4 aggregate calls: opening inbound, opening outbound, period inbound, period outbound
-      TransactionDetail.aggregate = jest
-        .fn()
-        .mockResolvedValueOnce([{ totalQuantity: 50 }]) // opening stock inbound
-        .mockResolvedValueOnce([]) // opening stock outbound
-        .mockResolvedValueOnce([{ totalQuantity: 100 }]) // period inbound
-        .mockResolvedValueOnce([{ totalQuantity: 30 }]); // period outbound
+      ]);
 
       await exportReport(req, res);
 
+      // Xuất file lấy toàn bộ sản phẩm, không phân trang
+      const facet = StockMovement.aggregate.mock.calls[0][0].find(
+        (stage) => stage.$facet
+      ).$facet;
+      expect(facet.products[0].$skip).toBeUndefined();
+
       expect(res.setHeader).toHaveBeenCalledWith(
         "Content-Type",
         "application/pdf"
@@ -2232,17 +2243,14 @@ describe("Report Controller - exportReportFile (Excel/PDF Export)", () => {
       };
 
       // Mock database calls
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([
-            {
-              _id: "507f1f77bcf86cd799439011",
-              name: "Product 1",
-              unit: "Viên",
-            },
-          ]),
+      mockSummaryResult([
+        summaryRow({
+          productName: "Product 1",
+          unit: "Viên",
+          totalInbound: 500,
+          closingStock: 500,
         }),
-      });
+      ]);
 
       Product.findOne = jest.fn().mockReturnValue({
         lean: jest.fn().mockResolvedValue({
@@ -2253,7 +2261,6 @@ describe("Report Controller - exportReportFile (Excel/PDF Export)", () => {
         }),
       });
 
-      TransactionDetail.aggregate = jest.fn().mockResolvedValue([]);
       Transaction.aggregate = jest.fn().mockResolvedValue([]);
       Transaction.find = jest.fn().mockReturnValue({
         lean: jest.fn().mockResolvedValue([]),
@@ -2274,22 +2281,20 @@ describe("Report Controller - exportReportFile (Excel/PDF Export)", () => {
   describe("Excel Export", () => {
     beforeEach(() => {
       // Mock database calls with sample data
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([
-            {
-              _id: "507f1f77bcf86cd799439011",
-              name: "Paracetamol",
-              unit: "Viên",
-            },
-            {
-              _id: "507f1f77bcf86cd799439012",
-              name: "Amoxicillin",
-              unit: "Viên",
-            },
-          ]),
+      mockSummaryResult([
+        summaryRow({
+          productName: "Paracetamol",
+          unit: "Viên",
+          totalInbound: 500,
+          closingStock: 500,
         }),
-      });
+        summaryRow({
+          productName: "Amoxicillin",
+          unit: "Viên",
+          totalInbound: 500,
+          closingStock: 500,
+        }),
+      ]);
 
       Product.findOne = jest.fn().mockReturnValue({
         lean: jest.fn().mockResolvedValue({
@@ -2300,10 +2305,6 @@ describe("Report Controller - exportReportFile (Excel/PDF Export)", () => {
         }),
       });
 
-      TransactionDetail.aggregate = jest
-        .fn()
-        .mockResolvedValue([{ totalQuantity: 500 }]);
-
       Transaction.aggregate = jest.fn().mockResolvedValue([
         {
           year: 2024,
@@ -2418,17 +2419,14 @@ describe("Report Controller - exportReportFile (Excel/PDF Export)", () => {
   describe("PDF Export", () => {
     beforeEach(() => {
       // Mock database calls
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([
-            {
-              _id: "507f1f77bcf86cd799439011",
-              name: "Paracetamol",
-              unit: "Viên",
-            },
-          ]),
+      mockSummaryResult([
+        summaryRow({
+          productName: "Paracetamol",
+          unit: "Viên",
+          totalInbound: 500,
+          closingStock: 500,
         }),
-      });
+      ]);
 
       Product.findOne = jest.fn().mockReturnValue({
         lean: jest.fn().mockResolvedValue({
@@ -2439,10 +2437,6 @@ describe("Report Controller - exportReportFile (Excel/PDF Export)", () => {
         }),
       });
 
-      TransactionDetail.aggregate = jest
-        .fn()
-        .mockResolvedValue([{ totalQuantity: 500 }]);
-
       Transaction.aggregate = jest.fn().mockResolvedValue([]);
       Transaction.find = jest.fn().mockReturnValue({
         lean: jest.fn().mockResolvedValue([]),
@@ -2524,32 +2518,20 @@ describe("Report Controller - exportReportFile (Excel/PDF Export)", () => {
 
   describe("Data Processing", () => {
     beforeEach(() => {
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([
-            {
-              _id: "507f1f77bcf86cd799439011",
-              name: "Product A",
-              unit: "Viên",
-            },
-            { _id: "507f1f77bcf86cd799439012", name: "Product B", unit: "Hộp" },
-          ]),
+      mockSummaryResult([
+        summaryRow({
+          productName: "Product A",
+          unit: "Viên",
+          totalInbound: 500,
+          closingStock: 500,
         }),
-      });
-
-      TransactionDetail.aggregate = jest.fn().mockImplementation((pipeline) => {
-        const matchStage = pipeline.find((stage) => stage.$match);
-        if (matchStage && matchStage.$match["transaction.type"] === "INBOUND") {
-          return Promise.resolve([{ totalQuantity: 1000 }]);
-        }
-        if (
-          matchStage &&
-          matchStage.$match["transaction.type"] === "OUTBOUND"
-        ) {
-          return Promise.resolve([{ totalQuantity: 300 }]);
-        }
-        return Promise.resolve([]);
-      });
+        summaryRow({
+          productName: "Product B",
+          unit: "Hộp",
+          totalInbound: 500,
+          closingStock: 500,
+        }),
+      ]);
 
       Product.findOne = jest.fn().mockReturnValue({
         lean: jest.fn().mockResolvedValue({
@@ -2578,8 +2560,8 @@ describe("Report Controller - exportReportFile (Excel/PDF Export)", () => {
       );
       await exportReportFile(req, res);
 
-      expect(Product.find).toHaveBeenCalled();
-      expect(TransactionDetail.aggregate).toHaveBeenCalled();
+      // Toàn bộ số liệu xuất-nhập-tồn từ một pipeline
+      expect(StockMovement.aggregate).toHaveBeenCalledTimes(1);
     });
 
     test("should enhance products with value and status", async () => {
@@ -2630,11 +2612,9 @@ describe("Report Controller - exportReportFile (Excel/PDF Export)", () => {
         endDate: "2024-12-31",
       };
 
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockRejectedValue(new Error("Database error")),
-        }),
-      });
+      StockMovement.aggregate = jest
+        .fn()
+        .mockRejectedValue(new Error("Database error"));
 
       const { exportReportFile } = await import(
         "../../controllers/report.controller.js"
@@ -2656,26 +2636,19 @@ describe("Report Controller - exportReportFile (Excel/PDF Export)", () => {
         endDate: "2024-12-31",
       };
 
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([
-            {
-              _id: "507f1f77bcf86cd799439011",
-              name: "Product A",
-              unit: "Viên",
-            },
-          ]),
+      mockSummaryResult([
+        summaryRow({
+          productName: "Product A",
+          unit: "Viên",
+          totalInbound: 500,
+          closingStock: 500,
         }),
-      });
+      ]);
 
       Product.findOne = jest.fn().mockReturnValue({
         lean: jest.fn().mockResolvedValue(null),
       });
 
-      TransactionDetail.aggregate = jest
-        .fn()
-        .mockResolvedValue([{ totalQuantity: 100 }]);
-
       Transaction.aggregate = jest.fn().mockResolvedValue([]);
       Transaction.find = jest.fn().mockReturnValue({
         lean: jest.fn().mockResolvedValue([]),
@@ -2699,17 +2672,14 @@ describe("Report Controller - exportReportFile (Excel/PDF Export)", () => {
         endDate: "2024-12-31",
       };
 
-      Product.find = jest.fn().mockReturnValue({
-        select: jest.fn().mockReturnValue({
-          lean: jest.fn().mockResolvedValue([
-            {
-              _id: "507f1f77bcf86cd799439011",
-              name: "Paracetamol",
-              unit: "Viên",
-            },
-          ]),
+      mockSummaryResult([
+        summaryRow({
+          productName: "Paracetamol",
+          unit: "Viên",
+          totalInbound: 500,
+          closingStock: 500,
         }),
-      });
+      ]);
 
       Product.findOne = jest.fn().mockReturnValue({
         lean: jest.fn().mockResolvedValue({
@@ -2720,10 +2690,6 @@ describe("Report Controller - exportReportFile (Excel/PDF Export)", () => {
         }),
       });
 
-      TransactionDetail.aggregate = jest
-        .fn()
-        .mockResolvedValue([{ totalQuantity: 1000 }]);
-
       Transaction.aggregate = jest.fn().mockResolvedValue([
         {
           year: 2024,
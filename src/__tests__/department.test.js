@@ -0,0 +1,116 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { generateTestToken, createTestUser } from "./setup/helpers.js";
+import departmentRoutes from "../routes/department.route.js";
+import { Department, User } from "../models/index.js";
+
+// Setup Express app for testing
+const app = express();
+app.use(express.json());
+app.use("/api/departments", departmentRoutes);
+
+describe("Department API Tests", () => {
+  let adminToken;
+  let userToken;
+  let normalUser;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = "test-secret";
+    await connect();
+
+    const adminUser = await createTestUser({
+      username: "deptadmin",
+      email: "dept-admin@example.com",
+      role: "admin",
+    });
+    normalUser = await createTestUser({
+      username: "deptuser",
+      email: "dept-user@example.com",
+      role: "user",
+    });
+    adminToken = generateTestToken(adminUser);
+    userToken = generateTestToken(normalUser);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  afterEach(async () => {
+    await User.updateMany({}, { $set: { departmentId: null } });
+    await clearDatabase();
+  });
+
+  it("201 | tạo khoa/phòng, tự sinh mã khi bỏ trống", async () => {
+    const res = await request(app)
+      .post("/api/departments")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ name: "Khoa Nhi", type: "clinical" })
+      .expect(201);
+
+    expect(res.body.data.code).toMatch(/^KP\d{3}$/);
+    expect(res.body.data.isActive).toBe(true);
+  });
+
+  it("409 | trùng mã khoa/phòng", async () => {
+    await Department.create({ code: "NHI", name: "Khoa Nhi" });
+
+    await request(app)
+      .post("/api/departments")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ code: "NHI", name: "Khoa Nhi 2" })
+      .expect(409);
+  });
+
+  it("200 | chi tiết kèm người dùng thuộc khoa", async () => {
+    const dept = await Department.create({ code: "NOI", name: "Khoa Nội" });
+    await User.updateOne(
+      { _id: normalUser._id },
+      { $set: { departmentId: dept._id } }
+    );
+
+    const res = await request(app)
+      .get(`/api/departments/${dept._id}`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(res.body.data.users.map((u) => u.username)).toEqual(["deptuser"]);
+  });
+
+  it("400 | không xóa khoa/phòng đã có người dùng", async () => {
+    const dept = await Department.create({ code: "NOI", name: "Khoa Nội" });
+    await User.updateOne(
+      { _id: normalUser._id },
+      { $set: { departmentId: dept._id } }
+    );
+
+    await request(app)
+      .delete(`/api/departments/${dept._id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(400);
+
+    await request(app)
+      .put(`/api/departments/${dept._id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ isActive: false })
+      .expect(200);
+    expect((await Department.findById(dept._id)).isActive).toBe(false);
+  });
+
+  it("403 | user thường không được tạo khoa/phòng", async () => {
+    await request(app)
+      .post("/api/departments")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ name: "Khoa Ngoại" })
+      .expect(403);
+  });
+});
@@ -0,0 +1,292 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  createTestTokens,
+  createStockFixture,
+  createTestLot,
+  daysFromNow,
+} from "./setup/helpers.js";
+
+import inventoryIssueRoutes from "../routes/inventoryIssue.route.js";
+import transactionRoutes from "../routes/transaction.route.js";
+import {
+  Product,
+  Warehouse,
+  InventoryLot,
+  InventoryIssue,
+  Transaction,
+  TransactionDetail,
+} from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/inventory-issues", inventoryIssueRoutes);
+app.use("/api/transactions", transactionRoutes);
+
+// ---- Fixtures: 1 kho, 1 sản phẩm, 1 lô 50
+const seedStock = async () => {
+  const {
+    wh,
+    prod,
+    lots: [lot],
+  } = await createStockFixture({
+    product: { sku: "SKU001", currentStock: 50 },
+    lots: [
+      {
+        lotNumber: "LOT-A",
+        expiryDate: daysFromNow(90),
+        quantity: 50,
+        unitCost: 1000,
+      },
+    ],
+  });
+  return { wh, prod, lot };
+};
+
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  ({ adminToken, userToken } = await createTestTokens("ret"));
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+// Admin tạo phiếu xuất -> xác nhận ngay, trừ kho
+const issueStock = async (wh, prod, quantity) => {
+  const res = await request(app)
+    .post("/api/inventory-issues")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send({
+      warehouseId: wh._id.toString(),
+      department: "Khoa Nội",
+      issueDate: new Date().toISOString(),
+      items: [{ productId: prod._id.toString(), quantity, unitPrice: 0 }],
+    })
+    .expect(201);
+  return res.body.data.id;
+};
+
+const returnStock = (issueId, body, token = adminToken) =>
+  request(app)
+    .post(`/api/inventory-issues/${issueId}/returns`)
+    .set("Authorization", `Bearer ${token}`)
+    .send(body);
+
+describe("POST /api/inventory-issues/:id/returns", () => {
+  it("201 | hoàn trả về đúng lô gốc, cập nhật tồn và ghi phiếu DEPARTMENT_RETURN", async () => {
+    const { wh, prod, lot } = await seedStock();
+    const issueId = await issueStock(wh, prod, 30);
+
+    const res = await returnStock(issueId, {
+      lines: [{ inventoryLotId: lot._id.toString(), quantity: 10 }],
+    }).expect(201);
+
+    expect(res.body.success).toBe(true);
+    expect(
+      res.body.data.issue.details[0].lotAllocations[0].returnedQuantity
+    ).toBe(10);
+
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(30);
+    expect((await Product.findById(prod._id)).currentStock).toBe(30);
+
+    const tx = await Transaction.findOne({ type: "DEPARTMENT_RETURN" });
+    expect(tx.status).toBe("COMPLETED");
+    expect(String(tx.inventoryIssueId)).toBe(issueId);
+    expect(String(tx.destinationWarehouseId)).toBe(String(wh._id));
+    expect(tx.departmentId).toBeDefined();
+
+    const outbound = await Transaction.findOne({ type: "OUTBOUND" });
+    expect(String(tx.relatedTransactionId)).toBe(String(outbound._id));
+
+    const details = await TransactionDetail.find({ transactionId: tx._id });
+    expect(details).toHaveLength(1);
+    expect(String(details[0].inventoryLotId)).toBe(String(lot._id));
+    expect(details[0].quantity).toBe(10);
+  });
+
+  it("400 | không hoàn trả vượt số đã xuất (tính cả các lần trả trước)", async () => {
+    const { wh, prod, lot } = await seedStock();
+    const issueId = await issueStock(wh, prod, 20);
+    const line = { inventoryLotId: lot._id.toString(), quantity: 15 };
+
+    await returnStock(issueId, { lines: [line] }).expect(201);
+    const res = await returnStock(issueId, { lines: [line] }).expect(400);
+
+    expect(res.body.message).toContain("còn 5");
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(45);
+  });
+
+  it("400 | lô không thuộc phiếu xuất", async () => {
+    const { wh, prod } = await seedStock();
+    const otherLot = await createTestLot(prod, wh, {
+      lotNumber: "LOT-B",
+      quantity: 0,
+    });
+    const issueId = await issueStock(wh, prod, 10);
+
+    await returnStock(issueId, {
+      lines: [{ inventoryLotId: otherLot._id.toString(), quantity: 1 }],
+    }).expect(400);
+  });
+
+  it("201 | quarantine -> nhập vào lô cùng số lô tại kho biệt trữ, lô bị tạm giữ", async () => {
+    const { wh, prod, lot } = await seedStock();
+    const quarantine = await Warehouse.create({
+      code: "WH-QUA",
+      name: "Kho biệt trữ",
+      isQuarantine: true,
+    });
+    const issueId = await issueStock(wh, prod, 30);
+
+    await returnStock(issueId, {
+      lines: [{ inventoryLotId: lot._id.toString(), quantity: 4 }],
+      quarantine: true,
+    }).expect(201);
+
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(20);
+    const quarantineLot = await InventoryLot.findOne({
+      productId: prod._id,
+      warehouseId: quarantine._id,
+      lotNumber: "LOT-A",
+    });
+    expect(quarantineLot.quantity).toBe(4);
+    expect(quarantineLot.unitCost).toBe(1000);
+    expect(quarantineLot.status).toBe("quarantined");
+    expect(quarantineLot.statusReason).toContain("Hoàn trả biệt trữ");
+    expect((await Product.findById(prod._id)).currentStock).toBe(24);
+
+    const tx = await Transaction.findOne({ type: "DEPARTMENT_RETURN" });
+    expect(String(tx.destinationWarehouseId)).toBe(String(quarantine._id));
+  });
+
+  it("400 | không xuất / chuyển kho từ kho biệt trữ", async () => {
+    const { wh, prod, lot } = await seedStock();
+    const quarantine = await Warehouse.create({
+      code: "WH-QUA",
+      name: "Kho biệt trữ",
+      isQuarantine: true,
+    });
+    const issueId = await issueStock(wh, prod, 10);
+    await returnStock(issueId, {
+      lines: [{ inventoryLotId: lot._id.toString(), quantity: 5 }],
+      quarantine: true,
+    }).expect(201);
+    const quarantineLot = await InventoryLot.findOne({
+      warehouseId: quarantine._id,
+    });
+
+    const issueRes = await request(app)
+      .post("/api/inventory-issues")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        warehouseId: quarantine._id.toString(),
+        department: "Khoa Nội",
+        issueDate: new Date().toISOString(),
+        items: [{ productId: prod._id.toString(), quantity: 1, unitPrice: 0 }],
+      })
+      .expect(400);
+    expect(issueRes.body.message).toBe("Không thể xuất hàng từ kho biệt trữ");
+    const transferRes = await request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        type: "TRANSFER",
+        sourceWarehouseId: quarantine._id.toString(),
+        destinationWarehouseId: wh._id.toString(),
+        details: [
+          { inventoryLotId: quarantineLot._id.toString(), quantity: 5 },
+        ],
+      })
+      .expect(400);
+    expect(transferRes.body.message).toMatch(/quarantine warehouse/);
+
+    expect((await InventoryLot.findById(quarantineLot._id)).quantity).toBe(5);
+  });
+
+  it("404 | quarantine khi chưa có kho biệt trữ", async () => {
+    const { wh, prod, lot } = await seedStock();
+    const issueId = await issueStock(wh, prod, 10);
+
+    await returnStock(issueId, {
+      lines: [{ inventoryLotId: lot._id.toString(), quantity: 1 }],
+      quarantine: true,
+    }).expect(404);
+  });
+
+  it("400 | phiếu đã có hàng hoàn trả thì không hủy được", async () => {
+    const { wh, prod, lot } = await seedStock();
+    const issueId = await issueStock(wh, prod, 10);
+    await returnStock(issueId, {
+      lines: [{ inventoryLotId: lot._id.toString(), quantity: 2 }],
+    }).expect(201);
+
+    await request(app)
+      .post(`/api/inventory-issues/${issueId}/cancel`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ reason: "Nhầm khoa" })
+      .expect(400);
+
+    expect((await InventoryIssue.findById(issueId)).status).toBe("confirmed");
+  });
+
+  it("400 | lines rỗng", async () => {
+    const { wh, prod } = await seedStock();
+    const issueId = await issueStock(wh, prod, 10);
+    await returnStock(issueId, { lines: [] }).expect(400);
+  });
+
+  it("403 | role user không nhận hàng hoàn trả", async () => {
+    const { wh, prod, lot } = await seedStock();
+    const issueId = await issueStock(wh, prod, 10);
+    await returnStock(
+      issueId,
+      { lines: [{ inventoryLotId: lot._id.toString(), quantity: 1 }] },
+      userToken
+    ).expect(403);
+  });
+});
+
+describe("GET /api/transactions?type=DEPARTMENT_RETURN", () => {
+  it("200 | liệt kê và xem chi tiết phiếu hoàn trả", async () => {
+    const { wh, prod, lot } = await seedStock();
+    const issueId = await issueStock(wh, prod, 10);
+    await returnStock(issueId, {
+      lines: [{ inventoryLotId: lot._id.toString(), quantity: 3 }],
+    }).expect(201);
+
+    const list = await request(app)
+      .get("/api/transactions?type=DEPARTMENT_RETURN")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+    expect(list.body.data.transactions).toHaveLength(1);
+
+    const txId = list.body.data.transactions[0]._id;
+    const detail = await request(app)
+      .get(`/api/transactions/${txId}?type=DEPARTMENT_RETURN`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+    expect(detail.body.data.header.inventoryIssueId._id).toBe(issueId);
+    expect(detail.body.data.details[0].quantity).toBe(3);
+  });
+});
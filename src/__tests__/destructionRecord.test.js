@@ -0,0 +1,335 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  createTestTokens,
+  createStockFixture,
+  daysFromNow,
+} from "./setup/helpers.js";
+
+import destructionRecordRoutes from "../routes/destructionRecord.route.js";
+import {
+  Product,
+  Warehouse,
+  InventoryLot,
+  Alert,
+  Transaction,
+  StockMovement,
+} from "../models/index.js";
+import inventoryScanner from "../services/inventoryScanner.service.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/destruction-records", destructionRecordRoutes);
+
+// ---- Fixtures: 1 kho, 1 sản phẩm; EXP-1 (20) và EXP-2 (5) đã hết hạn, LOT-OK (30) còn hạn
+const seedStock = async () => {
+  const {
+    wh,
+    prod,
+    lots: [exp1, exp2, ok],
+  } = await createStockFixture({
+    product: { sku: "SKU001", currentStock: 55, minimumStock: 0 },
+    lots: [
+      {
+        lotNumber: "EXP-1",
+        expiryDate: daysFromNow(-10),
+        quantity: 20,
+        unitCost: 1000,
+      },
+      {
+        lotNumber: "EXP-2",
+        expiryDate: daysFromNow(-2),
+        quantity: 5,
+        unitCost: 2000,
+      },
+      {
+        lotNumber: "LOT-OK",
+        expiryDate: daysFromNow(200),
+        quantity: 30,
+        unitCost: 1000,
+      },
+    ],
+  });
+  return { wh, prod, exp1, exp2, ok };
+};
+
+const recordBody = (wh, overrides = {}) => ({
+  warehouseId: wh._id.toString(),
+  destructionDate: new Date().toISOString(),
+  method: "Đốt tại lò xử lý chất thải y tế",
+  location: "Khu xử lý chất thải",
+  witnesses: [
+    { fullName: "Nguyễn Văn A", position: "Trưởng khoa Dược" },
+    { fullName: "Trần Thị B", position: "Kế toán" },
+  ],
+  ...overrides,
+});
+
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  ({ adminToken, userToken } = await createTestTokens("destroy"));
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+const createRecord = (body, token = adminToken) =>
+  request(app)
+    .post("/api/destruction-records")
+    .set("Authorization", `Bearer ${token}`)
+    .send(body);
+
+const postAction = (id, action, token = adminToken) =>
+  request(app)
+    .post(`/api/destruction-records/${id}/${action}`)
+    .set("Authorization", `Bearer ${token}`);
+
+describe("POST /api/destruction-records", () => {
+  it("201 | gom các lô hết hạn vào biên bản và tạm giữ lô", async () => {
+    const { wh, exp1, exp2, ok } = await seedStock();
+
+    const res = await createRecord(recordBody(wh)).expect(201);
+    const record = res.body.data;
+
+    expect(record.code).toMatch(/^HH\d{5}$/);
+    expect(record.status).toBe("draft");
+    expect(record.lines.map((l) => l.lotNumber)).toEqual(["EXP-1", "EXP-2"]);
+    expect(record.totalQuantity).toBe(25);
+    expect(record.totalValue).toBe(20 * 1000 + 5 * 2000);
+    expect(record.witnesses).toHaveLength(2);
+
+    const [lot1, lot2, lotOk] = await Promise.all([
+      InventoryLot.findById(exp1._id).lean(),
+      InventoryLot.findById(exp2._id).lean(),
+      InventoryLot.findById(ok._id).lean(),
+    ]);
+    expect(lot1.status).toBe("quarantined");
+    expect(lot2.status).toBe("quarantined");
+    expect(lot1.statusReason).toContain(record.code);
+    expect(lotOk.status).toBe("available");
+    // Chưa trừ kho khi mới lập biên bản
+    expect(lot1.quantity).toBe(20);
+  });
+
+  it("201 | chỉ lấy các lô được chọn", async () => {
+    const { wh, exp2 } = await seedStock();
+
+    const res = await createRecord(
+      recordBody(wh, { inventoryLotIds: [exp2._id.toString()] })
+    ).expect(201);
+
+    expect(res.body.data.lines).toHaveLength(1);
+    expect(res.body.data.lines[0].lotNumber).toBe("EXP-2");
+    expect(res.body.data.totalQuantity).toBe(5);
+  });
+
+  it("400 | lô chọn chưa hết hạn", async () => {
+    const { wh, ok } = await seedStock();
+
+    const res = await createRecord(
+      recordBody(wh, { inventoryLotIds: [ok._id.toString()] })
+    ).expect(400);
+    expect(res.body.message).toContain(ok._id.toString());
+  });
+
+  it("400 | kho không có lô hết hạn", async () => {
+    await seedStock();
+    const empty = await Warehouse.create({
+      code: "WH-EMPTY",
+      name: "Kho trống",
+    });
+
+    const res = await createRecord(recordBody(empty)).expect(400);
+    expect(res.body.message).toBe("Không có lô hết hạn nào cần hủy");
+  });
+
+  it("400 | thiếu người chứng kiến hoặc phương pháp hủy", async () => {
+    const { wh } = await seedStock();
+
+    const res = await createRecord(
+      recordBody(wh, { witnesses: [], method: undefined })
+    ).expect(400);
+    expect(res.body.message).toBe("Validation failed");
+  });
+
+  it("409 | lô đã nằm trong biên bản đang lập khác", async () => {
+    const { wh } = await seedStock();
+
+    const first = await createRecord(recordBody(wh)).expect(201);
+    const res = await createRecord(recordBody(wh)).expect(409);
+    expect(res.body.message).toContain(first.body.data.code);
+  });
+
+  it("403 | user thường không được lập biên bản", async () => {
+    const { wh } = await seedStock();
+    await createRecord(recordBody(wh), userToken).expect(403);
+  });
+});
+
+describe("POST /api/destruction-records/:id/complete", () => {
+  it("200 | ghi ADJUSTMENT EXPIRED_WRITE_OFF, lô chuyển destroyed và đóng cảnh báo", async () => {
+    const { wh, prod, exp1, exp2, ok } = await seedStock();
+    await inventoryScanner.scanExpiryDates({
+      expired: 0,
+      expiringSoon: 0,
+      errors: [],
+    });
+    expect(
+      await Alert.countDocuments({ alertType: "EXPIRED", status: "ACTIVE" })
+    ).toBe(2);
+
+    // Biên bản ghi ngày hủy hôm qua, hoàn tất hôm nay
+    const created = await createRecord(
+      recordBody(wh, { destructionDate: daysFromNow(-1).toISOString() })
+    ).expect(201);
+    const { _id: id, code } = created.body.data;
+
+    const completedFrom = new Date();
+    const res = await postAction(id, "complete").expect(200);
+    expect(res.body.data.status).toBe("completed");
+    expect(res.body.data.adjustmentTransactionId).toBeTruthy();
+
+    const [lot1, lot2, lotOk] = await Promise.all([
+      InventoryLot.findById(exp1._id).lean(),
+      InventoryLot.findById(exp2._id).lean(),
+      InventoryLot.findById(ok._id).lean(),
+    ]);
+    expect(lot1.quantity).toBe(0);
+    expect(lot2.quantity).toBe(0);
+    expect(lot1.status).toBe("destroyed");
+    expect(lot2.status).toBe("destroyed");
+    expect(lotOk.quantity).toBe(30);
+
+    const tx = await Transaction.findById(
+      res.body.data.adjustmentTransactionId
+    ).lean();
+    expect(tx.transactionType).toBe("ADJUSTMENT");
+    expect(tx.reasonCode).toBe("EXPIRED_WRITE_OFF");
+    expect(tx.referenceCode).toBe(code);
+
+    const movements = await StockMovement.find({
+      transactionId: tx._id,
+    }).lean();
+    expect(movements.reduce((sum, m) => sum + m.quantity, 0)).toBe(-25);
+    // Sổ ghi tại thời điểm hoàn tất, không lùi về ngày hủy trên biên bản
+    expect(tx.transactionDate.getTime()).toBeGreaterThanOrEqual(
+      completedFrom.getTime()
+    );
+    expect(
+      movements.every((m) => m.occurredAt.getTime() >= completedFrom.getTime())
+    ).toBe(true);
+
+    const updated = await Product.findById(prod._id).lean();
+    expect(updated.currentStock).toBe(30);
+
+    const alerts = await Alert.find({ alertType: "EXPIRED" }).lean();
+    expect(alerts.every((a) => a.status === "RESOLVED")).toBe(true);
+    expect(alerts[0].notes).toContain(code);
+  });
+
+  it("400 | không hoàn tất lại biên bản đã hoàn tất", async () => {
+    const { wh } = await seedStock();
+    const created = await createRecord(recordBody(wh)).expect(201);
+
+    await postAction(created.body.data._id, "complete").expect(200);
+    await postAction(created.body.data._id, "complete").expect(400);
+  });
+
+  it("400 | chưa đến ngày tiêu hủy", async () => {
+    const { wh, exp1 } = await seedStock();
+    const created = await createRecord(
+      recordBody(wh, {
+        destructionDate: daysFromNow(3).toISOString(),
+      })
+    ).expect(201);
+
+    await postAction(created.body.data._id, "complete").expect(400);
+    const lot = await InventoryLot.findById(exp1._id).lean();
+    expect(lot.quantity).toBe(20);
+  });
+});
+
+describe("POST /api/destruction-records/:id/cancel", () => {
+  it("200 | trả lô về available và cho phép lập lại biên bản", async () => {
+    const { wh, exp1 } = await seedStock();
+    const created = await createRecord(recordBody(wh)).expect(201);
+
+    const res = await postAction(created.body.data._id, "cancel").expect(200);
+    expect(res.body.data.status).toBe("cancelled");
+
+    const lot = await InventoryLot.findById(exp1._id).lean();
+    expect(lot.status).toBe("available");
+    expect(lot.quantity).toBe(20);
+
+    await createRecord(recordBody(wh)).expect(201);
+  });
+
+  it("400 | không hủy biên bản đã hoàn tất", async () => {
+    const { wh } = await seedStock();
+    const created = await createRecord(recordBody(wh)).expect(201);
+    await postAction(created.body.data._id, "complete").expect(200);
+
+    await postAction(created.body.data._id, "cancel").expect(400);
+  });
+});
+
+describe("GET /api/destruction-records", () => {
+  it("200 | danh sách có phân trang và lọc trạng thái", async () => {
+    const { wh } = await seedStock();
+    await createRecord(recordBody(wh)).expect(201);
+
+    const res = await request(app)
+      .get("/api/destruction-records")
+      .query({ status: "draft" })
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(res.body.data.destructionRecords).toHaveLength(1);
+    expect(res.body.data.destructionRecords[0].lines).toBeUndefined();
+    expect(res.body.data.pagination.total).toBe(1);
+  });
+
+  it("200 | in biên bản hủy dạng PDF", async () => {
+    const { wh } = await seedStock();
+    const created = await createRecord(recordBody(wh)).expect(201);
+
+    const res = await request(app)
+      .get(`/api/destruction-records/${created.body.data._id}`)
+      .query({ format: "pdf" })
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(res.headers["content-type"]).toContain("application/pdf");
+    expect(res.headers["content-disposition"]).toContain(
+      created.body.data.code
+    );
+  });
+
+  it("404 | biên bản không tồn tại", async () => {
+    await request(app)
+      .get("/api/destruction-records/507f1f77bcf86cd799439011")
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(404);
+  });
+});
@@ -0,0 +1,352 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  createTestTokens,
+  createStockFixture,
+  daysFromNow,
+} from "./setup/helpers.js";
+
+import inventoryIssueRoutes from "../routes/inventoryIssue.route.js";
+import { Product, InventoryLot, Transaction } from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/inventory-issues", inventoryIssueRoutes);
+
+// ---- Fixtures: 1 kho, 1 sản phẩm, 2 lô (30 hết hạn sớm + 50)
+const seedStock = async () => {
+  const {
+    wh,
+    prod,
+    lots: [lotA, lotB],
+  } = await createStockFixture({
+    product: { sku: "SKU001", currentStock: 80 },
+    lots: [
+      {
+        lotNumber: "LOT-A",
+        expiryDate: daysFromNow(30),
+        quantity: 30,
+        unitCost: 1000,
+      },
+      {
+        lotNumber: "LOT-B",
+        expiryDate: daysFromNow(200),
+        quantity: 50,
+        unitCost: 1200,
+      },
+    ],
+  });
+  return { wh, prod, lotA, lotB };
+};
+
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  ({ adminToken, userToken } = await createTestTokens("issue"));
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+const createIssue = (wh, prod, overrides = {}) =>
+  request(app)
+    .post("/api/inventory-issues")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send({
+      warehouseId: wh._id.toString(),
+      department: "Khoa Nội",
+      issueDate: new Date().toISOString(),
+      items: [{ productId: prod._id.toString(), quantity: 40, unitPrice: 0 }],
+      ...overrides,
+    });
+
+describe("GET /api/inventory-issues", () => {
+  it("200 | lọc theo khoa/phòng, sản phẩm, mã phiếu và trạng thái", async () => {
+    const { wh, prod } = await seedStock();
+    const first = await createIssue(wh, prod).expect(201);
+    await createIssue(wh, prod, {
+      department: "Khoa Ngoại",
+      items: [{ productId: prod._id.toString(), quantity: 5, unitPrice: 0 }],
+    }).expect(201);
+
+    const all = await request(app)
+      .get("/api/inventory-issues")
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+    expect(all.body.data.pagination.total).toBe(2);
+
+    const byDept = await request(app)
+      .get("/api/inventory-issues?department=nội")
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+    expect(byDept.body.data.issues).toHaveLength(1);
+    expect(byDept.body.data.issues[0].issueCode).toBe(
+      first.body.data.issueCode
+    );
+
+    const byCode = await request(app)
+      .get(`/api/inventory-issues?issueCode=${first.body.data.issueCode}`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+    expect(byCode.body.data.issues).toHaveLength(1);
+
+    const byProduct = await request(app)
+      .get(`/api/inventory-issues?productId=${prod._id}&status=confirmed`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+    expect(byProduct.body.data.pagination.total).toBe(2);
+
+    const cancelled = await request(app)
+      .get("/api/inventory-issues?status=cancelled")
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+    expect(cancelled.body.data.issues).toHaveLength(0);
+  });
+
+  it("400 | status không hợp lệ", async () => {
+    await request(app)
+      .get("/api/inventory-issues?status=unknown")
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(400);
+  });
+});
+
+describe("GET /api/inventory-issues/:id", () => {
+  it("200 | trả về phiếu kèm thông tin lô đã phân bổ", async () => {
+    const { wh, prod } = await seedStock();
+    const created = await createIssue(wh, prod).expect(201);
+
+    const res = await request(app)
+      .get(`/api/inventory-issues/${created.body.data.id}`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+
+    const allocations = res.body.data.details[0].lotAllocations;
+    expect(allocations.map((a) => [a.lotNumber, a.quantity])).toEqual([
+      ["LOT-A", 30],
+      ["LOT-B", 10],
+    ]);
+    expect(allocations[0].inventoryLotId).toMatchObject({
+      lotNumber: "LOT-A",
+      quantity: 0,
+    });
+    expect(res.body.data.details[0].productId.sku).toBe("SKU001");
+  });
+
+  it("404 | phiếu không tồn tại", async () => {
+    await request(app)
+      .get("/api/inventory-issues/507f1f77bcf86cd799439011")
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(404);
+  });
+});
+
+describe("POST /api/inventory-issues (FEFO)", () => {
+  it("201 | hai dòng cùng sản phẩm: dòng sau thấy tồn đã trừ ở dòng trước", async () => {
+    const { wh, prod, lotA, lotB } = await seedStock();
+    const line = { productId: prod._id.toString(), quantity: 20, unitPrice: 0 };
+
+    const res = await createIssue(wh, prod, { items: [line, line] }).expect(
+      201
+    );
+
+    expect(
+      res.body.data.details.map((d) =>
+        d.lotAllocations.map((a) => [a.lotNumber, a.quantity])
+      )
+    ).toEqual([
+      [["LOT-A", 20]],
+      [
+        ["LOT-A", 10],
+        ["LOT-B", 10],
+      ],
+    ]);
+    expect((await InventoryLot.findById(lotA._id)).quantity).toBe(0);
+    expect((await InventoryLot.findById(lotB._id)).quantity).toBe(40);
+  });
+});
+
+describe("POST /api/inventory-issues/:id/cancel", () => {
+  const cancel = (id, body = { reason: "Xuất nhầm khoa" }) =>
+    request(app)
+      .post(`/api/inventory-issues/${id}/cancel`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body);
+
+  it("200 | hoàn số lượng về đúng lô và hủy phiếu OUTBOUND", async () => {
+    const { wh, prod, lotA, lotB } = await seedStock();
+    const created = await createIssue(wh, prod).expect(201);
+
+    const res = await cancel(created.body.data.id).expect(200);
+    expect(res.body.data.status).toBe("cancelled");
+    expect(res.body.data.cancelReason).toBe("Xuất nhầm khoa");
+
+    expect((await InventoryLot.findById(lotA._id)).quantity).toBe(30);
+    expect((await InventoryLot.findById(lotB._id)).quantity).toBe(50);
+    expect((await Product.findById(prod._id)).currentStock).toBe(80);
+
+    const tx = await Transaction.findOne({
+      type: "OUTBOUND",
+      referenceCode: created.body.data.issueCode,
+    }).lean();
+    expect(tx.status).toBe("CANCELED");
+    expect(tx.cancelReason).toBe("Xuất nhầm khoa");
+  });
+
+  it("400 | thiếu lý do hoặc phiếu đã hủy", async () => {
+    const { wh, prod } = await seedStock();
+    const created = await createIssue(wh, prod).expect(201);
+
+    await cancel(created.body.data.id, {}).expect(400);
+    await cancel(created.body.data.id).expect(200);
+    const again = await cancel(created.body.data.id).expect(400);
+    expect(again.body.message).toBe("Phiếu đã bị hủy trước đó");
+  });
+
+  it("403 | user thường không được hủy phiếu", async () => {
+    const { wh, prod } = await seedStock();
+    const created = await createIssue(wh, prod).expect(201);
+
+    await request(app)
+      .post(`/api/inventory-issues/${created.body.data.id}/cancel`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ reason: "x" })
+      .expect(403);
+  });
+});
+
+describe("Draft → approve/reject workflow", () => {
+  const submitDraft = (wh, prod, quantity = 40) =>
+    request(app)
+      .post("/api/inventory-issues")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({
+        warehouseId: wh._id.toString(),
+        department: "Khoa Nhi",
+        issueDate: new Date().toISOString(),
+        items: [{ productId: prod._id.toString(), quantity, unitPrice: 0 }],
+      });
+
+  it("201 | user tạo phiếu nháp, chưa trừ kho", async () => {
+    const { wh, prod, lotA } = await seedStock();
+
+    const res = await submitDraft(wh, prod).expect(201);
+
+    expect(res.body.data.status).toBe("draft");
+    expect(res.body.data.details[0].lotAllocations).toHaveLength(0);
+    expect((await InventoryLot.findById(lotA._id)).quantity).toBe(30);
+    expect(await Transaction.countDocuments({ type: "OUTBOUND" })).toBe(0);
+  });
+
+  it("200 | dược sĩ sửa rồi duyệt -> FEFO chạy lúc duyệt", async () => {
+    const { wh, prod, lotA, lotB } = await seedStock();
+    const draft = await submitDraft(wh, prod).expect(201);
+    const id = draft.body.data.id;
+
+    await request(app)
+      .put(`/api/inventory-issues/${id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        items: [{ productId: prod._id.toString(), quantity: 35, unitPrice: 0 }],
+      })
+      .expect(200);
+
+    const approved = await request(app)
+      .post(`/api/inventory-issues/${id}/approve`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(approved.body.data.status).toBe("confirmed");
+    expect(
+      approved.body.data.details[0].lotAllocations.map((a) => [
+        a.lotNumber,
+        a.quantity,
+      ])
+    ).toEqual([
+      ["LOT-A", 30],
+      ["LOT-B", 5],
+    ]);
+    expect((await InventoryLot.findById(lotA._id)).quantity).toBe(0);
+    expect((await InventoryLot.findById(lotB._id)).quantity).toBe(45);
+    expect((await Product.findById(prod._id)).currentStock).toBe(45);
+    expect(
+      await Transaction.countDocuments({
+        type: "OUTBOUND",
+        referenceCode: draft.body.data.issueCode,
+      })
+    ).toBe(1);
+  });
+
+  it("400 | không đủ tồn lúc duyệt thì phiếu vẫn là nháp", async () => {
+    const { wh, prod } = await seedStock();
+    const draft = await submitDraft(wh, prod, 500).expect(201);
+
+    await request(app)
+      .post(`/api/inventory-issues/${draft.body.data.id}/approve`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(400);
+
+    const res = await request(app)
+      .get(`/api/inventory-issues/${draft.body.data.id}`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+    expect(res.body.data.status).toBe("draft");
+  });
+
+  it("200 | từ chối kèm lý do, không thể duyệt lại", async () => {
+    const { wh, prod } = await seedStock();
+    const draft = await submitDraft(wh, prod).expect(201);
+    const id = draft.body.data.id;
+
+    await request(app)
+      .post(`/api/inventory-issues/${id}/reject`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({})
+      .expect(400);
+
+    const rejected = await request(app)
+      .post(`/api/inventory-issues/${id}/reject`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ reason: "Vượt cơ số tủ trực" })
+      .expect(200);
+    expect(rejected.body.data).toMatchObject({
+      status: "rejected",
+      rejectReason: "Vượt cơ số tủ trực",
+    });
+
+    await request(app)
+      .post(`/api/inventory-issues/${id}/approve`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(400);
+  });
+
+  it("403 | user không được duyệt phiếu", async () => {
+    const { wh, prod } = await seedStock();
+    const draft = await submitDraft(wh, prod).expect(201);
+
+    await request(app)
+      .post(`/api/inventory-issues/${draft.body.data.id}/approve`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,250 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createProductData,
+} from "./setup/helpers.js";
+
+import transactionRoutes from "../routes/transaction.route.js";
+import reportRoutes from "../routes/report.route.js";
+import {
+  Product,
+  Supplier,
+  Warehouse,
+  InventoryLot,
+  InventorySnapshot,
+} from "../models/index.js";
+import {
+  takeInventorySnapshot,
+  rebuildStaleSnapshots,
+} from "../services/inventorySnapshot.service.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/transactions", transactionRoutes);
+app.use("/api/reports", reportRoutes);
+
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  const adminUser = await createTestUser({
+    username: "snapadmin",
+    email: "snap-admin@example.com",
+    role: "admin",
+  });
+  const normalUser = await createTestUser({
+    username: "snapuser",
+    email: "snap-user@example.com",
+    role: "user",
+  });
+  adminToken = generateTestToken(adminUser);
+  userToken = generateTestToken(normalUser);
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+// Fixtures: 1 kho, 1 sản phẩm
+// - 10/01/2024: nhập 100 (LOT-A, 1.000đ)
+// - 20/01/2024: nhập 50 (LOT-B, 2.000đ)
+// - 25/01/2024: hủy 20 của LOT-A
+// - 10/02/2024: nhập 30 (LOT-C)
+const seed = async () => {
+  const main = await Warehouse.create({ code: "WH-MAIN", name: "Kho chính" });
+  const sup = await Supplier.create({
+    code: "SUP001",
+    name: "Công ty Dược A",
+    contactName: "Mr. A",
+    phone: "0123456789",
+    email: "supplier@example.com",
+    address: "Somewhere",
+    taxCode: "1234567890",
+  });
+  const prod = await Product.create(createProductData({ sku: "SKU001" }));
+
+  const post = (body) =>
+    request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body)
+      .expect(201);
+  const inbound = (quantity, lotNumber, unitPrice, transactionDate) =>
+    post({
+      type: "INBOUND",
+      warehouseId: main._id.toString(),
+      supplierId: sup._id.toString(),
+      transactionDate,
+      details: [
+        {
+          productId: prod._id.toString(),
+          quantity,
+          unitPrice,
+          lotNumber,
+        },
+      ],
+    });
+
+  await inbound(100, "LOT-A", 1000, "2024-01-10");
+  await inbound(50, "LOT-B", 2000, "2024-01-20");
+  const lotA = await InventoryLot.findOne({ lotNumber: "LOT-A" });
+  await post({
+    type: "ADJUSTMENT",
+    warehouseId: main._id.toString(),
+    reasonCode: "DAMAGED",
+    transactionDate: "2024-01-25",
+    details: [{ inventoryLotId: lotA._id.toString(), quantity: -20 }],
+  });
+  await inbound(30, "LOT-C", 1000, "2024-02-10");
+
+  return { main, sup, prod, lotA, inbound };
+};
+
+const summary = () =>
+  request(app)
+    .get("/api/reports/stock_summary")
+    .query({ startDate: "2024-02-01", endDate: "2024-02-29" })
+    .set("Authorization", `Bearer ${adminToken}`);
+
+const snapshot = (token, body = {}) =>
+  request(app)
+    .post("/api/reports/snapshots")
+    .set("Authorization", `Bearer ${token}`)
+    .send(body);
+
+describe("takeInventorySnapshot", () => {
+  it("chụp tồn theo lô đến hết ngày, giá trị = SL x giá lô; chạy lại thì bỏ qua", async () => {
+    const { lotA } = await seed();
+
+    const result = await takeInventorySnapshot("2024-01-31");
+    expect(result).toMatchObject({ skipped: false, lots: 2 });
+
+    const rows = await InventorySnapshot.find({}).sort({ quantity: 1 }).lean();
+    expect(rows.map((r) => [r.quantity, r.unitCost, r.value])).toEqual([
+      [50, 2000, 100000],
+      [80, 1000, 80000],
+    ]);
+    expect(String(rows[1].inventoryLotId)).toBe(String(lotA._id));
+    // Cuối ngày theo múi giờ nghiệp vụ mặc định Asia/Ho_Chi_Minh (UTC+7)
+    expect(rows[0].snapshotDate.toISOString()).toBe("2024-01-31T16:59:59.999Z");
+
+    const again = await takeInventorySnapshot("2024-01-31");
+    expect(again).toMatchObject({ skipped: true, lots: 0 });
+    expect(await InventorySnapshot.countDocuments()).toBe(2);
+  });
+
+  it("ảnh chụp sau cộng dồn từ ảnh chụp trước", async () => {
+    await seed();
+
+    await takeInventorySnapshot("2024-01-15");
+    await takeInventorySnapshot("2024-02-15");
+
+    const rows = await InventorySnapshot.find({
+      snapshotDate: new Date("2024-02-15T16:59:59.999Z"),
+    }).lean();
+    expect(rows.reduce((sum, r) => sum + r.quantity, 0)).toBe(160);
+  });
+});
+
+describe("rebuildStaleSnapshots", () => {
+  const totalAt = async (snapshotDate) =>
+    (await InventorySnapshot.find({ snapshotDate }).lean()).reduce(
+      (sum, r) => sum + r.quantity,
+      0
+    );
+
+  it("chụp lại các ngày có phiếu ghi lùi ngày sau khi chụp, ngày không ảnh hưởng giữ nguyên", async () => {
+    const { inbound } = await seed();
+    await takeInventorySnapshot("2024-01-15");
+    await takeInventorySnapshot("2024-01-31");
+    await takeInventorySnapshot("2024-02-15");
+
+    await inbound(10, "LOT-D", 1000, "2024-01-28");
+
+    const { rebuilt } = await rebuildStaleSnapshots();
+    expect(rebuilt.map((d) => d.toISOString())).toEqual([
+      "2024-01-31T16:59:59.999Z",
+      "2024-02-15T16:59:59.999Z",
+    ]);
+    expect(await totalAt(new Date("2024-01-15T16:59:59.999Z"))).toBe(100);
+    expect(await totalAt(new Date("2024-01-31T16:59:59.999Z"))).toBe(140);
+    expect(await totalAt(new Date("2024-02-15T16:59:59.999Z"))).toBe(170);
+
+    expect((await rebuildStaleSnapshots()).rebuilt).toEqual([]);
+    const res = await summary().expect(200);
+    expect(res.body.data.products[0]).toMatchObject({
+      openingStock: 140,
+      closingStock: 170,
+    });
+  });
+});
+
+describe("Báo cáo dùng ảnh chụp cho tồn đầu kỳ", () => {
+  it("tồn đầu kỳ như nhau khi có hoặc không có ảnh chụp", async () => {
+    await seed();
+
+    const without = await summary().expect(200);
+    await takeInventorySnapshot("2024-01-31");
+    const withSnapshot = await summary().expect(200);
+
+    expect(withSnapshot.body.data.products).toEqual(without.body.data.products);
+    expect(withSnapshot.body.data.products[0]).toMatchObject({
+      openingStock: 130,
+      totalInbound: 30,
+      closingStock: 160,
+    });
+  });
+
+  it("phiếu ghi lùi ngày sau khi chụp vẫn được tính vào tồn đầu kỳ", async () => {
+    const { inbound } = await seed();
+    await takeInventorySnapshot("2024-01-31");
+
+    await inbound(10, "LOT-D", 1000, "2024-01-28");
+
+    const res = await summary().expect(200);
+    expect(res.body.data.products[0]).toMatchObject({
+      openingStock: 140,
+      closingStock: 170,
+    });
+  });
+});
+
+describe("POST /api/reports/snapshots", () => {
+  it("201 | chụp bù một ngày; 200 | ngày đã có ảnh chụp", async () => {
+    await seed();
+
+    const res = await snapshot(adminToken, { date: "2024-01-31" }).expect(201);
+    expect(res.body.data.lots).toBe(2);
+
+    const again = await snapshot(adminToken, { date: "2024-01-31" }).expect(
+      200
+    );
+    expect(again.body.data.skipped).toBe(true);
+  });
+
+  it("400/403 | ngày không hợp lệ, ngày chưa kết thúc, không phải admin", async () => {
+    await snapshot(adminToken, { date: "31/01/2024" }).expect(400);
+    await snapshot(adminToken, { date: "2999-01-01" }).expect(400);
+    await snapshot(userToken, { date: "2024-01-31" }).expect(403);
+  });
+});
@@ -0,0 +1,268 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  createTestTokens,
+  createStockFixture,
+  daysFromNow,
+} from "./setup/helpers.js";
+
+import inventoryIssueRoutes from "../routes/inventoryIssue.route.js";
+import { Category, InventoryLot, InventoryIssue } from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/inventory-issues", inventoryIssueRoutes);
+
+// ---- Fixtures: EXPIRED (hết hạn) 20, NEAR (còn 10 ngày) 20, FAR (còn 200 ngày) 50
+const seedStock = async (categoryPolicy) => {
+  const category = await Category.create({
+    code: "CAT-VAC",
+    name: "Vắc xin",
+    expiryPolicy: categoryPolicy,
+  });
+  const {
+    wh,
+    prod,
+    lots: [expired, near, far],
+  } = await createStockFixture({
+    product: { sku: "SKU001", currentStock: 90, categoryId: category._id },
+    lots: [
+      { lotNumber: "EXPIRED", expiryDate: daysFromNow(-3), quantity: 20 },
+      { lotNumber: "NEAR", expiryDate: daysFromNow(10), quantity: 20 },
+      { lotNumber: "FAR", expiryDate: daysFromNow(200), quantity: 50 },
+    ],
+  });
+  return { wh, prod, expired, near, far };
+};
+
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  ({ adminToken, userToken } = await createTestTokens("expiry"));
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+const createIssue = (wh, items, extra = {}, token = adminToken) =>
+  request(app)
+    .post("/api/inventory-issues")
+    .set("Authorization", `Bearer ${token}`)
+    .send({
+      warehouseId: wh._id.toString(),
+      department: "Khoa Nội",
+      issueDate: new Date().toISOString(),
+      items,
+      ...extra,
+    });
+
+const lotsOf = (res) =>
+  res.body.data.details[0].lotAllocations.map((la) => ({
+    lotNumber: la.lotNumber,
+    quantity: la.quantity,
+    expiryFlag: la.expiryFlag,
+  }));
+
+describe("FEFO theo chính sách hạn dùng", () => {
+  it("201 | bỏ qua lô hết hạn, không chặn lô cận hạn khi chính sách mặc định", async () => {
+    const { wh, prod, expired } = await seedStock();
+
+    const res = await createIssue(wh, [
+      { productId: prod._id.toString(), quantity: 30, unitPrice: 0 },
+    ]).expect(201);
+
+    expect(lotsOf(res)).toEqual([
+      { lotNumber: "NEAR", quantity: 20, expiryFlag: null },
+      { lotNumber: "FAR", quantity: 10, expiryFlag: null },
+    ]);
+    const lot = await InventoryLot.findById(expired._id).lean();
+    expect(lot.quantity).toBe(20);
+  });
+
+  it("201 | danh mục cảnh báo cận hạn: vẫn xuất nhưng đánh dấu NEAR_EXPIRY", async () => {
+    const { wh, prod } = await seedStock({
+      minDaysRemaining: 30,
+      nearExpiryAction: "warn",
+    });
+
+    const res = await createIssue(wh, [
+      { productId: prod._id.toString(), quantity: 30, unitPrice: 0 },
+    ]).expect(201);
+
+    expect(lotsOf(res)).toEqual([
+      { lotNumber: "NEAR", quantity: 20, expiryFlag: "NEAR_EXPIRY" },
+      { lotNumber: "FAR", quantity: 10, expiryFlag: null },
+    ]);
+  });
+
+  it("201 | danh mục chặn cận hạn: chỉ lấy lô còn đủ hạn", async () => {
+    const { wh, prod } = await seedStock({
+      minDaysRemaining: 30,
+      nearExpiryAction: "block",
+    });
+
+    const res = await createIssue(wh, [
+      { productId: prod._id.toString(), quantity: 30, unitPrice: 0 },
+    ]).expect(201);
+
+    expect(lotsOf(res)).toEqual([
+      { lotNumber: "FAR", quantity: 30, expiryFlag: null },
+    ]);
+  });
+
+  it("400 | không đủ lô hợp lệ khi các lô còn lại bị chặn", async () => {
+    const { wh, prod } = await seedStock({
+      minDaysRemaining: 30,
+      nearExpiryAction: "block",
+    });
+
+    const res = await createIssue(wh, [
+      { productId: prod._id.toString(), quantity: 60, unitPrice: 0 },
+    ]).expect(400);
+    expect(res.body.message).toContain("chính sách hạn dùng");
+  });
+
+  it("201 | danh mục cho phép xuất lô hết hạn (blockExpired: false)", async () => {
+    const { wh, prod } = await seedStock({ blockExpired: false });
+
+    const res = await createIssue(wh, [
+      { productId: prod._id.toString(), quantity: 10, unitPrice: 0 },
+    ]).expect(201);
+
+    expect(lotsOf(res)).toEqual([
+      { lotNumber: "EXPIRED", quantity: 10, expiryFlag: "EXPIRED" },
+    ]);
+  });
+
+  it("201 | admin ghi lý do cho phép nhưng đủ lô còn hạn: FEFO không lấy lô hết hạn", async () => {
+    const { wh, prod, expired } = await seedStock();
+
+    const res = await createIssue(
+      wh,
+      [{ productId: prod._id.toString(), quantity: 25, unitPrice: 0 }],
+      { expiryOverrideReason: "Thiếu thuốc, Hội đồng thuốc đồng ý" }
+    ).expect(201);
+
+    expect(lotsOf(res)).toEqual([
+      { lotNumber: "NEAR", quantity: 20, expiryFlag: null },
+      { lotNumber: "FAR", quantity: 5, expiryFlag: null },
+    ]);
+    expect((await InventoryLot.findById(expired._id).lean()).quantity).toBe(20);
+  });
+
+  it("201 | admin ghi lý do cho phép: lô hết hạn chỉ bù phần thiếu, lý do lưu trên phiếu", async () => {
+    const { wh, prod } = await seedStock();
+
+    const res = await createIssue(
+      wh,
+      [{ productId: prod._id.toString(), quantity: 80, unitPrice: 0 }],
+      { expiryOverrideReason: "Thiếu thuốc, Hội đồng thuốc đồng ý" }
+    ).expect(201);
+
+    expect(lotsOf(res)).toEqual([
+      { lotNumber: "NEAR", quantity: 20, expiryFlag: null },
+      { lotNumber: "FAR", quantity: 50, expiryFlag: null },
+      { lotNumber: "EXPIRED", quantity: 10, expiryFlag: "EXPIRED" },
+    ]);
+    const issue = await InventoryIssue.findById(res.body.data.id).lean();
+    expect(issue.expiryOverride.reason).toBe(
+      "Thiếu thuốc, Hội đồng thuốc đồng ý"
+    );
+    expect(issue.expiryOverride.overriddenBy).toBeTruthy();
+  });
+});
+
+describe("Chọn lô thủ công theo chính sách hạn dùng", () => {
+  it("400 | chặn lô hết hạn", async () => {
+    const { wh, prod, expired } = await seedStock();
+
+    const res = await createIssue(wh, [
+      {
+        productId: prod._id.toString(),
+        quantity: 5,
+        unitPrice: 0,
+        lotAllocations: [
+          { inventoryLotId: expired._id.toString(), quantity: 5 },
+        ],
+      },
+    ]).expect(400);
+    expect(res.body.message).toContain('Lô "EXPIRED" đã hết hạn');
+  });
+
+  it("400 | chặn lô cận hạn khi danh mục yêu cầu tối thiểu 30 ngày", async () => {
+    const { wh, prod, near } = await seedStock({
+      minDaysRemaining: 30,
+      nearExpiryAction: "block",
+    });
+
+    const res = await createIssue(wh, [
+      {
+        productId: prod._id.toString(),
+        quantity: 5,
+        unitPrice: 0,
+        lotAllocations: [{ inventoryLotId: near._id.toString(), quantity: 5 }],
+      },
+    ]).expect(400);
+    expect(res.body.message).toContain("tối thiểu 30 ngày");
+  });
+
+  it("403 | user thường không được gửi lý do cho phép", async () => {
+    const { wh, prod } = await seedStock();
+
+    await createIssue(
+      wh,
+      [{ productId: prod._id.toString(), quantity: 5, unitPrice: 0 }],
+      { expiryOverrideReason: "Cần gấp" },
+      userToken
+    ).expect(403);
+  });
+});
+
+describe("POST /api/inventory-issues/:id/approve", () => {
+  it("200 | duyệt phiếu nháp với lý do cho phép lấy lô cận hạn bị chặn", async () => {
+    const { wh, prod } = await seedStock({
+      minDaysRemaining: 300,
+      nearExpiryAction: "block",
+    });
+    const draft = await createIssue(
+      wh,
+      [{ productId: prod._id.toString(), quantity: 10, unitPrice: 0 }],
+      {},
+      userToken
+    ).expect(201);
+
+    await request(app)
+      .post(`/api/inventory-issues/${draft.body.data.id}/approve`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(400);
+
+    const res = await request(app)
+      .post(`/api/inventory-issues/${draft.body.data.id}/approve`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ expiryOverrideReason: "Dùng trong tuần" })
+      .expect(200);
+
+    expect(res.body.data.status).toBe("confirmed");
+    expect(res.body.data.expiryOverride.reason).toBe("Dùng trong tuần");
+  });
+});
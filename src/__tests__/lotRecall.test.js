@@ -0,0 +1,344 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import mongoose from "mongoose";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  createTestTokens,
+  createStockFixture,
+  createTestLot,
+  daysFromNow,
+} from "./setup/helpers.js";
+
+import inventoryIssueRoutes from "../routes/inventoryIssue.route.js";
+import inventoryLotRoutes from "../routes/inventoryLot.route.js";
+import lotRecallRoutes from "../routes/lotRecall.route.js";
+import {
+  Warehouse,
+  InventoryLot,
+  InventoryIssue,
+  LotRecall,
+  StockReservation,
+  DestructionRecord,
+} from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/inventory-issues", inventoryIssueRoutes);
+app.use("/api/inventory-lots", inventoryLotRoutes);
+app.use("/api/recalls", lotRecallRoutes);
+
+// ---- Fixtures: 1 kho, 1 sản phẩm, LOT-A (hạn gần) 50 và LOT-B 50
+const seedStock = async () => {
+  const {
+    wh,
+    prod,
+    lots: [lotA, lotB],
+  } = await createStockFixture({
+    product: { sku: "SKU001", currentStock: 100 },
+    lots: [
+      {
+        lotNumber: "LOT-A",
+        expiryDate: daysFromNow(60),
+        quantity: 50,
+        unitCost: 1000,
+      },
+      {
+        lotNumber: "LOT-B",
+        expiryDate: daysFromNow(120),
+        quantity: 50,
+        unitCost: 1000,
+      },
+    ],
+  });
+  return { wh, prod, lotA, lotB };
+};
+
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  ({ adminToken, userToken } = await createTestTokens("recall"));
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+// Admin tạo phiếu xuất (FEFO) -> xác nhận ngay, trừ kho
+const issueStock = async (wh, prod, quantity, department) => {
+  const res = await request(app)
+    .post("/api/inventory-issues")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send({
+      warehouseId: wh._id.toString(),
+      department,
+      issueDate: new Date().toISOString(),
+      items: [{ productId: prod._id.toString(), quantity, unitPrice: 0 }],
+    })
+    .expect(201);
+  return res.body.data.id;
+};
+
+const recall = (body, token = adminToken) =>
+  request(app)
+    .post("/api/recalls")
+    .set("Authorization", `Bearer ${token}`)
+    .send(body);
+
+const setStatus = (lot, body, token = adminToken) =>
+  request(app)
+    .patch(`/api/inventory-lots/${lot._id}/status`)
+    .set("Authorization", `Bearer ${token}`)
+    .send(body);
+
+const suggestions = (wh) =>
+  request(app)
+    .get("/api/inventory-issues/product-suggestions")
+    .query({ warehouseId: wh._id.toString() })
+    .set("Authorization", `Bearer ${adminToken}`)
+    .expect(200);
+
+describe("POST /api/recalls", () => {
+  it("201 | khóa lô ở mọi kho và truy vết số đã cấp theo khoa/phòng", async () => {
+    const { wh, prod, lotA } = await seedStock();
+    const sub = await Warehouse.create({ code: "WH-SUB", name: "Kho phụ" });
+    const lotASub = await createTestLot(prod, sub, {
+      lotNumber: "LOT-A",
+      quantity: 10,
+    });
+
+    // Khoa Nội nhận 30 LOT-A, Khoa Ngoại nhận 20 LOT-A + 10 LOT-B
+    const noiIssue = await issueStock(wh, prod, 30, "Khoa Nội");
+    await issueStock(wh, prod, 30, "Khoa Ngoại");
+    await request(app)
+      .post(`/api/inventory-issues/${noiIssue}/returns`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ lines: [{ inventoryLotId: lotA._id.toString(), quantity: 5 }] })
+      .expect(201);
+
+    const res = await recall({
+      productId: prod._id.toString(),
+      lotNumbers: ["LOT-A"],
+      noticeNumber: "QLD-2024-01",
+      authority: "Cục Quản lý Dược",
+    }).expect(201);
+
+    const { recall: doc, lots, departments, totals } = res.body.data;
+    expect(doc.recallCode).toMatch(/^TH\d{4}$/);
+    expect(lots).toHaveLength(2);
+    expect(lots.every((l) => l.status === "recalled")).toBe(true);
+    expect((await InventoryLot.findById(lotASub._id)).status).toBe("recalled");
+
+    expect(
+      departments.map((d) => [
+        d.department,
+        d.issuedQty,
+        d.returnedQty,
+        d.outstandingQty,
+      ])
+    ).toEqual([
+      ["Khoa Ngoại", 20, 0, 20],
+      ["Khoa Nội", 30, 5, 25],
+    ]);
+    expect(departments[1].issues[0].lotNumber).toBe("LOT-A");
+    expect(totals).toEqual({
+      inStockQty: 15,
+      issuedQty: 50,
+      returnedQty: 5,
+      outstandingQty: 45,
+    });
+
+    const trace = await request(app)
+      .get(`/api/recalls/${doc._id}/trace`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+    expect(trace.body.data.totals.outstandingQty).toBe(45);
+
+    const list = await request(app)
+      .get("/api/recalls")
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+    expect(list.body.data.recalls).toHaveLength(1);
+  });
+
+  it("lô thu hồi không còn được gợi ý, FEFO hay chọn thủ công", async () => {
+    const { wh, prod, lotA, lotB } = await seedStock();
+    await recall({
+      productId: prod._id.toString(),
+      lotNumbers: ["LOT-A"],
+      noticeNumber: "QLD-2024-01",
+    }).expect(201);
+
+    const res = await suggestions(wh);
+    expect(res.body.data[0]).toMatchObject({
+      availableQty: 50,
+      lotNumber: "LOT-B",
+    });
+
+    const issueId = await issueStock(wh, prod, 10, "Khoa Nội");
+    const issue = await InventoryIssue.findById(issueId);
+    expect(String(issue.details[0].lotAllocations[0].inventoryLotId)).toBe(
+      String(lotB._id)
+    );
+
+    await request(app)
+      .post("/api/inventory-issues")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        warehouseId: wh._id.toString(),
+        department: "Khoa Nội",
+        issueDate: new Date().toISOString(),
+        details: [
+          {
+            productId: prod._id.toString(),
+            totalQuantity: 5,
+            unitPrice: 0,
+            lotAllocations: [
+              { inventoryLotId: lotA._id.toString(), quantity: 5 },
+            ],
+          },
+        ],
+      })
+      .expect(400);
+    expect((await InventoryLot.findById(lotA._id)).quantity).toBe(50);
+  });
+
+  it("nhả hàng đang giữ trên lô thu hồi, lô khác giữ nguyên", async () => {
+    const { prod, lotA, lotB } = await seedStock();
+    const hold = (lot) =>
+      StockReservation.create({
+        inventoryLotId: lot._id,
+        productId: prod._id,
+        warehouseId: lot.warehouseId,
+        quantity: 20,
+        sourceType: "InventoryIssue",
+        sourceId: new mongoose.Types.ObjectId(),
+        expiresAt: daysFromNow(1),
+      });
+    const [holdA, holdB] = [await hold(lotA), await hold(lotB)];
+
+    await recall({
+      productId: prod._id.toString(),
+      lotNumbers: ["LOT-A"],
+      noticeNumber: "QLD-2024-01",
+    }).expect(201);
+
+    const released = await StockReservation.findById(holdA._id);
+    expect(released.status).toBe("released");
+    expect(released.releasedAt).toBeInstanceOf(Date);
+    expect((await StockReservation.findById(holdB._id)).status).toBe("active");
+  });
+
+  it("400/403/404 | dữ liệu không hợp lệ, không phải admin, không có lô", async () => {
+    const { prod } = await seedStock();
+    const body = {
+      productId: prod._id.toString(),
+      lotNumbers: ["LOT-A"],
+      noticeNumber: "QLD-2024-01",
+    };
+
+    await recall({ ...body, lotNumbers: [] }).expect(400);
+    await recall({ ...body, noticeNumber: undefined }).expect(400);
+    await recall(body, userToken).expect(403);
+    await recall({ ...body, lotNumbers: ["LOT-X"] }).expect(404);
+    expect(await LotRecall.countDocuments()).toBe(0);
+  });
+});
+
+describe("PATCH /api/inventory-lots/:id/status", () => {
+  it("200 | tạm giữ rồi mở lại lô", async () => {
+    const { wh, lotA, lotB } = await seedStock();
+
+    await setStatus(lotA, {
+      status: "quarantined",
+      reason: "Chờ kiểm nghiệm",
+    }).expect(200);
+    await setStatus(lotB, { status: "quarantined" }).expect(200);
+    let res = await suggestions(wh);
+    expect(res.body.data[0]).toMatchObject({
+      availableQty: 0,
+      lotNumber: null,
+    });
+
+    await setStatus(lotA, { status: "available" }).expect(200);
+    res = await suggestions(wh);
+    expect(res.body.data[0]).toMatchObject({
+      availableQty: 50,
+      lotNumber: "LOT-A",
+    });
+
+    const lot = await InventoryLot.findById(lotB._id);
+    expect(lot.status).toBe("quarantined");
+    expect(lot.statusChangedAt).toBeInstanceOf(Date);
+  });
+
+  it("409 | không mở lại lô trong biên bản hủy nháp hoặc ở kho biệt trữ", async () => {
+    const { wh, prod, lotA } = await seedStock();
+    await setStatus(lotA, { status: "quarantined" }).expect(200);
+    const record = await DestructionRecord.create({
+      code: "BBH0001",
+      warehouseId: wh._id,
+      destructionDate: new Date(),
+      method: "Đốt",
+      lines: [
+        {
+          inventoryLotId: lotA._id,
+          productId: prod._id,
+          lotNumber: "LOT-A",
+          quantity: 50,
+        },
+      ],
+    });
+
+    let res = await setStatus(lotA, { status: "available" }).expect(409);
+    expect(res.body.message).toContain("BBH0001");
+
+    record.status = "cancelled";
+    await record.save();
+    await setStatus(lotA, { status: "available" }).expect(200);
+
+    const quarantine = await Warehouse.create({
+      code: "WH-QT",
+      name: "Kho biệt trữ",
+      isQuarantine: true,
+    });
+    const lotQ = await createTestLot(prod, quarantine, {
+      lotNumber: "LOT-Q",
+      quantity: 10,
+    });
+    await setStatus(lotQ, { status: "quarantined" }).expect(200);
+    res = await setStatus(lotQ, { status: "available" }).expect(409);
+    expect(res.body.message).toContain("WH-QT");
+    expect((await InventoryLot.findById(lotQ._id)).status).toBe("quarantined");
+  });
+
+  it("400/403 | lô đã thu hồi, trạng thái không hợp lệ, không phải admin", async () => {
+    const { prod, lotA, lotB } = await seedStock();
+    await recall({
+      productId: prod._id.toString(),
+      lotNumbers: ["LOT-A"],
+      noticeNumber: "QLD-2024-01",
+    }).expect(201);
+
+    await setStatus(lotA, { status: "available" }).expect(400);
+    await setStatus(lotB, { status: "recalled" }).expect(400);
+    await setStatus(lotB, { status: "quarantined" }, userToken).expect(403);
+  });
+});
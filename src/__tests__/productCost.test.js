@@ -0,0 +1,175 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createProductData,
+} from "./setup/helpers.js";
+
+import transactionRoutes from "../routes/transaction.route.js";
+import productRoutes from "../routes/product.route.js";
+import {
+  Product,
+  Supplier,
+  Warehouse,
+  InventoryLot,
+  ProductCostHistory,
+} from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/transactions", transactionRoutes);
+app.use("/api/products", productRoutes);
+
+let adminToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  const adminUser = await createTestUser({
+    username: "costadmin",
+    email: "cost-admin@example.com",
+    role: "admin",
+  });
+  adminToken = generateTestToken(adminUser);
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+const seed = async () => {
+  const wh = await Warehouse.create({ code: "WH-MAIN", name: "Kho chính" });
+  const sup = await Supplier.create({
+    code: "SUP001",
+    name: "Công ty Dược A",
+    contactName: "Mr. A",
+    phone: "0123456789",
+    email: "supplier@example.com",
+    address: "Somewhere",
+    taxCode: "1234567890",
+  });
+  const prod = await Product.create(createProductData({ sku: "SKU001" }));
+  return { wh, sup, prod };
+};
+
+const post = (body) =>
+  request(app)
+    .post("/api/transactions")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send(body);
+
+const inbound = ({ wh, sup, prod }, quantity, unitPrice, lotNumber) =>
+  post({
+    type: "INBOUND",
+    warehouseId: wh._id.toString(),
+    supplierId: sup._id.toString(),
+    details: [
+      { productId: prod._id.toString(), quantity, unitPrice, lotNumber },
+    ],
+  });
+
+describe("Weighted average cost", () => {
+  it("nhập nhiều lần -> giá vốn bình quân gia quyền, có lịch sử", async () => {
+    const fixtures = await seed();
+    await inbound(fixtures, 100, 1000, "LOT-A").expect(201);
+    await inbound(fixtures, 100, 2000, "LOT-B").expect(201);
+
+    const prod = await Product.findById(fixtures.prod._id);
+    expect(prod.averageCost).toBe(1500);
+    expect(prod.currentStock).toBe(200);
+
+    const history = await ProductCostHistory.find({
+      productId: prod._id,
+    }).sort({ createdAt: 1 });
+    expect(history).toHaveLength(2);
+    expect(history[1]).toMatchObject({
+      transactionType: "INBOUND",
+      quantity: 100,
+      unitCost: 2000,
+      previousStock: 100,
+      previousAverageCost: 1000,
+      newStock: 200,
+      newAverageCost: 1500,
+    });
+  });
+
+  it("hủy phiếu nhập -> bỏ phần giá trị theo giá đã nhập", async () => {
+    const fixtures = await seed();
+    await inbound(fixtures, 100, 1000, "LOT-A").expect(201);
+    const second = await inbound(fixtures, 100, 2000, "LOT-B").expect(201);
+
+    await request(app)
+      .post(`/api/transactions/${second.body.data.transaction._id}/cancel`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ reason: "Nhập nhầm" })
+      .expect(200);
+
+    const prod = await Product.findById(fixtures.prod._id);
+    expect(prod.averageCost).toBe(1000);
+    expect(prod.currentStock).toBe(100);
+  });
+
+  it("điều chỉnh tăng theo giá lô, điều chỉnh giảm không đổi giá vốn", async () => {
+    const fixtures = await seed();
+    await inbound(fixtures, 100, 1000, "LOT-A").expect(201);
+    const found = await InventoryLot.create({
+      productId: fixtures.prod._id,
+      warehouseId: fixtures.wh._id,
+      lotNumber: "LOT-FOUND",
+      quantity: 0,
+      unitCost: 4000,
+    });
+
+    await post({
+      type: "ADJUSTMENT",
+      warehouseId: fixtures.wh._id.toString(),
+      reasonCode: "FOUND",
+      details: [{ inventoryLotId: found._id.toString(), quantity: 100 }],
+    }).expect(201);
+    expect((await Product.findById(fixtures.prod._id)).averageCost).toBe(2500);
+
+    await post({
+      type: "ADJUSTMENT",
+      warehouseId: fixtures.wh._id.toString(),
+      reasonCode: "DAMAGED",
+      details: [{ inventoryLotId: found._id.toString(), quantity: -50 }],
+    }).expect(201);
+    const prod = await Product.findById(fixtures.prod._id);
+    expect(prod.averageCost).toBe(2500);
+    expect(prod.currentStock).toBe(150);
+  });
+
+  it("200 | GET /api/products/:id/cost-history", async () => {
+    const fixtures = await seed();
+    await inbound(fixtures, 10, 1000, "LOT-A").expect(201);
+    await inbound(fixtures, 30, 3000, "LOT-B").expect(201);
+
+    const res = await request(app)
+      .get(`/api/products/${fixtures.prod._id}/cost-history`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(res.body.data.product.averageCost).toBe(2500);
+    expect(res.body.data.history).toHaveLength(2);
+    expect(res.body.data.history[0].newAverageCost).toBe(2500);
+    expect(res.body.data.history[0].transactionId.type).toBe("INBOUND");
+    expect(res.body.data.pagination.total).toBe(2);
+  });
+});
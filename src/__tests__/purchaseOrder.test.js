@@ -0,0 +1,256 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createProductData,
+} from "./setup/helpers.js";
+
+import purchaseOrderRoutes from "../routes/purchaseOrder.route.js";
+import transactionRoutes from "../routes/transaction.route.js";
+import {
+  Product,
+  Warehouse,
+  Supplier,
+  PurchaseOrder,
+  TransactionDetail,
+} from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/purchase-orders", purchaseOrderRoutes);
+app.use("/api/transactions", transactionRoutes);
+
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  const adminUser = await createTestUser({
+    username: "poadmin",
+    email: "po-admin@example.com",
+    role: "admin",
+  });
+  const normalUser = await createTestUser({
+    username: "pouser",
+    email: "po-user@example.com",
+    role: "user",
+  });
+  adminToken = generateTestToken(adminUser);
+  userToken = generateTestToken(normalUser);
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+const seed = async (supplierStatus = "active") => {
+  const wh = await Warehouse.create({ code: "WH-MAIN", name: "Kho chính" });
+  const sup = await Supplier.create({
+    code: "SUP001",
+    name: "Công ty Dược A",
+    contactName: "Mr. A",
+    phone: "0123456789",
+    email: "supplier@example.com",
+    address: "Somewhere",
+    taxCode: "1234567890",
+    status: supplierStatus,
+  });
+  const prod = await Product.create(createProductData({ sku: "SKU001" }));
+  return { wh, sup, prod };
+};
+
+const asAdmin = (req) => req.set("Authorization", `Bearer ${adminToken}`);
+
+const createPO = ({ wh, sup, prod }, orderedQty = 100) =>
+  asAdmin(request(app).post("/api/purchase-orders")).send({
+    supplierId: sup._id.toString(),
+    warehouseId: wh._id.toString(),
+    lines: [{ productId: prod._id.toString(), orderedQty, unitPrice: 1000 }],
+  });
+
+// Tạo -> duyệt -> gửi NCC
+const sentPO = async (fixtures, orderedQty) => {
+  const created = await createPO(fixtures, orderedQty).expect(201);
+  const id = created.body.data._id;
+  await asAdmin(request(app).post(`/api/purchase-orders/${id}/approve`)).expect(
+    200
+  );
+  await asAdmin(request(app).post(`/api/purchase-orders/${id}/send`)).expect(
+    200
+  );
+  return created.body.data;
+};
+
+const receive = ({ wh, sup, prod }, po, quantity, unitPrice = 1000) =>
+  asAdmin(request(app).post("/api/transactions")).send({
+    type: "INBOUND",
+    warehouseId: wh._id.toString(),
+    supplierId: sup._id.toString(),
+    purchaseOrderId: po._id,
+    details: [
+      {
+        productId: prod._id.toString(),
+        quantity,
+        unitPrice,
+        lotNumber: `LOT-${quantity}`,
+      },
+    ],
+  });
+
+describe("Purchase orders", () => {
+  it("201 | tạo đơn nháp với mã PO và tổng tiền theo giá thỏa thuận", async () => {
+    const fixtures = await seed();
+    const res = await createPO(fixtures).expect(201);
+
+    expect(res.body.data.code).toMatch(/^PO\d{5}$/);
+    expect(res.body.data.status).toBe("draft");
+    expect(res.body.data.totalAmount).toBe(100000);
+  });
+
+  it("400 | nhà cung cấp bị khóa thì không đặt hàng", async () => {
+    const fixtures = await seed("locked");
+    await createPO(fixtures).expect(400);
+  });
+
+  it("403 | role user không tạo đơn đặt hàng", async () => {
+    const { wh, sup, prod } = await seed();
+    await request(app)
+      .post("/api/purchase-orders")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({
+        supplierId: sup._id.toString(),
+        warehouseId: wh._id.toString(),
+        lines: [
+          { productId: prod._id.toString(), orderedQty: 1, unitPrice: 1 },
+        ],
+      })
+      .expect(403);
+  });
+
+  it("400 | chỉ gửi được đơn đã duyệt, chỉ sửa được đơn nháp", async () => {
+    const fixtures = await seed();
+    const created = await createPO(fixtures).expect(201);
+    const id = created.body.data._id;
+
+    await asAdmin(request(app).post(`/api/purchase-orders/${id}/send`)).expect(
+      400
+    );
+    await asAdmin(
+      request(app).post(`/api/purchase-orders/${id}/approve`)
+    ).expect(200);
+    await asAdmin(request(app).put(`/api/purchase-orders/${id}`))
+      .send({ notes: "Sửa sau duyệt" })
+      .expect(400);
+  });
+
+  it("400 | không nhận hàng theo đơn chưa gửi nhà cung cấp", async () => {
+    const fixtures = await seed();
+    const created = await createPO(fixtures).expect(201);
+    await receive(fixtures, created.body.data, 10).expect(400);
+  });
+
+  it("nhận một phần -> partially_received, nhận đủ -> closed", async () => {
+    const fixtures = await seed();
+    const po = await sentPO(fixtures, 100);
+
+    const first = await receive(fixtures, po, 40).expect(201);
+    expect(first.body.data.purchaseOrder.status).toBe("partially_received");
+    expect(first.body.data.discrepancies).toEqual([]);
+
+    const detail = await TransactionDetail.findOne({
+      transactionId: first.body.data.transaction._id,
+    });
+    expect(String(detail.purchaseOrderLineId)).toBe(po.lines[0]._id);
+    expect(detail.agreedUnitPrice).toBe(1000);
+
+    await receive(fixtures, po, 60).expect(201);
+    const closed = await PurchaseOrder.findById(po._id);
+    expect(closed.status).toBe("closed");
+    expect(closed.lines[0].receivedQty).toBe(100);
+  });
+
+  it("ghi nhận nhận dư và lệch giá, hiển thị trong chi tiết đơn", async () => {
+    const fixtures = await seed();
+    const po = await sentPO(fixtures, 50);
+
+    const res = await receive(fixtures, po, 60, 1200).expect(201);
+    const types = res.body.data.discrepancies.map((d) => d.type).sort();
+    expect(types).toEqual(["OVER_RECEIPT", "PRICE_MISMATCH"]);
+
+    const detail = await asAdmin(
+      request(app).get(`/api/purchase-orders/${po._id}`)
+    ).expect(200);
+    const [line] = detail.body.data.lines;
+    expect(line).toMatchObject({
+      orderedQty: 50,
+      receivedQty: 60,
+      outstandingQty: 0,
+      overReceivedQty: 10,
+      priceMismatch: true,
+    });
+    expect(line.receipts).toHaveLength(1);
+    expect(line.receipts[0].priceVariance).toBe(200);
+  });
+
+  it("400 | sản phẩm không có trong đơn đặt hàng", async () => {
+    const fixtures = await seed();
+    const po = await sentPO(fixtures, 10);
+    const other = await Product.create(createProductData({ sku: "SKU002" }));
+
+    await receive({ ...fixtures, prod: other }, po, 5).expect(400);
+  });
+
+  it("hủy phiếu nhập -> trừ lại số đã nhận, đơn mở lại", async () => {
+    const fixtures = await seed();
+    const po = await sentPO(fixtures, 20);
+    const res = await receive(fixtures, po, 20).expect(201);
+    expect(res.body.data.purchaseOrder.status).toBe("closed");
+
+    await asAdmin(
+      request(app).post(
+        `/api/transactions/${res.body.data.transaction._id}/cancel`
+      )
+    )
+      .send({ reason: "Nhập nhầm" })
+      .expect(200);
+
+    const reopened = await PurchaseOrder.findById(po._id);
+    expect(reopened.status).toBe("sent");
+    expect(reopened.lines[0].receivedQty).toBe(0);
+  });
+
+  it("đóng thủ công kèm lý do -> không nhận thêm hàng", async () => {
+    const fixtures = await seed();
+    const po = await sentPO(fixtures, 20);
+    await receive(fixtures, po, 5).expect(201);
+
+    await asAdmin(request(app).post(`/api/purchase-orders/${po._id}/close`))
+      .send({ reason: "NCC hết hàng" })
+      .expect(200);
+    await receive(fixtures, po, 5).expect(400);
+
+    const list = await asAdmin(
+      request(app).get("/api/purchase-orders?status=closed")
+    ).expect(200);
+    expect(list.body.data.purchaseOrders).toHaveLength(1);
+    expect(list.body.data.purchaseOrders[0].summary.outstandingQty).toBe(15);
+  });
+});
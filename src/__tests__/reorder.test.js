@@ -0,0 +1,251 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import mongoose from "mongoose";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createProductData,
+} from "./setup/helpers.js";
+
+import purchaseOrderRoutes from "../routes/purchaseOrder.route.js";
+import productRoutes from "../routes/product.route.js";
+import {
+  Product,
+  Warehouse,
+  Supplier,
+  ProductSupplier,
+  PurchaseOrder,
+  Transaction,
+  TransactionDetail,
+} from "../models/index.js";
+import { generateReorderPurchaseOrders } from "../services/reorder.service.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/purchase-orders", purchaseOrderRoutes);
+app.use("/api/products", productRoutes);
+
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  const adminUser = await createTestUser({
+    username: "reorderadmin",
+    email: "reorder-admin@example.com",
+    role: "admin",
+  });
+  const normalUser = await createTestUser({
+    username: "reorderuser",
+    email: "reorder-user@example.com",
+    role: "user",
+  });
+  adminToken = generateTestToken(adminUser);
+  userToken = generateTestToken(normalUser);
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+const asAdmin = (req) => req.set("Authorization", `Bearer ${adminToken}`);
+
+const DAY = 24 * 3600 * 1000;
+
+// Fixtures: 1 kho, 1 NCC, 1 sản phẩm tồn 20, đã xuất 900 trong 90 ngày (10/ngày)
+const seed = async ({ currentStock = 20, consumed = 900 } = {}) => {
+  const wh = await Warehouse.create({ code: "WH-MAIN", name: "Kho chính" });
+  const sup = await Supplier.create({
+    code: "SUP001",
+    name: "Công ty Dược A",
+    contactName: "Mr. A",
+    phone: "0123456789",
+    email: "supplier@example.com",
+    address: "Somewhere",
+    taxCode: "1234567890",
+  });
+  const prod = await Product.create(
+    createProductData({ sku: "SKU001", currentStock, minimumStock: 0 })
+  );
+
+  if (consumed > 0) {
+    const tx = await Transaction.create({
+      type: "OUTBOUND",
+      status: "COMPLETED",
+      sourceWarehouseId: wh._id,
+      departmentId: new mongoose.Types.ObjectId(),
+      transactionDate: new Date(Date.now() - 10 * DAY),
+    });
+    await TransactionDetail.create({
+      transactionId: tx._id,
+      productId: prod._id,
+      quantity: consumed,
+      unitPrice: 0,
+    });
+  }
+  return { wh, sup, prod };
+};
+
+const setReorder = (prod, body, token = adminToken) =>
+  request(app)
+    .put(`/api/products/${prod._id}/reorder-settings`)
+    .set("Authorization", `Bearer ${token}`)
+    .send(body);
+
+describe("PUT /api/products/:id/reorder-settings", () => {
+  it("200 | đặt NCC chính, lead time và tồn an toàn", async () => {
+    const { sup, prod } = await seed();
+    const other = await Supplier.create({
+      code: "SUP002",
+      name: "Công ty Dược B",
+      contactName: "Mr. B",
+      phone: "0987654321",
+      email: "supplier-b@example.com",
+      address: "Elsewhere",
+      taxCode: "0987654321",
+    });
+    await ProductSupplier.create({
+      productId: prod._id,
+      supplierId: other._id,
+      isPrimary: true,
+    });
+
+    const res = await setReorder(prod, {
+      primarySupplierId: sup._id.toString(),
+      leadTimeDays: 5,
+      safetyStock: 15,
+    }).expect(200);
+
+    expect(res.body.data.safetyStock).toBe(15);
+    expect(res.body.data.leadTimeDays).toBe(5);
+    expect(res.body.data.primarySupplier.code).toBe("SUP001");
+
+    const links = await ProductSupplier.find({ productId: prod._id }).lean();
+    const primary = links.filter((l) => l.isPrimary);
+    expect(primary).toHaveLength(1);
+    expect(String(primary[0].supplierId)).toBe(String(sup._id));
+  });
+
+  it("400 | lead time khi chưa có NCC chính", async () => {
+    const { prod } = await seed();
+    await setReorder(prod, { leadTimeDays: 5 }).expect(400);
+  });
+
+  it("403 | role user không sửa thông số đặt hàng", async () => {
+    const { prod } = await seed();
+    await setReorder(prod, { safetyStock: 1 }, userToken).expect(403);
+  });
+});
+
+describe("Reorder suggestions", () => {
+  it("gợi ý theo tiêu thụ, lead time và tồn an toàn, nhóm theo NCC chính", async () => {
+    const { sup, prod } = await seed();
+    await setReorder(prod, {
+      primarySupplierId: sup._id.toString(),
+      leadTimeDays: 5,
+      safetyStock: 15,
+    }).expect(200);
+
+    const res = await asAdmin(
+      request(app).get("/api/purchase-orders/reorder-suggestions")
+    ).expect(200);
+
+    // điểm đặt hàng = 10 x 5 + 15 = 65; mức cần = 10 x (5 + 30) + 15 = 365
+    const [group] = res.body.data.suppliers;
+    expect(group.supplier.code).toBe("SUP001");
+    expect(group.items[0]).toMatchObject({
+      sku: "SKU001",
+      avgDailyUsage: 10,
+      reorderPoint: 65,
+      suggestedQty: 345,
+    });
+    expect(res.body.data.unassigned).toEqual([]);
+  });
+
+  it("sản phẩm chưa có NCC chính nằm trong unassigned", async () => {
+    await seed();
+    const res = await asAdmin(
+      request(app).get("/api/purchase-orders/reorder-suggestions")
+    ).expect(200);
+
+    expect(res.body.data.suppliers).toEqual([]);
+    expect(res.body.data.unassigned).toHaveLength(1);
+  });
+
+  it("không gợi ý khi tồn + hàng đang về vượt điểm đặt hàng", async () => {
+    const { sup, prod } = await seed({ currentStock: 500 });
+    await setReorder(prod, { primarySupplierId: sup._id.toString() }).expect(
+      200
+    );
+
+    const res = await asAdmin(
+      request(app).get("/api/purchase-orders/reorder-suggestions")
+    ).expect(200);
+    expect(res.body.data.suppliers).toEqual([]);
+  });
+
+  it("201 | tạo đơn nháp từ gợi ý, chạy lại không tạo trùng", async () => {
+    const { wh, sup, prod } = await seed();
+    await setReorder(prod, { primarySupplierId: sup._id.toString() }).expect(
+      200
+    );
+
+    const res = await asAdmin(
+      request(app).post("/api/purchase-orders/reorder-suggestions/generate")
+    )
+      .send({})
+      .expect(201);
+
+    expect(res.body.data.purchaseOrders).toHaveLength(1);
+    const po = await PurchaseOrder.findById(
+      res.body.data.purchaseOrders[0]._id
+    );
+    expect(po.status).toBe("draft");
+    expect(po.source).toBe("reorder");
+    expect(String(po.warehouseId)).toBe(String(wh._id));
+    expect(po.lines[0].orderedQty).toBeGreaterThan(0);
+
+    const again = await asAdmin(
+      request(app).post("/api/purchase-orders/reorder-suggestions/generate")
+    )
+      .send({})
+      .expect(201);
+    expect(again.body.data.purchaseOrders).toHaveLength(0);
+  });
+
+  it("chạy theo lịch (không có người tạo) vẫn tạo được đơn nháp", async () => {
+    const { sup, prod } = await seed();
+    await setReorder(prod, { primarySupplierId: sup._id.toString() }).expect(
+      200
+    );
+
+    const { purchaseOrders } = await generateReorderPurchaseOrders();
+    expect(purchaseOrders).toHaveLength(1);
+    expect(purchaseOrders[0].createdBy).toBeUndefined();
+  });
+
+  it("403 | role user không tạo đơn từ gợi ý", async () => {
+    await request(app)
+      .post("/api/purchase-orders/reorder-suggestions/generate")
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({})
+      .expect(403);
+  });
+});
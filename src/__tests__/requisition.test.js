@@ -0,0 +1,285 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createStockFixture,
+  createTestLot,
+  daysFromNow,
+} from "./setup/helpers.js";
+
+import requisitionRoutes from "../routes/requisition.route.js";
+import inventoryIssueRoutes from "../routes/inventoryIssue.route.js";
+import {
+  User,
+  Department,
+  InventoryLot,
+  InventoryIssue,
+  Transaction,
+  StockReservation,
+} from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/requisitions", requisitionRoutes);
+app.use("/api/inventory-issues", inventoryIssueRoutes);
+
+let adminToken;
+let nurseToken;
+let otherNurseToken;
+let nurse;
+let otherNurse;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  const adminUser = await createTestUser({
+    username: "pharmacist",
+    email: "pharmacist@example.com",
+    role: "admin",
+  });
+  nurse = await createTestUser({
+    username: "nursenhi",
+    email: "nurse-nhi@example.com",
+    role: "user",
+  });
+  otherNurse = await createTestUser({
+    username: "nursenoi",
+    email: "nurse-noi@example.com",
+    role: "user",
+  });
+  adminToken = generateTestToken(adminUser);
+  nurseToken = generateTestToken(nurse);
+  otherNurseToken = generateTestToken(otherNurse);
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await User.updateMany({}, { $set: { departmentId: null } });
+  await clearDatabase();
+});
+
+// ---- Fixtures: 2 khoa, 1 kho, 1 sản phẩm có 30 trong kho
+const seed = async () => {
+  const [nhi, noi] = await Department.create([
+    { code: "NHI", name: "Khoa Nhi" },
+    { code: "NOI", name: "Khoa Nội" },
+  ]);
+  await User.updateOne({ _id: nurse._id }, { departmentId: nhi._id });
+  await User.updateOne({ _id: otherNurse._id }, { departmentId: noi._id });
+
+  const {
+    wh,
+    prod,
+    lots: [lot],
+  } = await createStockFixture({
+    warehouse: { name: "Kho dược" },
+    product: { sku: "SKU001", currentStock: 30 },
+    lots: [
+      {
+        lotNumber: "LOT-A",
+        expiryDate: daysFromNow(90),
+        quantity: 30,
+        unitCost: 2000,
+      },
+    ],
+  });
+  return { nhi, noi, wh, prod, lot };
+};
+
+const submit = (wh, prod, requestedQty = 50, token = nurseToken) =>
+  request(app)
+    .post("/api/requisitions")
+    .set("Authorization", `Bearer ${token}`)
+    .send({
+      warehouseId: wh._id.toString(),
+      lines: [{ productId: prod._id.toString(), requestedQty }],
+    });
+
+const fulfill = (id, body = {}) =>
+  request(app)
+    .post(`/api/requisitions/${id}/fulfill`)
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send(body);
+
+describe("Requisition API", () => {
+  it("201 | điều dưỡng gửi phiếu yêu cầu cho khoa của mình", async () => {
+    const { nhi, wh, prod } = await seed();
+
+    const res = await submit(wh, prod).expect(201);
+
+    expect(res.body.data.code).toMatch(/^YC\d{5}$/);
+    expect(res.body.data.status).toBe("submitted");
+    expect(String(res.body.data.departmentId)).toBe(String(nhi._id));
+    // Giữ hàng cho phần đang có trong kho
+    const held = await StockReservation.find({
+      sourceId: res.body.data._id,
+      status: "active",
+    }).lean();
+    expect(held.map((r) => r.quantity)).toEqual([30]);
+  });
+
+  it("403 | tài khoản chưa gán khoa/phòng không gửi được phiếu", async () => {
+    const { wh, prod } = await seed();
+    await User.updateOne({ _id: nurse._id }, { departmentId: null });
+
+    await submit(wh, prod).expect(403);
+  });
+
+  it("200 | cấp một phần -> ghi nợ phần còn lại, cấp tiếp khi có hàng", async () => {
+    const { wh, prod, lot } = await seed();
+    const created = await submit(wh, prod, 50).expect(201);
+    const id = created.body.data._id;
+
+    const first = await fulfill(id).expect(200);
+    expect(first.body.data.requisition.status).toBe("partially_fulfilled");
+    expect(first.body.data.requisition.lines[0]).toMatchObject({
+      requestedQty: 50,
+      issuedQty: 30,
+      backorderedQty: 20,
+    });
+    expect(first.body.data.issue.status).toBe("confirmed");
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(0);
+
+    // Hết hàng -> không cấp được thêm
+    await fulfill(id).expect(400);
+
+    // Nhập thêm hàng rồi cấp nốt phần nợ
+    await createTestLot(prod, wh, {
+      lotNumber: "LOT-B",
+      expiryDate: daysFromNow(200),
+      quantity: 100,
+      unitCost: 2100,
+    });
+    const second = await fulfill(id).expect(200);
+    expect(second.body.data.requisition.status).toBe("fulfilled");
+    expect(second.body.data.requisition.summary).toMatchObject({
+      requestedQty: 50,
+      issuedQty: 50,
+      backorderedQty: 0,
+    });
+    expect(second.body.data.requisition.issueIds).toHaveLength(2);
+
+    expect(
+      await Transaction.countDocuments({
+        type: "OUTBOUND",
+        status: "COMPLETED",
+      })
+    ).toBe(2);
+  });
+
+  it("400 | số cấp vượt phần còn nợ", async () => {
+    const { wh, prod } = await seed();
+    const created = await submit(wh, prod, 10).expect(201);
+
+    await fulfill(created.body.data._id, {
+      lines: [{ productId: prod._id.toString(), quantity: 11 }],
+    }).expect(400);
+  });
+
+  it("200 | hủy phiếu xuất đã cấp -> số lượng quay lại phần còn nợ", async () => {
+    const { wh, prod } = await seed();
+    const created = await submit(wh, prod, 20).expect(201);
+    const id = created.body.data._id;
+
+    const done = await fulfill(id).expect(200);
+    expect(done.body.data.requisition.status).toBe("fulfilled");
+
+    await request(app)
+      .post(`/api/inventory-issues/${done.body.data.issue._id}/cancel`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ reason: "Cấp nhầm" })
+      .expect(200);
+
+    const res = await request(app)
+      .get(`/api/requisitions/${id}`)
+      .set("Authorization", `Bearer ${nurseToken}`)
+      .expect(200);
+    expect(res.body.data.status).toBe("submitted");
+    expect(res.body.data.lines[0].backorderedQty).toBe(20);
+  });
+
+  it("404 | khoa khác không xem được phiếu", async () => {
+    const { wh, prod } = await seed();
+    const created = await submit(wh, prod).expect(201);
+
+    await request(app)
+      .get(`/api/requisitions/${created.body.data._id}`)
+      .set("Authorization", `Bearer ${otherNurseToken}`)
+      .expect(404);
+
+    const list = await request(app)
+      .get("/api/requisitions")
+      .set("Authorization", `Bearer ${otherNurseToken}`)
+      .expect(200);
+    expect(list.body.data.requisitions).toHaveLength(0);
+  });
+
+  it("200 | khoa hủy phần còn nợ", async () => {
+    const { wh, prod } = await seed();
+    const created = await submit(wh, prod, 50).expect(201);
+    const id = created.body.data._id;
+    await fulfill(id).expect(200);
+
+    const res = await request(app)
+      .post(`/api/requisitions/${id}/cancel`)
+      .set("Authorization", `Bearer ${nurseToken}`)
+      .send({ reason: "Bệnh nhân đã chuyển viện" })
+      .expect(200);
+
+    expect(res.body.data.status).toBe("cancelled");
+    expect(res.body.data.summary).toMatchObject({
+      issuedQty: 30,
+      backorderedQty: 0,
+    });
+    expect(await InventoryIssue.countDocuments()).toBe(1);
+  });
+
+  it("200 | hủy phiếu chưa cấp -> nhả hàng đang giữ", async () => {
+    const { wh, prod } = await seed();
+    const created = await submit(wh, prod, 20).expect(201);
+    const id = created.body.data._id;
+
+    await request(app)
+      .post(`/api/requisitions/${id}/cancel`)
+      .set("Authorization", `Bearer ${nurseToken}`)
+      .send({ reason: "Gửi nhầm" })
+      .expect(200);
+
+    expect(
+      await StockReservation.countDocuments({ sourceId: id, status: "active" })
+    ).toBe(0);
+    expect(
+      await StockReservation.countDocuments({
+        sourceId: id,
+        status: "released",
+      })
+    ).toBe(1);
+  });
+
+  it("403 | điều dưỡng không được tự cấp phát", async () => {
+    const { wh, prod } = await seed();
+    const created = await submit(wh, prod).expect(201);
+
+    await request(app)
+      .post(`/api/requisitions/${created.body.data._id}/fulfill`)
+      .set("Authorization", `Bearer ${nurseToken}`)
+      .send({})
+      .expect(403);
+  });
+});
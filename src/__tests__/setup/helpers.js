@@ -40,6 +40,38 @@ export const generateTestToken = (user) => {
   });
 };
 
+/**
+ * Create an admin and a normal user with their JWT tokens
+ * @param {String} prefix - Username/email prefix, unique per test file
+ * @returns {Promise<Object>} { adminUser, normalUser, adminToken, userToken }
+ */
+export const createTestTokens = async (prefix) => {
+  const adminUser = await createTestUser({
+    username: `${prefix}admin`,
+    email: `${prefix}-admin@example.com`,
+    role: "admin",
+  });
+  const normalUser = await createTestUser({
+    username: `${prefix}user`,
+    email: `${prefix}-user@example.com`,
+    role: "user",
+  });
+  return {
+    adminUser,
+    normalUser,
+    adminToken: generateTestToken(adminUser),
+    userToken: generateTestToken(normalUser),
+  };
+};
+
+/**
+ * Date offset from now by a number of days (negative = in the past)
+ * @param {Number} days
+ * @returns {Date}
+ */
+export const daysFromNow = (days) =>
+  new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
 /**
  * Create sample category data
  * @param {Object} overrides - Override default values
@@ -121,3 +153,42 @@ export const createAlertData = (overrides = {}) => {
     ...overrides,
   };
 };
+
+/**
+ * Create an inventory lot of a product in a warehouse
+ * @param {Object} product - Product document
+ * @param {Object} warehouse - Warehouse document
+ * @param {Object} overrides - Override default values of createInventoryLotData
+ * @returns {Promise<Object>} Created InventoryLot
+ */
+export const createTestLot = (product, warehouse, overrides = {}) => {
+  const InventoryLot = mongoose.model("InventoryLot");
+  return InventoryLot.create({
+    productId: product._id,
+    warehouseId: warehouse._id,
+    ...createInventoryLotData(overrides),
+  });
+};
+
+/**
+ * Create a warehouse ("WH-MAIN"), a product and its inventory lots
+ * @param {Object} options - { warehouse, product, lots } overrides; one lots entry per lot
+ * @returns {Promise<Object>} { wh, prod, lots } lots in the given order
+ */
+export const createStockFixture = async ({
+  warehouse = {},
+  product = {},
+  lots = [{}],
+} = {}) => {
+  const Warehouse = mongoose.model("Warehouse");
+  const Product = mongoose.model("Product");
+
+  const wh = await Warehouse.create(
+    createWarehouseData({ code: "WH-MAIN", name: "Kho chính", ...warehouse })
+  );
+  const prod = await Product.create(createProductData(product));
+  // Sequential so createdAt follows the given order (FEFO tie-break)
+  const created = [];
+  for (const lot of lots) created.push(await createTestLot(prod, wh, lot));
+  return { wh, prod, lots: created };
+};
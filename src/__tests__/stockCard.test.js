@@ -0,0 +1,211 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createProductData,
+} from "./setup/helpers.js";
+
+import transactionRoutes from "../routes/transaction.route.js";
+import reportRoutes from "../routes/report.route.js";
+import { Product, Supplier, Warehouse, InventoryLot } from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/transactions", transactionRoutes);
+app.use("/api/reports", reportRoutes);
+
+let adminToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  const adminUser = await createTestUser({
+    username: "cardadmin",
+    email: "card-admin@example.com",
+    role: "admin",
+  });
+  adminToken = generateTestToken(adminUser);
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+// Fixtures: 2 kho, 1 sản phẩm
+// - 10/01/2024: nhập kho chính 100 (LOT-A)
+// - 05/02/2024: nhập kho chính 50 (LOT-B)
+// - 10/02/2024: chuyển 30 của LOT-A sang kho phụ
+// - 15/02/2024: hủy 20 của LOT-B
+const seed = async () => {
+  const [main, sub] = await Warehouse.create([
+    { code: "WH-MAIN", name: "Kho chính" },
+    { code: "WH-SUB", name: "Kho phụ" },
+  ]);
+  const sup = await Supplier.create({
+    code: "SUP001",
+    name: "Công ty Dược A",
+    contactName: "Mr. A",
+    phone: "0123456789",
+    email: "supplier@example.com",
+    address: "Somewhere",
+    taxCode: "1234567890",
+  });
+  const prod = await Product.create(createProductData({ sku: "SKU001" }));
+
+  const post = (body) =>
+    request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body)
+      .expect(201);
+  const inbound = (quantity, lotNumber, transactionDate) =>
+    post({
+      type: "INBOUND",
+      warehouseId: main._id.toString(),
+      supplierId: sup._id.toString(),
+      transactionDate,
+      details: [
+        {
+          productId: prod._id.toString(),
+          quantity,
+          unitPrice: 1000,
+          lotNumber,
+        },
+      ],
+    });
+
+  await inbound(100, "LOT-A", "2024-01-10");
+  await inbound(50, "LOT-B", "2024-02-05");
+  const lotA = await InventoryLot.findOne({ lotNumber: "LOT-A" });
+  const lotB = await InventoryLot.findOne({ lotNumber: "LOT-B" });
+  await post({
+    type: "TRANSFER",
+    sourceWarehouseId: main._id.toString(),
+    destinationWarehouseId: sub._id.toString(),
+    transactionDate: "2024-02-10",
+    details: [{ inventoryLotId: lotA._id.toString(), quantity: 30 }],
+  });
+  await post({
+    type: "ADJUSTMENT",
+    warehouseId: main._id.toString(),
+    reasonCode: "DAMAGED",
+    transactionDate: "2024-02-15",
+    details: [{ inventoryLotId: lotB._id.toString(), quantity: -20 }],
+  });
+
+  return { main, sub, prod, lotA, lotB };
+};
+
+const stockCard = (query) =>
+  request(app)
+    .get("/api/reports/stock_card")
+    .query(query)
+    .set("Authorization", `Bearer ${adminToken}`);
+
+describe("GET /api/reports/stock_card", () => {
+  it("200 | tồn đầu kỳ, từng nghiệp vụ và tồn sau mỗi dòng", async () => {
+    const { prod } = await seed();
+
+    const res = await stockCard({
+      productId: prod._id.toString(),
+      startDate: "2024-02-01",
+      endDate: "2024-02-28",
+    }).expect(200);
+
+    const card = res.body.data;
+    expect(card.openingBalance).toBe(100);
+    // Chuyển kho nội bộ: một dòng xuất và một dòng nhập
+    expect(card.entries.map((e) => [e.type, e.inQty, e.outQty])).toEqual([
+      ["INBOUND", 50, 0],
+      ["TRANSFER", 0, 30],
+      ["TRANSFER", 30, 0],
+      ["ADJUSTMENT", 0, 20],
+    ]);
+    expect(card.entries.map((e) => e.balance)).toEqual([150, 120, 150, 130]);
+    expect(card.entries[0].user.username).toBe("cardadmin");
+    expect(card.entries[0].description).toContain("Công ty Dược A");
+    expect(card).toMatchObject({
+      totalIn: 80,
+      totalOut: 50,
+      closingBalance: 130,
+    });
+  });
+
+  it("200 | lọc theo kho và theo lô", async () => {
+    const { prod, main, sub, lotA } = await seed();
+    const base = {
+      productId: prod._id.toString(),
+      startDate: "2024-01-01",
+      endDate: "2024-12-31",
+    };
+
+    const mainCard = await stockCard({
+      ...base,
+      warehouseId: main._id.toString(),
+    }).expect(200);
+    expect(mainCard.body.data.closingBalance).toBe(100);
+
+    const subCard = await stockCard({
+      ...base,
+      warehouseId: sub._id.toString(),
+    }).expect(200);
+    expect(subCard.body.data.entries).toHaveLength(1);
+    expect(subCard.body.data.entries[0].description).toContain("Kho chính");
+    expect(subCard.body.data.closingBalance).toBe(30);
+
+    const lotCard = await stockCard({
+      ...base,
+      lotId: lotA._id.toString(),
+    }).expect(200);
+    expect(lotCard.body.data.lot.lotNumber).toBe("LOT-A");
+    expect(lotCard.body.data.closingBalance).toBe(70);
+  });
+
+  it("200 | xuất PDF", async () => {
+    const { prod } = await seed();
+    const res = await stockCard({
+      productId: prod._id.toString(),
+      startDate: "2024-01-01",
+      endDate: "2024-12-31",
+      format: "pdf",
+    }).expect(200);
+    expect(res.headers["content-type"]).toContain("application/pdf");
+  });
+
+  it("400/404 | tham số không hợp lệ", async () => {
+    const { prod } = await seed();
+    const productId = prod._id.toString();
+    const period = { startDate: "2024-01-01", endDate: "2024-12-31" };
+
+    await stockCard(period).expect(400);
+    await stockCard({ productId, startDate: "2024-01-01" }).expect(400);
+    await stockCard({ productId, ...period, format: "excel" }).expect(400);
+    await stockCard({
+      productId,
+      startDate: "2024-12-31",
+      endDate: "2024-01-01",
+    }).expect(400);
+    await stockCard({ productId: "abc", ...period }).expect(400);
+    await stockCard({
+      productId: "507f1f77bcf86cd799439011",
+      ...period,
+    }).expect(404);
+  });
+});
@@ -0,0 +1,370 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createProductData,
+} from "./setup/helpers.js";
+
+import transactionRoutes from "../routes/transaction.route.js";
+import stockMovementRoutes from "../routes/stockMovement.route.js";
+import {
+  Product,
+  Supplier,
+  Warehouse,
+  InventoryLot,
+  StockMovement,
+  Migration,
+} from "../models/index.js";
+import { backfillStockMovements } from "../services/stockMovement.service.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/transactions", transactionRoutes);
+app.use("/api/stock-movements", stockMovementRoutes);
+
+let adminToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  const adminUser = await createTestUser({
+    username: "ledgeradmin",
+    email: "ledger-admin@example.com",
+    role: "admin",
+  });
+  adminToken = generateTestToken(adminUser);
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+// Nhập 100 vào kho chính, chuyển 30 sang kho phụ, hủy 10 ở kho chính
+const seed = async () => {
+  const [main, sub] = await Warehouse.create([
+    { code: "WH-MAIN", name: "Kho chính" },
+    { code: "WH-SUB", name: "Kho phụ" },
+  ]);
+  const sup = await Supplier.create({
+    code: "SUP001",
+    name: "Công ty Dược A",
+    contactName: "Mr. A",
+    phone: "0123456789",
+    email: "supplier@example.com",
+    address: "Somewhere",
+    taxCode: "1234567890",
+  });
+  const prod = await Product.create(createProductData({ sku: "SKU001" }));
+
+  const post = (body) =>
+    request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body)
+      .expect(201);
+
+  await post({
+    type: "INBOUND",
+    warehouseId: main._id.toString(),
+    supplierId: sup._id.toString(),
+    transactionDate: "2024-01-10",
+    details: [
+      {
+        productId: prod._id.toString(),
+        quantity: 100,
+        unitPrice: 1000,
+        lotNumber: "LOT-A",
+      },
+    ],
+  });
+  const lotA = await InventoryLot.findOne({
+    lotNumber: "LOT-A",
+    warehouseId: main._id,
+  });
+  await post({
+    type: "TRANSFER",
+    sourceWarehouseId: main._id.toString(),
+    destinationWarehouseId: sub._id.toString(),
+    transactionDate: "2024-02-10",
+    details: [{ inventoryLotId: lotA._id.toString(), quantity: 30 }],
+  });
+  await post({
+    type: "ADJUSTMENT",
+    warehouseId: main._id.toString(),
+    reasonCode: "DAMAGED",
+    transactionDate: "2024-02-15",
+    details: [{ inventoryLotId: lotA._id.toString(), quantity: -10 }],
+  });
+
+  return { main, sub, prod, lotA };
+};
+
+const list = (query = {}) =>
+  request(app)
+    .get("/api/stock-movements")
+    .query(query)
+    .set("Authorization", `Bearer ${adminToken}`);
+
+describe("StockMovement ledger", () => {
+  it("ghi một dòng cho mỗi thay đổi của lô, balanceAfter nối tiếp", async () => {
+    const { lotA, sub } = await seed();
+
+    const rows = await StockMovement.find({ inventoryLotId: lotA._id })
+      .sort({ _id: 1 })
+      .lean();
+    expect(
+      rows.map((r) => [r.movementType, r.quantity, r.balanceAfter])
+    ).toEqual([
+      ["INBOUND", 100, 100],
+      ["TRANSFER", -30, 70],
+      ["ADJUSTMENT", -10, 60],
+    ]);
+    expect(rows[2].reason).toBe("DAMAGED");
+    expect(rows[0].unitCost).toBe(1000);
+
+    const subRows = await StockMovement.find({ warehouseId: sub._id }).lean();
+    expect(subRows).toHaveLength(1);
+    expect(subRows[0]).toMatchObject({ quantity: 30, balanceAfter: 30 });
+  });
+
+  it("tồn theo sổ khớp InventoryLot.quantity và Product.currentStock", async () => {
+    const { prod } = await seed();
+
+    const res = await request(app)
+      .get("/api/stock-movements/balances")
+      .query({ groupBy: "lot", productId: prod._id.toString() })
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    const lots = await InventoryLot.find({ productId: prod._id }).lean();
+    for (const lot of lots) {
+      const row = res.body.data.balances.find(
+        (b) => b.inventoryLotId === lot._id.toString()
+      );
+      expect(row.quantity).toBe(lot.quantity);
+    }
+
+    const byProduct = await request(app)
+      .get("/api/stock-movements/balances")
+      .query({ groupBy: "product" })
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+    const product = await Product.findById(prod._id).lean();
+    expect(byProduct.body.data.balances[0].quantity).toBe(product.currentStock);
+
+    // Tồn tại một ngày trong quá khứ: phát lại sổ đến ngày đó
+    const past = await request(app)
+      .get("/api/stock-movements/balances")
+      .query({ groupBy: "product", date: "2024-01-31" })
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+    expect(past.body.data.balances[0].quantity).toBe(100);
+  });
+
+  it("hủy phiếu nhập ghi dòng bù trừ, không sửa dòng cũ", async () => {
+    const [main] = await Warehouse.create([{ code: "WH-1", name: "Kho 1" }]);
+    const sup = await Supplier.create({
+      code: "SUP002",
+      name: "Công ty Dược B",
+      contactName: "Mr. B",
+      phone: "0123456789",
+      email: "supplier-b@example.com",
+      address: "Somewhere",
+      taxCode: "1234567891",
+    });
+    const prod = await Product.create(createProductData({ sku: "SKU002" }));
+    const created = await request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        type: "INBOUND",
+        warehouseId: main._id.toString(),
+        supplierId: sup._id.toString(),
+        details: [
+          {
+            productId: prod._id.toString(),
+            quantity: 40,
+            unitPrice: 500,
+            lotNumber: "LOT-C",
+          },
+        ],
+      })
+      .expect(201);
+    const txId = created.body.data.transaction._id;
+
+    await request(app)
+      .post(`/api/transactions/${txId}/cancel`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ reason: "Nhập nhầm" })
+      .expect(200);
+
+    const rows = await StockMovement.find({ transactionId: txId })
+      .sort({ _id: 1 })
+      .lean();
+    expect(rows.map((r) => [r.quantity, r.balanceAfter])).toEqual([
+      [40, 40],
+      [-40, 0],
+    ]);
+    expect(rows[1].reason).toBe("Hủy phiếu nhập");
+  });
+
+  it("chặn sửa/xóa dòng đã ghi", async () => {
+    await seed();
+    const row = await StockMovement.findOne({});
+
+    await expect(
+      StockMovement.updateOne({ _id: row._id }, { quantity: 1 })
+    ).rejects.toThrow("append-only");
+    await expect(StockMovement.deleteMany({})).rejects.toThrow("append-only");
+    await expect(row.deleteOne()).rejects.toThrow("append-only");
+    row.quantity = 1;
+    await expect(row.save()).rejects.toThrow("append-only");
+  });
+
+  it("khởi tạo sổ cho lô có sẵn bằng dòng OPENING, chạy lại thì bỏ qua", async () => {
+    const [wh] = await Warehouse.create([{ code: "WH-OLD", name: "Kho cũ" }]);
+    const prod = await Product.create(createProductData({ sku: "SKU-OLD" }));
+    const lot = await InventoryLot.create({
+      productId: prod._id,
+      warehouseId: wh._id,
+      lotNumber: "LOT-OLD",
+      expiryDate: new Date("2030-01-01"),
+      quantity: 25,
+      unitCost: 2000,
+    });
+    const balances = () =>
+      request(app)
+        .get("/api/stock-movements/balances")
+        .set("Authorization", `Bearer ${adminToken}`);
+
+    // Sổ chưa khởi tạo: chặn đọc tồn theo sổ thay vì trả về 0
+    await balances().expect(503);
+
+    const first = await backfillStockMovements();
+    expect(first).toEqual({ skipped: false, transactions: 0, openings: 1 });
+
+    const rows = await StockMovement.find({ inventoryLotId: lot._id }).lean();
+    expect(rows).toHaveLength(1);
+    expect(rows[0]).toMatchObject({
+      movementType: "OPENING",
+      quantity: 25,
+      balanceAfter: 25,
+    });
+
+    const second = await backfillStockMovements();
+    expect(second.skipped).toBe(true);
+
+    const res = await balances().expect(200);
+    expect(res.body.data.balances).toEqual([
+      { inventoryLotId: String(lot._id), quantity: 25 },
+    ]);
+  });
+
+  it("khởi tạo dở dang: chạy lại bỏ qua sản phẩm đã ghi, làm tiếp phần còn lại", async () => {
+    const [wh] = await Warehouse.create([{ code: "WH-OLD", name: "Kho cũ" }]);
+    const [done, pending] = await Product.create([
+      createProductData({ sku: "SKU-DONE" }),
+      createProductData({ sku: "SKU-PENDING" }),
+    ]);
+    const [doneLot, pendingLot] = await InventoryLot.create([
+      {
+        productId: done._id,
+        warehouseId: wh._id,
+        lotNumber: "LOT-1",
+        quantity: 10,
+      },
+      {
+        productId: pending._id,
+        warehouseId: wh._id,
+        lotNumber: "LOT-2",
+        quantity: 5,
+      },
+    ]);
+    // Lần chạy trước dừng sau khi ghi xong sản phẩm đầu
+    await Migration.create({ key: "stock-movements" });
+    await StockMovement.record(
+      [
+        {
+          productId: done._id,
+          warehouseId: wh._id,
+          inventoryLotId: doneLot._id,
+          quantity: 10,
+        },
+      ],
+      { movementType: "OPENING" }
+    );
+    expect(await StockMovement.isInitialized()).toBe(false);
+
+    const result = await backfillStockMovements();
+
+    expect(result).toEqual({ skipped: false, transactions: 0, openings: 1 });
+    expect(
+      await StockMovement.countDocuments({ inventoryLotId: doneLot._id })
+    ).toBe(1);
+    expect(
+      await StockMovement.countDocuments({ inventoryLotId: pendingLot._id })
+    ).toBe(1);
+    expect(await StockMovement.isInitialized()).toBe(true);
+  });
+});
+
+describe("GET /api/stock-movements", () => {
+  it("200 | lọc theo kho, loại biến động và ngày", async () => {
+    const { main, prod } = await seed();
+
+    const all = await list({ productId: prod._id.toString() }).expect(200);
+    expect(all.body.data.pagination.total).toBe(4);
+    // Mới nhất trước
+    expect(all.body.data.movements[0].movementType).toBe("ADJUSTMENT");
+    expect(all.body.data.movements[0].userId.username).toBe("ledgeradmin");
+
+    const byWarehouse = await list({
+      warehouseId: main._id.toString(),
+    }).expect(200);
+    expect(byWarehouse.body.data.pagination.total).toBe(3);
+
+    const transfers = await list({ movementType: "TRANSFER" }).expect(200);
+    expect(transfers.body.data.movements).toHaveLength(2);
+
+    const february = await list({
+      fromDate: "2024-02-01",
+      toDate: "2024-02-28",
+      limit: 1,
+    }).expect(200);
+    expect(february.body.data.pagination).toMatchObject({
+      total: 3,
+      totalPages: 3,
+    });
+  });
+
+  it("400 | tham số không hợp lệ", async () => {
+    await list({ productId: "abc" }).expect(400);
+    await list({ movementType: "FOO" }).expect(400);
+    await request(app)
+      .get("/api/stock-movements/balances")
+      .query({ groupBy: "category" })
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(400);
+  });
+
+  it("401 | chưa đăng nhập", async () => {
+    await request(app).get("/api/stock-movements").expect(401);
+  });
+});
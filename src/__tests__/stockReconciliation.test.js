@@ -0,0 +1,237 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createProductData,
+} from "./setup/helpers.js";
+
+import transactionRoutes from "../routes/transaction.route.js";
+import stockReconciliationRoutes from "../routes/stockReconciliation.route.js";
+import {
+  Product,
+  Supplier,
+  Warehouse,
+  InventoryLot,
+  Alert,
+  StockReconciliation,
+} from "../models/index.js";
+import { reconcileStock } from "../services/stockReconciliation.service.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/transactions", transactionRoutes);
+app.use("/api/stock-reconciliations", stockReconciliationRoutes);
+
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  const adminUser = await createTestUser({
+    username: "reconadmin",
+    email: "recon-admin@example.com",
+    role: "admin",
+  });
+  const normalUser = await createTestUser({
+    username: "reconuser",
+    email: "recon-user@example.com",
+    role: "user",
+  });
+  adminToken = generateTestToken(adminUser);
+  userToken = generateTestToken(normalUser);
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+// Nhập 100 (LOT-A) và 50 (LOT-B) qua API để sổ biến động khớp tồn lô
+const seed = async () => {
+  const wh = await Warehouse.create({ code: "WH-MAIN", name: "Kho chính" });
+  const sup = await Supplier.create({
+    code: "SUP001",
+    name: "Công ty Dược A",
+    contactName: "Mr. A",
+    phone: "0123456789",
+    email: "supplier@example.com",
+    address: "Somewhere",
+    taxCode: "1234567890",
+  });
+  const prod = await Product.create(createProductData({ sku: "SKU001" }));
+
+  await request(app)
+    .post("/api/transactions")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send({
+      type: "INBOUND",
+      warehouseId: wh._id.toString(),
+      supplierId: sup._id.toString(),
+      details: [
+        {
+          productId: prod._id.toString(),
+          quantity: 100,
+          unitPrice: 1000,
+          lotNumber: "LOT-A",
+        },
+        {
+          productId: prod._id.toString(),
+          quantity: 50,
+          unitPrice: 1000,
+          lotNumber: "LOT-B",
+        },
+      ],
+    })
+    .expect(201);
+
+  return { wh, prod };
+};
+
+const run = (body, token = adminToken) =>
+  request(app)
+    .post("/api/stock-reconciliations")
+    .set("Authorization", `Bearer ${token}`)
+    .send(body);
+
+describe("POST /api/stock-reconciliations", () => {
+  it("201 | dữ liệu khớp: không có chênh lệch, vẫn lưu báo cáo", async () => {
+    await seed();
+
+    const res = await run({}).expect(201);
+
+    expect(res.body.data).toMatchObject({
+      trigger: "manual",
+      productsChecked: 1,
+      lotsChecked: 2,
+      discrepancyCount: 0,
+      discrepancies: [],
+    });
+    expect(await StockReconciliation.countDocuments()).toBe(1);
+    expect(await Alert.countDocuments()).toBe(0);
+  });
+
+  it("201 | currentStock lệch tổng lô: ghi nhận, không sửa khi autoFix=false", async () => {
+    const { prod } = await seed();
+    await Product.updateOne({ _id: prod._id }, { currentStock: 90 });
+
+    const res = await run({ autoFix: false }).expect(201);
+
+    expect(res.body.data.discrepancies).toEqual([
+      expect.objectContaining({
+        kind: "PRODUCT_COUNTER",
+        recordedQty: 90,
+        expectedQty: 150,
+        difference: -60,
+        fixed: false,
+      }),
+    ]);
+    expect((await Product.findById(prod._id)).currentStock).toBe(90);
+
+    const alert = await Alert.findOne({ alertType: "STOCK_DISCREPANCY" });
+    expect(alert).toMatchObject({ severity: "MEDIUM", status: "ACTIVE" });
+    expect(alert.message).toContain("tổng các lô 150");
+  });
+
+  it("201 | autoFix sửa currentStock, lần sau sạch thì tự đóng cảnh báo", async () => {
+    const { prod } = await seed();
+    await Product.updateOne({ _id: prod._id }, { currentStock: 90 });
+
+    const res = await run({ autoFix: true }).expect(201);
+    expect(res.body.data).toMatchObject({ discrepancyCount: 1, fixedCount: 1 });
+    expect(res.body.data.discrepancies[0].fixed).toBe(true);
+    expect((await Product.findById(prod._id)).currentStock).toBe(150);
+    expect(
+      (await Alert.findOne({ alertType: "STOCK_DISCREPANCY" })).severity
+    ).toBe("LOW");
+
+    await run({}).expect(201);
+    const alert = await Alert.findOne({ alertType: "STOCK_DISCREPANCY" });
+    expect(alert.status).toBe("RESOLVED");
+  });
+
+  it("201 | tồn lô lệch sổ biến động: cảnh báo HIGH, không tự sửa lô", async () => {
+    await seed();
+    const lot = await InventoryLot.findOne({ lotNumber: "LOT-B" });
+    // Mô phỏng lỗi ghi dở: lô bị trừ nhưng không có dòng sổ tương ứng
+    await InventoryLot.updateOne({ _id: lot._id }, { quantity: 45 });
+
+    const res = await run({ autoFix: true }).expect(201);
+
+    const lotDiff = res.body.data.discrepancies.find(
+      (d) => d.kind === "LOT_LEDGER"
+    );
+    expect(lotDiff).toMatchObject({
+      inventoryLotId: lot._id.toString(),
+      lotNumber: "LOT-B",
+      recordedQty: 45,
+      expectedQty: 50,
+      difference: -5,
+      fixed: false,
+    });
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(45);
+
+    const alert = await Alert.findOne({ alertType: "STOCK_DISCREPANCY" });
+    expect(alert.severity).toBe("HIGH");
+    expect(alert.message).toContain("1 lô lệch sổ biến động");
+  });
+
+  it("400/403 | dữ liệu không hợp lệ hoặc không phải admin", async () => {
+    await run({ autoFix: "abc" }).expect(400);
+    await run({}, userToken).expect(403);
+  });
+});
+
+describe("GET /api/stock-reconciliations", () => {
+  it("200 | danh sách (không kèm chi tiết) và chi tiết một lần đối soát", async () => {
+    const { prod } = await seed();
+    await reconcileStock({ trigger: "cron" });
+    await Product.updateOne({ _id: prod._id }, { currentStock: 0 });
+    const drift = await reconcileStock({ autoFix: false });
+
+    const list = await request(app)
+      .get("/api/stock-reconciliations")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+    expect(list.body.data.pagination.total).toBe(2);
+    expect(list.body.data.reconciliations[0].discrepancies).toBeUndefined();
+
+    const withDiff = await request(app)
+      .get("/api/stock-reconciliations")
+      .query({ hasDiscrepancy: "true" })
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+    expect(withDiff.body.data.reconciliations).toHaveLength(1);
+
+    const detail = await request(app)
+      .get(`/api/stock-reconciliations/${drift._id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+    expect(detail.body.data.discrepancies).toHaveLength(1);
+
+    await request(app)
+      .get("/api/stock-reconciliations/abc")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(400);
+    await request(app)
+      .get("/api/stock-reconciliations/507f1f77bcf86cd799439011")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(404);
+  });
+});
@@ -0,0 +1,235 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  createTestTokens,
+  createStockFixture,
+  daysFromNow,
+} from "./setup/helpers.js";
+
+import inventoryIssueRoutes from "../routes/inventoryIssue.route.js";
+import transactionRoutes from "../routes/transaction.route.js";
+import { Warehouse, InventoryLot, StockReservation } from "../models/index.js";
+import { releaseExpiredReservations } from "../services/stockReservation.service.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/inventory-issues", inventoryIssueRoutes);
+app.use("/api/transactions", transactionRoutes);
+
+// ---- Fixtures: 1 kho, 1 sản phẩm, 1 lô 50
+const seedStock = async () => {
+  const {
+    wh,
+    prod,
+    lots: [lot],
+  } = await createStockFixture({
+    product: { sku: "SKU001", currentStock: 50 },
+    lots: [
+      {
+        lotNumber: "LOT-A",
+        expiryDate: daysFromNow(90),
+        quantity: 50,
+        unitCost: 1000,
+      },
+    ],
+  });
+  return { wh, prod, lot };
+};
+
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  ({ adminToken, userToken } = await createTestTokens("res"));
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+const submitDraft = (wh, prod, quantity) =>
+  request(app)
+    .post("/api/inventory-issues")
+    .set("Authorization", `Bearer ${userToken}`)
+    .send({
+      warehouseId: wh._id.toString(),
+      department: "Khoa Nhi",
+      issueDate: new Date().toISOString(),
+      items: [{ productId: prod._id.toString(), quantity, unitPrice: 0 }],
+    });
+
+const approve = (id) =>
+  request(app)
+    .post(`/api/inventory-issues/${id}/approve`)
+    .set("Authorization", `Bearer ${adminToken}`);
+
+describe("Stock reservations", () => {
+  it("phiếu nháp giữ hàng -> tồn khả dụng giảm, tồn thực tế giữ nguyên", async () => {
+    const { wh, prod, lot } = await seedStock();
+    await submitDraft(wh, prod, 40).expect(201);
+
+    const [stock] = await InventoryLot.aggregateStock({
+      productId: prod._id,
+      warehouseId: wh._id,
+    });
+    expect(stock).toMatchObject({
+      stockQty: 50,
+      reservedQty: 40,
+      availableQty: 10,
+    });
+
+    const picks = await InventoryLot.fefoSuggestLots(prod._id, wh._id, 40);
+    expect(picks).toEqual([{ inventoryLotId: lot._id, pickQty: 10 }]);
+  });
+
+  it("400 | hai phiếu nháp không cùng lấy một phần hàng khi duyệt", async () => {
+    const { wh, prod, lot } = await seedStock();
+    const first = await submitDraft(wh, prod, 40).expect(201);
+    const second = await submitDraft(wh, prod, 30).expect(201);
+
+    // Phiếu 2 chỉ giữ được 10 -> duyệt phiếu 2 thiếu hàng
+    const res = await approve(second.body.data.id).expect(400);
+    expect(res.body.errors[0]).toMatchObject({ requested: 30, available: 10 });
+
+    // Phiếu 1 duyệt trên phần đã giữ của chính nó
+    await approve(first.body.data.id).expect(200);
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(10);
+    expect(
+      await StockReservation.countDocuments({
+        sourceId: first.body.data.id,
+        status: "consumed",
+      })
+    ).toBe(1);
+
+    // Hết giữ hàng của phiếu 1 -> phiếu 2 vẫn chỉ có 10 khả dụng
+    await approve(second.body.data.id).expect(400);
+  });
+
+  it("400 | xuất trực tiếp không lấy được hàng đang giữ", async () => {
+    const { wh, prod } = await seedStock();
+    await submitDraft(wh, prod, 45).expect(201);
+
+    await request(app)
+      .post("/api/inventory-issues")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        warehouseId: wh._id.toString(),
+        department: "Khoa Nội",
+        issueDate: new Date().toISOString(),
+        items: [{ productId: prod._id.toString(), quantity: 10, unitPrice: 0 }],
+      })
+      .expect(400);
+  });
+
+  it("400 | chuyển kho theo lô chỉ định, điều chỉnh giảm không lấy hàng đang giữ", async () => {
+    const { wh, prod, lot } = await seedStock();
+    const er = await Warehouse.create({ code: "WH-ER", name: "Kho cấp cứu" });
+    await submitDraft(wh, prod, 40).expect(201);
+
+    const postTx = (body) =>
+      request(app)
+        .post("/api/transactions")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send(body);
+
+    const transfer = await postTx({
+      type: "TRANSFER",
+      sourceWarehouseId: wh._id.toString(),
+      destinationWarehouseId: er._id.toString(),
+      details: [{ inventoryLotId: lot._id.toString(), quantity: 20 }],
+    }).expect(400);
+    expect(transfer.body.message).toMatch(/Available: 10/);
+
+    const adjustment = await postTx({
+      type: "ADJUSTMENT",
+      warehouseId: wh._id.toString(),
+      reasonCode: "DAMAGED",
+      details: [{ inventoryLotId: lot._id.toString(), quantity: -20 }],
+    }).expect(400);
+    expect(adjustment.body.message).toMatch(/Available: 10/);
+
+    await postTx({
+      type: "ADJUSTMENT",
+      warehouseId: wh._id.toString(),
+      reasonCode: "DAMAGED",
+      details: [{ inventoryLotId: lot._id.toString(), quantity: -10 }],
+    }).expect(201);
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(40);
+  });
+
+  it("từ chối phiếu nháp -> nhả hàng", async () => {
+    const { wh, prod } = await seedStock();
+    const draft = await submitDraft(wh, prod, 40).expect(201);
+
+    await request(app)
+      .post(`/api/inventory-issues/${draft.body.data.id}/reject`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ reason: "Vượt cơ số" })
+      .expect(200);
+
+    const [stock] = await InventoryLot.aggregateStock({ productId: prod._id });
+    expect(stock.availableQty).toBe(50);
+    expect(await StockReservation.countDocuments({ status: "released" })).toBe(
+      1
+    );
+  });
+
+  it("sửa dòng phiếu nháp -> nhả phần giữ cũ, giữ lại theo số lượng mới", async () => {
+    const { wh, prod } = await seedStock();
+    const draft = await submitDraft(wh, prod, 40).expect(201);
+
+    await request(app)
+      .put(`/api/inventory-issues/${draft.body.data.id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        items: [{ productId: prod._id.toString(), quantity: 15, unitPrice: 0 }],
+      })
+      .expect(200);
+
+    const active = await StockReservation.find({
+      sourceId: draft.body.data.id,
+      status: "active",
+    }).lean();
+    expect(active.map((r) => r.quantity)).toEqual([15]);
+    expect(await StockReservation.countDocuments({ status: "released" })).toBe(
+      1
+    );
+    const [stock] = await InventoryLot.aggregateStock({ productId: prod._id });
+    expect(stock.availableQty).toBe(35);
+  });
+
+  it("giữ hàng quá hạn không còn tính và được cron nhả", async () => {
+    const { wh, prod } = await seedStock();
+    const draft = await submitDraft(wh, prod, 40).expect(201);
+    await StockReservation.updateMany(
+      { sourceId: draft.body.data.id },
+      { $set: { expiresAt: new Date(Date.now() - 1000) } }
+    );
+
+    const [stock] = await InventoryLot.aggregateStock({ productId: prod._id });
+    expect(stock.availableQty).toBe(50);
+
+    expect(await releaseExpiredReservations()).toEqual({ expired: 1 });
+    expect(await StockReservation.countDocuments({ status: "expired" })).toBe(
+      1
+    );
+  });
+});
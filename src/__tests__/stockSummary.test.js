@@ -0,0 +1,214 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createProductData,
+  createCategoryData,
+} from "./setup/helpers.js";
+
+import transactionRoutes from "../routes/transaction.route.js";
+import reportRoutes from "../routes/report.route.js";
+import {
+  Product,
+  Category,
+  Supplier,
+  Warehouse,
+  InventoryLot,
+} from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/transactions", transactionRoutes);
+app.use("/api/reports", reportRoutes);
+
+let adminToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  const adminUser = await createTestUser({
+    username: "summaryadmin",
+    email: "summary-admin@example.com",
+    role: "admin",
+  });
+  adminToken = generateTestToken(adminUser);
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+// Fixtures (kỳ báo cáo: tháng 02/2024)
+// - Paracetamol: nhập 100 ngày 10/01, nhập 50 ngày 05/02, chuyển kho 30, hủy 20 ngày 15/02
+// - Amoxicillin: nhập 40 ngày 20/02
+// - Vitamin C: không phát sinh
+const seed = async () => {
+  const [main, sub] = await Warehouse.create([
+    { code: "WH-MAIN", name: "Kho chính" },
+    { code: "WH-SUB", name: "Kho phụ" },
+  ]);
+  const sup = await Supplier.create({
+    code: "SUP001",
+    name: "Công ty Dược A",
+    contactName: "Mr. A",
+    phone: "0123456789",
+    email: "supplier@example.com",
+    address: "Somewhere",
+    taxCode: "1234567890",
+  });
+  const [analgesic, antibiotic] = await Category.create([
+    createCategoryData({ code: "CAT-GD", name: "Giảm đau" }),
+    createCategoryData({ code: "CAT-KS", name: "Kháng sinh" }),
+  ]);
+  const [para, amox] = await Product.create([
+    createProductData({
+      sku: "PARA500",
+      name: "Paracetamol",
+      categoryId: analgesic._id,
+    }),
+    createProductData({
+      sku: "AMOX250",
+      name: "Amoxicillin",
+      categoryId: antibiotic._id,
+    }),
+    createProductData({ sku: "VITC", name: "Vitamin C" }),
+  ]);
+
+  const post = (body) =>
+    request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body)
+      .expect(201);
+  const inbound = (product, quantity, lotNumber, transactionDate) =>
+    post({
+      type: "INBOUND",
+      warehouseId: main._id.toString(),
+      supplierId: sup._id.toString(),
+      transactionDate,
+      details: [
+        {
+          productId: product._id.toString(),
+          quantity,
+          unitPrice: 1000,
+          lotNumber,
+        },
+      ],
+    });
+
+  await inbound(para, 100, "LOT-A", "2024-01-10");
+  await inbound(para, 50, "LOT-B", "2024-02-05");
+  const lotA = await InventoryLot.findOne({ lotNumber: "LOT-A" });
+  const lotB = await InventoryLot.findOne({ lotNumber: "LOT-B" });
+  await post({
+    type: "TRANSFER",
+    sourceWarehouseId: main._id.toString(),
+    destinationWarehouseId: sub._id.toString(),
+    transactionDate: "2024-02-10",
+    details: [{ inventoryLotId: lotA._id.toString(), quantity: 30 }],
+  });
+  await post({
+    type: "ADJUSTMENT",
+    warehouseId: main._id.toString(),
+    reasonCode: "DAMAGED",
+    transactionDate: "2024-02-15",
+    details: [{ inventoryLotId: lotB._id.toString(), quantity: -20 }],
+  });
+  await inbound(amox, 40, "LOT-C", "2024-02-20");
+
+  return { analgesic, antibiotic };
+};
+
+const summary = (query) =>
+  request(app)
+    .get("/api/reports/stock_summary")
+    .query({ startDate: "2024-02-01", endDate: "2024-02-29", ...query })
+    .set("Authorization", `Bearer ${adminToken}`);
+
+describe("GET /api/reports/stock_summary", () => {
+  it("200 | tồn đầu, nhập, xuất, điều chỉnh, tồn cuối theo sản phẩm, sắp theo tên", async () => {
+    await seed();
+
+    const res = await summary().expect(200);
+
+    const { products, totalProducts } = res.body.data;
+    expect(totalProducts).toBe(2);
+    expect(products).toEqual([
+      expect.objectContaining({
+        sku: "AMOX250",
+        productName: "Amoxicillin",
+        openingStock: 0,
+        totalInbound: 40,
+        totalOutbound: 0,
+        totalAdjustment: 0,
+        closingStock: 40,
+      }),
+      // Chuyển kho nội bộ không làm thay đổi tồn của sản phẩm
+      expect.objectContaining({
+        sku: "PARA500",
+        productName: "Paracetamol",
+        openingStock: 100,
+        totalInbound: 50,
+        totalOutbound: 0,
+        totalAdjustment: -20,
+        totalDepartmentReturn: 0,
+        closingStock: 130,
+      }),
+    ]);
+  });
+
+  it("200 | phân trang", async () => {
+    await seed();
+
+    const res = await summary({ page: 2, limit: 1 }).expect(200);
+
+    expect(res.body.data.products.map((p) => p.sku)).toEqual(["PARA500"]);
+    expect(res.body.data.pagination).toEqual({
+      page: 2,
+      limit: 1,
+      total: 2,
+      totalPages: 2,
+    });
+  });
+
+  it("200 | lọc theo danh mục và tìm theo tên/SKU", async () => {
+    const { antibiotic } = await seed();
+
+    const byCategory = await summary({
+      categoryId: antibiotic._id.toString(),
+    }).expect(200);
+    expect(byCategory.body.data.products.map((p) => p.sku)).toEqual([
+      "AMOX250",
+    ]);
+
+    const byName = await summary({ search: "paracet" }).expect(200);
+    expect(byName.body.data.products.map((p) => p.sku)).toEqual(["PARA500"]);
+
+    const bySku = await summary({ search: "amox2" }).expect(200);
+    expect(bySku.body.data.products.map((p) => p.sku)).toEqual(["AMOX250"]);
+
+    const none = await summary({ search: "vitamin" }).expect(200);
+    expect(none.body.data).toMatchObject({ totalProducts: 0, products: [] });
+  });
+
+  it("400 | categoryId không hợp lệ", async () => {
+    await summary({ categoryId: "abc" }).expect(400);
+  });
+});
@@ -0,0 +1,256 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  createTestTokens,
+  createStockFixture,
+  daysFromNow,
+} from "./setup/helpers.js";
+
+import stocktakeRoutes from "../routes/stocktake.route.js";
+import inventoryIssueRoutes from "../routes/inventoryIssue.route.js";
+import {
+  Product,
+  InventoryLot,
+  Transaction,
+  TransactionDetail,
+} from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/stocktakes", stocktakeRoutes);
+app.use("/api/inventory-issues", inventoryIssueRoutes);
+
+// ---- Fixtures: 1 kho, 1 sản phẩm, 2 lô (100 + 40)
+const seedStock = async () => {
+  const {
+    wh,
+    prod,
+    lots: [lotA, lotB],
+  } = await createStockFixture({
+    product: { sku: "SKU001", currentStock: 140 },
+    lots: [
+      {
+        lotNumber: "LOT-A",
+        expiryDate: daysFromNow(90),
+        quantity: 100,
+        unitCost: 1000,
+      },
+      {
+        lotNumber: "LOT-B",
+        expiryDate: daysFromNow(200),
+        quantity: 40,
+        unitCost: 1200,
+      },
+    ],
+  });
+  return { wh, prod, lotA, lotB };
+};
+
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  ({ adminToken, userToken } = await createTestTokens("stocktake"));
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+const openSession = (warehouseId) =>
+  request(app)
+    .post("/api/stocktakes")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send({ warehouseId: warehouseId.toString() });
+
+describe("Stocktake API", () => {
+  it("201 | mở phiên -> đóng băng số sổ sách theo lô", async () => {
+    const { wh } = await seedStock();
+
+    const res = await openSession(wh._id).expect(201);
+
+    expect(res.body.data.status).toBe("counting");
+    expect(res.body.data.code).toMatch(/^KK\d{5}$/);
+    expect(
+      res.body.data.lines.map((l) => [l.lotNumber, l.expectedQty])
+    ).toEqual([
+      ["LOT-A", 100],
+      ["LOT-B", 40],
+    ]);
+  });
+
+  it("409 | không mở 2 phiên cùng lúc cho một kho", async () => {
+    const { wh } = await seedStock();
+    await openSession(wh._id).expect(201);
+    await openSession(wh._id).expect(409);
+  });
+
+  it("200 | nhiều người đếm -> báo cáo chênh lệch -> duyệt ghi ADJUSTMENT", async () => {
+    const { wh, prod, lotA, lotB } = await seedStock();
+    const opened = await openSession(wh._id).expect(201);
+    const id = opened.body.data._id;
+
+    // Hai người đếm hai lô khác nhau
+    await request(app)
+      .put(`/api/stocktakes/${id}/counts`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({
+        counts: [{ inventoryLotId: lotA._id.toString(), countedQty: 97 }],
+      })
+      .expect(200);
+    await request(app)
+      .put(`/api/stocktakes/${id}/counts`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        counts: [{ inventoryLotId: lotB._id.toString(), countedQty: 42 }],
+      })
+      .expect(200);
+
+    const variance = await request(app)
+      .get(`/api/stocktakes/${id}/variance`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(variance.body.data.summary).toMatchObject({
+      totalLines: 2,
+      countedLines: 2,
+      uncountedLines: 0,
+      surplusQty: 2,
+      shortageQty: 3,
+      varianceValue: -3 * 1000 + 2 * 1200,
+    });
+
+    const approved = await request(app)
+      .post(`/api/stocktakes/${id}/approve`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(approved.body.data.status).toBe("approved");
+
+    expect((await InventoryLot.findById(lotA._id)).quantity).toBe(97);
+    expect((await InventoryLot.findById(lotB._id)).quantity).toBe(42);
+    expect((await Product.findById(prod._id)).currentStock).toBe(139);
+
+    const tx = await Transaction.findById(
+      approved.body.data.adjustmentTransactionId
+    ).lean();
+    expect(tx).toMatchObject({
+      type: "ADJUSTMENT",
+      reasonCode: "COUNT_VARIANCE",
+      referenceCode: opened.body.data.code,
+    });
+    const details = await TransactionDetail.find({ transactionId: tx._id })
+      .sort({ quantity: 1 })
+      .lean();
+    expect(details.map((d) => d.quantity)).toEqual([-3, 2]);
+  });
+
+  it("200 | xuất kho trong lúc đếm không bị trừ hai lần khi duyệt", async () => {
+    const { wh, prod, lotA, lotB } = await seedStock();
+    const opened = await openSession(wh._id).expect(201);
+    const id = opened.body.data._id;
+
+    // Xuất 10 từ LOT-A sau khi mở phiên (sổ sách 100 -> 90)
+    await request(app)
+      .post("/api/inventory-issues")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        warehouseId: wh._id.toString(),
+        department: "Khoa Nội",
+        issueDate: new Date().toISOString(),
+        items: [
+          {
+            productId: prod._id.toString(),
+            quantity: 10,
+            unitPrice: 1000,
+            lotAllocations: [
+              { inventoryLotId: lotA._id.toString(), quantity: 10 },
+            ],
+          },
+        ],
+      })
+      .expect(201);
+
+    await request(app)
+      .put(`/api/stocktakes/${id}/counts`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({
+        counts: [
+          { inventoryLotId: lotA._id.toString(), countedQty: 88 },
+          { inventoryLotId: lotB._id.toString(), countedQty: 40 },
+        ],
+      })
+      .expect(200);
+
+    const variance = await request(app)
+      .get(`/api/stocktakes/${id}/variance`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+    expect(variance.body.data.summary).toMatchObject({
+      surplusQty: 0,
+      shortageQty: 2,
+    });
+
+    const approved = await request(app)
+      .post(`/api/stocktakes/${id}/approve`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect((await InventoryLot.findById(lotA._id)).quantity).toBe(88);
+    expect((await InventoryLot.findById(lotB._id)).quantity).toBe(40);
+    const details = await TransactionDetail.find({
+      transactionId: approved.body.data.adjustmentTransactionId,
+    }).lean();
+    expect(details.map((d) => d.quantity)).toEqual([-2]);
+  });
+
+  it("400 | không duyệt khi còn lô chưa đếm", async () => {
+    const { wh, lotA } = await seedStock();
+    const opened = await openSession(wh._id).expect(201);
+    const id = opened.body.data._id;
+
+    await request(app)
+      .put(`/api/stocktakes/${id}/counts`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({
+        counts: [{ inventoryLotId: lotA._id.toString(), countedQty: 100 }],
+      })
+      .expect(200);
+
+    const res = await request(app)
+      .post(`/api/stocktakes/${id}/approve`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(400);
+
+    expect(res.body.message).toMatch(/LOT-B/);
+    expect(await Transaction.countDocuments({ type: "ADJUSTMENT" })).toBe(0);
+  });
+
+  it("403 | user thường không được duyệt", async () => {
+    const { wh } = await seedStock();
+    const opened = await openSession(wh._id).expect(201);
+
+    await request(app)
+      .post(`/api/stocktakes/${opened.body.data._id}/approve`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(403);
+  });
+});
@@ -0,0 +1,247 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import mongoose from "mongoose";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createProductData,
+} from "./setup/helpers.js";
+
+import transactionRoutes from "../routes/transaction.route.js";
+import {
+  Product,
+  Warehouse,
+  InventoryLot,
+  Transaction,
+  TransactionDetail,
+} from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/transactions", transactionRoutes);
+
+// ---- Helpers to create fixtures
+const createWarehouses = () =>
+  Warehouse.insertMany([
+    { code: "WH-MAIN", name: "Kho chính", isActive: true },
+    { code: "WH-ER", name: "Kho cấp cứu", isActive: true },
+  ]);
+
+const createProduct = (overrides = {}) =>
+  Product.create(
+    createProductData({
+      sku: "SKU001",
+      name: "Paracetamol 500mg",
+      unit: "viên",
+      currentStock: 100,
+      ...overrides,
+    })
+  );
+
+const createLot = (product, warehouse, overrides = {}) =>
+  InventoryLot.create({
+    productId: product._id,
+    warehouseId: warehouse._id,
+    lotNumber: "LOT-A",
+    expiryDate: new Date(Date.now() + 90 * 24 * 3600 * 1000),
+    quantity: 100,
+    unitCost: 1500,
+    ...overrides,
+  });
+
+let adminToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  const adminUser = await createTestUser({
+    username: "adjustadmin",
+    email: "adjust-admin@example.com",
+    role: "admin",
+  });
+  adminToken = generateTestToken(adminUser);
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+const postAdjustment = (body) =>
+  request(app)
+    .post("/api/transactions")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send({ type: "ADJUSTMENT", ...body });
+
+describe("ADJUSTMENT Transaction API", () => {
+  it("201 | giảm tồn (DAMAGED) -> cập nhật lô, currentStock và TransactionDetail", async () => {
+    const [main] = await createWarehouses();
+    const prod = await createProduct();
+    const lot = await createLot(prod, main);
+
+    const res = await postAdjustment({
+      warehouseId: main._id.toString(),
+      reasonCode: "DAMAGED",
+      notes: "Vỡ 5 hộp",
+      details: [{ inventoryLotId: lot._id.toString(), quantity: -5 }],
+    }).expect(201);
+
+    expect(res.body.data.transaction.type).toBe("ADJUSTMENT");
+    expect(res.body.data.transaction.reasonCode).toBe("DAMAGED");
+
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(95);
+    expect((await Product.findById(prod._id)).currentStock).toBe(95);
+
+    const details = await TransactionDetail.find({
+      transactionId: res.body.data.transaction._id,
+    }).lean();
+    expect(details).toHaveLength(1);
+    expect(details[0]).toMatchObject({ signed: true, quantity: -5 });
+    expect(details[0].unitPrice).toBe(1500);
+  });
+
+  it("201 | COUNT_VARIANCE cho phép tăng và giảm trong cùng phiếu", async () => {
+    const [main] = await createWarehouses();
+    const prod = await createProduct();
+    const lotA = await createLot(prod, main);
+    const lotB = await createLot(prod, main, {
+      lotNumber: "LOT-B",
+      quantity: 10,
+    });
+
+    await postAdjustment({
+      warehouseId: main._id.toString(),
+      reasonCode: "COUNT_VARIANCE",
+      details: [
+        { inventoryLotId: lotA._id.toString(), quantity: 2 },
+        { inventoryLotId: lotB._id.toString(), quantity: -4 },
+      ],
+    }).expect(201);
+
+    expect((await InventoryLot.findById(lotA._id)).quantity).toBe(102);
+    expect((await InventoryLot.findById(lotB._id)).quantity).toBe(6);
+    expect((await Product.findById(prod._id)).currentStock).toBe(108);
+  });
+
+  it("400 | FOUND với số lượng âm", async () => {
+    const [main] = await createWarehouses();
+    const prod = await createProduct();
+    const lot = await createLot(prod, main);
+
+    const res = await postAdjustment({
+      warehouseId: main._id.toString(),
+      reasonCode: "FOUND",
+      details: [{ inventoryLotId: lot._id.toString(), quantity: -1 }],
+    }).expect(400);
+
+    expect(res.body.message).toMatch(/positive/i);
+    expect(await Transaction.countDocuments({ type: "ADJUSTMENT" })).toBe(0);
+  });
+
+  it("400 | giảm quá số lượng trong lô -> rollback", async () => {
+    const [main] = await createWarehouses();
+    const prod = await createProduct();
+    const lot = await createLot(prod, main, { quantity: 3 });
+
+    const res = await postAdjustment({
+      warehouseId: main._id.toString(),
+      reasonCode: "LOST",
+      details: [{ inventoryLotId: lot._id.toString(), quantity: -4 }],
+    }).expect(400);
+
+    expect(res.body.message).toMatch(/insufficient/i);
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(3);
+  });
+
+  it("400 | lô không thuộc kho điều chỉnh", async () => {
+    const [main, er] = await createWarehouses();
+    const prod = await createProduct();
+    const lot = await createLot(prod, er);
+
+    const res = await postAdjustment({
+      warehouseId: main._id.toString(),
+      reasonCode: "DAMAGED",
+      details: [{ inventoryLotId: lot._id.toString(), quantity: -1 }],
+    }).expect(400);
+
+    expect(res.body.message).toMatch(/adjusted warehouse/i);
+  });
+
+  it("số lượng âm chỉ hợp lệ trên dòng có dấu (ADJUSTMENT)", async () => {
+    const detail = (quantity, signed) =>
+      new TransactionDetail({
+        transactionId: new mongoose.Types.ObjectId(),
+        productId: new mongoose.Types.ObjectId(),
+        signed,
+        quantity,
+        unitPrice: 0,
+      }).validate();
+
+    await expect(detail(-5)).rejects.toThrow(/at least 1/);
+    await expect(detail(0.5)).rejects.toThrow(/at least 1/);
+    await expect(detail(0, true)).rejects.toThrow(/at least 1/);
+    await expect(detail(-5, true)).resolves.toBeUndefined();
+    await expect(detail(5)).resolves.toBeUndefined();
+  });
+
+  it("400 | thiếu reasonCode hoặc quantity = 0", async () => {
+    const [main] = await createWarehouses();
+    const lotId = new mongoose.Types.ObjectId().toString();
+
+    const res = await postAdjustment({
+      warehouseId: main._id.toString(),
+      details: [{ inventoryLotId: lotId, quantity: 0 }],
+    }).expect(400);
+
+    expect(res.body.message).toBe("Validation failed");
+    expect(res.body.errors.details).toHaveLength(2);
+  });
+});
+
+describe("GET /api/transactions (ADJUSTMENT)", () => {
+  it("200 | lọc theo reasonCode, kèm tổng tăng/giảm", async () => {
+    const [main] = await createWarehouses();
+    const prod = await createProduct();
+    const lot = await createLot(prod, main);
+
+    await postAdjustment({
+      warehouseId: main._id.toString(),
+      reasonCode: "EXPIRED_WRITE_OFF",
+      details: [{ inventoryLotId: lot._id.toString(), quantity: -7 }],
+    }).expect(201);
+    await postAdjustment({
+      warehouseId: main._id.toString(),
+      reasonCode: "FOUND",
+      details: [{ inventoryLotId: lot._id.toString(), quantity: 2 }],
+    }).expect(201);
+
+    const list = await request(app)
+      .get("/api/transactions")
+      .query({ type: "ADJUSTMENT", reasonCode: "EXPIRED_WRITE_OFF" })
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(list.body.data.transactions).toHaveLength(1);
+    expect(list.body.data.transactions[0]).toMatchObject({
+      reasonCode: "EXPIRED_WRITE_OFF",
+      lotNumbers: ["LOT-A"],
+      increase: 0,
+      decrease: 7,
+    });
+  });
+});
@@ -25,6 +25,7 @@ import {
   InventoryLot,
   Transaction,
   TransactionDetail,
+  StockReservation,
 } from "../models/index.js";
 
 // ---- Setup Express test app
@@ -879,3 +880,150 @@ describe("INBOUND Transaction API - Additional Test Cases", () => {
     expect([201, 403]).toContain(res.status);
   });
 });
+
+describe("POST /api/transactions/:id/cancel (INBOUND)", () => {
+  // Nhập 100 vào lô LOT-C và trả về { tx, lot, prod }
+  const receive = async () => {
+    const [wh, sup, prod] = await Promise.all([
+      createWarehouse(),
+      createSupplier(),
+      createProduct(),
+    ]);
+    const res = await request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        type: "INBOUND",
+        warehouseId: wh._id.toString(),
+        supplierId: sup._id.toString(),
+        details: [
+          {
+            productId: prod._id.toString(),
+            quantity: 100,
+            unitPrice: 1000,
+            lotNumber: "LOT-C",
+            expiryDate: new Date(Date.now() + 200 * 24 * 3600 * 1000),
+          },
+        ],
+      })
+      .expect(201);
+    const lot = await InventoryLot.findOne({ lotNumber: "LOT-C" });
+    return { tx: res.body.data.transaction, lot, prod };
+  };
+
+  const cancel = (id, body) =>
+    request(app)
+      .post(`/api/transactions/${id}/cancel`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body);
+
+  it("200 | hủy toàn bộ khi lô chưa xuất, ghi người hủy và lý do", async () => {
+    const { tx, lot, prod } = await receive();
+
+    const res = await cancel(tx._id, {
+      reason: "Nhập nhầm nhà cung cấp",
+    }).expect(200);
+
+    expect(res.body.data.replacement).toBeNull();
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(0);
+    expect((await Product.findById(prod._id)).currentStock).toBe(0);
+
+    const saved = await Transaction.findById(tx._id).lean();
+    expect(saved.status).toBe("CANCELED");
+    expect(saved.cancelReason).toBe("Nhập nhầm nhà cung cấp");
+    expect(String(saved.cancelledBy)).toBe(String(adminUser._id));
+    expect(saved.cancelledAt).toBeInstanceOf(Date);
+  });
+
+  it("409 | lô đã xuất một phần -> từ chối, không thay đổi tồn", async () => {
+    const { tx, lot } = await receive();
+    await InventoryLot.updateOne({ _id: lot._id }, { $set: { quantity: 60 } });
+
+    const res = await cancel(tx._id, { reason: "Sai số lượng" }).expect(409);
+
+    expect(res.body.message).toMatch(/LOT-C/);
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(60);
+    expect((await Transaction.findById(tx._id)).status).toBe("COMPLETED");
+  });
+
+  it("200 | allowPartial -> hoàn phần còn lại, tạo phiếu thay thế cho phần đã xuất", async () => {
+    const { tx, lot, prod } = await receive();
+    await InventoryLot.updateOne({ _id: lot._id }, { $set: { quantity: 60 } });
+
+    const res = await cancel(tx._id, {
+      reason: "Trả lại phần chưa dùng",
+      allowPartial: true,
+    }).expect(200);
+
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(0);
+    expect((await Product.findById(prod._id)).currentStock).toBe(0);
+    expect(res.body.data.reversed[0].quantity).toBe(60);
+
+    const replacement = await Transaction.findById(
+      res.body.data.replacement._id
+    ).lean();
+    expect(replacement).toMatchObject({ type: "INBOUND", status: "COMPLETED" });
+    expect(String(replacement.relatedTransactionId)).toBe(String(tx._id));
+
+    const details = await TransactionDetail.find({
+      transactionId: replacement._id,
+    }).lean();
+    expect(details.map((d) => d.quantity)).toEqual([40]);
+  });
+
+  it("409 | phần đang giữ hàng cho phiếu khác không được hoàn; allowPartial chỉ hoàn phần trống", async () => {
+    const { tx, lot } = await receive();
+    await StockReservation.create({
+      inventoryLotId: lot._id,
+      productId: lot.productId,
+      warehouseId: lot.warehouseId,
+      quantity: 30,
+      sourceType: "InventoryIssue",
+      sourceId: new mongoose.Types.ObjectId(),
+      expiresAt: new Date(Date.now() + 24 * 3600 * 1000),
+    });
+
+    const res = await cancel(tx._id, { reason: "Nhập nhầm" }).expect(409);
+    expect(res.body.message).toMatch(
+      /LOT-C \(received 100, not reversible 30\)/
+    );
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(100);
+
+    const partial = await cancel(tx._id, {
+      reason: "Nhập nhầm",
+      allowPartial: true,
+    }).expect(200);
+    expect(partial.body.data.reversed[0].quantity).toBe(70);
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(30);
+  });
+
+  it("409 | lô không còn available (biệt trữ) -> không hoàn", async () => {
+    const { tx, lot } = await receive();
+    await InventoryLot.updateOne(
+      { _id: lot._id },
+      { $set: { status: "quarantined" } }
+    );
+
+    await cancel(tx._id, { reason: "Nhập nhầm" }).expect(409);
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(100);
+  });
+
+  it("400 | không hủy lại phiếu đã hủy / thiếu lý do", async () => {
+    const { tx } = await receive();
+
+    await cancel(tx._id, {}).expect(400);
+    await cancel(tx._id, { reason: "Lần 1" }).expect(200);
+    const res = await cancel(tx._id, { reason: "Lần 2" }).expect(400);
+    expect(res.body.message).toMatch(/CANCELED/);
+  });
+
+  it("403 | user thường không được hủy phiếu", async () => {
+    const { tx } = await receive();
+
+    await request(app)
+      .post(`/api/transactions/${tx._id}/cancel`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .send({ reason: "x" })
+      .expect(403);
+  });
+});
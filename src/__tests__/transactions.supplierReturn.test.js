@@ -0,0 +1,266 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createProductData,
+} from "./setup/helpers.js";
+
+import transactionRoutes from "../routes/transaction.route.js";
+import reportRoutes from "../routes/report.route.js";
+import {
+  Product,
+  Warehouse,
+  Supplier,
+  InventoryLot,
+  Transaction,
+  TransactionDetail,
+} from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/transactions", transactionRoutes);
+app.use("/api/reports", reportRoutes);
+
+let adminToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  const adminUser = await createTestUser({
+    username: "returnadmin",
+    email: "return-admin@example.com",
+    role: "admin",
+  });
+  adminToken = generateTestToken(adminUser);
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+// Nhập 100 (LOT-A, 1000đ) + 50 (LOT-B, 2000đ) từ một nhà cung cấp
+const receive = async () => {
+  const wh = await Warehouse.create({ code: "WH-MAIN", name: "Kho chính" });
+  const sup = await Supplier.create({
+    code: "SUP001",
+    name: "Công ty Dược A",
+    contactName: "Mr. A",
+    phone: "0123456789",
+    email: "supplier@example.com",
+    address: "Somewhere",
+    taxCode: "1234567890",
+    status: "active",
+  });
+  const prod = await Product.create(createProductData({ sku: "SKU001" }));
+
+  const res = await request(app)
+    .post("/api/transactions")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send({
+      type: "INBOUND",
+      warehouseId: wh._id.toString(),
+      supplierId: sup._id.toString(),
+      details: [
+        {
+          productId: prod._id.toString(),
+          quantity: 100,
+          unitPrice: 1000,
+          lotNumber: "LOT-A",
+        },
+        {
+          productId: prod._id.toString(),
+          quantity: 50,
+          unitPrice: 2000,
+          lotNumber: "LOT-B",
+        },
+      ],
+    })
+    .expect(201);
+
+  const lotA = await InventoryLot.findOne({ lotNumber: "LOT-A" });
+  const lotB = await InventoryLot.findOne({ lotNumber: "LOT-B" });
+  return { wh, sup, prod, lotA, lotB, inbound: res.body.data.transaction };
+};
+
+const postReturn = (body) =>
+  request(app)
+    .post("/api/transactions")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send({ type: "SUPPLIER_RETURN", returnReason: "EXPIRED", ...body });
+
+describe("SUPPLIER_RETURN Transaction API", () => {
+  it("201 | trả lô cho nhà cung cấp -> trừ lô, ghi credit note theo giá nhập", async () => {
+    const { sup, prod, lotA, lotB, inbound } = await receive();
+
+    const res = await postReturn({
+      inboundTransactionId: inbound._id,
+      returnReason: "RECALLED",
+      creditNoteNumber: "CN-0001",
+      details: [
+        { inventoryLotId: lotA._id.toString(), quantity: 20 },
+        { inventoryLotId: lotB._id.toString(), quantity: 5, unitPrice: 1800 },
+      ],
+    }).expect(201);
+
+    const tx = res.body.data.transaction;
+    expect(tx).toMatchObject({
+      type: "SUPPLIER_RETURN",
+      status: "COMPLETED",
+      returnReason: "RECALLED",
+      creditNoteNumber: "CN-0001",
+      creditNoteAmount: 20 * 1000 + 5 * 1800,
+      relatedTransactionId: inbound._id,
+    });
+    expect(String(tx.supplierId)).toBe(String(sup._id));
+    expect(tx.departmentId).toBeUndefined();
+
+    expect((await InventoryLot.findById(lotA._id)).quantity).toBe(80);
+    expect((await InventoryLot.findById(lotB._id)).quantity).toBe(45);
+    expect((await Product.findById(prod._id)).currentStock).toBe(125);
+    expect(
+      await TransactionDetail.countDocuments({ transactionId: tx._id })
+    ).toBe(2);
+  });
+
+  it("400 | không trả vượt số đã nhập trừ số đã trả trước đó", async () => {
+    const { lotA, inbound } = await receive();
+
+    await postReturn({
+      inboundTransactionId: inbound._id,
+      details: [{ inventoryLotId: lotA._id.toString(), quantity: 70 }],
+    }).expect(201);
+
+    const res = await postReturn({
+      inboundTransactionId: inbound._id,
+      details: [{ inventoryLotId: lotA._id.toString(), quantity: 31 }],
+    }).expect(400);
+    expect(res.body.message).toMatch(/Returnable: 30/);
+    expect((await InventoryLot.findById(lotA._id)).quantity).toBe(30);
+  });
+
+  it("400 | lô không thuộc phiếu nhập gốc", async () => {
+    const { wh, prod, inbound } = await receive();
+    const other = await InventoryLot.create({
+      productId: prod._id,
+      warehouseId: wh._id,
+      lotNumber: "LOT-X",
+      quantity: 10,
+      unitCost: 1000,
+    });
+
+    await postReturn({
+      inboundTransactionId: inbound._id,
+      details: [{ inventoryLotId: other._id.toString(), quantity: 1 }],
+    }).expect(400);
+    expect(await Transaction.countDocuments({ type: "SUPPLIER_RETURN" })).toBe(
+      0
+    );
+  });
+
+  it("409 | không hủy được phiếu nhập đã có phiếu trả hàng", async () => {
+    const { lotA, inbound } = await receive();
+    await postReturn({
+      inboundTransactionId: inbound._id,
+      details: [{ inventoryLotId: lotA._id.toString(), quantity: 10 }],
+    }).expect(201);
+
+    await request(app)
+      .post(`/api/transactions/${inbound._id}/cancel`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ reason: "Nhập nhầm" })
+      .expect(409);
+  });
+
+  it("200 | danh sách và chi tiết phiếu trả hàng", async () => {
+    const { sup, lotA, inbound } = await receive();
+    const created = await postReturn({
+      inboundTransactionId: inbound._id,
+      creditNoteNumber: "CN-0002",
+      details: [{ inventoryLotId: lotA._id.toString(), quantity: 10 }],
+    }).expect(201);
+
+    const list = await request(app)
+      .get("/api/transactions")
+      .query({ type: "SUPPLIER_RETURN", supplierId: sup._id.toString() })
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+    expect(list.body.data.transactions).toHaveLength(1);
+    expect(list.body.data.transactions[0].lotNumbers).toEqual(["LOT-A"]);
+
+    const detail = await request(app)
+      .get(`/api/transactions/${created.body.data.transaction._id}`)
+      .query({ type: "SUPPLIER_RETURN" })
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+    expect(detail.body.data.header.supplierId.name).toBe("Công ty Dược A");
+    expect(String(detail.body.data.header.relatedTransactionId._id)).toBe(
+      String(inbound._id)
+    );
+  });
+});
+
+describe("Supplier report with credit notes", () => {
+  it("200 | giá trị nhập thuần = nhập - credit note", async () => {
+    const { sup, lotA, inbound } = await receive();
+    await postReturn({
+      inboundTransactionId: inbound._id,
+      details: [{ inventoryLotId: lotA._id.toString(), quantity: 10 }],
+    }).expect(201);
+
+    const res = await request(app)
+      .get("/api/reports/suppliers")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(res.body.data.suppliers).toHaveLength(1);
+    expect(res.body.data.suppliers[0]).toMatchObject({
+      supplierCode: "SUP001",
+      inboundCount: 1,
+      inboundQuantity: 150,
+      inboundValue: 200000,
+      returnCount: 1,
+      returnedQuantity: 10,
+      creditNoteAmount: 10000,
+      netPurchaseValue: 190000,
+    });
+    expect(String(res.body.data.suppliers[0].supplierId)).toBe(String(sup._id));
+  });
+
+  it("200 | xuất-nhập-tồn tính hàng trả nhà cung cấp vào cột xuất", async () => {
+    const { lotA, inbound } = await receive();
+    await postReturn({
+      inboundTransactionId: inbound._id,
+      details: [{ inventoryLotId: lotA._id.toString(), quantity: 10 }],
+    }).expect(201);
+
+    const today = new Date().toISOString().slice(0, 10);
+    const res = await request(app)
+      .get("/api/reports/stock_summary")
+      .query({ startDate: today, endDate: today })
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(res.body.data.products[0]).toMatchObject({
+      totalInbound: 150,
+      totalOutbound: 10,
+      closingStock: 140,
+    });
+  });
+});
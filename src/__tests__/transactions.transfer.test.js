@@ -0,0 +1,380 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import mongoose from "mongoose";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createProductData,
+} from "./setup/helpers.js";
+
+import transactionRoutes from "../routes/transaction.route.js";
+import {
+  Product,
+  Warehouse,
+  InventoryLot,
+  Transaction,
+  TransactionDetail,
+} from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/transactions", transactionRoutes);
+
+// ---- Helpers to create fixtures
+const createWarehouses = () =>
+  Warehouse.insertMany([
+    { code: "WH-MAIN", name: "Kho chính", isActive: true },
+    { code: "WH-ER", name: "Kho cấp cứu", isActive: true },
+  ]);
+
+const createProduct = (overrides = {}) =>
+  Product.create(
+    createProductData({
+      sku: "SKU001",
+      name: "Paracetamol 500mg",
+      unit: "viên",
+      currentStock: 150,
+      ...overrides,
+    })
+  );
+
+const createLot = (product, warehouse, overrides = {}) =>
+  InventoryLot.create({
+    productId: product._id,
+    warehouseId: warehouse._id,
+    lotNumber: "LOT-A",
+    expiryDate: new Date(Date.now() + 90 * 24 * 3600 * 1000),
+    quantity: 100,
+    unitCost: 1500,
+    ...overrides,
+  });
+
+let adminToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  const adminUser = await createTestUser({
+    username: "transferadmin",
+    email: "transfer-admin@example.com",
+    role: "admin",
+  });
+  adminToken = generateTestToken(adminUser);
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+describe("TRANSFER Transaction API", () => {
+  it("201 | chuyển theo lô cụ thể, giữ lotNumber/expiryDate/unitCost", async () => {
+    const [main, er] = await createWarehouses();
+    const prod = await createProduct();
+    const lot = await createLot(prod, main);
+
+    const res = await request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        type: "TRANSFER",
+        sourceWarehouseId: main._id.toString(),
+        destinationWarehouseId: er._id.toString(),
+        details: [{ inventoryLotId: lot._id.toString(), quantity: 30 }],
+      })
+      .expect(201);
+
+    expect(res.body.data.transaction.type).toBe("TRANSFER");
+    expect(res.body.data.transaction.status).toBe("COMPLETED");
+
+    const srcLot = await InventoryLot.findById(lot._id).lean();
+    expect(srcLot.quantity).toBe(70);
+
+    const destLot = await InventoryLot.findOne({
+      productId: prod._id,
+      warehouseId: er._id,
+    }).lean();
+    expect(destLot.lotNumber).toBe("LOT-A");
+    expect(destLot.quantity).toBe(30);
+    expect(destLot.unitCost).toBe(1500);
+    expect(destLot.expiryDate.getTime()).toBe(lot.expiryDate.getTime());
+
+    const details = await TransactionDetail.find({
+      transactionId: res.body.data.transaction._id,
+    }).lean();
+    expect(details).toHaveLength(1);
+    expect(String(details[0].inventoryLotId)).toBe(String(lot._id));
+    expect(String(details[0].destinationInventoryLotId)).toBe(
+      String(destLot._id)
+    );
+
+    // Tổng tồn của sản phẩm không đổi khi chuyển kho
+    const product = await Product.findById(prod._id).lean();
+    expect(product.currentStock).toBe(150);
+  });
+
+  it("201 | chỉ truyền productId -> tự chọn lô theo FEFO", async () => {
+    const [main, er] = await createWarehouses();
+    const prod = await createProduct();
+    const soon = await createLot(prod, main, {
+      lotNumber: "LOT-SOON",
+      quantity: 20,
+      expiryDate: new Date(Date.now() + 10 * 24 * 3600 * 1000),
+    });
+    const late = await createLot(prod, main, {
+      lotNumber: "LOT-LATE",
+      quantity: 50,
+      expiryDate: new Date(Date.now() + 300 * 24 * 3600 * 1000),
+    });
+
+    await request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        type: "TRANSFER",
+        sourceWarehouseId: main._id.toString(),
+        destinationWarehouseId: er._id.toString(),
+        details: [{ productId: prod._id.toString(), quantity: 30 }],
+      })
+      .expect(201);
+
+    expect((await InventoryLot.findById(soon._id)).quantity).toBe(0);
+    expect((await InventoryLot.findById(late._id)).quantity).toBe(40);
+
+    const destLots = await InventoryLot.find({ warehouseId: er._id })
+      .sort({ lotNumber: 1 })
+      .lean();
+    expect(destLots.map((l) => [l.lotNumber, l.quantity])).toEqual([
+      ["LOT-LATE", 10],
+      ["LOT-SOON", 20],
+    ]);
+  });
+
+  it("400 | không đủ số lượng trong lô -> rollback toàn bộ", async () => {
+    const [main, er] = await createWarehouses();
+    const prod = await createProduct();
+    const lot = await createLot(prod, main, { quantity: 10 });
+
+    const res = await request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        type: "TRANSFER",
+        sourceWarehouseId: main._id.toString(),
+        destinationWarehouseId: er._id.toString(),
+        details: [{ inventoryLotId: lot._id.toString(), quantity: 11 }],
+      })
+      .expect(400);
+
+    expect(res.body.message).toMatch(/insufficient/i);
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(10);
+    expect(await Transaction.countDocuments({ type: "TRANSFER" })).toBe(0);
+  });
+
+  it("400 | lô cùng số lô ở kho nhận khác trạng thái -> không gộp", async () => {
+    const [main, er] = await createWarehouses();
+    const prod = await createProduct();
+    const lot = await createLot(prod, main);
+    const held = await createLot(prod, er, {
+      quantity: 5,
+      status: "quarantined",
+      statusReason: "Chờ kiểm nghiệm",
+    });
+
+    const res = await request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        type: "TRANSFER",
+        sourceWarehouseId: main._id.toString(),
+        destinationWarehouseId: er._id.toString(),
+        details: [{ inventoryLotId: lot._id.toString(), quantity: 30 }],
+      })
+      .expect(400);
+
+    expect(res.body.message).toMatch(/cannot merge/);
+    const destLot = await InventoryLot.findById(held._id).lean();
+    expect(destLot).toMatchObject({ quantity: 5, status: "quarantined" });
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(100);
+  });
+
+  it("201 | lô cùng số lô, cùng hạn dùng ở kho nhận -> gộp, bình quân giá vốn", async () => {
+    const [main, er] = await createWarehouses();
+    const prod = await createProduct();
+    const lot = await createLot(prod, main);
+    const existing = await createLot(prod, er, {
+      expiryDate: lot.expiryDate,
+      quantity: 10,
+      unitCost: 3000,
+    });
+
+    await request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        type: "TRANSFER",
+        sourceWarehouseId: main._id.toString(),
+        destinationWarehouseId: er._id.toString(),
+        details: [{ inventoryLotId: lot._id.toString(), quantity: 30 }],
+      })
+      .expect(201);
+
+    const destLot = await InventoryLot.findById(existing._id).lean();
+    expect(destLot).toMatchObject({ quantity: 40, unitCost: 1875 });
+    expect(await InventoryLot.countDocuments({ warehouseId: er._id })).toBe(1);
+  });
+
+  it("400 | lô cùng số lô ở kho nhận khác hạn dùng -> không gộp", async () => {
+    const [main, er] = await createWarehouses();
+    const prod = await createProduct();
+    const lot = await createLot(prod, main);
+    const other = await createLot(prod, er, {
+      expiryDate: new Date(lot.expiryDate.getTime() + 30 * 24 * 3600 * 1000),
+      quantity: 5,
+    });
+
+    const res = await request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        type: "TRANSFER",
+        sourceWarehouseId: main._id.toString(),
+        destinationWarehouseId: er._id.toString(),
+        details: [{ inventoryLotId: lot._id.toString(), quantity: 30 }],
+      })
+      .expect(400);
+
+    expect(res.body.message).toMatch(/different expiry date/);
+    expect((await InventoryLot.findById(other._id)).quantity).toBe(5);
+    expect((await InventoryLot.findById(lot._id)).quantity).toBe(100);
+    expect(await Transaction.countDocuments({ type: "TRANSFER" })).toBe(0);
+  });
+
+  it("400 | lô tạm giữ chỉ được chuyển vào kho biệt trữ", async () => {
+    const [main, er] = await createWarehouses();
+    const quarantine = await Warehouse.create({
+      code: "WH-QUA",
+      name: "Kho biệt trữ",
+      isQuarantine: true,
+    });
+    const prod = await createProduct();
+    const lot = await createLot(prod, main, { status: "quarantined" });
+
+    const transfer = (destination) =>
+      request(app)
+        .post("/api/transactions")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({
+          type: "TRANSFER",
+          sourceWarehouseId: main._id.toString(),
+          destinationWarehouseId: destination._id.toString(),
+          details: [{ inventoryLotId: lot._id.toString(), quantity: 30 }],
+        });
+
+    const res = await transfer(er).expect(400);
+    expect(res.body.message).toMatch(/quarantine warehouse/);
+
+    await transfer(quarantine).expect(201);
+    const destLot = await InventoryLot.findOne({
+      warehouseId: quarantine._id,
+    }).lean();
+    expect(destLot).toMatchObject({ quantity: 30, status: "quarantined" });
+  });
+
+  it("400 | lô không thuộc kho nguồn", async () => {
+    const [main, er] = await createWarehouses();
+    const prod = await createProduct();
+    const lot = await createLot(prod, er);
+
+    const res = await request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        type: "TRANSFER",
+        sourceWarehouseId: main._id.toString(),
+        destinationWarehouseId: er._id.toString(),
+        details: [{ inventoryLotId: lot._id.toString(), quantity: 1 }],
+      })
+      .expect(400);
+
+    expect(res.body.message).toMatch(/source warehouse/i);
+  });
+
+  it("400 | kho nguồn trùng kho đích", async () => {
+    const [main] = await createWarehouses();
+
+    const res = await request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        type: "TRANSFER",
+        sourceWarehouseId: main._id.toString(),
+        destinationWarehouseId: main._id.toString(),
+        details: [
+          { productId: new mongoose.Types.ObjectId().toString(), quantity: 1 },
+        ],
+      })
+      .expect(400);
+
+    expect(res.body.message).toBe("Validation failed");
+  });
+});
+
+describe("GET /api/transactions (TRANSFER)", () => {
+  it("200 | list + detail với lô nguồn và lô đích", async () => {
+    const [main, er] = await createWarehouses();
+    const prod = await createProduct();
+    const lot = await createLot(prod, main);
+
+    const created = await request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({
+        type: "TRANSFER",
+        sourceWarehouseId: main._id.toString(),
+        destinationWarehouseId: er._id.toString(),
+        details: [{ inventoryLotId: lot._id.toString(), quantity: 5 }],
+      })
+      .expect(201);
+
+    const list = await request(app)
+      .get("/api/transactions")
+      .query({ type: "TRANSFER", warehouseId: er._id.toString() })
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(list.body.data.transactions).toHaveLength(1);
+    expect(list.body.data.transactions[0].lotNumbers).toEqual(["LOT-A"]);
+    expect(list.body.data.transactions[0].destinationWarehouseId.code).toBe(
+      "WH-ER"
+    );
+
+    const txId = created.body.data.transaction._id;
+    const detail = await request(app)
+      .get(`/api/transactions/${txId}`)
+      .query({ type: "TRANSFER" })
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(detail.body.data.header.sourceWarehouseId.code).toBe("WH-MAIN");
+    expect(detail.body.data.details[0].inventoryLotId.lotNumber).toBe("LOT-A");
+    expect(
+      String(detail.body.data.details[0].destinationInventoryLotId.warehouseId)
+    ).toBe(er._id.toString());
+  });
+});
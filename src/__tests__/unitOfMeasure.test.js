@@ -0,0 +1,282 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import { createTestTokens, createStockFixture } from "./setup/helpers.js";
+
+import unitOfMeasureRoutes from "../routes/unitOfMeasure.route.js";
+import productRoutes from "../routes/product.route.js";
+import transactionRoutes from "../routes/transaction.route.js";
+import inventoryIssueRoutes from "../routes/inventoryIssue.route.js";
+import reportRoutes from "../routes/report.route.js";
+import { Supplier, InventoryLot, TransactionDetail } from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/units", unitOfMeasureRoutes);
+app.use("/api/products", productRoutes);
+app.use("/api/transactions", transactionRoutes);
+app.use("/api/inventory-issues", inventoryIssueRoutes);
+app.use("/api/reports", reportRoutes);
+
+let adminToken;
+let userToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  ({ adminToken, userToken } = await createTestTokens("uom"));
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+const createUnit = (body, token = adminToken) =>
+  request(app)
+    .post("/api/units")
+    .set("Authorization", `Bearer ${token}`)
+    .send(body);
+
+// ---- Fixtures: Paracetamol (viên), 1 vỉ = 10 viên, 1 hộp = 100 viên
+const seed = async () => {
+  const { wh, prod } = await createStockFixture({
+    product: { sku: "PARA500", name: "Paracetamol", unit: "viên" },
+    lots: [],
+  });
+  const sup = await Supplier.create({
+    code: "SUP001",
+    name: "Công ty Dược A",
+    contactName: "Mr. A",
+    phone: "0123456789",
+    email: "supplier@example.com",
+    address: "Somewhere",
+    taxCode: "1234567890",
+  });
+  const box = (await createUnit({ code: "hop", name: "hộp" }).expect(201)).body
+    .data;
+  const blister = (await createUnit({ code: "VI", name: "vỉ" }).expect(201))
+    .body.data;
+
+  await request(app)
+    .put(`/api/products/${prod._id}/unit-conversions`)
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send({
+      conversions: [
+        { unitId: blister._id, factor: 10 },
+        { unitId: box._id, factor: 100 },
+      ],
+    })
+    .expect(200);
+
+  return { wh, sup, prod, box, blister };
+};
+
+const inbound = (wh, sup, details) =>
+  request(app)
+    .post("/api/transactions")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send({
+      type: "INBOUND",
+      warehouseId: wh._id.toString(),
+      supplierId: sup._id.toString(),
+      transactionDate: new Date().toISOString(),
+      details,
+    });
+
+const createIssue = (wh, items) =>
+  request(app)
+    .post("/api/inventory-issues")
+    .set("Authorization", `Bearer ${adminToken}`)
+    .send({
+      warehouseId: wh._id.toString(),
+      department: "Khoa Nội",
+      issueDate: new Date().toISOString(),
+      items,
+    });
+
+describe("Đơn vị tính và quy cách sản phẩm", () => {
+  it("201 | mã đơn vị viết hoa; 409 khi trùng mã; 403 với user thường", async () => {
+    const res = await createUnit({ code: "hop", name: "hộp" }).expect(201);
+    expect(res.body.data.code).toBe("HOP");
+
+    await createUnit({ code: "HOP", name: "hộp giấy" }).expect(409);
+    await createUnit({ code: "VI", name: "vỉ" }, userToken).expect(403);
+  });
+
+  it("200 | quy cách sản phẩm trả về đơn vị lớn trước", async () => {
+    const { prod } = await seed();
+
+    const res = await request(app)
+      .get(`/api/products/${prod._id}/unit-conversions`)
+      .set("Authorization", `Bearer ${userToken}`)
+      .expect(200);
+
+    expect(res.body.data.baseUnit).toBe("viên");
+    expect(
+      res.body.data.conversions.map((c) => [c.unitCode, c.factor])
+    ).toEqual([
+      ["HOP", 100],
+      ["VI", 10],
+    ]);
+  });
+
+  it("400 | quy cách tham chiếu đơn vị đã ngừng dùng", async () => {
+    const { prod, box } = await seed();
+    await request(app)
+      .put(`/api/units/${box._id}`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ isActive: false })
+      .expect(200);
+
+    await request(app)
+      .put(`/api/products/${prod._id}/unit-conversions`)
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send({ conversions: [{ unitId: box._id, factor: 100 }] })
+      .expect(400);
+  });
+});
+
+describe("Nhập/xuất theo đơn vị quy đổi", () => {
+  it("201 | nhập 3 hộp: lô lưu 300 viên, giá vốn theo viên, chứng từ giữ số hộp", async () => {
+    const { wh, sup, prod, box } = await seed();
+
+    await inbound(wh, sup, [
+      {
+        productId: prod._id.toString(),
+        unitId: box._id,
+        quantity: 3,
+        unitPrice: 150000,
+        lotNumber: "LOT-BOX",
+      },
+    ]).expect(201);
+
+    const lot = await InventoryLot.findOne({ lotNumber: "LOT-BOX" }).lean();
+    expect(lot.quantity).toBe(300);
+    expect(lot.unitCost).toBe(1500);
+
+    const detail = await TransactionDetail.findOne({
+      inventoryLotId: lot._id,
+    }).lean();
+    expect(detail.quantity).toBe(300);
+    expect(detail.unitPrice).toBe(1500);
+    expect(detail.uom).toEqual(
+      expect.objectContaining({
+        unitName: "hộp",
+        factor: 100,
+        quantity: 3,
+        unitPrice: 150000,
+      })
+    );
+  });
+
+  it("201 | xuất 1 hộp (FEFO) và 2 vỉ chọn lô, trừ tồn theo viên", async () => {
+    const { wh, sup, prod, box, blister } = await seed();
+    await inbound(wh, sup, [
+      {
+        productId: prod._id.toString(),
+        unitId: box._id,
+        quantity: 3,
+        unitPrice: 150000,
+        lotNumber: "LOT-BOX",
+      },
+    ]).expect(201);
+    const lot = await InventoryLot.findOne({ lotNumber: "LOT-BOX" });
+
+    const res = await createIssue(wh, [
+      {
+        productId: prod._id.toString(),
+        unitId: box._id,
+        quantity: 1,
+        unitPrice: 150000,
+      },
+      {
+        productId: prod._id.toString(),
+        unitId: blister._id,
+        quantity: 2,
+        unitPrice: 15000,
+        lotAllocations: [{ inventoryLotId: lot._id.toString(), quantity: 2 }],
+      },
+    ]).expect(201);
+
+    const [boxLine, blisterLine] = res.body.data.details;
+    expect(boxLine.totalQuantity).toBe(100);
+    expect(boxLine.uom).toEqual(
+      expect.objectContaining({ unitName: "hộp", factor: 100, quantity: 1 })
+    );
+    expect(blisterLine.totalQuantity).toBe(20);
+    expect(blisterLine.lotAllocations[0].quantity).toBe(20);
+    expect(blisterLine.uom).toEqual(
+      expect.objectContaining({ unitName: "vỉ", factor: 10, quantity: 2 })
+    );
+
+    const after = await InventoryLot.findById(lot._id).lean();
+    expect(after.quantity).toBe(180);
+  });
+
+  it("400 | đơn vị chưa khai báo quy đổi cho sản phẩm", async () => {
+    const { wh, sup, prod } = await seed();
+    const carton = (
+      await createUnit({ code: "THUNG", name: "thùng" }).expect(201)
+    ).body.data;
+
+    const res = await inbound(wh, sup, [
+      {
+        productId: prod._id.toString(),
+        unitId: carton._id,
+        quantity: 1,
+        unitPrice: 1000000,
+        lotNumber: "LOT-X",
+      },
+    ]).expect(400);
+
+    expect(res.body.message).toMatch(/chưa khai báo quy đổi/);
+    expect(await InventoryLot.countDocuments()).toBe(0);
+  });
+});
+
+describe("Báo cáo hiển thị theo quy cách", () => {
+  it("200 | tồn cuối kèm diễn giải hộp/vỉ/viên", async () => {
+    const { wh, sup, prod } = await seed();
+    await inbound(wh, sup, [
+      {
+        productId: prod._id.toString(),
+        quantity: 125,
+        unitPrice: 1500,
+        lotNumber: "LOT-A",
+      },
+    ]).expect(201);
+
+    const res = await request(app)
+      .get("/api/reports/stock_summary")
+      .query({
+        startDate: new Date(Date.now() - 24 * 3600 * 1000).toISOString(),
+        endDate: new Date(Date.now() + 24 * 3600 * 1000).toISOString(),
+      })
+      .set("Authorization", `Bearer ${adminToken}`)
+      .expect(200);
+
+    expect(res.body.data.products).toEqual([
+      expect.objectContaining({
+        sku: "PARA500",
+        closingStock: 125,
+        closingStockPackaging: "1 hộp 2 vỉ 5 viên",
+      }),
+    ]);
+    expect(res.body.data.products[0].unitConversions).toBeUndefined();
+  });
+});
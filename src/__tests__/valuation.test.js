@@ -0,0 +1,194 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createProductData,
+} from "./setup/helpers.js";
+
+import transactionRoutes from "../routes/transaction.route.js";
+import reportRoutes from "../routes/report.route.js";
+import {
+  Product,
+  Supplier,
+  Warehouse,
+  Category,
+  InventoryLot,
+} from "../models/index.js";
+
+// ---- Setup Express test app
+const app = express();
+app.use(express.json());
+app.use("/api/transactions", transactionRoutes);
+app.use("/api/reports", reportRoutes);
+
+let adminToken;
+
+beforeAll(async () => {
+  process.env.JWT_SECRET = "test-secret";
+  await connect();
+
+  const adminUser = await createTestUser({
+    username: "valadmin",
+    email: "val-admin@example.com",
+    role: "admin",
+  });
+  adminToken = generateTestToken(adminUser);
+});
+
+afterAll(async () => {
+  await closeDatabase();
+});
+
+afterEach(async () => {
+  await clearDatabase();
+});
+
+// Fixtures: 2 kho, 1 nhóm, 1 sản phẩm
+// - 10/01/2024: nhập kho chính 100 @1.000 (LOT-A)
+// - 10/02/2024: nhập kho phụ 50 @2.000 (LOT-B)
+// - 15/02/2024: hủy 40 của LOT-A
+const seed = async () => {
+  const [main, sub] = await Warehouse.create([
+    { code: "WH-MAIN", name: "Kho chính" },
+    { code: "WH-SUB", name: "Kho phụ" },
+  ]);
+  const sup = await Supplier.create({
+    code: "SUP001",
+    name: "Công ty Dược A",
+    contactName: "Mr. A",
+    phone: "0123456789",
+    email: "supplier@example.com",
+    address: "Somewhere",
+    taxCode: "1234567890",
+  });
+  const category = await Category.create({
+    code: "CAT-GD",
+    name: "Giảm đau",
+  });
+  const prod = await Product.create(
+    createProductData({ sku: "SKU001", categoryId: category._id })
+  );
+
+  const post = (body) =>
+    request(app)
+      .post("/api/transactions")
+      .set("Authorization", `Bearer ${adminToken}`)
+      .send(body)
+      .expect(201);
+  const inbound = (wh, quantity, unitPrice, lotNumber, transactionDate) =>
+    post({
+      type: "INBOUND",
+      warehouseId: wh._id.toString(),
+      supplierId: sup._id.toString(),
+      transactionDate,
+      details: [
+        { productId: prod._id.toString(), quantity, unitPrice, lotNumber },
+      ],
+    });
+
+  await inbound(main, 100, 1000, "LOT-A", "2024-01-10");
+  await inbound(sub, 50, 2000, "LOT-B", "2024-02-10");
+  const lotA = await InventoryLot.findOne({ lotNumber: "LOT-A" });
+  await post({
+    type: "ADJUSTMENT",
+    warehouseId: main._id.toString(),
+    reasonCode: "DAMAGED",
+    transactionDate: "2024-02-15",
+    details: [{ inventoryLotId: lotA._id.toString(), quantity: -40 }],
+  });
+
+  return { main, sub, category, prod };
+};
+
+const valuation = (query) =>
+  request(app)
+    .get("/api/reports/valuation")
+    .query(query)
+    .set("Authorization", `Bearer ${adminToken}`);
+
+describe("GET /api/reports/valuation", () => {
+  it("200 | định giá theo lô tại ngày trong quá khứ", async () => {
+    await seed();
+
+    const jan = await valuation({ date: "2024-01-31" }).expect(200);
+    expect(jan.body.data.totals).toEqual({ quantity: 100, value: 100000 });
+
+    const feb = await valuation({ date: "2024-02-12" }).expect(200);
+    expect(feb.body.data.totals).toEqual({ quantity: 150, value: 200000 });
+    expect(feb.body.data.rows[0]).toMatchObject({
+      sku: "SKU001",
+      categoryName: "Giảm đau",
+      quantity: 150,
+    });
+
+    const now = await valuation({}).expect(200);
+    expect(now.body.data.totals).toEqual({ quantity: 110, value: 160000 });
+  });
+
+  it("200 | nhóm theo kho và theo nhóm hàng", async () => {
+    const { main, sub } = await seed();
+
+    const byWarehouse = await valuation({ groupBy: "warehouse" }).expect(200);
+    const rows = Object.fromEntries(
+      byWarehouse.body.data.rows.map((r) => [r.warehouseId, r.value])
+    );
+    expect(rows[String(main._id)]).toBe(60000);
+    expect(rows[String(sub._id)]).toBe(100000);
+
+    const byCategory = await valuation({ groupBy: "category" }).expect(200);
+    expect(byCategory.body.data.rows).toHaveLength(1);
+    expect(byCategory.body.data.rows[0]).toMatchObject({
+      categoryName: "Giảm đau",
+      productCount: 1,
+      quantity: 110,
+    });
+  });
+
+  it("200 | lọc theo kho", async () => {
+    const { sub } = await seed();
+    const res = await valuation({ warehouseId: sub._id.toString() }).expect(
+      200
+    );
+    expect(res.body.data.totals).toEqual({ quantity: 50, value: 100000 });
+  });
+
+  it("200 | phương pháp bình quân gia quyền", async () => {
+    await seed();
+    const res = await valuation({ method: "average" }).expect(200);
+
+    // (100 x 1.000 + 50 x 2.000) / 150 = 1.333,33 -> 110 x 1.333,33
+    expect(res.body.data.method).toBe("average");
+    expect(res.body.data.totals.quantity).toBe(110);
+    expect(res.body.data.totals.value).toBeCloseTo(146666.3, 0);
+  });
+
+  it("200 | xuất Excel và PDF", async () => {
+    await seed();
+
+    const excel = await valuation({ format: "excel" }).expect(200);
+    expect(excel.headers["content-type"]).toContain("spreadsheetml");
+
+    const pdf = await valuation({ format: "pdf", groupBy: "warehouse" }).expect(
+      200
+    );
+    expect(pdf.headers["content-type"]).toContain("application/pdf");
+  });
+
+  it("400 | tham số không hợp lệ", async () => {
+    await valuation({ method: "fifo" }).expect(400);
+    await valuation({ groupBy: "supplier" }).expect(400);
+    await valuation({ date: "31/01/2024" }).expect(400);
+    await valuation({ format: "csv" }).expect(400);
+  });
+});
@@ -0,0 +1,170 @@
+import {
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  afterEach,
+} from "@jest/globals";
+import request from "supertest";
+import express from "express";
+import { connect, closeDatabase, clearDatabase } from "./setup/db.js";
+import {
+  generateTestToken,
+  createTestUser,
+  createProductData,
+} from "./setup/helpers.js";
+import warehouseRoutes from "../routes/warehouse.route.js";
+import { Product, Warehouse, InventoryLot } from "../models/index.js";
+
+// Setup Express app for testing
+const app = express();
+app.use(express.json());
+app.use("/api/warehouses", warehouseRoutes);
+
+describe("Warehouse API Tests", () => {
+  let adminToken;
+  let userToken;
+
+  beforeAll(async () => {
+    process.env.JWT_SECRET = "test-secret";
+    await connect();
+
+    const adminUser = await createTestUser({
+      username: "whadmin",
+      email: "wh-admin@example.com",
+      role: "admin",
+    });
+    const normalUser = await createTestUser({
+      username: "whuser",
+      email: "wh-user@example.com",
+      role: "user",
+    });
+    adminToken = generateTestToken(adminUser);
+    userToken = generateTestToken(normalUser);
+  });
+
+  afterAll(async () => {
+    await closeDatabase();
+  });
+
+  afterEach(async () => {
+    await clearDatabase();
+  });
+
+  describe("POST /api/warehouses", () => {
+    it("201 | cho phép tạo nhiều kho", async () => {
+      await request(app)
+        .post("/api/warehouses")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ code: "WH-MAIN", name: "Kho chính" })
+        .expect(201);
+
+      const res = await request(app)
+        .post("/api/warehouses")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ code: "WH-ER", name: "Kho cấp cứu" })
+        .expect(201);
+
+      expect(res.body.data.code).toBe("WH-ER");
+      expect(await Warehouse.countDocuments()).toBe(2);
+    });
+
+    it("409 | trùng mã kho", async () => {
+      await Warehouse.create({ code: "WH-MAIN", name: "Kho chính" });
+
+      const res = await request(app)
+        .post("/api/warehouses")
+        .set("Authorization", `Bearer ${adminToken}`)
+        .send({ code: "WH-MAIN", name: "Kho khác" })
+        .expect(409);
+
+      expect(res.body.message).toBe("Mã kho đã tồn tại");
+    });
+
+    it("403 | user thường không được tạo kho", async () => {
+      await request(app)
+        .post("/api/warehouses")
+        .set("Authorization", `Bearer ${userToken}`)
+        .send({ code: "WH-X", name: "Kho X" })
+        .expect(403);
+    });
+  });
+
+  describe("GET /api/warehouses", () => {
+    it("200 | danh sách kèm tồn kho theo từng kho", async () => {
+      const [main, er] = await Warehouse.insertMany([
+        { code: "WH-MAIN", name: "Kho chính" },
+        { code: "WH-ER", name: "Kho cấp cứu" },
+      ]);
+      const prod = await Product.create(createProductData());
+      await InventoryLot.create([
+        {
+          productId: prod._id,
+          warehouseId: main._id,
+          lotNumber: "LOT-A",
+          expiryDate: new Date(Date.now() + 90 * 24 * 3600 * 1000),
+          quantity: 40,
+          unitCost: 1000,
+        },
+        {
+          productId: prod._id,
+          warehouseId: er._id,
+          lotNumber: "LOT-A",
+          expiryDate: new Date(Date.now() + 90 * 24 * 3600 * 1000),
+          quantity: 10,
+          unitCost: 1000,
+        },
+      ]);
+
+      const res = await request(app)
+        .get("/api/warehouses")
+        .query({ pagination: "false" })
+        .set("Authorization", `Bearer ${userToken}`)
+        .expect(200);
+
+      const byCode = Object.fromEntries(
+        res.body.data.map((w) => [w.code, w.stock])
+      );
+      expect(byCode["WH-MAIN"]).toEqual({
+        lotCount: 1,
+        stockQty: 40,
+        stockValue: 40000,
+      });
+      expect(byCode["WH-ER"].stockQty).toBe(10);
+    });
+  });
+
+  describe("DELETE /api/warehouses/:id", () => {
+    it("400 | không xóa kho đã có tồn kho", async () => {
+      const wh = await Warehouse.create({ code: "WH-MAIN", name: "Kho chính" });
+      const prod = await Product.create(createProductData());
+      await InventoryLot.create({
+        productId: prod._id,
+        warehouseId: wh._id,
+        lotNumber: "LOT-A",
+        expiryDate: new Date(Date.now() + 90 * 24 * 3600 * 1000),
+        quantity: 5,
+        unitCost: 1000,
+      });
+
+      await request(app)
+        .delete(`/api/warehouses/${wh._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(400);
+
+      expect(await Warehouse.countDocuments()).toBe(1);
+    });
+
+    it("200 | xóa kho chưa phát sinh giao dịch", async () => {
+      const wh = await Warehouse.create({ code: "WH-TMP", name: "Kho tạm" });
+
+      await request(app)
+        .delete(`/api/warehouses/${wh._id}`)
+        .set("Authorization", `Bearer ${adminToken}`)
+        .expect(200);
+
+      expect(await Warehouse.countDocuments()).toBe(0);
+    });
+  });
+});
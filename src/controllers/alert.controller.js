@@ -242,6 +242,11 @@ export const alertController = {
             expired: {
               $sum: { $cond: [{ $eq: ["$alertType", "EXPIRED"] }, 1, 0] },
             },
+            stockDiscrepancy: {
+              $sum: {
+                $cond: [{ $eq: ["$alertType", "STOCK_DISCREPANCY"] }, 1, 0],
+              },
+            },
           },
         },
       ]);
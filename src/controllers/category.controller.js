@@ -142,7 +142,7 @@ class CategoryController {
   // @access  Private (Admin/Manager)
   static async createCategory(req, res) {
     try {
-      let { code, name, description, isActive } = req.body;
+      let { code, name, description, isActive, expiryPolicy } = req.body;
 
       if (!name || !name.trim()) {
         return ApiResponse.error(res, "Validation failed", 400, {
@@ -185,6 +185,7 @@ class CategoryController {
         name: name.trim(),
         description,
         isActive: isActive ?? true,
+        expiryPolicy,
       });
 
       const dto = category.toObject();
@@ -220,7 +221,7 @@ class CategoryController {
         return ApiResponse.error(res, "Validation failed", 400);
       }
 
-      const { code, name, description, isActive } = req.body;
+      const { code, name, description, isActive, expiryPolicy } = req.body;
 
       const category = await Category.findById(id);
       if (!category) return ApiResponse.error(res, "Category not found", 404);
@@ -258,6 +259,8 @@ class CategoryController {
       if (name) category.name = name;
       if (description !== undefined) category.description = description;
       if (isActive !== undefined) category.isActive = isActive;
+      // null -> bỏ chính sách riêng, dùng mặc định hệ thống
+      if (expiryPolicy !== undefined) category.expiryPolicy = expiryPolicy;
 
       await category.save();
 
@@ -49,6 +49,7 @@ export const getDashboard = async (req, res) => {
         day: dayOfWeek,
         inbound: 0,
         outbound: 0,
+        departmentReturn: 0,
       });
     }
 
@@ -93,6 +94,9 @@ export const getDashboard = async (req, res) => {
       if (dataPoint) {
         if (type === "INBOUND") dataPoint.inbound = item.totalQuantity;
         else if (type === "OUTBOUND") dataPoint.outbound = item.totalQuantity;
+        else if (type === "DEPARTMENT_RETURN") {
+          dataPoint.departmentReturn = item.totalQuantity;
+        }
       }
     });
 
@@ -0,0 +1,253 @@
+import mongoose from "mongoose";
+import {
+  Department,
+  User,
+  Transaction,
+  InventoryIssue,
+  Requisition,
+} from "../models/index.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { nextCode } from "../utils/codegen.js";
+
+class DepartmentController {
+  // @desc    Get departments (with/without pagination)
+  // @route   GET /api/departments
+  // @access  Private
+  static async getDepartments(req, res) {
+    try {
+      const { search, isActive, type, pagination } = req.query;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit, 10) || 10, 1),
+        100
+      );
+
+      const filter = {};
+      if (isActive !== undefined) filter.isActive = isActive === "true";
+      if (type) filter.type = type;
+      if (search && search.trim()) {
+        const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const regex = new RegExp(escaped, "i");
+        filter.$or = [{ name: regex }, { code: regex }];
+      }
+
+      // Không phân trang -> dùng cho dropdown chọn khoa/phòng
+      if (pagination === "false") {
+        const list = await Department.find(filter).sort({ name: 1 }).lean();
+        return ApiResponse.success(
+          res,
+          list,
+          "Lấy danh sách khoa/phòng thành công"
+        );
+      }
+
+      const [items, total] = await Promise.all([
+        Department.find(filter)
+          .sort({ createdAt: -1, _id: 1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .lean(),
+        Department.countDocuments(filter),
+      ]);
+
+      return ApiResponse.paginated(
+        res,
+        items,
+        { page, limit, total, pages: Math.ceil(total / limit) },
+        "Lấy danh sách khoa/phòng thành công"
+      );
+    } catch (error) {
+      console.error("Get departments error:", error);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
+  // @desc    Get department by ID (kèm danh sách người dùng thuộc khoa)
+  // @route   GET /api/departments/:id
+  // @access  Private
+  static async getDepartmentById(req, res) {
+    try {
+      const { id } = req.params;
+      if (!mongoose.isValidObjectId(id)) {
+        return ApiResponse.error(res, "ID khoa/phòng không hợp lệ", 400);
+      }
+
+      const department = await Department.findById(id).lean();
+      if (!department) {
+        return ApiResponse.error(res, "Không tìm thấy khoa/phòng", 404);
+      }
+
+      const users = await User.find({ departmentId: id })
+        .select("username fullName email role status")
+        .lean();
+
+      return ApiResponse.success(
+        res,
+        { ...department, users },
+        "Lấy thông tin khoa/phòng thành công"
+      );
+    } catch (error) {
+      console.error("Get department error:", error);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
+  // @desc    Create department
+  // @route   POST /api/departments
+  // @access  Private (admin)
+  static async createDepartment(req, res) {
+    try {
+      let { code, name, type, phone, isActive } = req.body || {};
+
+      if (!name || !String(name).trim()) {
+        return ApiResponse.error(res, "Tên khoa/phòng là bắt buộc", 400);
+      }
+      if (isActive !== undefined && typeof isActive !== "boolean") {
+        return ApiResponse.error(res, "isActive phải là boolean", 400);
+      }
+
+      code =
+        code && String(code).trim()
+          ? String(code).trim()
+          : await nextCode("KP", 3);
+
+      const existing = await Department.findOne({ code }).lean();
+      if (existing) {
+        return ApiResponse.error(res, "Mã khoa/phòng đã tồn tại", 409);
+      }
+
+      const created = await Department.create({
+        code,
+        name: String(name).trim(),
+        type: type ? String(type).trim() : undefined,
+        phone: phone ? String(phone).trim() : undefined,
+        isActive: isActive ?? true,
+      });
+
+      return ApiResponse.success(
+        res,
+        created,
+        "Thêm khoa/phòng thành công",
+        201
+      );
+    } catch (error) {
+      console.error("Create department error:", error);
+      if (error?.code === 11000) {
+        return ApiResponse.error(res, "Mã khoa/phòng đã tồn tại", 409);
+      }
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
+  // @desc    Update department
+  // @route   PUT /api/departments/:id
+  // @access  Private (admin)
+  static async updateDepartment(req, res) {
+    try {
+      const { id } = req.params;
+      if (!mongoose.isValidObjectId(id)) {
+        return ApiResponse.error(res, "ID khoa/phòng không hợp lệ", 400);
+      }
+
+      const department = await Department.findById(id);
+      if (!department) {
+        return ApiResponse.error(res, "Không tìm thấy khoa/phòng", 404);
+      }
+
+      const { code, name, type, phone, isActive } = req.body || {};
+
+      if (isActive !== undefined && typeof isActive !== "boolean") {
+        return ApiResponse.error(res, "isActive phải là boolean", 400);
+      }
+      if (name !== undefined && !String(name).trim()) {
+        return ApiResponse.error(
+          res,
+          "Tên khoa/phòng không được để trống",
+          400
+        );
+      }
+
+      if (code !== undefined) {
+        const codeTrimmed = String(code).trim();
+        if (!codeTrimmed) {
+          return ApiResponse.error(
+            res,
+            "Mã khoa/phòng không được để trống",
+            400
+          );
+        }
+        const dup = await Department.findOne({
+          code: codeTrimmed,
+          _id: { $ne: id },
+        }).lean();
+        if (dup) {
+          return ApiResponse.error(res, "Mã khoa/phòng đã tồn tại", 409);
+        }
+        department.code = codeTrimmed;
+      }
+
+      if (name !== undefined) department.name = String(name).trim();
+      if (type !== undefined) department.type = (type || "").trim();
+      if (phone !== undefined) department.phone = (phone || "").trim();
+      if (isActive !== undefined) department.isActive = isActive;
+
+      await department.save();
+
+      return ApiResponse.success(
+        res,
+        department,
+        "Cập nhật khoa/phòng thành công"
+      );
+    } catch (error) {
+      console.error("Update department error:", error);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
+  // @desc    Delete department (chỉ khi chưa có người dùng/phiếu liên quan)
+  // @route   DELETE /api/departments/:id
+  // @access  Private (admin)
+  static async deleteDepartment(req, res) {
+    try {
+      const { id } = req.params;
+      if (!mongoose.isValidObjectId(id)) {
+        return ApiResponse.error(res, "ID khoa/phòng không hợp lệ", 400);
+      }
+
+      const department = await Department.findById(id);
+      if (!department) {
+        return ApiResponse.error(res, "Không tìm thấy khoa/phòng", 404);
+      }
+
+      const [userCount, txCount, issueCount, requisitionCount] =
+        await Promise.all([
+          User.countDocuments({ departmentId: id }),
+          Transaction.countDocuments({ departmentId: id }),
+          InventoryIssue.countDocuments({ departmentId: id }),
+          Requisition.countDocuments({ departmentId: id }),
+        ]);
+
+      if (
+        userCount > 0 ||
+        txCount > 0 ||
+        issueCount > 0 ||
+        requisitionCount > 0
+      ) {
+        return ApiResponse.error(
+          res,
+          "Không thể xóa khoa/phòng đã có người dùng hoặc phát sinh phiếu. Hãy chuyển sang trạng thái ngừng hoạt động.",
+          400
+        );
+      }
+
+      await department.deleteOne();
+
+      return ApiResponse.success(res, null, "Xóa khoa/phòng thành công");
+    } catch (error) {
+      console.error("Delete department error:", error);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+}
+
+export default DepartmentController;
@@ -0,0 +1,269 @@
+import PDFDocument from "pdfkit";
+import ApiResponse from "../utils/ApiResponse.js";
+import { registerPdfFonts, drawTable } from "../utils/pdf.js";
+import { createDestructionSchema } from "../validators/destructionRecord.validator.js";
+import {
+  createDestructionRecord,
+  completeDestructionRecord,
+  cancelDestructionRecord,
+  getDestructionRecords,
+  getDestructionRecordById,
+} from "../services/destructionRecord.service.js";
+
+const actorOf = (req) => ({ userId: req.user?.id || req.user?._id || null });
+
+function handleError(res, err, label) {
+  if (err?.statusCode) {
+    return ApiResponse.error(res, err.message, err.statusCode);
+  }
+  console.error(`${label} error:`, err);
+  return ApiResponse.error(res, "Server error", 500);
+}
+
+function validate(schema, body) {
+  const { error, value } = schema.validate(body || {}, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+  return {
+    value,
+    details: error ? error.details.map((d) => d.message) : null,
+  };
+}
+
+/**
+ * Biên bản hủy thuốc hết hạn (PDF): thông tin hủy, thành phần chứng kiến,
+ * bảng các lô hủy và chữ ký người lập + người chứng kiến
+ */
+function exportDestructionRecordToPDF(res, record) {
+  const doc = new PDFDocument({ margin: 30, size: "A4" });
+  const fmtDate = (d) => (d ? new Date(d).toLocaleDateString("vi-VN") : "");
+  const fmtNum = (n) => (n || 0).toLocaleString("vi-VN");
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="Bien_Ban_Huy_${record.code}.pdf"`
+  );
+  doc.pipe(res);
+
+  const fonts = registerPdfFonts(doc);
+
+  const headerY = doc.y;
+  doc
+    .font(fonts.regular)
+    .fontSize(9)
+    .text(`Kho: ${record.warehouseId?.name || ""}`, 30, headerY);
+  doc.text(`Số: ${record.code}`, 30, headerY, { align: "right" });
+  doc.moveDown(0.5);
+  doc
+    .font(fonts.bold)
+    .fontSize(16)
+    .text("BIÊN BẢN HỦY THUỐC HẾT HẠN SỬ DỤNG", { align: "center" });
+  if (record.status !== "completed") {
+    doc.font(fonts.regular).fontSize(10).text("(Dự thảo)", { align: "center" });
+  }
+  doc.moveDown(0.5);
+
+  doc.font(fonts.regular).fontSize(10);
+  doc.text(`Ngày hủy: ${fmtDate(record.destructionDate)}`);
+  if (record.location) doc.text(`Địa điểm: ${record.location}`);
+  doc.text(`Phương pháp hủy: ${record.method}`);
+  doc.moveDown(0.5);
+  doc.text("Thành phần chứng kiến:");
+  record.witnesses.forEach((w, i) => {
+    doc.text(`${i + 1}. ${w.fullName}${w.position ? ` - ${w.position}` : ""}`, {
+      indent: 15,
+    });
+  });
+  doc.moveDown(0.5);
+  doc.text("Đã tiến hành hủy các lô thuốc hết hạn sử dụng sau:");
+  doc.moveDown(0.5);
+
+  const rows = [
+    ...record.lines.map((l, index) => [
+      (index + 1).toString(),
+      l.productId?.name || "",
+      l.productId?.sku || "",
+      l.lotNumber,
+      fmtDate(l.expiryDate),
+      l.productId?.unit || "",
+      fmtNum(l.quantity),
+      fmtNum(l.unitCost),
+      fmtNum(l.quantity * l.unitCost),
+    ]),
+    [
+      "",
+      "Tổng cộng",
+      "",
+      "",
+      "",
+      "",
+      fmtNum(record.totalQuantity),
+      "",
+      fmtNum(record.totalValue),
+    ],
+  ];
+  drawTable(
+    doc,
+    [
+      "STT",
+      "Tên thuốc",
+      "Mã SP",
+      "Số lô",
+      "Hạn dùng",
+      "ĐVT",
+      "Số lượng",
+      "Đơn giá",
+      "Thành tiền",
+    ],
+    rows,
+    [25, 130, 55, 55, 55, 40, 50, 55, 70],
+    fonts
+  );
+
+  if (record.notes) {
+    doc.moveDown(1);
+    doc.font(fonts.regular).fontSize(10).text(`Ghi chú: ${record.notes}`, 30);
+  }
+
+  // Chữ ký: người lập + từng người chứng kiến, 3 người mỗi hàng
+  const signers = [
+    {
+      title: "Người lập",
+      name: record.createdBy?.fullName || record.createdBy?.username || "",
+    },
+    ...record.witnesses.map((w) => ({
+      title: w.position || "Người chứng kiến",
+      name: w.fullName,
+    })),
+  ];
+  const signWidth = 535 / 3;
+  doc.moveDown(2);
+  for (let i = 0; i < signers.length; i += 3) {
+    if (doc.y + 100 > doc.page.height - 30) doc.addPage();
+    const signY = doc.y;
+    signers.slice(i, i + 3).forEach((s, j) => {
+      const x = 30 + j * signWidth;
+      doc
+        .font(fonts.bold)
+        .fontSize(10)
+        .text(s.title, x, signY, { width: signWidth, align: "center" });
+      doc
+        .font(fonts.regular)
+        .fontSize(9)
+        .text("(Ký, họ tên)", x, signY + 14, {
+          width: signWidth,
+          align: "center",
+        });
+      doc
+        .fontSize(10)
+        .text(s.name, x, signY + 70, { width: signWidth, align: "center" });
+    });
+    doc.y = signY + 100;
+  }
+
+  doc.end();
+}
+
+class DestructionRecordController {
+  // @desc    Create destruction record for expired lots (lập biên bản hủy)
+  // @route   POST /api/destruction-records
+  // @access  Private (admin)
+  static async create(req, res) {
+    try {
+      const { value, details } = validate(createDestructionSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const record = await createDestructionRecord(value, actorOf(req));
+      return ApiResponse.success(
+        res,
+        record,
+        "Lập biên bản hủy thành công",
+        201
+      );
+    } catch (err) {
+      return handleError(res, err, "Create destruction record");
+    }
+  }
+
+  // @desc    Get destruction records
+  // @route   GET /api/destruction-records?status=&warehouseId=&page=&limit=
+  // @access  Private
+  static async getList(req, res) {
+    try {
+      const { status, warehouseId, page, limit } = req.query;
+      const result = await getDestructionRecords({
+        status,
+        warehouseId,
+        page: page ? parseInt(page, 10) : 1,
+        limit: limit ? parseInt(limit, 10) : 10,
+      });
+      return ApiResponse.success(
+        res,
+        result,
+        "Lấy danh sách biên bản hủy thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get destruction records");
+    }
+  }
+
+  // @desc    Get destruction record with lines (format=pdf: biên bản in)
+  // @route   GET /api/destruction-records/:id?format=json|pdf
+  // @access  Private
+  static async getById(req, res) {
+    try {
+      const { format = "json" } = req.query;
+      if (!["json", "pdf"].includes(format)) {
+        return ApiResponse.error(res, "format phải là json hoặc pdf", 400);
+      }
+
+      const record = await getDestructionRecordById(req.params.id);
+      if (format === "pdf") return exportDestructionRecordToPDF(res, record);
+
+      return ApiResponse.success(
+        res,
+        record,
+        "Lấy thông tin biên bản hủy thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get destruction record");
+    }
+  }
+
+  // @desc    Complete destruction -> post ADJUSTMENT (EXPIRED_WRITE_OFF)
+  // @route   POST /api/destruction-records/:id/complete
+  // @access  Private (admin)
+  static async complete(req, res) {
+    try {
+      const record = await completeDestructionRecord(
+        req.params.id,
+        actorOf(req)
+      );
+      return ApiResponse.success(
+        res,
+        record,
+        "Hoàn tất hủy hàng và ghi giảm tồn kho thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Complete destruction record");
+    }
+  }
+
+  // @desc    Cancel draft destruction record
+  // @route   POST /api/destruction-records/:id/cancel
+  // @access  Private (admin)
+  static async cancel(req, res) {
+    try {
+      const record = await cancelDestructionRecord(req.params.id, actorOf(req));
+      return ApiResponse.success(res, record, "Hủy biên bản thành công");
+    } catch (err) {
+      return handleError(res, err, "Cancel destruction record");
+    }
+  }
+}
+
+export default DestructionRecordController;
@@ -1,11 +1,139 @@
 import mongoose from "mongoose";
 import InventoryIssue from "../models/inventoryIssue.model.js";
-import InventoryLot from "../models/inventoryLot.model.js";
+import InventoryLot, { AVAILABLE_LOT } from "../models/inventoryLot.model.js";
 import Product from "../models/product.model.js";
-import Department from "../models/department.model.js";
-import Transaction from "../models/transaction.model.js";
-import TransactionDetail from "../models/transactionDetail.model.js";
 import ApiResponse from "../utils/ApiResponse.js";
+import {
+  allocateIssueLines,
+  buildDraftLines,
+  holdDraftStock,
+  generateIssueCode,
+  postIssueOutbound,
+  getInventoryIssues,
+  getInventoryIssueById,
+  cancelInventoryIssue,
+  updateDraftIssue,
+  approveInventoryIssue,
+  rejectInventoryIssue,
+  returnFromDepartment,
+} from "../services/inventoryIssue.service.js";
+
+const ISSUE_STATUSES = ["draft", "confirmed", "rejected", "cancelled"];
+
+/**
+ * Kiểm tra danh sách hàng hoàn trả { inventoryLotId, quantity }
+ * @returns {String|null} thông báo lỗi đầu tiên hoặc null nếu hợp lệ
+ */
+function validateReturnLines(lines) {
+  const ErrorMsg = InventoryIssue.ErrorMessages;
+
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return ErrorMsg.RETURN_LINES_REQUIRED;
+  }
+  for (let i = 0; i < lines.length; i++) {
+    const { inventoryLotId, quantity } = lines[i] || {};
+    if (!mongoose.isValidObjectId(inventoryLotId)) {
+      return `${ErrorMsg.LOT_NOT_FOUND} (dòng ${i + 1})`;
+    }
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      return `${ErrorMsg.QUANTITY_INVALID} (dòng ${i + 1})`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Kiểm tra danh sách dòng xuất, chuẩn hóa quantity (hỗ trợ totalQuantity).
+ * @returns {String|null} thông báo lỗi đầu tiên hoặc null nếu hợp lệ
+ */
+function validateIssueItems(items) {
+  const ErrorMsg = InventoryIssue.ErrorMessages;
+
+  if (!items) return ErrorMsg.ITEMS_REQUIRED;
+  if (!Array.isArray(items)) return ErrorMsg.ITEMS_MUST_BE_ARRAY;
+  if (items.length === 0) return ErrorMsg.ITEMS_REQUIRED;
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+
+    // Support both 'quantity' and 'totalQuantity'
+    const qty = item.quantity || item.totalQuantity;
+
+    // Dòng quét mã: sản phẩm tra theo barcode ở service
+    if (!item.productId && !item.barcode) {
+      return `${ErrorMsg.PRODUCT_ID_REQUIRED} (dòng ${i + 1})`;
+    }
+    if (!qty) return `${ErrorMsg.QUANTITY_REQUIRED} (dòng ${i + 1})`;
+    if (qty <= 0) return `${ErrorMsg.QUANTITY_INVALID} (dòng ${i + 1})`;
+    if (item.unitPrice === undefined || item.unitPrice === null) {
+      return `${ErrorMsg.UNIT_PRICE_REQUIRED} (dòng ${i + 1})`;
+    }
+    if (item.unitPrice < 0) {
+      return `${ErrorMsg.UNIT_PRICE_INVALID} (dòng ${i + 1})`;
+    }
+
+    // Normalize quantity field for later processing
+    item.quantity = qty;
+  }
+
+  return null;
+}
+
+function toIssueDto(issue) {
+  return {
+    id: String(issue._id),
+    issueCode: issue.issueCode,
+    warehouseId: String(issue.warehouseId),
+    department: issue.department,
+    issueDate: issue.issueDate,
+    notes: issue.notes,
+    details: issue.details.map((d) => ({
+      productId: String(d.productId),
+      totalQuantity: d.totalQuantity,
+      unitPrice: d.unitPrice,
+      lineTotal: d.lineTotal,
+      // Đơn vị quy đổi đã nhập (hộp/vỉ...), null nếu nhập theo đơn vị cơ sở
+      uom: d.uom
+        ? {
+            unitId: String(d.uom.unitId),
+            unitName: d.uom.unitName,
+            factor: d.uom.factor,
+            quantity: d.uom.quantity,
+            unitPrice: d.uom.unitPrice,
+          }
+        : null,
+      lotAllocations: d.lotAllocations.map((la) => ({
+        inventoryLotId: String(la.inventoryLotId),
+        lotNumber: la.lotNumber,
+        expiryDate: la.expiryDate,
+        quantity: la.quantity,
+        unitCost: la.unitCost,
+        expiryFlag: la.expiryFlag || null,
+        returnedQuantity: la.returnedQuantity || 0,
+      })),
+    })),
+    totalAmount: issue.totalAmount,
+    status: issue.status,
+    createdBy: String(issue.createdBy),
+    confirmedBy: issue.confirmedBy ? String(issue.confirmedBy) : null,
+    confirmedAt: issue.confirmedAt || null,
+    expiryOverride: issue.expiryOverride?.reason ? issue.expiryOverride : null,
+    createdAt: issue.createdAt,
+  };
+}
+
+function handleServiceError(res, error, label) {
+  if (error.statusCode) {
+    return ApiResponse.error(
+      res,
+      error.message,
+      error.statusCode,
+      error.errors || null
+    );
+  }
+  console.error(`${label} error:`, error);
+  return ApiResponse.error(res, "Server error", 500);
+}
 
 class InventoryIssueController {
   // @desc    Create inventory issue (Phiếu xuất kho)
@@ -42,245 +170,33 @@ class InventoryIssueController {
         return ApiResponse.error(res, ErrorMsg.ISSUE_DATE_REQUIRED, 400);
       }
 
-      if (!itemsToProcess) {
-        await session.abortTransaction();
-        return ApiResponse.error(res, ErrorMsg.ITEMS_REQUIRED, 400);
-      }
-
-      if (!Array.isArray(itemsToProcess)) {
+      const itemsError = validateIssueItems(itemsToProcess);
+      if (itemsError) {
         await session.abortTransaction();
-        return ApiResponse.error(res, ErrorMsg.ITEMS_MUST_BE_ARRAY, 400);
-      }
-
-      if (itemsToProcess.length === 0) {
-        await session.abortTransaction();
-        return ApiResponse.error(res, ErrorMsg.ITEMS_REQUIRED, 400);
-      }
-
-      // Validate each item
-      for (let i = 0; i < itemsToProcess.length; i++) {
-        const item = itemsToProcess[i];
-        
-        // Support both 'quantity' and 'totalQuantity'
-        const qty = item.quantity || item.totalQuantity;
-        
-        if (!item.productId) {
-          await session.abortTransaction();
-          return ApiResponse.error(
-            res,
-            `${ErrorMsg.PRODUCT_ID_REQUIRED} (dòng ${i + 1})`,
-            400
-          );
-        }
-        if (!qty) {
-          await session.abortTransaction();
-          return ApiResponse.error(
-            res,
-            `${ErrorMsg.QUANTITY_REQUIRED} (dòng ${i + 1})`,
-            400
-          );
-        }
-        if (qty <= 0) {
-          await session.abortTransaction();
-          return ApiResponse.error(
-            res,
-            `${ErrorMsg.QUANTITY_INVALID} (dòng ${i + 1})`,
-            400
-          );
-        }
-        if (item.unitPrice === undefined || item.unitPrice === null) {
-          await session.abortTransaction();
-          return ApiResponse.error(
-            res,
-            `${ErrorMsg.UNIT_PRICE_REQUIRED} (dòng ${i + 1})`,
-            400
-          );
-        }
-        if (item.unitPrice < 0) {
-          await session.abortTransaction();
-          return ApiResponse.error(
-            res,
-            `${ErrorMsg.UNIT_PRICE_INVALID} (dòng ${i + 1})`,
-            400
-          );
-        }
-        
-        // Normalize quantity field for later processing
-        item.quantity = qty;
+        return ApiResponse.error(res, itemsError, 400);
       }
 
-      // --- Check stock availability ---
-      const stockErrors = await InventoryIssue.validateStockAvailability(
-        warehouseId,
-        itemsToProcess
-      );
-
-      if (stockErrors.length > 0) {
+      // Lý do admin cho phép xuất lô bị chính sách hạn dùng chặn
+      const overrideReason =
+        typeof req.body?.expiryOverrideReason === "string"
+          ? req.body.expiryOverrideReason.trim()
+          : "";
+      if (overrideReason && req.user?.role !== "admin") {
         await session.abortTransaction();
-        return ApiResponse.error(res, ErrorMsg.INSUFFICIENT_STOCK, 400, stockErrors);
+        return ApiResponse.error(res, ErrorMsg.EXPIRY_OVERRIDE_FORBIDDEN, 403);
       }
 
-      // --- Process each item with FEFO allocation ---
-      const detailsArray = [];
-
-      for (const item of itemsToProcess) {
-        const { productId, quantity, unitPrice, lotAllocations: providedLots } = item;
-
-        // Verify product exists
-        const product = await Product.findById(productId).lean();
-        if (!product) {
-          await session.abortTransaction();
-          return ApiResponse.error(
-            res,
-            `${ErrorMsg.PRODUCT_NOT_FOUND}: ${productId}`,
-            404
-          );
-        }
-
-        let lotAllocations = [];
-        
-        // Case 1: User provided lotAllocations (manual selection)
-        if (providedLots && Array.isArray(providedLots) && providedLots.length > 0) {
-          // Use provided lot allocations
-          for (const allocation of providedLots) {
-            const lot = await InventoryLot.findById(allocation.inventoryLotId).session(session);
-            
-            if (!lot) {
-              await session.abortTransaction();
-              return ApiResponse.error(
-                res,
-                `Không tìm thấy lô hàng: ${allocation.inventoryLotId}`,
-                404
-              );
-            }
-            
-            if (lot.quantity < allocation.quantity) {
-              await session.abortTransaction();
-              return ApiResponse.error(
-                res,
-                `Lô "${lot.lotNumber}" không đủ số lượng. Có sẵn: ${lot.quantity}, Yêu cầu: ${allocation.quantity}`,
-                400
-              );
-            }
-            
-            lotAllocations.push({
-              inventoryLotId: lot._id,
-              lotNumber: lot.lotNumber,
-              expiryDate: lot.expiryDate,
-              quantity: allocation.quantity,
-              unitCost: lot.unitCost,
-            });
-            
-            // Deduct from lot
-            lot.quantity -= allocation.quantity;
-            await lot.save({ session });
-          }
-        } 
-        // Case 2: Auto FEFO allocation
-        else {
-          // Get FEFO suggestion
-          const fefoLots = await InventoryLot.fefoSuggestLots(
-            productId,
-            warehouseId,
-            quantity
-          );
-
-          if (!fefoLots || fefoLots.length === 0) {
-            await session.abortTransaction();
-            return ApiResponse.error(
-              res,
-              `${ErrorMsg.LOT_NOT_FOUND} cho sản phẩm "${product.name}" (${product.productCode})`,
-              400
-            );
-          }
-
-          // Build lot allocations
-          let remainingQty = quantity;
-
-          for (const fefo of fefoLots) {
-            const lot = await InventoryLot.findById(
-              fefo.inventoryLotId
-            ).session(session);
+      const isDraft = req.user?.role === "user" || req.body?.status === "draft";
 
-            if (!lot) continue;
-
-            const allocQty = Math.min(fefo.pickQty, remainingQty);
-
-            lotAllocations.push({
-              inventoryLotId: lot._id,
-              lotNumber: lot.lotNumber,
-              expiryDate: lot.expiryDate,
-              quantity: allocQty,
-              unitCost: lot.unitCost,
-            });
-
-            // Deduct from lot
-            lot.quantity -= allocQty;
-            await lot.save({ session });
-
-            remainingQty -= allocQty;
-            if (remainingQty <= 0) break;
-          }
-          
-          if (remainingQty > 0) {
-            await session.abortTransaction();
-            return ApiResponse.error(
-              res,
-              `${ErrorMsg.INSUFFICIENT_STOCK} cho sản phẩm "${product.name}". Còn thiếu: ${remainingQty} ${product.unit || "đơn vị"}`,
-              400
-            );
-          }
-        }
-
-        const lineTotal = quantity * unitPrice;
-
-        detailsArray.push({
-          productId,
-          lotAllocations,
-          totalQuantity: quantity,
-          unitPrice,
-          lineTotal,
-        });
-      }
-
-      // --- Create InventoryIssue ---
-      // Calculate total amount
-      const totalAmount = detailsArray.reduce(
-        (sum, detail) => sum + detail.lineTotal,
-        0
-      );
+      // Phiếu nháp (khoa/phòng gửi yêu cầu) chưa phân bổ lô, chưa trừ kho,
+      // chỉ giữ hàng cho tới khi duyệt/từ chối
+      const detailsArray = isDraft
+        ? await buildDraftLines(warehouseId, itemsToProcess, session)
+        : await allocateIssueLines(warehouseId, itemsToProcess, session, {
+            expiryOverride: Boolean(overrideReason),
+          });
 
-      // Generate issue code
-      const today = new Date();
-      const year = today.getFullYear();
-      const month = String(today.getMonth() + 1).padStart(2, "0");
-      const day = String(today.getDate()).padStart(2, "0");
-
-      // Get count of today's issues for sequential number
-      const todayStart = new Date(today.setHours(0, 0, 0, 0));
-      const todayEnd = new Date(today.setHours(23, 59, 59, 999));
-      const todayIssuesCount = await InventoryIssue.countDocuments({
-        createdAt: { $gte: todayStart, $lte: todayEnd },
-      }).session(session);
-
-      const sequentialNumber = String(todayIssuesCount + 1).padStart(3, "0");
-      const issueCode = `PX-${year}${month}${day}-${sequentialNumber}`;
-
-      // --- Find or Create Department ---
-      let departmentDoc = await Department.findOne({ 
-        name: department.trim() 
-      }).session(session);
-
-      if (!departmentDoc) {
-        // Tự động tạo department nếu chưa tồn tại
-        const deptCode = department.trim().toUpperCase().replace(/\s+/g, '-');
-        departmentDoc = new Department({
-          code: `DEPT-${deptCode}-${Date.now()}`,
-          name: department.trim(),
-          isActive: true,
-        });
-        await departmentDoc.save({ session });
-      }
+      const issueCode = await generateIssueCode(session);
 
       const issue = new InventoryIssue({
         issueCode,
@@ -289,84 +205,46 @@ class InventoryIssueController {
         issueDate: new Date(issueDate),
         notes: (notes || "").trim(),
         details: detailsArray,
-        totalAmount,
-        status: "confirmed",
+        totalAmount: detailsArray.reduce((sum, d) => sum + d.lineTotal, 0),
+        status: isDraft ? "draft" : "confirmed",
         createdBy: userId,
-        confirmedBy: userId,
-        confirmedAt: new Date(),
+        ...(isDraft ? {} : { confirmedBy: userId, confirmedAt: new Date() }),
+        ...(!isDraft && overrideReason
+          ? {
+              expiryOverride: {
+                reason: overrideReason,
+                overriddenBy: userId,
+                overriddenAt: new Date(),
+              },
+            }
+          : {}),
       });
       await issue.save({ session });
 
-      // --- Create Transaction (OUTBOUND) ---
-      const transaction = new Transaction({
-        type: "OUTBOUND",
-        status: "COMPLETED",
-        referenceCode: issueCode,
-        notes: (notes || "").trim(),
-        transactionDate: new Date(issueDate),
-        userId: userId,
-        sourceWarehouseId: warehouseId,
-        departmentId: departmentDoc._id,
-        completedAt: new Date(),
-      });
-      await transaction.save({ session });
-
-      // --- Create TransactionDetails ---
-      const transactionDetails = [];
-      for (const detail of detailsArray) {
-        for (const lotAlloc of detail.lotAllocations) {
-          const txDetail = new TransactionDetail({
-            transactionId: transaction._id,
-            productId: detail.productId,
-            inventoryLotId: lotAlloc.inventoryLotId,
-            quantity: lotAlloc.quantity,
-            unitPrice: detail.unitPrice,
-          });
-          transactionDetails.push(txDetail);
-        }
+      if (isDraft) {
+        await holdDraftStock(issue, session);
+      } else {
+        await postIssueOutbound(issue, userId, session);
       }
-      await TransactionDetail.insertMany(transactionDetails, { session });
 
       await session.commitTransaction();
 
-      // --- Response ---
-      const created = issue;
-      const data = {
-        id: String(created._id),
-        issueCode: created.issueCode,
-        warehouseId: String(created.warehouseId),
-        department: created.department,
-        issueDate: created.issueDate,
-        notes: created.notes,
-        details: created.details.map((d) => ({
-          productId: String(d.productId),
-          totalQuantity: d.totalQuantity,
-          unitPrice: d.unitPrice,
-          lineTotal: d.lineTotal,
-          lotAllocations: d.lotAllocations.map((la) => ({
-            inventoryLotId: String(la.inventoryLotId),
-            lotNumber: la.lotNumber,
-            expiryDate: la.expiryDate,
-            quantity: la.quantity,
-            unitCost: la.unitCost,
-          })),
-        })),
-        totalAmount: created.totalAmount,
-        status: created.status,
-        createdBy: String(created.createdBy),
-        confirmedBy: String(created.confirmedBy),
-        confirmedAt: created.confirmedAt,
-        createdAt: created.createdAt,
-      };
-
       return ApiResponse.success(
         res,
-        data,
-        "Tạo phiếu xuất kho thành công",
+        toIssueDto(issue),
+        isDraft
+          ? "Tạo phiếu yêu cầu xuất kho (nháp) thành công"
+          : "Tạo phiếu xuất kho thành công",
         201
       );
     } catch (error) {
       await session.abortTransaction();
+
+      // Lỗi nghiệp vụ từ service (kho/lô/tồn kho)
+      if (error.statusCode) {
+        return handleServiceError(res, error, "Create inventory issue");
+      }
+
       console.error("Create inventory issue error:", error);
       
       // Handle specific errors
@@ -430,15 +308,18 @@ class InventoryIssueController {
 
           const stock = stockInfo[0] || {
             stockQty: 0,
+            availableQty: 0,
             nearestExpiry: null,
             stockValue: 0,
           };
 
           // Get nearest expiry lot for unit price and lot number
+          // (bỏ qua lô đang tạm giữ / thu hồi)
           const nearestLot = await InventoryLot.findOne({
             productId: product._id,
             warehouseId,
             quantity: { $gt: 0 },
+            ...AVAILABLE_LOT,
           })
             .sort({ expiryDate: 1, createdAt: 1 })
             .select("unitCost expiryDate lotNumber")
@@ -449,7 +330,7 @@ class InventoryIssueController {
             sku: product.sku,
             name: product.name,
             unit: product.unit,
-            availableQty: stock.stockQty,
+            availableQty: stock.availableQty,
             unitPrice: nearestLot?.unitCost || 0,
             nearestExpiry: nearestLot?.expiryDate || null,
             lotNumber: nearestLot?.lotNumber || null,
@@ -480,6 +361,233 @@ class InventoryIssueController {
       );
     }
   }
+
+  // @desc    Get inventory issues (danh sách phiếu xuất)
+  // @route   GET /api/inventory-issues?department=&status=&productId=&issueCode=&warehouseId=&fromDate=&toDate=&page=&limit=
+  // @access  Private
+  static async getInventoryIssues(req, res) {
+    try {
+      const {
+        department,
+        status,
+        productId,
+        issueCode,
+        warehouseId,
+        fromDate,
+        toDate,
+        page,
+        limit,
+      } = req.query;
+
+      if (status && !ISSUE_STATUSES.includes(status)) {
+        return ApiResponse.error(
+          res,
+          `status không hợp lệ (${ISSUE_STATUSES.join(", ")})`,
+          400
+        );
+      }
+
+      const result = await getInventoryIssues({
+        department,
+        status,
+        productId,
+        issueCode,
+        warehouseId,
+        fromDate,
+        toDate,
+        page: page ? parseInt(page, 10) : 1,
+        limit: limit ? parseInt(limit, 10) : 10,
+      });
+
+      return ApiResponse.success(
+        res,
+        result,
+        "Lấy danh sách phiếu xuất kho thành công"
+      );
+    } catch (error) {
+      console.error("Get inventory issues error:", error);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
+  // @desc    Get inventory issue by id (kèm thông tin lô)
+  // @route   GET /api/inventory-issues/:id
+  // @access  Private
+  static async getInventoryIssueById(req, res) {
+    try {
+      const issue = await getInventoryIssueById(req.params.id);
+      return ApiResponse.success(
+        res,
+        issue,
+        "Lấy thông tin phiếu xuất kho thành công"
+      );
+    } catch (error) {
+      return handleServiceError(res, error, "Get inventory issue");
+    }
+  }
+
+  // @desc    Cancel inventory issue -> hoàn tồn về lô, hủy phiếu OUTBOUND
+  // @route   POST /api/inventory-issues/:id/cancel
+  // @access  Private (admin)
+  static async cancelInventoryIssue(req, res) {
+    try {
+      const reason =
+        typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+      if (!reason) {
+        return ApiResponse.error(
+          res,
+          InventoryIssue.ErrorMessages.CANCEL_REASON_REQUIRED,
+          400
+        );
+      }
+
+      const issue = await cancelInventoryIssue(
+        req.params.id,
+        { reason },
+        { userId: req.user?.id }
+      );
+      return ApiResponse.success(res, issue, "Hủy phiếu xuất kho thành công");
+    } catch (error) {
+      return handleServiceError(res, error, "Cancel inventory issue");
+    }
+  }
+
+  // @desc    Update draft inventory issue (dược sĩ chỉnh trước khi duyệt)
+  // @route   PUT /api/inventory-issues/:id
+  // @access  Private (admin)
+  static async updateDraftIssue(req, res) {
+    try {
+      const { department, issueDate, notes, items, details } = req.body || {};
+      const ErrorMsg = InventoryIssue.ErrorMessages;
+      const itemsToProcess = details || items;
+
+      if (department !== undefined && !String(department).trim()) {
+        return ApiResponse.error(res, ErrorMsg.DEPARTMENT_REQUIRED, 400);
+      }
+      if (itemsToProcess !== undefined) {
+        const itemsError = validateIssueItems(itemsToProcess);
+        if (itemsError) return ApiResponse.error(res, itemsError, 400);
+      }
+
+      const issue = await updateDraftIssue(req.params.id, {
+        department,
+        issueDate,
+        notes,
+        items: itemsToProcess,
+      });
+      return ApiResponse.success(
+        res,
+        toIssueDto(issue),
+        "Cập nhật phiếu xuất kho nháp thành công"
+      );
+    } catch (error) {
+      return handleServiceError(res, error, "Update inventory issue");
+    }
+  }
+
+  // @desc    Approve draft issue -> phân bổ FEFO, trừ kho, ghi OUTBOUND
+  //          (body.expiryOverrideReason: cho phép lấy lô bị chính sách hạn dùng chặn)
+  // @route   POST /api/inventory-issues/:id/approve
+  // @access  Private (admin)
+  static async approveInventoryIssue(req, res) {
+    try {
+      const expiryOverrideReason =
+        typeof req.body?.expiryOverrideReason === "string"
+          ? req.body.expiryOverrideReason.trim()
+          : "";
+      const issue = await approveInventoryIssue(
+        req.params.id,
+        { userId: req.user?.id },
+        { expiryOverrideReason }
+      );
+      return ApiResponse.success(
+        res,
+        toIssueDto(issue),
+        "Duyệt phiếu xuất kho thành công"
+      );
+    } catch (error) {
+      return handleServiceError(res, error, "Approve inventory issue");
+    }
+  }
+
+  // @desc    Reject draft issue with reason
+  // @route   POST /api/inventory-issues/:id/reject
+  // @access  Private (admin)
+  static async rejectInventoryIssue(req, res) {
+    try {
+      const reason =
+        typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+      if (!reason) {
+        return ApiResponse.error(
+          res,
+          InventoryIssue.ErrorMessages.REJECT_REASON_REQUIRED,
+          400
+        );
+      }
+
+      const issue = await rejectInventoryIssue(
+        req.params.id,
+        { reason },
+        { userId: req.user?.id }
+      );
+      return ApiResponse.success(
+        res,
+        issue,
+        "Từ chối phiếu xuất kho thành công"
+      );
+    } catch (error) {
+      return handleServiceError(res, error, "Reject inventory issue");
+    }
+  }
+
+  // @desc    Department returns unused items -> nhập lại lô gốc hoặc kho biệt trữ
+  // @route   POST /api/inventory-issues/:id/returns
+  // @access  Private (admin)
+  static async returnFromDepartment(req, res) {
+    try {
+      const { lines, quarantine, quarantineWarehouseId, returnDate, notes } =
+        req.body || {};
+
+      const linesError = validateReturnLines(lines);
+      if (linesError) return ApiResponse.error(res, linesError, 400);
+      if (quarantine !== undefined && typeof quarantine !== "boolean") {
+        return ApiResponse.error(res, "quarantine phải là boolean", 400);
+      }
+      if (
+        quarantineWarehouseId &&
+        !mongoose.isValidObjectId(quarantineWarehouseId)
+      ) {
+        return ApiResponse.error(res, "ID kho biệt trữ không hợp lệ", 400);
+      }
+
+      const result = await returnFromDepartment(
+        req.params.id,
+        {
+          lines: lines.map((l) => ({
+            inventoryLotId: l.inventoryLotId,
+            quantity: l.quantity,
+          })),
+          quarantine: quarantine === true,
+          quarantineWarehouseId,
+          returnDate,
+          notes,
+        },
+        { userId: req.user?.id }
+      );
+      return ApiResponse.success(
+        res,
+        {
+          issue: toIssueDto(result.issue),
+          transaction: result.transaction,
+          details: result.details,
+        },
+        "Nhận hàng hoàn trả từ khoa/phòng thành công",
+        201
+      );
+    } catch (error) {
+      return handleServiceError(res, error, "Department return");
+    }
+  }
 }
 
 export default InventoryIssueController;
\ No newline at end of file
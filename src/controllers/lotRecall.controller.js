@@ -0,0 +1,112 @@
+import ApiResponse from "../utils/ApiResponse.js";
+import {
+  lotStatusSchema,
+  createRecallSchema,
+} from "../validators/lotRecall.validator.js";
+import {
+  setLotStatus,
+  recallLots,
+  getRecalls,
+  getRecallTrace,
+} from "../services/lotRecall.service.js";
+
+const actorOf = (req) => ({ userId: req.user?.id || req.user?._id || null });
+
+function handleError(res, err, label) {
+  if (err?.statusCode) {
+    return ApiResponse.error(res, err.message, err.statusCode);
+  }
+  console.error(`${label} error:`, err);
+  return ApiResponse.error(res, "Server error", 500);
+}
+
+function validate(schema, body) {
+  const { error, value } = schema.validate(body || {}, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+  return {
+    value,
+    details: error ? error.details.map((d) => d.message) : null,
+  };
+}
+
+class LotRecallController {
+  // @desc    Quarantine / release a lot (tạm giữ / mở lại lô)
+  // @route   PATCH /api/inventory-lots/:id/status
+  // @access  Private (admin)
+  static async updateLotStatus(req, res) {
+    try {
+      const { value, details } = validate(lotStatusSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const lot = await setLotStatus(req.params.id, value);
+      return ApiResponse.success(res, lot, "Cập nhật trạng thái lô thành công");
+    } catch (err) {
+      return handleError(res, err, "Update lot status");
+    }
+  }
+
+  // @desc    Recall lots by notice (thu hồi lô theo thông báo)
+  // @route   POST /api/recalls
+  // @access  Private (admin)
+  static async create(req, res) {
+    try {
+      const { value, details } = validate(createRecallSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const trace = await recallLots(value, actorOf(req));
+      return ApiResponse.success(
+        res,
+        trace,
+        `Đã thu hồi ${trace.lots.length} lô, ${trace.departments.length} khoa/phòng đã nhận`,
+        201
+      );
+    } catch (err) {
+      return handleError(res, err, "Create recall");
+    }
+  }
+
+  // @desc    Get recalls
+  // @route   GET /api/recalls?productId=&page=&limit=
+  // @access  Private
+  static async getList(req, res) {
+    try {
+      const { productId, page, limit } = req.query;
+      const result = await getRecalls({
+        productId,
+        page: page ? parseInt(page, 10) : 1,
+        limit: limit ? parseInt(limit, 10) : 20,
+      });
+      return ApiResponse.success(
+        res,
+        result,
+        "Lấy danh sách thu hồi thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get recalls");
+    }
+  }
+
+  // @desc    Recall trace report per department
+  // @route   GET /api/recalls/:id/trace
+  // @access  Private
+  static async getTrace(req, res) {
+    try {
+      const trace = await getRecallTrace(req.params.id);
+      return ApiResponse.success(
+        res,
+        trace,
+        "Lấy báo cáo truy vết thu hồi thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get recall trace");
+    }
+  }
+}
+
+export default LotRecallController;
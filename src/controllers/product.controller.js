@@ -1,6 +1,15 @@
 import mongoose from "mongoose";
 import ApiResponse from "../utils/ApiResponse.js";
-import { Product } from "../models/index.js";
+import { Product, ProductCostHistory } from "../models/index.js";
+import { updateReorderSettings } from "../services/reorder.service.js";
+import {
+  getProductConversions,
+  setProductConversions,
+} from "../services/unitOfMeasure.service.js";
+import {
+  resolveScan,
+  setProductBarcodes,
+} from "../services/barcode.service.js";
 
 const { ObjectId } = mongoose.Types;
 
@@ -217,6 +226,46 @@ class ProductController {
           },
         },
         { $addFields: { suppliersCount: { $size: "$ps" } } },
+        // Tồn kho theo từng kho
+        {
+          $lookup: {
+            from: "inventorylots",
+            let: { pid: "$_id" },
+            pipeline: [
+              { $match: { $expr: { $eq: ["$productId", "$$pid"] } } },
+              {
+                $group: {
+                  _id: "$warehouseId",
+                  stockQty: { $sum: "$quantity" },
+                  stockValue: {
+                    $sum: { $multiply: ["$quantity", "$unitCost"] },
+                  },
+                },
+              },
+              {
+                $lookup: {
+                  from: "warehouses",
+                  localField: "_id",
+                  foreignField: "_id",
+                  as: "wh",
+                },
+              },
+              { $unwind: { path: "$wh", preserveNullAndEmptyArrays: true } },
+              {
+                $project: {
+                  _id: 0,
+                  warehouseId: "$_id",
+                  warehouseCode: "$wh.code",
+                  warehouseName: "$wh.name",
+                  stockQty: 1,
+                  stockValue: 1,
+                },
+              },
+              { $sort: { warehouseCode: 1 } },
+            ],
+            as: "stockByWarehouse",
+          },
+        },
         {
           $project: {
             ps: 0,
@@ -236,11 +285,18 @@ class ProductController {
         name: p.name,
         unit: p.unit,
         minimumStock: p.minimumStock,
+        safetyStock: p.safetyStock ?? 0,
+        averageCost: p.averageCost ?? 0,
         isActive: p.isActive,
         category: p.category
           ? { _id: p.category._id, name: p.category.name }
           : null,
         suppliersCount: p.suppliersCount ?? 0,
+        currentStock: (p.stockByWarehouse || []).reduce(
+          (sum, w) => sum + w.stockQty,
+          0
+        ),
+        stockByWarehouse: p.stockByWarehouse || [],
         createdAt: p.createdAt,
         updatedAt: p.updatedAt,
         description: p.description,
@@ -253,6 +309,158 @@ class ProductController {
       return ApiResponse.error(res, "Server error", 500);
     }
   }
+
+  // @desc    Get weighted average cost history of a product
+  // @route   GET /api/products/:id/cost-history
+  // @access  Private
+  static async getCostHistory(req, res) {
+    try {
+      const { id } = req.params;
+      const {
+        page = 1,
+        limit = 20,
+        fromDate,
+        toDate,
+      } = req.validatedQuery || req.query;
+
+      const product = await Product.findById(id)
+        .select("sku name unit averageCost currentStock")
+        .lean();
+      if (!product) {
+        return ApiResponse.error(res, "Product not found", 404);
+      }
+
+      const match = { productId: product._id };
+      if (fromDate || toDate) {
+        match.createdAt = {};
+        if (fromDate) match.createdAt.$gte = new Date(fromDate);
+        if (toDate) match.createdAt.$lte = new Date(toDate);
+      }
+
+      const [items, total] = await Promise.all([
+        ProductCostHistory.find(match)
+          .populate({
+            path: "transactionId",
+            select: "type referenceCode transactionDate",
+          })
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((Number(page) - 1) * Number(limit))
+          .limit(Number(limit))
+          .lean(),
+        ProductCostHistory.countDocuments(match),
+      ]);
+
+      return ApiResponse.success(
+        res,
+        {
+          product,
+          history: items,
+          pagination: {
+            page: Number(page),
+            limit: Number(limit),
+            total,
+            totalPages: Math.ceil(total / Number(limit)),
+          },
+        },
+        "Cost history retrieved successfully"
+      );
+    } catch (e) {
+      console.error("Get cost history error:", e);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
+  // @desc    Update reorder settings (safety stock, primary supplier, lead time)
+  // @route   PUT /api/products/:id/reorder-settings
+  // @access  Private (admin)
+  static async updateReorderSettings(req, res) {
+    try {
+      const data = await updateReorderSettings(req.params.id, req.body);
+      return ApiResponse.success(
+        res,
+        data,
+        "Reorder settings updated successfully"
+      );
+    } catch (e) {
+      if (e?.statusCode) {
+        return ApiResponse.error(res, e.message, e.statusCode);
+      }
+      console.error("Update reorder settings error:", e);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
+  // @desc    Get packaging units (quy cách đóng gói) of a product
+  // @route   GET /api/products/:id/unit-conversions
+  // @access  Private
+  static async getUnitConversions(req, res) {
+    try {
+      const data = await getProductConversions(req.params.id);
+      return ApiResponse.success(
+        res,
+        data,
+        "Unit conversions retrieved successfully"
+      );
+    } catch (e) {
+      if (e?.statusCode) {
+        return ApiResponse.error(res, e.message, e.statusCode);
+      }
+      console.error("Get unit conversions error:", e);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
+  // @desc    Replace packaging units of a product
+  // @route   PUT /api/products/:id/unit-conversions
+  // @access  Private (admin)
+  static async updateUnitConversions(req, res) {
+    try {
+      const data = await setProductConversions(req.params.id, req.body);
+      return ApiResponse.success(
+        res,
+        data,
+        "Unit conversions updated successfully"
+      );
+    } catch (e) {
+      if (e?.statusCode) {
+        return ApiResponse.error(res, e.message, e.statusCode);
+      }
+      console.error("Update unit conversions error:", e);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
+  // @desc    Replace barcodes of a product
+  // @route   PUT /api/products/:id/barcodes
+  // @access  Private (admin)
+  static async updateBarcodes(req, res) {
+    try {
+      const data = await setProductBarcodes(req.params.id, req.body);
+      return ApiResponse.success(res, data, "Barcodes updated successfully");
+    } catch (e) {
+      if (e?.statusCode) {
+        return ApiResponse.error(res, e.message, e.statusCode);
+      }
+      console.error("Update barcodes error:", e);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
+  // @desc    Parse scanned code (GS1 DataMatrix/EAN) into product, lot number, expiry date
+  // @route   POST /api/products/scan
+  // @access  Private
+  static async scanBarcode(req, res) {
+    try {
+      const data = await resolveScan(req.body);
+      return ApiResponse.success(res, data, "Barcode resolved successfully");
+    } catch (e) {
+      if (e?.statusCode) {
+        return ApiResponse.error(res, e.message, e.statusCode);
+      }
+      console.error("Scan barcode error:", e);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
 }
 
 export default ProductController;
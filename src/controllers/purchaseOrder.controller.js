@@ -0,0 +1,220 @@
+import ApiResponse from "../utils/ApiResponse.js";
+import {
+  createPurchaseOrderSchema,
+  updatePurchaseOrderSchema,
+  closePurchaseOrderSchema,
+  generateReorderSchema,
+} from "../validators/purchaseOrder.validator.js";
+import {
+  createPurchaseOrder,
+  getPurchaseOrders,
+  getPurchaseOrderById,
+  updatePurchaseOrder,
+  approvePurchaseOrder,
+  sendPurchaseOrder,
+  closePurchaseOrder,
+} from "../services/purchaseOrder.service.js";
+import {
+  getReorderSuggestions,
+  generateReorderPurchaseOrders,
+} from "../services/reorder.service.js";
+
+const actorOf = (req) => ({
+  userId: req.user?.id || req.user?._id || null,
+  role: req.user?.role,
+});
+
+function handleError(res, err, label) {
+  if (err?.statusCode) {
+    return ApiResponse.error(
+      res,
+      err.message,
+      err.statusCode,
+      err.errors || null
+    );
+  }
+  console.error(`${label} error:`, err);
+  return ApiResponse.error(res, "Server error", 500);
+}
+
+function validate(schema, body) {
+  const { error, value } = schema.validate(body || {}, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+  return {
+    value,
+    details: error ? error.details.map((d) => d.message) : null,
+  };
+}
+
+class PurchaseOrderController {
+  // @desc    Create draft purchase order (đơn đặt hàng)
+  // @route   POST /api/purchase-orders
+  // @access  Private (admin)
+  static async create(req, res) {
+    try {
+      const { value, details } = validate(createPurchaseOrderSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const po = await createPurchaseOrder(value, actorOf(req));
+      return ApiResponse.success(res, po, "Tạo đơn đặt hàng thành công", 201);
+    } catch (err) {
+      return handleError(res, err, "Create purchase order");
+    }
+  }
+
+  // @desc    Get purchase orders
+  // @route   GET /api/purchase-orders?status=&source=&supplierId=&warehouseId=&search=&fromDate=&toDate=&page=&limit=
+  // @access  Private
+  static async getList(req, res) {
+    try {
+      const {
+        status,
+        source,
+        supplierId,
+        warehouseId,
+        search,
+        fromDate,
+        toDate,
+        page,
+        limit,
+      } = req.query;
+      const result = await getPurchaseOrders({
+        status,
+        source,
+        supplierId,
+        warehouseId,
+        search,
+        fromDate,
+        toDate,
+        page: page ? parseInt(page, 10) : 1,
+        limit: limit ? parseInt(limit, 10) : 10,
+      });
+      return ApiResponse.success(
+        res,
+        result,
+        "Lấy danh sách đơn đặt hàng thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get purchase orders");
+    }
+  }
+
+  // @desc    Reorder suggestions grouped by primary supplier
+  // @route   GET /api/purchase-orders/reorder-suggestions?supplierId=&categoryId=
+  // @access  Private
+  static async getReorderSuggestions(req, res) {
+    try {
+      const { supplierId, categoryId } = req.query;
+      const result = await getReorderSuggestions({ supplierId, categoryId });
+      return ApiResponse.success(res, result, "Lấy gợi ý đặt hàng thành công");
+    } catch (err) {
+      return handleError(res, err, "Get reorder suggestions");
+    }
+  }
+
+  // @desc    Generate draft purchase orders from reorder suggestions
+  // @route   POST /api/purchase-orders/reorder-suggestions/generate
+  // @access  Private (admin)
+  static async generateFromSuggestions(req, res) {
+    try {
+      const { value, details } = validate(generateReorderSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const result = await generateReorderPurchaseOrders(value, actorOf(req));
+      return ApiResponse.success(
+        res,
+        result,
+        `Đã tạo ${result.purchaseOrders.length} đơn đặt hàng nháp`,
+        201
+      );
+    } catch (err) {
+      return handleError(res, err, "Generate reorder purchase orders");
+    }
+  }
+
+  // @desc    Get purchase order with receipts, outstanding and discrepancies
+  // @route   GET /api/purchase-orders/:id
+  // @access  Private
+  static async getById(req, res) {
+    try {
+      const po = await getPurchaseOrderById(req.params.id);
+      return ApiResponse.success(
+        res,
+        po,
+        "Lấy thông tin đơn đặt hàng thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get purchase order");
+    }
+  }
+
+  // @desc    Update draft purchase order
+  // @route   PUT /api/purchase-orders/:id
+  // @access  Private (admin)
+  static async update(req, res) {
+    try {
+      const { value, details } = validate(updatePurchaseOrderSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const po = await updatePurchaseOrder(req.params.id, value);
+      return ApiResponse.success(res, po, "Cập nhật đơn đặt hàng thành công");
+    } catch (err) {
+      return handleError(res, err, "Update purchase order");
+    }
+  }
+
+  // @desc    Approve draft purchase order
+  // @route   POST /api/purchase-orders/:id/approve
+  // @access  Private (admin)
+  static async approve(req, res) {
+    try {
+      const po = await approvePurchaseOrder(req.params.id, actorOf(req));
+      return ApiResponse.success(res, po, "Duyệt đơn đặt hàng thành công");
+    } catch (err) {
+      return handleError(res, err, "Approve purchase order");
+    }
+  }
+
+  // @desc    Mark approved purchase order as sent to supplier
+  // @route   POST /api/purchase-orders/:id/send
+  // @access  Private (admin)
+  static async send(req, res) {
+    try {
+      const po = await sendPurchaseOrder(req.params.id, actorOf(req));
+      return ApiResponse.success(
+        res,
+        po,
+        "Đã gửi đơn đặt hàng cho nhà cung cấp"
+      );
+    } catch (err) {
+      return handleError(res, err, "Send purchase order");
+    }
+  }
+
+  // @desc    Close purchase order manually (with reason)
+  // @route   POST /api/purchase-orders/:id/close
+  // @access  Private (admin)
+  static async close(req, res) {
+    try {
+      const { value, details } = validate(closePurchaseOrderSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const po = await closePurchaseOrder(req.params.id, value, actorOf(req));
+      return ApiResponse.success(res, po, "Đóng đơn đặt hàng thành công");
+    } catch (err) {
+      return handleError(res, err, "Close purchase order");
+    }
+  }
+}
+
+export default PurchaseOrderController;
@@ -1,32 +1,46 @@
 import Transaction from "../models/transaction.model.js";
-import TransactionDetail from "../models/transactionDetail.model.js";
 import Product from "../models/product.model.js";
+import InventoryLot from "../models/inventoryLot.model.js";
+import { getInventoryValuation } from "../services/valuation.service.js";
+import { getStockSummaryReport } from "../services/stockSummary.service.js";
+import { takeInventorySnapshot } from "../services/inventorySnapshot.service.js";
+import { getStockCard as buildStockCard } from "../services/stockCard.service.js";
 import ApiResponse from "../utils/ApiResponse.js";
+import {
+  businessTimeZone,
+  startOfBusinessDay,
+  endOfBusinessDay,
+} from "../utils/businessDay.js";
 import mongoose from "mongoose";
 import PDFDocument from "pdfkit";
 import ExcelJS from "exceljs";
-import path from "path";
-import { fileURLToPath } from "url";
 import fs from "fs";
-
-// Lấy đường dẫn thư mục hiện tại (ES Modules)
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-// Đường dẫn tới Font Roboto
-const FONT_REGULAR = path.join(__dirname, "../assets/fonts/Roboto/static/Roboto-Regular.ttf");
-const FONT_BOLD = path.join(__dirname, "../assets/fonts/Roboto/static/Roboto-Bold.ttf");
+import {
+  FONT_REGULAR,
+  FONT_BOLD,
+  registerPdfFonts,
+  drawTable,
+} from "../utils/pdf.js";
+
+// Phương pháp tính giá trị tồn khi xuất báo cáo
+const VALUATION_METHODS = {
+  average: "Bình quân gia quyền",
+  lot: "Giá thực tế theo lô",
+};
 
 /**
  * @route GET /api/reports/stock_summary
  * @desc Lấy báo cáo xuất-nhập-tồn kho theo khoảng thời gian
  * @param {Date} startDate - Ngày bắt đầu (query param)
  * @param {Date} endDate - Ngày kết thúc (query param)
- * @returns {Object} Danh sách sản phẩm với thông tin tồn đầu kỳ, nhập, xuất, tồn cuối kỳ
+ * @param {String} categoryId - Lọc theo danh mục (query param, tùy chọn)
+ * @param {String} search - Tìm theo tên hoặc SKU (query param, tùy chọn)
+ * @param {Number} page, limit - Phân trang (mặc định 1, 20)
+ * @returns {Object} Danh sách sản phẩm (theo tên) với thông tin tồn đầu kỳ, nhập, xuất, điều chỉnh, hoàn trả từ khoa/phòng, tồn cuối kỳ
  */
 export const getStockSummary = async (req, res) => {
   try {
-    const { startDate, endDate } = req.query;
+    const { startDate, endDate, categoryId, search, page, limit } = req.query;
 
     // Validate date parameters
     if (!startDate || !endDate) {
@@ -37,8 +51,8 @@ export const getStockSummary = async (req, res) => {
       );
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const start = startOfBusinessDay(startDate);
+    const end = endOfBusinessDay(endDate);
 
     if (isNaN(start.getTime()) || isNaN(end.getTime())) {
       return ApiResponse.error(res, "Định dạng ngày không hợp lệ", 400);
@@ -52,74 +66,38 @@ export const getStockSummary = async (req, res) => {
       );
     }
 
-    // Set time to start and end of day
-    start.setHours(0, 0, 0, 0);
-    end.setHours(23, 59, 59, 999);
-
-    // Get all products
-    const products = await Product.find({}).select("_id name unit").lean();
-
-    // Calculate stock summary for each product
-    const stockSummary = await Promise.all(
-      products.map(async (product) => {
-        // 1. Calculate opening stock (tồn đầu kỳ) - stock before startDate
-        const openingStock = await calculateStockAtDate(
-          product._id,
-          new Date(start.getTime() - 1)
-        );
-
-        // 2. Calculate total inbound (tổng nhập) in period
-        const totalInbound = await calculateTransactionTotal(
-          product._id,
-          "INBOUND",
-          start,
-          end
-        );
-
-        // 3. Calculate total outbound (tổng xuất) in period
-        const totalOutbound = await calculateTransactionTotal(
-          product._id,
-          "OUTBOUND",
-          start,
-          end
-        );
-
-        // 4. Calculate closing stock (tồn cuối kỳ) = opening + inbound - outbound
-        const closingStock = openingStock + totalInbound - totalOutbound;
-
-        return {
-          productId: product._id,
-          productName: product.name,
-          unit: product.unit,
-          openingStock,
-          totalInbound,
-          totalOutbound,
-          closingStock,
-        };
-      })
-    );
-
-    // Filter out products with no activity
-    const activeProducts = stockSummary.filter(
-      (item) =>
-        item.openingStock > 0 ||
-        item.totalInbound > 0 ||
-        item.totalOutbound > 0 ||
-        item.closingStock > 0
-    );
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+    const { products, total } = await getStockSummaryReport({
+      start,
+      end,
+      categoryId,
+      search,
+      page: pageNum,
+      limit: limitNum,
+    });
 
     return ApiResponse.success(
       res,
       {
         startDate: start,
         endDate: end,
-        totalProducts: activeProducts.length,
-        products: activeProducts,
+        totalProducts: total,
+        products,
+        pagination: {
+          page: pageNum,
+          limit: limitNum,
+          total,
+          totalPages: Math.ceil(total / limitNum),
+        },
       },
       "Lấy báo cáo xuất-nhập-tồn thành công",
       200
     );
   } catch (error) {
+    if (error.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
     console.error("Error in getStockSummary:", error);
     return ApiResponse.error(
       res,
@@ -130,154 +108,6 @@ export const getStockSummary = async (req, res) => {
   }
 };
 
-/**
- * Calculate stock quantity at a specific date
- * @param {ObjectId} productId
- * @param {Date} date
- * @returns {Number} Stock quantity at the specified date
- */
-async function calculateStockAtDate(productId, date) {
-  // Sum all INBOUND transactions up to date
-  const inbound = await TransactionDetail.aggregate([
-    {
-      $lookup: {
-        from: "transactions",
-        localField: "transactionId",
-        foreignField: "_id",
-        as: "transaction",
-      },
-    },
-    { $unwind: "$transaction" },
-    {
-      $match: {
-        productId: new mongoose.Types.ObjectId(productId),
-        "transaction.type": "INBOUND",
-        "transaction.transactionDate": { $lte: date },
-        "transaction.status": "COMPLETED",
-      },
-    },
-    {
-      $group: {
-        _id: null,
-        totalQuantity: { $sum: "$quantity" },
-      },
-    },
-  ]);
-
-  // Sum all OUTBOUND transactions up to date
-  const outbound = await TransactionDetail.aggregate([
-    {
-      $lookup: {
-        from: "transactions",
-        localField: "transactionId",
-        foreignField: "_id",
-        as: "transaction",
-      },
-    },
-    { $unwind: "$transaction" },
-    {
-      $match: {
-        productId: new mongoose.Types.ObjectId(productId),
-        "transaction.type": "OUTBOUND",
-        "transaction.transactionDate": { $lte: date },
-        "transaction.status": "COMPLETED",
-      },
-    },
-    {
-      $group: {
-        _id: null,
-        totalQuantity: { $sum: "$quantity" },
-      },
-    },
-  ]);
-
-  const totalInbound = inbound.length > 0 ? inbound[0].totalQuantity : 0;
-  const totalOutbound = outbound.length > 0 ? outbound[0].totalQuantity : 0;
-
-  return totalInbound - totalOutbound;
-}
-
-/**
- * Calculate total transaction quantity for a product (all time)
- * @param {ObjectId} productId
- * @param {String} transactionType - INBOUND or OUTBOUND
- * @returns {Number} Total quantity
- */
-async function calculateTransactionTotalAllTime(
-  productId,
-  transactionType
-) {
-  const result = await TransactionDetail.aggregate([
-    {
-      $lookup: {
-        from: "transactions",
-        localField: "transactionId",
-        foreignField: "_id",
-        as: "transaction",
-      },
-    },
-    { $unwind: "$transaction" },
-    {
-      $match: {
-        productId: new mongoose.Types.ObjectId(productId),
-        "transaction.type": transactionType,
-        "transaction.status": "COMPLETED",
-      },
-    },
-    {
-      $group: {
-        _id: null,
-        totalQuantity: { $sum: "$quantity" },
-      },
-    },
-  ]);
-
-  return result.length > 0 ? result[0].totalQuantity : 0;
-}
-
-/**
- * Calculate total transaction quantity for a product in date range
- * @param {ObjectId} productId
- * @param {String} transactionType - INBOUND or OUTBOUND
- * @param {Date} startDate
- * @param {Date} endDate
- * @returns {Number} Total quantity
- */
-async function calculateTransactionTotal(
-  productId,
-  transactionType,
-  startDate,
-  endDate
-) {
-  const result = await TransactionDetail.aggregate([
-    {
-      $lookup: {
-        from: "transactions",
-        localField: "transactionId",
-        foreignField: "_id",
-        as: "transaction",
-      },
-    },
-    { $unwind: "$transaction" },
-    {
-      $match: {
-        productId: new mongoose.Types.ObjectId(productId),
-        "transaction.type": transactionType,
-        "transaction.transactionDate": { $gte: startDate, $lte: endDate },
-        "transaction.status": "COMPLETED",
-      },
-    },
-    {
-      $group: {
-        _id: null,
-        totalQuantity: { $sum: "$quantity" },
-      },
-    },
-  ]);
-
-  return result.length > 0 ? result[0].totalQuantity : 0;
-}
-
 /**
  * @route GET /api/reports/trends
  * @desc Lấy dữ liệu biểu đồ nhập/xuất theo tháng
@@ -298,8 +128,8 @@ export const getTrends = async (req, res) => {
       );
     }
 
-    const start = new Date(startDate);
-    const end = new Date(endDate);
+    const start = startOfBusinessDay(startDate);
+    const end = endOfBusinessDay(endDate);
 
     if (isNaN(start.getTime()) || isNaN(end.getTime())) {
       return ApiResponse.error(res, "Định dạng ngày không hợp lệ", 400);
@@ -313,9 +143,8 @@ export const getTrends = async (req, res) => {
       );
     }
 
-    // Set time to start and end of day
-    start.setHours(0, 0, 0, 0);
-    end.setHours(23, 59, 59, 999);
+    // Gom theo tháng của múi giờ nghiệp vụ, khớp với ranh giới ngày start/end
+    const timezone = businessTimeZone();
 
     // Aggregate INBOUND transactions by month
     const inboundTrends = await Transaction.aggregate([
@@ -338,8 +167,8 @@ export const getTrends = async (req, res) => {
       {
         $group: {
           _id: {
-            year: { $year: "$transactionDate" },
-            month: { $month: "$transactionDate" },
+            year: { $year: { date: "$transactionDate", timezone } },
+            month: { $month: { date: "$transactionDate", timezone } },
           },
           totalQuantity: { $sum: "$details.quantity" },
           totalValue: {
@@ -382,8 +211,8 @@ export const getTrends = async (req, res) => {
       {
         $group: {
           _id: {
-            year: { $year: "$transactionDate" },
-            month: { $month: "$transactionDate" },
+            year: { $year: { date: "$transactionDate", timezone } },
+            month: { $month: { date: "$transactionDate", timezone } },
           },
           totalQuantity: { $sum: "$details.quantity" },
           totalValue: {
@@ -501,20 +330,18 @@ export const getStatusDistribution = async (req, res) => {
       matchFilter.transactionDate = {};
 
       if (startDate) {
-        const start = new Date(startDate);
+        const start = startOfBusinessDay(startDate);
         if (isNaN(start.getTime())) {
           return ApiResponse.error(res, "Định dạng startDate không hợp lệ", 400);
         }
-        start.setHours(0, 0, 0, 0);
         matchFilter.transactionDate.$gte = start;
       }
 
       if (endDate) {
-        const end = new Date(endDate);
+        const end = endOfBusinessDay(endDate);
         if (isNaN(end.getTime())) {
           return ApiResponse.error(res, "Định dạng endDate không hợp lệ", 400);
         }
-        end.setHours(23, 59, 59, 999);
         matchFilter.transactionDate.$lte = end;
       }
 
@@ -578,6 +405,162 @@ export const getStatusDistribution = async (req, res) => {
   }
 };
 
+/**
+ * @route GET /api/reports/suppliers
+ * @desc Báo cáo nhà cung cấp: giá trị nhập, hàng trả lại (credit note) và giá trị nhập thuần
+ * @param {Date} startDate - Ngày bắt đầu (query param, tùy chọn)
+ * @param {Date} endDate - Ngày kết thúc (query param, tùy chọn)
+ * @param {String} supplierId - Lọc một nhà cung cấp (query param, tùy chọn)
+ * @returns {Object} Danh sách nhà cung cấp với inboundValue, creditNoteAmount, netPurchaseValue
+ */
+export const getSupplierReport = async (req, res) => {
+  try {
+    const { startDate, endDate, supplierId } = req.query;
+
+    const match = {
+      type: { $in: ["INBOUND", "SUPPLIER_RETURN"] },
+      status: "COMPLETED",
+    };
+
+    if (supplierId) {
+      if (!mongoose.isValidObjectId(supplierId)) {
+        return ApiResponse.error(res, "supplierId không hợp lệ", 400);
+      }
+      match.supplierId = new mongoose.Types.ObjectId(supplierId);
+    }
+
+    let start = null;
+    let end = null;
+    if (startDate || endDate) {
+      start = startDate ? startOfBusinessDay(startDate) : null;
+      end = endDate ? endOfBusinessDay(endDate) : null;
+
+      if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+        return ApiResponse.error(res, "Định dạng ngày không hợp lệ", 400);
+      }
+      if (start && end && start > end) {
+        return ApiResponse.error(
+          res,
+          "startDate phải nhỏ hơn hoặc bằng endDate",
+          400
+        );
+      }
+
+      match.transactionDate = {};
+      if (start) {
+        match.transactionDate.$gte = start;
+      }
+      if (end) {
+        match.transactionDate.$lte = end;
+      }
+    }
+
+    const isReturn = { $eq: ["$type", "SUPPLIER_RETURN"] };
+
+    const suppliers = await Transaction.aggregate([
+      { $match: match },
+      {
+        $lookup: {
+          from: "transactiondetails",
+          localField: "_id",
+          foreignField: "transactionId",
+          as: "details",
+        },
+      },
+      {
+        $addFields: {
+          quantity: { $sum: "$details.quantity" },
+          value: {
+            $sum: {
+              $map: {
+                input: "$details",
+                as: "d",
+                in: { $multiply: ["$$d.quantity", "$$d.unitPrice"] },
+              },
+            },
+          },
+        },
+      },
+      {
+        $group: {
+          _id: "$supplierId",
+          inboundCount: { $sum: { $cond: [isReturn, 0, 1] } },
+          inboundQuantity: { $sum: { $cond: [isReturn, 0, "$quantity"] } },
+          inboundValue: { $sum: { $cond: [isReturn, 0, "$value"] } },
+          returnCount: { $sum: { $cond: [isReturn, 1, 0] } },
+          returnedQuantity: { $sum: { $cond: [isReturn, "$quantity", 0] } },
+          creditNoteAmount: {
+            $sum: {
+              $cond: [
+                isReturn,
+                { $ifNull: ["$creditNoteAmount", "$value"] },
+                0,
+              ],
+            },
+          },
+        },
+      },
+      {
+        $lookup: {
+          from: "suppliers",
+          localField: "_id",
+          foreignField: "_id",
+          as: "supplier",
+        },
+      },
+      { $unwind: { path: "$supplier", preserveNullAndEmptyArrays: true } },
+      {
+        $project: {
+          _id: 0,
+          supplierId: "$_id",
+          supplierCode: "$supplier.code",
+          supplierName: "$supplier.name",
+          inboundCount: 1,
+          inboundQuantity: 1,
+          inboundValue: 1,
+          returnCount: 1,
+          returnedQuantity: 1,
+          creditNoteAmount: 1,
+          netPurchaseValue: {
+            $subtract: ["$inboundValue", "$creditNoteAmount"],
+          },
+        },
+      },
+      { $sort: { netPurchaseValue: -1, supplierName: 1 } },
+    ]);
+
+    const totals = suppliers.reduce(
+      (acc, s) => ({
+        inboundValue: acc.inboundValue + s.inboundValue,
+        creditNoteAmount: acc.creditNoteAmount + s.creditNoteAmount,
+        netPurchaseValue: acc.netPurchaseValue + s.netPurchaseValue,
+      }),
+      { inboundValue: 0, creditNoteAmount: 0, netPurchaseValue: 0 }
+    );
+
+    return ApiResponse.success(
+      res,
+      {
+        startDate: start,
+        endDate: end,
+        totalSuppliers: suppliers.length,
+        totals,
+        suppliers,
+      },
+      "Lấy báo cáo nhà cung cấp thành công",
+      200
+    );
+  } catch (error) {
+    console.error("Error in getSupplierReport:", error);
+    return ApiResponse.error(
+      res,
+      "Lỗi khi lấy báo cáo nhà cung cấp",
+      500,
+      error.message
+    );
+  }
+};
+
 /**
  * @route GET /api/reports/export
  * @desc Xuất báo cáo ra file PDF
@@ -692,101 +675,27 @@ export const exportReport = async (req, res) => {
 async function getStockSummaryData(startDate, endDate) {
   // Nếu không có ngày, lấy toàn bộ dữ liệu
   if (!startDate || !endDate) {
-    // Lấy tất cả products
-    const products = await Product.find({}).select("_id name unit").lean();
-    
-    const stockSummary = await Promise.all(
-      products.map(async (product) => {
-        const totalInbound = await calculateTransactionTotalAllTime(
-          product._id,
-          "INBOUND"
-        );
-        const totalOutbound = await calculateTransactionTotalAllTime(
-          product._id,
-          "OUTBOUND"
-        );
-        const closingStock = totalInbound - totalOutbound;
-
-        return {
-          productName: product.name,
-          unit: product.unit,
-          openingStock: 0,
-          totalInbound,
-          totalOutbound,
-          closingStock,
-        };
-      })
-    );
-
-    const activeProducts = stockSummary.filter(
-      (item) =>
-        item.totalInbound > 0 ||
-        item.totalOutbound > 0 ||
-        item.closingStock > 0
-    );
-
+    const { products } = await getStockSummaryReport();
     return {
       startDate: null,
       endDate: null,
-      products: activeProducts,
+      products,
     };
   }
 
-  const start = new Date(startDate);
-  const end = new Date(endDate);
+  const start = startOfBusinessDay(startDate);
+  const end = endOfBusinessDay(endDate);
 
   if (isNaN(start.getTime()) || isNaN(end.getTime())) {
     throw new Error("Định dạng ngày không hợp lệ");
   }
 
-  start.setHours(0, 0, 0, 0);
-  end.setHours(23, 59, 59, 999);
-
-  const products = await Product.find({}).select("_id name unit").lean();
-
-  const stockSummary = await Promise.all(
-    products.map(async (product) => {
-      const openingStock = await calculateStockAtDate(
-        product._id,
-        new Date(start.getTime() - 1)
-      );
-      const totalInbound = await calculateTransactionTotal(
-        product._id,
-        "INBOUND",
-        start,
-        end
-      );
-      const totalOutbound = await calculateTransactionTotal(
-        product._id,
-        "OUTBOUND",
-        start,
-        end
-      );
-      const closingStock = openingStock + totalInbound - totalOutbound;
-
-      return {
-        productName: product.name,
-        unit: product.unit,
-        openingStock,
-        totalInbound,
-        totalOutbound,
-        closingStock,
-      };
-    })
-  );
-
-  const activeProducts = stockSummary.filter(
-    (item) =>
-      item.openingStock > 0 ||
-      item.totalInbound > 0 ||
-      item.totalOutbound > 0 ||
-      item.closingStock > 0
-  );
+  const { products } = await getStockSummaryReport({ start, end });
 
   return {
     startDate: start,
     endDate: end,
-    products: activeProducts,
+    products,
   };
 }
 
@@ -803,16 +712,14 @@ async function getTrendsData(startDate, endDate) {
     };
   }
 
-  const start = new Date(startDate);
-  const end = new Date(endDate);
+  const start = startOfBusinessDay(startDate);
+  const end = endOfBusinessDay(endDate);
 
   if (isNaN(start.getTime()) || isNaN(end.getTime())) {
     throw new Error("Định dạng ngày không hợp lệ");
   }
 
-  start.setHours(0, 0, 0, 0);
-  end.setHours(23, 59, 59, 999);
-
+  const timezone = businessTimeZone();
   const inboundTrends = await Transaction.aggregate([
     {
       $match: {
@@ -833,8 +740,8 @@ async function getTrendsData(startDate, endDate) {
     {
       $group: {
         _id: {
-          year: { $year: "$transactionDate" },
-          month: { $month: "$transactionDate" },
+          year: { $year: { date: "$transactionDate", timezone } },
+          month: { $month: { date: "$transactionDate", timezone } },
         },
         totalQuantity: { $sum: "$details.quantity" },
         totalValue: {
@@ -876,8 +783,8 @@ async function getTrendsData(startDate, endDate) {
     {
       $group: {
         _id: {
-          year: { $year: "$transactionDate" },
-          month: { $month: "$transactionDate" },
+          year: { $year: { date: "$transactionDate", timezone } },
+          month: { $month: { date: "$transactionDate", timezone } },
         },
         totalQuantity: { $sum: "$details.quantity" },
         totalValue: {
@@ -967,20 +874,18 @@ async function getStatusDistributionData(startDate, endDate) {
     matchFilter.transactionDate = {};
 
     if (startDate) {
-      const start = new Date(startDate);
+      const start = startOfBusinessDay(startDate);
       if (isNaN(start.getTime())) {
         throw new Error("Định dạng startDate không hợp lệ");
       }
-      start.setHours(0, 0, 0, 0);
       matchFilter.transactionDate.$gte = start;
     }
 
     if (endDate) {
-      const end = new Date(endDate);
+      const end = endOfBusinessDay(endDate);
       if (isNaN(end.getTime())) {
         throw new Error("Định dạng endDate không hợp lệ");
       }
-      end.setHours(23, 59, 59, 999);
       matchFilter.transactionDate.$lte = end;
     }
   }
@@ -1077,102 +982,6 @@ function generatePDFContent(doc, reportType, data, title, startDate, endDate) {
   }
 }
 
-/**
- * Core function to draw formatted table with headers and rows
- */
-function drawTable(doc, headers, rows, colWidths, fonts = { regular: "Helvetica", bold: "Helvetica-Bold" }) {
-  const startX = 30;
-  let startY = doc.y;
-  const rowHeight = 25; // Chiều cao mỗi dòng
-  const usableWidth = doc.page.width - 60;
-
-  // 1. Vẽ Header
-  doc.font(fonts.bold).fontSize(9);
-
-  // Vẽ nền header
-  doc
-    .fillColor("#eeeeee")
-    .rect(startX, startY, usableWidth, rowHeight)
-    .fill();
-  doc.fillColor("black"); // Reset lại màu chữ
-
-  let currentX = startX;
-  headers.forEach((header, i) => {
-    // Căn giữa text trong header
-    doc.text(header, currentX + 5, startY + 8, {
-      width: colWidths[i] - 10,
-      align: "center",
-    });
-    currentX += colWidths[i];
-  });
-
-  startY += rowHeight;
-  doc.font(fonts.regular).fontSize(9);
-
-  // 2. Vẽ Rows
-  rows.forEach((row, rowIndex) => {
-    // Check page break
-    if (startY + rowHeight > doc.page.height - 30) {
-      doc.addPage();
-      startY = 30; // Reset Y về đầu trang mới
-
-      // Vẽ lại header ở trang mới
-      doc.font(fonts.bold).fontSize(9);
-      doc
-        .fillColor("#eeeeee")
-        .rect(startX, startY, usableWidth, rowHeight)
-        .fill();
-      doc.fillColor("black");
-
-      let hX = startX;
-      headers.forEach((h, i) => {
-        doc.text(h, hX + 5, startY + 8, {
-          width: colWidths[i] - 10,
-          align: "center",
-        });
-        hX += colWidths[i];
-      });
-      startY += rowHeight;
-      doc.font(fonts.regular).fontSize(9);
-    }
-
-    // Vẽ màu nền xen kẽ (Zebra striping)
-    if (rowIndex % 2 === 1) {
-      doc
-        .fillColor("#f9f9f9")
-        .rect(startX, startY, usableWidth, rowHeight)
-        .fill();
-      doc.fillColor("black");
-    }
-
-    let cellX = startX;
-    row.forEach((text, i) => {
-      // Căn chỉnh: Cột đầu (STT) giữa, Cột chữ (Tên) trái, Cột số phải
-      let align = "center";
-      if (colWidths[i] > 100) align = "left"; // Cột tên dài
-      if (colWidths[i] <= 80 && i > 1) align = "right"; // Cột số
-
-      doc.text(text, cellX + 5, startY + 8, {
-        width: colWidths[i] - 10,
-        align: align,
-        lineBreak: false,
-        ellipsis: true,
-      });
-      cellX += colWidths[i];
-    });
-
-    // Vẽ đường kẻ mờ bên dưới mỗi dòng
-    doc
-      .moveTo(startX, startY + rowHeight)
-      .lineTo(startX + usableWidth, startY + rowHeight)
-      .lineWidth(0.5)
-      .strokeColor("#cccccc")
-      .stroke();
-
-    startY += rowHeight;
-  });
-}
-
 /**
  * Generate Stock Summary table
  */
@@ -1189,11 +998,13 @@ function generateStockSummaryTable(doc, data, fonts = { regular: "Helvetica", bo
     "ĐVT",
     "Tồn đầu",
     "Nhập",
+    "Hoàn trả",
     "Xuất",
+    "Điều chỉnh",
     "Tồn cuối",
   ];
   // Tổng width = 595 (A4) - 60 (margin) = 535
-  const colWidths = [30, 205, 50, 60, 60, 60, 70];
+  const colWidths = [30, 125, 40, 55, 55, 55, 55, 60, 60];
 
   const rows = data.products.map((p, index) => [
     (index + 1).toString(),
@@ -1201,13 +1012,22 @@ function generateStockSummaryTable(doc, data, fonts = { regular: "Helvetica", bo
     p.unit,
     p.openingStock.toString(),
     p.totalInbound.toString(),
+    p.totalDepartmentReturn.toString(),
     p.totalOutbound.toString(),
+    formatSignedQty(p.totalAdjustment),
     p.closingStock.toString(),
   ]);
 
   drawTable(doc, headers, rows, colWidths, fonts);
 }
 
+/**
+ * Hiển thị số lượng điều chỉnh kèm dấu (+/-)
+ */
+function formatSignedQty(qty = 0) {
+  return qty > 0 ? `+${qty}` : qty.toString();
+}
+
 /**
  * Generate Trends table
  */
@@ -1271,13 +1091,32 @@ function generateStatusDistributionTable(doc, data, fonts = { regular: "Helvetic
   drawTable(doc, headers, rows, colWidths, fonts);
 }
 
+/**
+ * Đơn giá thực tế theo các lô còn tồn: tổng (SL x giá lô) / tổng SL, theo sản phẩm
+ * @returns {Promise<Map>} productId -> unitCost
+ */
+async function getLotUnitCosts(productIds) {
+  const rows = await InventoryLot.aggregate([
+    { $match: { productId: { $in: productIds }, quantity: { $gt: 0 } } },
+    {
+      $group: {
+        _id: "$productId",
+        quantity: { $sum: "$quantity" },
+        value: { $sum: { $multiply: ["$quantity", "$unitCost"] } },
+      },
+    },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r.value / r.quantity]));
+}
+
 /**
  * Export report in Excel or PDF format
- * @route GET /api/reports/export?type=excel&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD
+ * @route GET /api/reports/export?type=excel&startDate=YYYY-MM-DD&endDate=YYYY-MM-DD&valuation=average|lot
  */
 async function exportReportFile(req, res) {
   try {
-    const { type = "excel", startDate, endDate } = req.query;
+    const { type = "excel", startDate, endDate, valuation = "average" } =
+      req.query;
 
     // Validate export type
     if (!["excel", "pdf"].includes(type)) {
@@ -1287,6 +1126,14 @@ async function exportReportFile(req, res) {
       );
     }
 
+    if (!VALUATION_METHODS[valuation]) {
+      return ApiResponse.error(
+        res,
+        "Invalid valuation. Use 'average' or 'lot'",
+        400
+      );
+    }
+
     // Validate date range
     if (
       startDate &&
@@ -1309,12 +1156,21 @@ async function exportReportFile(req, res) {
     const trendsData = await getTrendsData(startDate, endDate);
     const statusData = await getStatusDistributionData(startDate, endDate);
 
+    // lot: đơn giá thực tế của các lô còn tồn; sản phẩm không còn lô dùng giá bình quân
+    const lotUnitCosts =
+      valuation === "lot"
+        ? await getLotUnitCosts(stockData.products.map((p) => p.productId))
+        : new Map();
+
     // Enhance stock data with value and status
     const productsWithDetails = await Promise.all(
       stockData.products.map(async (product) => {
         // Get product details for averageCost, minimumStock, reorderLevel
-        const productDoc = await Product.findOne({ name: product.productName }).lean();
-        const value = product.closingStock * (productDoc?.averageCost || 0);
+        const productDoc = await Product.findOne({ _id: product.productId }).lean();
+        const unitCost =
+          lotUnitCosts.get(String(product.productId)) ??
+          (productDoc?.averageCost || 0);
+        const value = product.closingStock * unitCost;
         
         // Determine status
         let status = "Bình thường";
@@ -1328,6 +1184,7 @@ async function exportReportFile(req, res) {
 
         return {
           ...product,
+          unitCost,
           value,
           status,
         };
@@ -1336,6 +1193,7 @@ async function exportReportFile(req, res) {
 
     const enhancedStockData = {
       ...stockData,
+      valuation,
       products: productsWithDetails,
     };
 
@@ -1367,17 +1225,24 @@ async function exportToExcel(res, stockData, trendsData, statusData, startDate,
   const stockSheet = workbook.addWorksheet("Báo Cáo Tồn Kho");
 
   // Title
-  stockSheet.mergeCells("A1:I1");
+  stockSheet.mergeCells("A1:L1");
   stockSheet.getCell("A1").value = "BÁO CÁO TỒN KHO";
   stockSheet.getCell("A1").font = { size: 16, bold: true };
   stockSheet.getCell("A1").alignment = { horizontal: "center", vertical: "middle" };
 
   // Date range
   const dateRangeText = `Từ ngày: ${startDate || "N/A"} - Đến ngày: ${endDate || "N/A"}`;
-  stockSheet.mergeCells("A2:I2");
+  stockSheet.mergeCells("A2:L2");
   stockSheet.getCell("A2").value = dateRangeText;
   stockSheet.getCell("A2").alignment = { horizontal: "center", vertical: "middle" };
 
+  // Valuation method
+  stockSheet.mergeCells("A3:L3");
+  stockSheet.getCell("A3").value = `Phương pháp tính giá: ${
+    VALUATION_METHODS[stockData.valuation] || VALUATION_METHODS.average
+  }`;
+  stockSheet.getCell("A3").alignment = { horizontal: "center", vertical: "middle" };
+
   // Headers
   stockSheet.getRow(4).values = [
     "STT",
@@ -1385,10 +1250,13 @@ async function exportToExcel(res, stockData, trendsData, statusData, startDate,
     "Đơn vị",
     "Tồn đầu kỳ",
     "Tổng nhập",
+    "Hoàn trả",
     "Tổng xuất",
+    "Điều chỉnh",
     "Tồn cuối kỳ",
     "Giá trị (VNĐ)",
     "Trạng thái",
+    "Quy cách tồn cuối",
   ];
   stockSheet.getRow(4).font = { bold: true };
   stockSheet.getRow(4).alignment = { horizontal: "center", vertical: "middle" };
@@ -1405,16 +1273,21 @@ async function exportToExcel(res, stockData, trendsData, statusData, startDate,
     { width: 10 }, // Đơn vị
     { width: 12 }, // Tồn đầu kỳ
     { width: 12 }, // Tổng nhập
+    { width: 12 }, // Hoàn trả
     { width: 12 }, // Tổng xuất
+    { width: 12 }, // Điều chỉnh
     { width: 12 }, // Tồn cuối kỳ
     { width: 15 }, // Giá trị
     { width: 15 }, // Trạng thái
+    { width: 22 }, // Quy cách tồn cuối
   ];
 
   // Data rows
   let totalOpeningStock = 0;
   let totalInbound = 0;
+  let totalDepartmentReturn = 0;
   let totalOutbound = 0;
+  let totalAdjustment = 0;
   let totalClosingStock = 0;
   let totalValue = 0;
 
@@ -1425,18 +1298,24 @@ async function exportToExcel(res, stockData, trendsData, statusData, startDate,
       product.unit,
       product.openingStock,
       product.totalInbound,
+      product.totalDepartmentReturn,
       product.totalOutbound,
+      product.totalAdjustment,
       product.closingStock,
       product.value,
       product.status,
+      product.closingStockPackaging || "",
     ]);
 
     row.alignment = { vertical: "middle" };
-    row.getCell(8).numFmt = "#,##0";
+    row.getCell(8).numFmt = "+#,##0;-#,##0;0";
+    row.getCell(10).numFmt = "#,##0";
 
     totalOpeningStock += product.openingStock;
     totalInbound += product.totalInbound;
+    totalDepartmentReturn += product.totalDepartmentReturn;
     totalOutbound += product.totalOutbound;
+    totalAdjustment += product.totalAdjustment;
     totalClosingStock += product.closingStock;
     totalValue += product.value;
   });
@@ -1448,13 +1327,17 @@ async function exportToExcel(res, stockData, trendsData, statusData, startDate,
     "",
     totalOpeningStock,
     totalInbound,
+    totalDepartmentReturn,
     totalOutbound,
+    totalAdjustment,
     totalClosingStock,
     totalValue,
     "",
+    "",
   ]);
   summaryRow.font = { bold: true };
-  summaryRow.getCell(8).numFmt = "#,##0";
+  summaryRow.getCell(8).numFmt = "+#,##0;-#,##0;0";
+  summaryRow.getCell(10).numFmt = "#,##0";
   summaryRow.fill = {
     type: "pattern",
     pattern: "solid",
@@ -1575,18 +1458,7 @@ async function exportToPDF(res, stockData, trendsData, statusData, startDate, en
 
   doc.pipe(res);
 
-  // Register fonts and create fonts object
-  let fonts;
-  if (fs.existsSync(FONT_REGULAR) && fs.existsSync(FONT_BOLD)) {
-    doc.registerFont("Roboto-Regular", FONT_REGULAR);
-    doc.registerFont("Roboto-Bold", FONT_BOLD);
-    fonts = { regular: "Roboto-Regular", bold: "Roboto-Bold" };
-    doc.font("Roboto-Bold");
-  } else {
-    console.warn("Font files not found, using default fonts");
-    fonts = { regular: "Helvetica", bold: "Helvetica-Bold" };
-    doc.font("Helvetica-Bold");
-  }
+  const fonts = registerPdfFonts(doc);
 
   // Title
   doc.fontSize(18).text("BÁO CÁO TỒN KHO", {
@@ -1599,6 +1471,12 @@ async function exportToPDF(res, stockData, trendsData, statusData, startDate, en
   doc.font(fonts.regular).fontSize(11).text(dateRangeText, {
     align: "center",
   });
+  doc.text(
+    `Phương pháp tính giá: ${
+      VALUATION_METHODS[stockData.valuation] || VALUATION_METHODS.average
+    }`,
+    { align: "center" }
+  );
   doc.moveDown(1);
 
   // Stock Summary Table
@@ -1615,4 +1493,478 @@ async function exportToPDF(res, stockData, trendsData, statusData, startDate, en
   doc.end();
 }
 
+// Cột hiển thị của báo cáo định giá theo cách nhóm
+const numCol = (header, key, width, pdfWidth) => ({
+  header,
+  key,
+  width,
+  pdfWidth,
+  numeric: true,
+});
+const VALUATION_COLUMNS = {
+  product: [
+    { header: "Mã SP", key: "sku", width: 14, pdfWidth: 70 },
+    { header: "Tên thuốc", key: "name", width: 30, pdfWidth: 130 },
+    { header: "Đơn vị", key: "unit", width: 10, pdfWidth: 45 },
+    { header: "Nhóm", key: "categoryName", width: 18, pdfWidth: 70 },
+    numCol("Số lượng", "quantity", 12, 55),
+    numCol("Đơn giá (VNĐ)", "unitCost", 15, 65),
+    numCol("Giá trị (VNĐ)", "value", 18, 70),
+  ],
+  category: [
+    { header: "Nhóm hàng", key: "categoryName", width: 30, pdfWidth: 215 },
+    numCol("Số sản phẩm", "productCount", 14, 80),
+    numCol("Số lượng", "quantity", 14, 80),
+    numCol("Giá trị (VNĐ)", "value", 18, 130),
+  ],
+  warehouse: [
+    { header: "Mã kho", key: "warehouseCode", width: 14, pdfWidth: 80 },
+    { header: "Tên kho", key: "warehouseName", width: 30, pdfWidth: 165 },
+    numCol("Số sản phẩm", "productCount", 14, 70),
+    numCol("Số lượng", "quantity", 14, 70),
+    numCol("Giá trị (VNĐ)", "value", 18, 120),
+  ],
+};
+
+const VALUATION_GROUP_LABELS = {
+  product: "sản phẩm",
+  category: "nhóm hàng",
+  warehouse: "kho",
+};
+
+/**
+ * @route GET /api/reports/valuation
+ * @desc Báo cáo định giá tồn kho tại một ngày (cuối ngày), theo sản phẩm / nhóm hàng / kho
+ * @param {String} date - Ngày định giá YYYY-MM-DD (mặc định: hiện tại)
+ * @param {String} method - lot (giá thực tế theo lô) | average (bình quân gia quyền)
+ * @param {String} groupBy - product | category | warehouse
+ * @param {String} categoryId, warehouseId - Lọc (tùy chọn)
+ * @param {String} format - json | excel | pdf
+ */
+export const getValuationReport = async (req, res) => {
+  try {
+    const {
+      date,
+      method = "lot",
+      groupBy = "product",
+      categoryId,
+      warehouseId,
+      format = "json",
+    } = req.query;
+
+    if (!["json", "excel", "pdf"].includes(format)) {
+      return ApiResponse.error(res, "format phải là json, excel hoặc pdf", 400);
+    }
+
+    let asOf = new Date();
+    if (date) {
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+        return ApiResponse.error(
+          res,
+          "Định dạng date không hợp lệ (YYYY-MM-DD)",
+          400
+        );
+      }
+      asOf = endOfBusinessDay(date);
+    }
+
+    const data = await getInventoryValuation({
+      asOf,
+      method,
+      groupBy,
+      categoryId,
+      warehouseId,
+    });
+
+    if (format === "excel") return exportValuationToExcel(res, data);
+    if (format === "pdf") return exportValuationToPDF(res, data);
+
+    return ApiResponse.success(
+      res,
+      data,
+      "Lấy báo cáo định giá tồn kho thành công",
+      200
+    );
+  } catch (error) {
+    if (error?.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    console.error("Error in getValuationReport:", error);
+    return ApiResponse.error(
+      res,
+      "Lỗi khi lấy báo cáo định giá tồn kho",
+      500,
+      error.message
+    );
+  }
+};
+
+function valuationSubtitle(data) {
+  const asOf = new Date(data.asOfDate).toLocaleDateString("vi-VN");
+  const method =
+    data.method === "average"
+      ? VALUATION_METHODS.average
+      : VALUATION_METHODS.lot;
+  return `Tại ngày: ${asOf} - Phương pháp: ${method} - Theo ${VALUATION_GROUP_LABELS[data.groupBy]}`;
+}
+
+const valuationFileName = (data, ext) =>
+  `Dinh_Gia_Ton_Kho_${new Date(data.asOfDate).toISOString().split("T")[0]}.${ext}`;
+
+/**
+ * Export valuation report to Excel
+ */
+async function exportValuationToExcel(res, data) {
+  const columns = VALUATION_COLUMNS[data.groupBy];
+  const lastCol = String.fromCharCode(65 + columns.length); // + cột STT
+
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = "Pharmacy Inventory System";
+  workbook.created = new Date();
+  const sheet = workbook.addWorksheet("Định Giá Tồn Kho");
+
+  sheet.mergeCells(`A1:${lastCol}1`);
+  sheet.getCell("A1").value = "BÁO CÁO ĐỊNH GIÁ TỒN KHO";
+  sheet.getCell("A1").font = { size: 16, bold: true };
+  sheet.getCell("A1").alignment = { horizontal: "center", vertical: "middle" };
+
+  sheet.mergeCells(`A2:${lastCol}2`);
+  sheet.getCell("A2").value = valuationSubtitle(data);
+  sheet.getCell("A2").alignment = { horizontal: "center", vertical: "middle" };
+
+  sheet.getRow(4).values = ["STT", ...columns.map((c) => c.header)];
+  sheet.getRow(4).font = { bold: true };
+  sheet.getRow(4).alignment = { horizontal: "center", vertical: "middle" };
+  sheet.getRow(4).fill = {
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb: "FFD9EAD3" },
+  };
+  sheet.columns = [{ width: 6 }, ...columns.map((c) => ({ width: c.width }))];
+
+  data.rows.forEach((item, index) => {
+    const row = sheet.addRow([index + 1, ...columns.map((c) => item[c.key])]);
+    columns.forEach((c, i) => {
+      if (c.numeric) row.getCell(i + 2).numFmt = "#,##0";
+    });
+  });
+
+  const totalRow = sheet.addRow([
+    "",
+    "TỔNG CỘNG",
+    ...columns
+      .slice(1)
+      .map((c) =>
+        c.key === "quantity" || c.key === "value" ? data.totals[c.key] : ""
+      ),
+  ]);
+  totalRow.font = { bold: true };
+  columns.forEach((c, i) => {
+    if (c.numeric) totalRow.getCell(i + 2).numFmt = "#,##0";
+  });
+
+  res.setHeader(
+    "Content-Type",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+  );
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${valuationFileName(data, "xlsx")}"`
+  );
+
+  await workbook.xlsx.write(res);
+  res.end();
+}
+
+/**
+ * Export valuation report to PDF (dùng chung font Roboto và drawTable)
+ */
+function exportValuationToPDF(res, data) {
+  const columns = VALUATION_COLUMNS[data.groupBy];
+  const doc = new PDFDocument({ margin: 30, size: "A4" });
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${valuationFileName(data, "pdf")}"`
+  );
+  doc.pipe(res);
+
+  const fonts = registerPdfFonts(doc);
+
+  doc.fontSize(18).text("BÁO CÁO ĐỊNH GIÁ TỒN KHO", { align: "center" });
+  doc.moveDown(0.5);
+  doc.font(fonts.regular).fontSize(11).text(valuationSubtitle(data), {
+    align: "center",
+  });
+  doc.moveDown(1);
+
+  const formatCell = (c, value) =>
+    c.numeric
+      ? Math.round(value || 0).toLocaleString("vi-VN")
+      : String(value ?? "");
+  const rows = data.rows.map((item, index) => [
+    (index + 1).toString(),
+    ...columns.map((c) => formatCell(c, item[c.key])),
+  ]);
+  rows.push([
+    "",
+    "TỔNG CỘNG",
+    ...columns
+      .slice(1)
+      .map((c) =>
+        c.key === "quantity" || c.key === "value"
+          ? formatCell(c, data.totals[c.key])
+          : ""
+      ),
+  ]);
+
+  drawTable(
+    doc,
+    ["STT", ...columns.map((c) => c.header)],
+    rows,
+    [30, ...columns.map((c) => c.pdfWidth)],
+    fonts
+  );
+
+  doc.end();
+}
+
+/**
+ * @route POST /api/reports/snapshots
+ * @desc Chụp tồn cuối ngày theo lô (job đêm tự chạy cho ngày hôm trước; dùng để chụp bù)
+ * @param {String} date - Ngày cần chụp YYYY-MM-DD (body, mặc định hôm qua)
+ */
+export const createInventorySnapshot = async (req, res) => {
+  try {
+    const { date } = req.body || {};
+    if (
+      date &&
+      (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)))
+    ) {
+      return ApiResponse.error(
+        res,
+        "Định dạng date không hợp lệ (YYYY-MM-DD)",
+        400
+      );
+    }
+
+    const result = await takeInventorySnapshot(date || undefined);
+    return ApiResponse.success(
+      res,
+      result,
+      result.skipped
+        ? "Ngày này đã có ảnh chụp tồn kho"
+        : "Chụp tồn kho cuối ngày thành công",
+      result.skipped ? 200 : 201
+    );
+  } catch (error) {
+    if (error?.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    console.error("Error in createInventorySnapshot:", error);
+    return ApiResponse.error(
+      res,
+      "Lỗi khi chụp tồn kho cuối ngày",
+      500,
+      error.message
+    );
+  }
+};
+
+/**
+ * @route GET /api/reports/stock_card
+ * @desc Thẻ kho: nhập - xuất - tồn từng nghiệp vụ của một sản phẩm (tùy chọn theo lô / kho)
+ * @param {String} productId - Sản phẩm (bắt buộc)
+ * @param {String} lotId, warehouseId - Lọc theo lô / kho (tùy chọn)
+ * @param {String} startDate, endDate - Kỳ lập thẻ (bắt buộc)
+ * @param {String} format - json | pdf
+ */
+export const getStockCard = async (req, res) => {
+  try {
+    const {
+      productId,
+      lotId,
+      warehouseId,
+      startDate,
+      endDate,
+      format = "json",
+    } = req.query;
+
+    if (!["json", "pdf"].includes(format)) {
+      return ApiResponse.error(res, "format phải là json hoặc pdf", 400);
+    }
+    if (!productId) {
+      return ApiResponse.error(res, "Vui lòng cung cấp productId", 400);
+    }
+    if (!startDate || !endDate) {
+      return ApiResponse.error(
+        res,
+        "Vui lòng cung cấp startDate và endDate",
+        400
+      );
+    }
+
+    const start = startOfBusinessDay(startDate);
+    const end = endOfBusinessDay(endDate);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return ApiResponse.error(res, "Định dạng ngày không hợp lệ", 400);
+    }
+    if (start > end) {
+      return ApiResponse.error(
+        res,
+        "startDate phải nhỏ hơn hoặc bằng endDate",
+        400
+      );
+    }
+
+    const data = await buildStockCard({
+      productId,
+      inventoryLotId: lotId,
+      warehouseId,
+      startDate: start,
+      endDate: end,
+    });
+
+    if (format === "pdf") return exportStockCardToPDF(res, data);
+
+    return ApiResponse.success(res, data, "Lấy thẻ kho thành công", 200);
+  } catch (error) {
+    if (error?.statusCode) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    console.error("Error in getStockCard:", error);
+    return ApiResponse.error(res, "Lỗi khi lấy thẻ kho", 500, error.message);
+  }
+};
+
+/**
+ * Export stock card to PDF theo mẫu S12-DN (Thẻ kho - sổ kho)
+ */
+function exportStockCardToPDF(res, data) {
+  const doc = new PDFDocument({ margin: 30, size: "A4" });
+  const fmtDate = (d) => new Date(d).toLocaleDateString("vi-VN");
+  const fmtQty = (n) => (n ? n.toLocaleString("vi-VN") : "");
+
+  const fileName = `The_Kho_${data.product.sku}_${
+    new Date(data.endDate).toISOString().split("T")[0]
+  }.pdf`;
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+  doc.pipe(res);
+
+  const fonts = registerPdfFonts(doc);
+
+  doc.font(fonts.regular).fontSize(9).text("Mẫu số S12-DN", { align: "right" });
+  doc.font(fonts.bold).fontSize(18).text("THẺ KHO", { align: "center" });
+  const period = `Từ ngày: ${fmtDate(data.startDate)} - Đến ngày: ${fmtDate(data.endDate)}`;
+  doc.font(fonts.regular).fontSize(11).text(period, { align: "center" });
+  doc.moveDown(0.5);
+  doc.fontSize(10);
+  doc.text(`Tên, nhãn hiệu, quy cách vật tư: ${data.product.name}`);
+  doc.text(`Mã số: ${data.product.sku}    Đơn vị tính: ${data.product.unit}`);
+  if (data.product.packaging?.length > 0) {
+    const packaging = data.product.packaging
+      .map((c) => `1 ${c.unitName} = ${c.factor} ${data.product.unit}`)
+      .join("; ");
+    doc.text(`Quy cách: ${packaging}`);
+  }
+  if (data.warehouse) doc.text(`Kho: ${data.warehouse.name}`);
+  if (data.lot) {
+    const expiry = data.lot.expiryDate ? fmtDate(data.lot.expiryDate) : "";
+    doc.text(`Số lô: ${data.lot.lotNumber}    Hạn dùng: ${expiry}`);
+  }
+  doc.moveDown(1);
+
+  const rows = [
+    ["", "", "", "", "Tồn đầu kỳ", "", "", "", fmtQty(data.openingBalance), ""],
+    ...data.entries.map((e, index) => [
+      (index + 1).toString(),
+      fmtDate(e.transactionDate),
+      e.inQty ? e.documentNo : "",
+      e.outQty ? e.documentNo : "",
+      e.description,
+      e.lotNumber || "",
+      fmtQty(e.inQty),
+      fmtQty(e.outQty),
+      e.balance.toLocaleString("vi-VN"),
+      e.user?.fullName || e.user?.username || "",
+    ]),
+    [
+      "",
+      "",
+      "",
+      "",
+      "Cộng phát sinh",
+      "",
+      fmtQty(data.totalIn),
+      fmtQty(data.totalOut),
+      "",
+      "",
+    ],
+    [
+      "",
+      "",
+      "",
+      "",
+      "Tồn cuối kỳ",
+      "",
+      "",
+      "",
+      data.closingBalance.toLocaleString("vi-VN"),
+      "",
+    ],
+  ];
+
+  drawTable(
+    doc,
+    [
+      "STT",
+      "Ngày",
+      "Số CT nhập",
+      "Số CT xuất",
+      "Diễn giải",
+      "Số lô",
+      "Nhập",
+      "Xuất",
+      "Tồn",
+      "Người thực hiện",
+    ],
+    rows,
+    [25, 55, 55, 55, 110, 50, 40, 40, 45, 60],
+    fonts
+  );
+
+  if (data.product.packaging?.length > 0) {
+    doc.moveDown(0.5);
+    doc
+      .font(fonts.regular)
+      .fontSize(10)
+      .text(`Tồn cuối kỳ theo quy cách: ${data.closingBalancePackaging}`, 30);
+  }
+
+  // Chữ ký
+  if (doc.y + 100 > doc.page.height - 30) doc.addPage();
+  doc.moveDown(2);
+  const signY = doc.y;
+  const signWidth = 535 / 3;
+  ["Người lập", "Kế toán trưởng", "Giám đốc"].forEach((title, i) => {
+    doc
+      .font(fonts.bold)
+      .fontSize(10)
+      .text(title, 30 + i * signWidth, signY, {
+        width: signWidth,
+        align: "center",
+      });
+    doc
+      .font(fonts.regular)
+      .fontSize(9)
+      .text("(Ký, họ tên)", 30 + i * signWidth, signY + 14, {
+        width: signWidth,
+        align: "center",
+      });
+  });
+
+  doc.end();
+}
 export { exportReportFile };
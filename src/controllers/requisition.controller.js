@@ -0,0 +1,165 @@
+import ApiResponse from "../utils/ApiResponse.js";
+import {
+  createRequisitionSchema,
+  fulfillRequisitionSchema,
+  cancelRequisitionSchema,
+} from "../validators/requisition.validator.js";
+import {
+  createRequisition,
+  getRequisitions,
+  getRequisitionById,
+  fulfillRequisition,
+  cancelRequisition,
+} from "../services/requisition.service.js";
+
+const actorOf = (req) => ({
+  userId: req.user?.id || req.user?._id || null,
+  role: req.user?.role,
+  departmentId: req.user?.departmentId || null,
+});
+
+function handleError(res, err, label) {
+  if (err?.statusCode) {
+    return ApiResponse.error(
+      res,
+      err.message,
+      err.statusCode,
+      err.errors || null
+    );
+  }
+  console.error(`${label} error:`, err);
+  return ApiResponse.error(res, "Server error", 500);
+}
+
+function validate(schema, body) {
+  const { error, value } = schema.validate(body || {}, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+  return {
+    value,
+    details: error ? error.details.map((d) => d.message) : null,
+  };
+}
+
+class RequisitionController {
+  // @desc    Submit requisition (khoa/phòng yêu cầu lĩnh thuốc)
+  // @route   POST /api/requisitions
+  // @access  Private
+  static async create(req, res) {
+    try {
+      const { value, details } = validate(createRequisitionSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const requisition = await createRequisition(value, actorOf(req));
+      return ApiResponse.success(
+        res,
+        requisition,
+        "Gửi phiếu yêu cầu thành công",
+        201
+      );
+    } catch (err) {
+      return handleError(res, err, "Create requisition");
+    }
+  }
+
+  // @desc    Get requisitions (role user: chỉ phiếu của khoa/phòng mình)
+  // @route   GET /api/requisitions?status=&departmentId=&warehouseId=&search=&page=&limit=
+  // @access  Private
+  static async getList(req, res) {
+    try {
+      const { status, departmentId, warehouseId, search, page, limit } =
+        req.query;
+      const result = await getRequisitions(
+        {
+          status,
+          departmentId,
+          warehouseId,
+          search,
+          page: page ? parseInt(page, 10) : 1,
+          limit: limit ? parseInt(limit, 10) : 10,
+        },
+        actorOf(req)
+      );
+      return ApiResponse.success(
+        res,
+        result,
+        "Lấy danh sách phiếu yêu cầu thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get requisitions");
+    }
+  }
+
+  // @desc    Get requisition with fulfilment status and backorders
+  // @route   GET /api/requisitions/:id
+  // @access  Private
+  static async getById(req, res) {
+    try {
+      const requisition = await getRequisitionById(req.params.id, actorOf(req));
+      return ApiResponse.success(
+        res,
+        requisition,
+        "Lấy thông tin phiếu yêu cầu thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get requisition");
+    }
+  }
+
+  // @desc    Fulfil requisition (full or partial) -> phiếu xuất kho đã xác nhận
+  // @route   POST /api/requisitions/:id/fulfill
+  // @access  Private (admin)
+  static async fulfill(req, res) {
+    try {
+      const { value, details } = validate(fulfillRequisitionSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const result = await fulfillRequisition(
+        req.params.id,
+        value,
+        actorOf(req)
+      );
+      return ApiResponse.success(
+        res,
+        result,
+        result.requisition.status === "fulfilled"
+          ? "Cấp phát đủ phiếu yêu cầu"
+          : "Cấp phát một phần, phần còn lại được ghi nợ"
+      );
+    } catch (err) {
+      return handleError(res, err, "Fulfill requisition");
+    }
+  }
+
+  // @desc    Cancel outstanding requisition / backorder
+  // @route   POST /api/requisitions/:id/cancel
+  // @access  Private
+  static async cancel(req, res) {
+    try {
+      const { value, details } = validate(cancelRequisitionSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const requisition = await cancelRequisition(
+        req.params.id,
+        value,
+        actorOf(req)
+      );
+      return ApiResponse.success(
+        res,
+        requisition,
+        "Hủy phiếu yêu cầu thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Cancel requisition");
+    }
+  }
+}
+
+export default RequisitionController;
@@ -0,0 +1,86 @@
+import ApiResponse from "../utils/ApiResponse.js";
+import { endOfBusinessDay } from "../utils/businessDay.js";
+import {
+  getStockMovements,
+  getLedgerBalances,
+} from "../services/stockMovement.service.js";
+
+function handleError(res, err, label) {
+  if (err?.statusCode) {
+    return ApiResponse.error(res, err.message, err.statusCode);
+  }
+  console.error(`${label} error:`, err);
+  return ApiResponse.error(res, "Server error", 500);
+}
+
+class StockMovementController {
+  // @desc    Get stock movement ledger (sổ biến động tồn kho)
+  // @route   GET /api/stock-movements?productId=&warehouseId=&inventoryLotId=&transactionId=&movementType=&fromDate=&toDate=&page=&limit=
+  // @access  Private
+  static async getList(req, res) {
+    try {
+      const {
+        productId,
+        warehouseId,
+        inventoryLotId,
+        transactionId,
+        movementType,
+        fromDate,
+        toDate,
+        page,
+        limit,
+      } = req.query;
+      const result = await getStockMovements({
+        productId,
+        warehouseId,
+        inventoryLotId,
+        transactionId,
+        movementType,
+        fromDate,
+        toDate,
+        page: page ? parseInt(page, 10) : 1,
+        limit: limit ? parseInt(limit, 10) : 20,
+      });
+      return ApiResponse.success(
+        res,
+        result,
+        "Lấy sổ biến động tồn kho thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get stock movements");
+    }
+  }
+
+  // @desc    Stock balances replayed from the ledger as of a date
+  // @route   GET /api/stock-movements/balances?date=&groupBy=lot|warehouse|product&productId=&warehouseId=
+  // @access  Private
+  static async getBalances(req, res) {
+    try {
+      const { date, groupBy, productId, warehouseId } = req.query;
+
+      let asOf;
+      if (date) {
+        asOf = endOfBusinessDay(date);
+        if (isNaN(asOf.getTime())) {
+          return ApiResponse.error(res, "Định dạng date không hợp lệ", 400);
+        }
+      }
+
+      const balances = await getLedgerBalances({
+        asOf,
+        groupBy,
+        productIds: productId,
+        warehouseId,
+      });
+      return ApiResponse.success(
+        res,
+        { asOfDate: asOf || new Date(), groupBy: groupBy || "lot", balances },
+        "Lấy tồn kho theo sổ biến động thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get ledger balances");
+    }
+  }
+}
+
+export default StockMovementController;
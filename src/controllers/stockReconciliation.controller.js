@@ -0,0 +1,95 @@
+import ApiResponse from "../utils/ApiResponse.js";
+import { runReconciliationSchema } from "../validators/stockReconciliation.validator.js";
+import {
+  reconcileStock,
+  getStockReconciliations,
+  getStockReconciliationById,
+} from "../services/stockReconciliation.service.js";
+
+const actorOf = (req) => ({ userId: req.user?.id || req.user?._id || null });
+
+function handleError(res, err, label) {
+  if (err?.statusCode) {
+    return ApiResponse.error(res, err.message, err.statusCode);
+  }
+  console.error(`${label} error:`, err);
+  return ApiResponse.error(res, "Server error", 500);
+}
+
+function validate(schema, body) {
+  const { error, value } = schema.validate(body || {}, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+  return {
+    value,
+    details: error ? error.details.map((d) => d.message) : null,
+  };
+}
+
+class StockReconciliationController {
+  // @desc    Run stock reconciliation now (đối soát tồn kho thủ công)
+  // @route   POST /api/stock-reconciliations
+  // @access  Private (admin)
+  static async run(req, res) {
+    try {
+      const { value, details } = validate(runReconciliationSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const report = await reconcileStock(
+        { ...value, trigger: "manual" },
+        actorOf(req)
+      );
+      return ApiResponse.success(
+        res,
+        report,
+        `Đối soát xong: ${report.discrepancyCount} chênh lệch`,
+        201
+      );
+    } catch (err) {
+      return handleError(res, err, "Run stock reconciliation");
+    }
+  }
+
+  // @desc    Get reconciliation reports
+  // @route   GET /api/stock-reconciliations?hasDiscrepancy=true|false&page=&limit=
+  // @access  Private
+  static async getList(req, res) {
+    try {
+      const { hasDiscrepancy, page, limit } = req.query;
+      const result = await getStockReconciliations({
+        hasDiscrepancy:
+          hasDiscrepancy === undefined ? undefined : hasDiscrepancy === "true",
+        page: page ? parseInt(page, 10) : 1,
+        limit: limit ? parseInt(limit, 10) : 20,
+      });
+      return ApiResponse.success(
+        res,
+        result,
+        "Lấy danh sách đối soát tồn kho thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get stock reconciliations");
+    }
+  }
+
+  // @desc    Get reconciliation report with discrepancies
+  // @route   GET /api/stock-reconciliations/:id
+  // @access  Private
+  static async getById(req, res) {
+    try {
+      const report = await getStockReconciliationById(req.params.id);
+      return ApiResponse.success(
+        res,
+        report,
+        "Lấy kết quả đối soát tồn kho thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get stock reconciliation");
+    }
+  }
+}
+
+export default StockReconciliationController;
@@ -0,0 +1,170 @@
+import ApiResponse from "../utils/ApiResponse.js";
+import {
+  openStocktakeSchema,
+  submitCountsSchema,
+} from "../validators/stocktake.validator.js";
+import {
+  openStocktake,
+  submitCounts,
+  getVarianceReport,
+  approveStocktake,
+  cancelStocktake,
+  getStocktakes,
+  getStocktakeById,
+} from "../services/stocktake.service.js";
+
+const actorOf = (req) => ({ userId: req.user?.id || req.user?._id || null });
+
+function handleError(res, err, label) {
+  if (err?.statusCode) {
+    return ApiResponse.error(res, err.message, err.statusCode);
+  }
+  console.error(`${label} error:`, err);
+  return ApiResponse.error(res, "Server error", 500);
+}
+
+function validate(schema, body) {
+  const { error, value } = schema.validate(body || {}, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+  return {
+    value,
+    details: error ? error.details.map((d) => d.message) : null,
+  };
+}
+
+class StocktakeController {
+  // @desc    Open stocktake session (mở phiên kiểm kê, đóng băng số sổ sách)
+  // @route   POST /api/stocktakes
+  // @access  Private (admin)
+  static async open(req, res) {
+    try {
+      const { value, details } = validate(openStocktakeSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const stocktake = await openStocktake(value, actorOf(req));
+      return ApiResponse.success(
+        res,
+        stocktake,
+        "Mở phiên kiểm kê thành công",
+        201
+      );
+    } catch (err) {
+      return handleError(res, err, "Open stocktake");
+    }
+  }
+
+  // @desc    Get stocktake sessions
+  // @route   GET /api/stocktakes?status=&warehouseId=&page=&limit=
+  // @access  Private
+  static async getList(req, res) {
+    try {
+      const { status, warehouseId, page, limit } = req.query;
+      const result = await getStocktakes({
+        status,
+        warehouseId,
+        page: page ? parseInt(page, 10) : 1,
+        limit: limit ? parseInt(limit, 10) : 10,
+      });
+      return ApiResponse.success(
+        res,
+        result,
+        "Lấy danh sách phiên kiểm kê thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get stocktakes");
+    }
+  }
+
+  // @desc    Get stocktake session with lines
+  // @route   GET /api/stocktakes/:id
+  // @access  Private
+  static async getById(req, res) {
+    try {
+      const stocktake = await getStocktakeById(req.params.id);
+      return ApiResponse.success(
+        res,
+        stocktake,
+        "Lấy thông tin phiên kiểm kê thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get stocktake");
+    }
+  }
+
+  // @desc    Submit counted quantities (nhiều người đếm song song)
+  // @route   PUT /api/stocktakes/:id/counts
+  // @access  Private
+  static async submitCounts(req, res) {
+    try {
+      const { value, details } = validate(submitCountsSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const stocktake = await submitCounts(
+        req.params.id,
+        value.counts,
+        actorOf(req)
+      );
+      return ApiResponse.success(res, stocktake, "Cập nhật số đếm thành công");
+    } catch (err) {
+      return handleError(res, err, "Submit stocktake counts");
+    }
+  }
+
+  // @desc    Variance report (chênh lệch thực tế - sổ sách)
+  // @route   GET /api/stocktakes/:id/variance?onlyDiff=true
+  // @access  Private
+  static async getVariance(req, res) {
+    try {
+      const report = await getVarianceReport(req.params.id, {
+        onlyDiff: req.query.onlyDiff === "true",
+      });
+      return ApiResponse.success(
+        res,
+        report,
+        "Lấy báo cáo chênh lệch kiểm kê thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get stocktake variance");
+    }
+  }
+
+  // @desc    Approve stocktake -> post ADJUSTMENT (COUNT_VARIANCE)
+  // @route   POST /api/stocktakes/:id/approve
+  // @access  Private (admin)
+  static async approve(req, res) {
+    try {
+      const stocktake = await approveStocktake(req.params.id, actorOf(req));
+      return ApiResponse.success(
+        res,
+        stocktake,
+        "Duyệt kiểm kê và điều chỉnh tồn kho thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Approve stocktake");
+    }
+  }
+
+  // @desc    Cancel stocktake session
+  // @route   POST /api/stocktakes/:id/cancel
+  // @access  Private (admin)
+  static async cancel(req, res) {
+    try {
+      const stocktake = await cancelStocktake(req.params.id, actorOf(req));
+      return ApiResponse.success(
+        res,
+        stocktake,
+        "Hủy phiên kiểm kê thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Cancel stocktake");
+    }
+  }
+}
+
+export default StocktakeController;
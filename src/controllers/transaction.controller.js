@@ -1,21 +1,101 @@
 import ApiResponse from "../utils/ApiResponse.js";
-import { createInboundTransactionSchema } from "../validators/transaction.validator.js";
-import { createInboundTransaction } from "../services/transaction.service.js";
+import {
+  createInboundTransactionSchema,
+  createTransferTransactionSchema,
+  createAdjustmentTransactionSchema,
+  createSupplierReturnTransactionSchema,
+  cancelTransactionSchema,
+} from "../validators/transaction.validator.js";
+import {
+  createInboundTransaction,
+  createTransferTransaction,
+  createAdjustmentTransaction,
+  createSupplierReturnTransaction,
+  cancelInboundTransaction,
+} from "../services/transaction.service.js";
 import {
   getInboundTransactionById,
   getInboundTransactions,
   getOutboundTransactions,
   getOutboundTransactionById,
+  getTransferTransactions,
+  getTransferTransactionById,
+  getAdjustmentTransactions,
+  getAdjustmentTransactionById,
+  getSupplierReturnTransactions,
+  getSupplierReturnTransactionById,
+  getDepartmentReturnTransactions,
+  getDepartmentReturnTransactionById,
 } from "../services/transaction.query.js";
 
+// Các loại giao dịch được tạo qua POST /api/transactions
+const CREATE_HANDLERS = {
+  INBOUND: {
+    schema: createInboundTransactionSchema,
+    create: createInboundTransaction,
+    message: "Transaction (INBOUND) created and inventory updated",
+  },
+  TRANSFER: {
+    schema: createTransferTransactionSchema,
+    create: createTransferTransaction,
+    message: "Transaction (TRANSFER) created and inventory moved",
+  },
+  ADJUSTMENT: {
+    schema: createAdjustmentTransactionSchema,
+    create: createAdjustmentTransaction,
+    message: "Transaction (ADJUSTMENT) created and inventory adjusted",
+  },
+  SUPPLIER_RETURN: {
+    schema: createSupplierReturnTransactionSchema,
+    create: createSupplierReturnTransaction,
+    message: "Transaction (SUPPLIER_RETURN) created and inventory returned",
+  },
+};
+
+const LIST_HANDLERS = {
+  INBOUND: getInboundTransactions,
+  OUTBOUND: getOutboundTransactions,
+  TRANSFER: getTransferTransactions,
+  ADJUSTMENT: getAdjustmentTransactions,
+  SUPPLIER_RETURN: getSupplierReturnTransactions,
+  DEPARTMENT_RETURN: getDepartmentReturnTransactions,
+};
+
+const DETAIL_HANDLERS = {
+  INBOUND: getInboundTransactionById,
+  OUTBOUND: getOutboundTransactionById,
+  TRANSFER: getTransferTransactionById,
+  ADJUSTMENT: getAdjustmentTransactionById,
+  SUPPLIER_RETURN: getSupplierReturnTransactionById,
+  DEPARTMENT_RETURN: getDepartmentReturnTransactionById,
+};
+
 class TransactionController {
   /**
-   * POST /api/transactions  (INBOUND – nhập kho)
-   * Body:
+   * POST /api/transactions
+   * INBOUND (nhập kho):
    * {
    *   type: "INBOUND",
-   *   warehouseId, supplierId, notes?, transactionDate?,
-   *   details: [{ productId, quantity, unitPrice, lotNumber?, expiryDate? }, ...]
+   *   warehouseId, supplierId, purchaseOrderId?, notes?, transactionDate?,
+   *   details: [{ productId, quantity, unitPrice, lotNumber?, expiryDate?, purchaseOrderLineId? }, ...]
+   * }
+   * TRANSFER (chuyển kho):
+   * {
+   *   type: "TRANSFER",
+   *   sourceWarehouseId, destinationWarehouseId, notes?, transactionDate?,
+   *   details: [{ inventoryLotId | productId, quantity }, ...]
+   * }
+   * ADJUSTMENT (điều chỉnh tồn kho):
+   * {
+   *   type: "ADJUSTMENT",
+   *   warehouseId, reasonCode, notes?, transactionDate?,
+   *   details: [{ inventoryLotId, quantity (+/-) }, ...]
+   * }
+   * SUPPLIER_RETURN (trả hàng nhà cung cấp):
+   * {
+   *   type: "SUPPLIER_RETURN",
+   *   inboundTransactionId, returnReason, creditNoteNumber?, notes?, transactionDate?,
+   *   details: [{ inventoryLotId, quantity, unitPrice? }, ...]
    * }
    */
   static async create(req, res) {
@@ -25,22 +105,8 @@ class TransactionController {
         return ApiResponse.error(res, "Missing or invalid request body", 400);
       }
 
-      // Validate
-      const { error, value } = createInboundTransactionSchema.validate(
-        req.body,
-        {
-          abortEarly: false,
-          stripUnknown: true,
-        }
-      );
-      if (error) {
-        return ApiResponse.error(res, "Validation failed", 400, {
-          details: error.details.map((d) => d.message),
-        });
-      }
-
       // Kiểm tra trường type
-      if (!value.type) {
+      if (!req.body.type) {
         return ApiResponse.error(
           res,
           "Missing 'type' field in request body",
@@ -48,52 +114,109 @@ class TransactionController {
         );
       }
 
-      // actor lấy từ auth middleware (req.user)
-      const actor = { userId: req.user?.id || req.user?._id || null };
-
-      // Only INBOUND in this API version
-      if (value.type !== "INBOUND") {
+      const handler = CREATE_HANDLERS[req.body.type];
+      if (!handler) {
         return ApiResponse.error(
           res,
-          "Only INBOUND is supported in this endpoint",
+          `Only ${Object.keys(CREATE_HANDLERS).join(", ")} are supported in this endpoint`,
           400
         );
       }
 
-      const result = await createInboundTransaction(value, actor);
+      // Validate
+      const { error, value } = handler.schema.validate(req.body, {
+        abortEarly: false,
+        stripUnknown: true,
+      });
+      if (error) {
+        return ApiResponse.error(res, "Validation failed", 400, {
+          details: error.details.map((d) => d.message),
+        });
+      }
+
+      // actor lấy từ auth middleware (req.user)
+      const actor = { userId: req.user?.id || req.user?._id || null };
+
+      const result = await handler.create(value, actor);
 
       return ApiResponse.success(
         res,
         {
           transaction: result.transaction,
           details: result.details,
+          // INBOUND theo đơn đặt hàng: trạng thái đơn + chênh lệch nhận dư / lệch giá
+          ...(result.purchaseOrder
+            ? {
+                purchaseOrder: result.purchaseOrder,
+                discrepancies: result.discrepancies,
+              }
+            : {}),
         },
-        "Transaction (INBOUND) created and inventory updated",
+        handler.message,
         201
       );
     } catch (err) {
       console.error("Create transaction error:", err);
       const msg = err?.message || "Server error";
+      if (err?.statusCode) {
+        return ApiResponse.error(res, msg, err.statusCode);
+      }
       // Handle validation and not found errors
-      if (msg.includes("not found") || msg.includes("No warehouse found")) {
+      if (msg.includes("not found")) {
         return ApiResponse.error(res, msg, 400);
       }
       return ApiResponse.error(res, "Server error", 500);
     }
   }
 
+  /**
+   * POST /api/transactions/:id/cancel
+   * Hủy phiếu nhập (INBOUND) đã hoàn tất:
+   * { reason, allowPartial? }
+   */
+  static async cancel(req, res) {
+    try {
+      const { error, value } = cancelTransactionSchema.validate(
+        req.body || {},
+        { abortEarly: false, stripUnknown: true }
+      );
+      if (error) {
+        return ApiResponse.error(res, "Validation failed", 400, {
+          details: error.details.map((d) => d.message),
+        });
+      }
+
+      const actor = { userId: req.user?.id || req.user?._id || null };
+      const result = await cancelInboundTransaction(
+        req.params.id,
+        value,
+        actor
+      );
+
+      return ApiResponse.success(
+        res,
+        result,
+        result.replacement
+          ? "Transaction (INBOUND) partially reversed"
+          : "Transaction (INBOUND) cancelled and inventory reversed"
+      );
+    } catch (err) {
+      console.error("Cancel transaction error:", err);
+      if (err?.statusCode) {
+        return ApiResponse.error(res, err.message, err.statusCode);
+      }
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
   static async getById(req, res) {
     try {
       const { id } = req.params;
-      const { type } = req.query; // type=INBOUND or type=OUTBOUND
-
-      let data;
-      if (type === "OUTBOUND") {
-        data = await getOutboundTransactionById(id);
-      } else {
-        // Default to INBOUND for backward compatibility
-        data = await getInboundTransactionById(id);
-      }
+      const { type } = req.query; // type=INBOUND | OUTBOUND | TRANSFER | ADJUSTMENT | SUPPLIER_RETURN | DEPARTMENT_RETURN
+
+      // Default to INBOUND for backward compatibility
+      const getDetail = DETAIL_HANDLERS[type] || getInboundTransactionById;
+      const data = await getDetail(id);
 
       return ApiResponse.success(
         res,
@@ -108,18 +231,31 @@ class TransactionController {
   }
 
   /**
-   * GET /api/transactions?type=INBOUND|OUTBOUND&search=&fromDate=&toDate=&page=&limit=
+   * GET /api/transactions?type=INBOUND|OUTBOUND|TRANSFER|ADJUSTMENT|SUPPLIER_RETURN|DEPARTMENT_RETURN&search=&fromDate=&toDate=&page=&limit=&warehouseId=&reasonCode=&supplierId=&returnReason=&departmentId=
    * Get list of transactions
    */
   static async getList(req, res) {
     try {
-      const { type, search, fromDate, toDate, page, limit, lotNumber } =
-        req.query;
+      const {
+        type,
+        search,
+        fromDate,
+        toDate,
+        page,
+        limit,
+        lotNumber,
+        warehouseId,
+        reasonCode,
+        supplierId,
+        returnReason,
+        departmentId,
+      } = req.query;
 
-      if (!type || (type !== "INBOUND" && type !== "OUTBOUND")) {
+      const getTransactions = LIST_HANDLERS[type];
+      if (!getTransactions) {
         return ApiResponse.error(
           res,
-          "type parameter is required (INBOUND or OUTBOUND)",
+          `type parameter is required (${Object.keys(LIST_HANDLERS).join(", ")})`,
           400
         );
       }
@@ -131,14 +267,14 @@ class TransactionController {
         page: page ? parseInt(page, 10) : 1,
         limit: limit ? parseInt(limit, 10) : 10,
         lotNumber: lotNumber || undefined,
+        warehouseId: warehouseId || undefined,
+        reasonCode: reasonCode || undefined,
+        supplierId: supplierId || undefined,
+        returnReason: returnReason || undefined,
+        departmentId: departmentId || undefined,
       };
 
-      let result;
-      if (type === "INBOUND") {
-        result = await getInboundTransactions(filters);
-      } else {
-        result = await getOutboundTransactions(filters);
-      }
+      const result = await getTransactions(filters);
 
       return ApiResponse.success(
         res,
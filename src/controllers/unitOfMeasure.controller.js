@@ -0,0 +1,87 @@
+import ApiResponse from "../utils/ApiResponse.js";
+import {
+  createUnitSchema,
+  updateUnitSchema,
+} from "../validators/unitOfMeasure.validator.js";
+import {
+  createUnit,
+  getUnits,
+  updateUnit,
+} from "../services/unitOfMeasure.service.js";
+
+function handleError(res, err, label) {
+  if (err?.statusCode) {
+    return ApiResponse.error(res, err.message, err.statusCode);
+  }
+  console.error(`${label} error:`, err);
+  return ApiResponse.error(res, "Server error", 500);
+}
+
+function validate(schema, body) {
+  const { error, value } = schema.validate(body || {}, {
+    abortEarly: false,
+    stripUnknown: true,
+  });
+  return {
+    value,
+    details: error ? error.details.map((d) => d.message) : null,
+  };
+}
+
+class UnitOfMeasureController {
+  // @desc    Create unit of measure (đơn vị tính)
+  // @route   POST /api/units
+  // @access  Private (admin)
+  static async create(req, res) {
+    try {
+      const { value, details } = validate(createUnitSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const unit = await createUnit(value);
+      return ApiResponse.success(res, unit, "Tạo đơn vị tính thành công", 201);
+    } catch (err) {
+      return handleError(res, err, "Create unit");
+    }
+  }
+
+  // @desc    Get units of measure
+  // @route   GET /api/units?isActive=
+  // @access  Private
+  static async getList(req, res) {
+    try {
+      const { isActive } = req.query;
+      const units = await getUnits({
+        isActive:
+          isActive === "true" ? true : isActive === "false" ? false : undefined,
+      });
+      return ApiResponse.success(
+        res,
+        units,
+        "Lấy danh sách đơn vị tính thành công"
+      );
+    } catch (err) {
+      return handleError(res, err, "Get units");
+    }
+  }
+
+  // @desc    Update unit of measure
+  // @route   PUT /api/units/:id
+  // @access  Private (admin)
+  static async update(req, res) {
+    try {
+      const { value, details } = validate(updateUnitSchema, req.body);
+      if (details) {
+        return ApiResponse.error(res, "Validation failed", 400, { details });
+      }
+
+      const unit = await updateUnit(req.params.id, value);
+      return ApiResponse.success(res, unit, "Cập nhật đơn vị tính thành công");
+    } catch (err) {
+      return handleError(res, err, "Update unit");
+    }
+  }
+}
+
+export default UnitOfMeasureController;
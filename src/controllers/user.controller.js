@@ -1,9 +1,22 @@
+import mongoose from "mongoose";
 import User from "../models/user.model.js";
+import Department from "../models/department.model.js";
 import ApiResponse from "../utils/ApiResponse.js";
 
 const ALLOWED_ROLES = ["admin", "user"];
 const ALLOWED_STATUS = ["active", "locked"];
 
+// departmentId: null/"" -> bỏ liên kết; trả về {error} nếu không hợp lệ
+async function resolveDepartmentId(departmentId) {
+  if (departmentId === null || departmentId === "") return { value: null };
+  if (!mongoose.isValidObjectId(departmentId)) {
+    return { error: "ID khoa/phòng không hợp lệ" };
+  }
+  const exists = await Department.exists({ _id: departmentId });
+  if (!exists) return { error: "Khoa/phòng không tồn tại" };
+  return { value: departmentId };
+}
+
 class UserController {
   // @desc    Get all users
   // @route   GET /api/users
@@ -110,6 +123,7 @@ class UserController {
         confirmPassword,
         role = "admin",
         status = "active",
+        departmentId,
       } = req.body || {};
 
       // --- Validate bắt buộc ---
@@ -149,6 +163,14 @@ class UserController {
       const normalizedRole = ALLOWED_ROLES.includes(role) ? role : "user";
       const normalizedStatus = ALLOWED_STATUS.includes(status) ? status : "active";
 
+      // --- Khoa/phòng (tùy chọn) ---
+      let normalizedDepartmentId = null;
+      if (departmentId !== undefined) {
+        const dept = await resolveDepartmentId(departmentId);
+        if (dept.error) return ApiResponse.error(res, dept.error, 400);
+        normalizedDepartmentId = dept.value;
+      }
+
       // --- Tạo user ---
       const created = await User.create({
         username: usernameLc,
@@ -157,7 +179,8 @@ class UserController {
         phone: (phone || "").trim(),
         password,             // pre-save sẽ hash
         role: normalizedRole,
-        status: normalizedStatus
+        status: normalizedStatus,
+        ...(normalizedDepartmentId && { departmentId: normalizedDepartmentId }),
       });
 
       const dto = {
@@ -168,6 +191,7 @@ class UserController {
         phone: created.phone || "",
         role: created.role,
         status: created.status,
+        departmentId: created.departmentId ? String(created.departmentId) : null,
         lastLogin: created.lastLogin || null,
       };
 
@@ -219,6 +243,7 @@ class UserController {
         phone: user.phone || "",
         role: user.role,
         status: user.status,
+        departmentId: user.departmentId ? String(user.departmentId) : null,
         lastLogin: user.lastLogin || null,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
@@ -261,6 +286,7 @@ class UserController {
         phone,
         role,
         status,
+        departmentId,
       } = req.body || {};
 
       // Chuẩn hoá input
@@ -301,6 +327,11 @@ class UserController {
         }
         next.status = status;
       }
+      if (departmentId !== undefined) {
+        const dept = await resolveDepartmentId(departmentId);
+        if (dept.error) return ApiResponse.error(res, dept.error, 400);
+        next.departmentId = dept.value;
+      }
 
       // Gán các trường khác
       if (next.username !== undefined) user.username = next.username;
@@ -309,6 +340,7 @@ class UserController {
       if (next.phone !== undefined) user.phone = next.phone;
       if (next.role !== undefined) user.role = next.role;
       if (next.status !== undefined) user.status = next.status;
+      if (next.departmentId !== undefined) user.departmentId = next.departmentId;
 
       await user.save(); // đảm bảo trigger validate & pre-save hooks
 
@@ -320,6 +352,7 @@ class UserController {
         phone: user.phone || "",
         role: user.role,
         status: user.status,
+        departmentId: user.departmentId ? String(user.departmentId) : null,
         lastLogin: user.lastLogin || null,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
@@ -0,0 +1,279 @@
+import mongoose from "mongoose";
+import {
+  Warehouse,
+  InventoryLot,
+  Transaction,
+  InventoryIssue,
+} from "../models/index.js";
+import ApiResponse from "../utils/ApiResponse.js";
+import { nextCode } from "../utils/codegen.js";
+
+// Tổng hợp tồn kho theo từng kho (số lô còn hàng, số lượng, giá trị)
+const STOCK_LOOKUP = [
+  {
+    $lookup: {
+      from: "inventorylots",
+      let: { wid: "$_id" },
+      pipeline: [
+        {
+          $match: {
+            $expr: { $eq: ["$warehouseId", "$$wid"] },
+            quantity: { $gt: 0 },
+          },
+        },
+        {
+          $group: {
+            _id: null,
+            lotCount: { $sum: 1 },
+            stockQty: { $sum: "$quantity" },
+            stockValue: { $sum: { $multiply: ["$quantity", "$unitCost"] } },
+          },
+        },
+      ],
+      as: "stock",
+    },
+  },
+  {
+    $addFields: {
+      stock: {
+        $ifNull: [
+          { $arrayElemAt: ["$stock", 0] },
+          { lotCount: 0, stockQty: 0, stockValue: 0 },
+        ],
+      },
+    },
+  },
+  { $project: { "stock._id": 0 } },
+];
+
+class WarehouseController {
+  // @desc    Get warehouses (with/without pagination)
+  // @route   GET /api/warehouses
+  // @access  Private
+  static async getWarehouses(req, res) {
+    try {
+      const { search, isActive, isQuarantine, pagination } = req.query;
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit, 10) || 10, 1),
+        100
+      );
+
+      const filter = {};
+      if (isActive !== undefined) filter.isActive = isActive === "true";
+      if (isQuarantine !== undefined) {
+        filter.isQuarantine = isQuarantine === "true";
+      }
+      if (search && search.trim()) {
+        const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        const regex = new RegExp(escaped, "i");
+        filter.$or = [{ name: regex }, { code: regex }, { address: regex }];
+      }
+
+      // Không phân trang -> dùng cho dropdown chọn kho
+      if (pagination === "false") {
+        const list = await Warehouse.aggregate([
+          { $match: filter },
+          ...STOCK_LOOKUP,
+          { $sort: { name: 1 } },
+        ]);
+        return ApiResponse.success(res, list, "Lấy danh sách kho thành công");
+      }
+
+      const [items, total] = await Promise.all([
+        Warehouse.aggregate([
+          { $match: filter },
+          { $sort: { createdAt: -1, _id: 1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          ...STOCK_LOOKUP,
+        ]),
+        Warehouse.countDocuments(filter),
+      ]);
+
+      return ApiResponse.paginated(
+        res,
+        items,
+        { page, limit, total, pages: Math.ceil(total / limit) },
+        "Lấy danh sách kho thành công"
+      );
+    } catch (error) {
+      console.error("Get warehouses error:", error);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
+  // @desc    Get warehouse by ID (kèm tồn kho theo sản phẩm)
+  // @route   GET /api/warehouses/:id
+  // @access  Private
+  static async getWarehouseById(req, res) {
+    try {
+      const { id } = req.params;
+      if (!mongoose.isValidObjectId(id)) {
+        return ApiResponse.error(res, "ID kho không hợp lệ", 400);
+      }
+
+      const data = await Warehouse.aggregate([
+        { $match: { _id: new mongoose.Types.ObjectId(id) } },
+        ...STOCK_LOOKUP,
+      ]);
+      if (!data.length) {
+        return ApiResponse.error(res, "Không tìm thấy kho", 404);
+      }
+
+      const products = await InventoryLot.aggregateStock({ warehouseId: id });
+
+      return ApiResponse.success(
+        res,
+        { ...data[0], products },
+        "Lấy thông tin kho thành công"
+      );
+    } catch (error) {
+      console.error("Get warehouse error:", error);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
+  // @desc    Create warehouse
+  // @route   POST /api/warehouses
+  // @access  Private (admin)
+  static async createWarehouse(req, res) {
+    try {
+      let { code, name, address, isActive, isQuarantine } = req.body || {};
+
+      if (!name || !String(name).trim()) {
+        return ApiResponse.error(res, "Tên kho là bắt buộc", 400);
+      }
+      if (isActive !== undefined && typeof isActive !== "boolean") {
+        return ApiResponse.error(res, "isActive phải là boolean", 400);
+      }
+      if (isQuarantine !== undefined && typeof isQuarantine !== "boolean") {
+        return ApiResponse.error(res, "isQuarantine phải là boolean", 400);
+      }
+
+      code =
+        code && String(code).trim()
+          ? String(code).trim()
+          : await nextCode("WH", 3);
+
+      const existing = await Warehouse.findOne({ code }).lean();
+      if (existing) {
+        return ApiResponse.error(res, "Mã kho đã tồn tại", 409);
+      }
+
+      const created = await Warehouse.create({
+        code,
+        name: String(name).trim(),
+        address: (address || "").trim(),
+        isActive: isActive ?? true,
+        isQuarantine: isQuarantine ?? false,
+      });
+
+      return ApiResponse.success(res, created, "Thêm kho thành công", 201);
+    } catch (error) {
+      console.error("Create warehouse error:", error);
+      if (error?.code === 11000) {
+        return ApiResponse.error(res, "Mã kho đã tồn tại", 409);
+      }
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
+  // @desc    Update warehouse
+  // @route   PUT /api/warehouses/:id
+  // @access  Private (admin)
+  static async updateWarehouse(req, res) {
+    try {
+      const { id } = req.params;
+      if (!mongoose.isValidObjectId(id)) {
+        return ApiResponse.error(res, "ID kho không hợp lệ", 400);
+      }
+
+      const warehouse = await Warehouse.findById(id);
+      if (!warehouse) {
+        return ApiResponse.error(res, "Không tìm thấy kho", 404);
+      }
+
+      const { code, name, address, isActive, isQuarantine } = req.body || {};
+
+      if (isActive !== undefined && typeof isActive !== "boolean") {
+        return ApiResponse.error(res, "isActive phải là boolean", 400);
+      }
+      if (isQuarantine !== undefined && typeof isQuarantine !== "boolean") {
+        return ApiResponse.error(res, "isQuarantine phải là boolean", 400);
+      }
+      if (name !== undefined && !String(name).trim()) {
+        return ApiResponse.error(res, "Tên kho không được để trống", 400);
+      }
+
+      if (code !== undefined) {
+        const codeTrimmed = String(code).trim();
+        if (!codeTrimmed) {
+          return ApiResponse.error(res, "Mã kho không được để trống", 400);
+        }
+        const dup = await Warehouse.findOne({
+          code: codeTrimmed,
+          _id: { $ne: id },
+        }).lean();
+        if (dup) {
+          return ApiResponse.error(res, "Mã kho đã tồn tại", 409);
+        }
+        warehouse.code = codeTrimmed;
+      }
+
+      if (name !== undefined) warehouse.name = String(name).trim();
+      if (address !== undefined) warehouse.address = (address || "").trim();
+      if (isActive !== undefined) warehouse.isActive = isActive;
+      if (isQuarantine !== undefined) warehouse.isQuarantine = isQuarantine;
+
+      await warehouse.save();
+
+      return ApiResponse.success(res, warehouse, "Cập nhật kho thành công");
+    } catch (error) {
+      console.error("Update warehouse error:", error);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+
+  // @desc    Delete warehouse (chỉ khi kho chưa phát sinh tồn kho/giao dịch)
+  // @route   DELETE /api/warehouses/:id
+  // @access  Private (admin)
+  static async deleteWarehouse(req, res) {
+    try {
+      const { id } = req.params;
+      if (!mongoose.isValidObjectId(id)) {
+        return ApiResponse.error(res, "ID kho không hợp lệ", 400);
+      }
+
+      const warehouse = await Warehouse.findById(id);
+      if (!warehouse) {
+        return ApiResponse.error(res, "Không tìm thấy kho", 404);
+      }
+
+      const [lotCount, txCount, issueCount] = await Promise.all([
+        InventoryLot.countDocuments({ warehouseId: id }),
+        Transaction.countDocuments({
+          $or: [{ sourceWarehouseId: id }, { destinationWarehouseId: id }],
+        }),
+        InventoryIssue.countDocuments({ warehouseId: id }),
+      ]);
+
+      if (lotCount > 0 || txCount > 0 || issueCount > 0) {
+        return ApiResponse.error(
+          res,
+          "Không thể xóa kho đã phát sinh tồn kho hoặc giao dịch. Hãy chuyển sang trạng thái ngừng hoạt động.",
+          400
+        );
+      }
+
+      await warehouse.deleteOne();
+
+      return ApiResponse.success(res, null, "Xóa kho thành công");
+    } catch (error) {
+      console.error("Delete warehouse error:", error);
+      return ApiResponse.error(res, "Server error", 500);
+    }
+  }
+}
+
+export default WarehouseController;
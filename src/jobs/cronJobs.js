@@ -1,5 +1,13 @@
 import cron from "node-cron";
 import inventoryScanner from "../services/inventoryScanner.service.js";
+import { releaseExpiredReservations } from "../services/stockReservation.service.js";
+import { generateReorderPurchaseOrders } from "../services/reorder.service.js";
+import { reconcileStock } from "../services/stockReconciliation.service.js";
+import {
+  takeInventorySnapshot,
+  rebuildStaleSnapshots,
+} from "../services/inventorySnapshot.service.js";
+import { businessTimeZone } from "../utils/businessDay.js";
 
 /**
  * Cron jobs cho hệ thống
@@ -21,6 +29,18 @@ class CronJobs {
     // Job 2: Auto-resolve alerts mỗi 6 giờ
     this.scheduleAutoResolveAlerts();
 
+    // Job 3: Nhả hàng giữ quá hạn mỗi 15 phút
+    this.scheduleReservationExpiry();
+
+    // Job 4: Tạo đơn đặt hàng nháp từ gợi ý đặt hàng lúc 3:00 AM
+    this.scheduleReorderGeneration();
+
+    // Job 5: Đối soát tồn kho lúc 1:30 AM (trước khi quét kho)
+    this.scheduleStockReconciliation();
+
+    // Job 6: Chụp tồn cuối ngày hôm trước lúc 0:05 AM
+    this.scheduleInventorySnapshot();
+
     console.log(`[CronJobs] ${this.jobs.length} jobs scheduled successfully`);
   }
 
@@ -67,6 +87,94 @@ class CronJobs {
     );
   }
 
+  /**
+   * Job đối soát tồn kho: Product.currentStock với tổng lô, tồn lô với sổ biến động
+   * Chạy lúc 1:30 AM mỗi ngày, trước quét kho để cảnh báo tồn thấp dùng số đã sửa
+   * Tự sửa currentStock khi STOCK_RECONCILE_AUTO_FIX=true
+   */
+  scheduleStockReconciliation() {
+    const job = cron.schedule(
+      "30 1 * * *",
+      async () => {
+        try {
+          const report = await reconcileStock({ trigger: "cron" });
+          console.log(
+            `[CronJob-StockReconciliation] Checked ${report.productsChecked} products, ${report.lotsChecked} lots:` +
+              ` ${report.discrepancyCount} discrepancies (${report.fixedCount} fixed)`
+          );
+        } catch (error) {
+          console.error(
+            `[CronJob-StockReconciliation] Error during reconciliation:`,
+            error
+          );
+        }
+      },
+      {
+        scheduled: true,
+        timezone: "Asia/Ho_Chi_Minh",
+      }
+    );
+
+    this.jobs.push({
+      name: "Stock Reconciliation",
+      schedule: "30 1 * * *",
+      description:
+        "Reconcile product stock counters and lot quantities against the stock movement ledger",
+      job,
+    });
+
+    console.log(
+      "[CronJobs] Stock reconciliation scheduled at 1:30 AM daily (Asia/Ho_Chi_Minh timezone)"
+    );
+  }
+
+  /**
+   * Job chụp tồn cuối ngày theo lô (số lượng, giá trị) để báo cáo lịch sử
+   * tính tồn đầu kỳ từ ảnh chụp gần nhất thay vì cộng cả sổ biến động
+   * Chạy lúc 0:05 AM (múi giờ nghiệp vụ) mỗi ngày cho ngày hôm trước, trước đó
+   * chụp lại các ngày có phiếu ghi lùi ngày sau khi chụp
+   */
+  scheduleInventorySnapshot() {
+    const timezone = businessTimeZone();
+    const job = cron.schedule(
+      "5 0 * * *",
+      async () => {
+        try {
+          const { rebuilt } = await rebuildStaleSnapshots();
+          if (rebuilt.length > 0) {
+            console.log(
+              `[CronJob-InventorySnapshot] Rebuilt ${rebuilt.length} snapshot(s) with backdated movements`
+            );
+          }
+          const { snapshotDate, skipped, lots } = await takeInventorySnapshot();
+          console.log(
+            `[CronJob-InventorySnapshot] ${skipped ? "Skipped existing" : `Stored ${lots} lots for`} snapshot ${snapshotDate.toISOString()}`
+          );
+        } catch (error) {
+          console.error(
+            `[CronJob-InventorySnapshot] Error taking snapshot:`,
+            error
+          );
+        }
+      },
+      {
+        scheduled: true,
+        timezone,
+      }
+    );
+
+    this.jobs.push({
+      name: "Inventory Snapshot",
+      schedule: "5 0 * * *",
+      description: "Store end-of-day stock per product, warehouse and lot",
+      job,
+    });
+
+    console.log(
+      `[CronJobs] Inventory snapshot scheduled at 0:05 AM daily (${timezone} timezone)`
+    );
+  }
+
   /**
    * Job tự động giải quyết các alerts đã không còn vấn đề
    * Chạy mỗi 6 giờ
@@ -107,6 +215,84 @@ class CronJobs {
     );
   }
 
+  /**
+   * Job nhả các phần giữ hàng đã quá hạn (phiếu nháp/phiếu yêu cầu treo lâu)
+   * Chạy mỗi 15 phút
+   */
+  scheduleReservationExpiry() {
+    const job = cron.schedule(
+      "*/15 * * * *",
+      async () => {
+        try {
+          const { expired } = await releaseExpiredReservations();
+          if (expired > 0) {
+            console.log(
+              `[CronJob-ReservationExpiry] Released ${expired} expired reservations`
+            );
+          }
+        } catch (error) {
+          console.error(
+            `[CronJob-ReservationExpiry] Error releasing reservations:`,
+            error
+          );
+        }
+      },
+      {
+        scheduled: true,
+        timezone: "Asia/Ho_Chi_Minh",
+      }
+    );
+
+    this.jobs.push({
+      name: "Reservation Expiry",
+      schedule: "*/15 * * * *",
+      description: "Release expired stock reservations every 15 minutes",
+      job,
+    });
+
+    console.log("[CronJobs] Reservation expiry scheduled every 15 minutes");
+  }
+
+  /**
+   * Job tạo đơn đặt hàng nháp theo gợi ý đặt hàng (mỗi NCC chính một đơn)
+   * Chạy lúc 3:00 AM mỗi ngày, sau khi quét kho
+   */
+  scheduleReorderGeneration() {
+    const job = cron.schedule(
+      "0 3 * * *",
+      async () => {
+        try {
+          const { purchaseOrders, skipped, unassigned } =
+            await generateReorderPurchaseOrders();
+          console.log(
+            `[CronJob-Reorder] Created ${purchaseOrders.length} draft purchase orders` +
+              ` (${skipped.length} suppliers skipped, ${unassigned.length} products without primary supplier)`
+          );
+        } catch (error) {
+          console.error(
+            `[CronJob-Reorder] Error generating reorder purchase orders:`,
+            error
+          );
+        }
+      },
+      {
+        scheduled: true,
+        timezone: "Asia/Ho_Chi_Minh",
+      }
+    );
+
+    this.jobs.push({
+      name: "Reorder Generation",
+      schedule: "0 3 * * *",
+      description: "Generate draft purchase orders from reorder suggestions",
+      job,
+    });
+
+    console.log(
+      "[CronJobs] Reorder generation scheduled at 3:00 AM daily (Asia/Ho_Chi_Minh timezone)"
+    );
+  }
+
   /**
    * Lấy danh sách các jobs đang chạy
    */
@@ -1,4 +1,35 @@
 export const Role = ['admin', 'user'];
 export const SupplierStatus = ["active", "locked"];
-export const TxType = ["INBOUND", "OUTBOUND", "TRANSFER", "ADJUSTMENT"];
+export const TxType = [
+  "INBOUND",
+  "OUTBOUND",
+  "TRANSFER",
+  "ADJUSTMENT",
+  "SUPPLIER_RETURN",
+  "DEPARTMENT_RETURN",
+];
 export const TxStatus = ["DRAFT", "COMPLETED", "CANCELED"];
+export const AdjustmentReason = [
+  "DAMAGED",
+  "LOST",
+  "FOUND",
+  "COUNT_VARIANCE",
+  "EXPIRED_WRITE_OFF",
+];
+// Lý do trả hàng cho nhà cung cấp
+export const SupplierReturnReason = ["EXPIRED", "RECALLED", "DAMAGED", "OTHER"];
+export const RequisitionStatus = [
+  "submitted",
+  "partially_fulfilled",
+  "fulfilled",
+  "cancelled",
+];
+export const ReservationSource = ["InventoryIssue", "Requisition"];
+export const ReservationStatus = ["active", "consumed", "released", "expired"];
+export const PurchaseOrderStatus = [
+  "draft",
+  "approved",
+  "sent",
+  "partially_received",
+  "closed",
+];
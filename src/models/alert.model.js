@@ -10,6 +10,7 @@ const AlertSchema = new mongoose.Schema(
         "OUT_OF_STOCK", // Hết hàng
         "EXPIRING_SOON", // Sắp hết hạn (trong 30 ngày)
         "EXPIRED", // Đã hết hạn
+        "STOCK_DISCREPANCY", // Đối soát tồn kho phát hiện chênh lệch
       ],
       index: true,
     },
@@ -18,6 +18,13 @@ const CategorySchema = new mongoose.Schema(
     },
     description: { type: String },
     isActive: { type: Boolean, default: true },
+    // Chính sách hạn dùng khi xuất kho riêng cho danh mục,
+    // trường nào để trống thì dùng mặc định hệ thống
+    expiryPolicy: {
+      blockExpired: { type: Boolean },
+      minDaysRemaining: { type: Number, min: 0 },
+      nearExpiryAction: { type: String, enum: ["warn", "block"] },
+    },
   },
   { timestamps: true, versionKey: false }
 );
@@ -0,0 +1,80 @@
+import mongoose from "mongoose";
+
+// Một dòng hủy = một lô hết hạn, số lượng chốt khi lập biên bản
+const DestructionLineSchema = new mongoose.Schema(
+  {
+    inventoryLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLot",
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    lotNumber: { type: String, required: true },
+    expiryDate: { type: Date },
+    unitCost: { type: Number, required: true, min: 0, default: 0 },
+    quantity: { type: Number, required: true, min: 1 },
+    previousStatus: { type: String }, // trạng thái lô trước khi tạm giữ chờ hủy
+  },
+  { _id: false }
+);
+
+const WitnessSchema = new mongoose.Schema(
+  {
+    fullName: { type: String, required: true, trim: true, maxlength: 100 },
+    position: { type: String, trim: true, maxlength: 100 },
+  },
+  { _id: false }
+);
+
+// Biên bản hủy hàng hết hạn: lập (draft, các lô chuyển tạm giữ) -> hoàn tất
+// (ghi ADJUSTMENT EXPIRED_WRITE_OFF, lô về 0 chuyển destroyed, đóng cảnh báo hết hạn)
+const DestructionRecordSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, trim: true },
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["draft", "completed", "cancelled"],
+      default: "draft",
+      index: true,
+    },
+    destructionDate: { type: Date, required: true },
+    method: { type: String, required: true, trim: true, maxlength: 200 },
+    location: { type: String, trim: true, maxlength: 200 },
+    witnesses: { type: [WitnessSchema], default: [] },
+    notes: { type: String, trim: true, maxlength: 1000, default: "" },
+    lines: { type: [DestructionLineSchema], default: [] },
+    totalQuantity: { type: Number, default: 0 },
+    totalValue: { type: Number, default: 0 },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    completedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    completedAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    cancelledAt: { type: Date },
+
+    // Phiếu ADJUSTMENT (EXPIRED_WRITE_OFF) sinh ra khi hoàn tất
+    adjustmentTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+  },
+  { timestamps: true, versionKey: false, collection: "destructionrecords" }
+);
+
+DestructionRecordSchema.index({ warehouseId: 1, status: 1 });
+DestructionRecordSchema.index({ "lines.inventoryLotId": 1 });
+
+export default mongoose.model("DestructionRecord", DestructionRecordSchema);
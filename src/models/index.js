@@ -10,3 +10,16 @@ export { default as Category } from "./category.model.js";
 export { default as Department } from "./department.model.js";
 export { default as ProductSupplier } from "./productSupplier.mode.js";
 export { default as Alert } from "./alert.model.js";
+export { default as InventoryIssue } from "./inventoryIssue.model.js";
+export { default as Stocktake } from "./stocktake.model.js";
+export { default as Requisition } from "./requisition.model.js";
+export { default as StockReservation } from "./stockReservation.model.js";
+export { default as PurchaseOrder } from "./purchaseOrder.model.js";
+export { default as ProductCostHistory } from "./productCostHistory.model.js";
+export { default as StockMovement } from "./stockMovement.model.js";
+export { default as StockReconciliation } from "./stockReconciliation.model.js";
+export { default as InventorySnapshot } from "./inventorySnapshot.model.js";
+export { default as LotRecall } from "./lotRecall.model.js";
+export { default as DestructionRecord } from "./destructionRecord.model.js";
+export { default as UnitOfMeasure } from "./unitOfMeasure.model.js";
+export { default as Migration } from "./migration.model.js";
@@ -1,4 +1,5 @@
 import mongoose from "mongoose";
+import { UnitSnapshotSchema } from "./unitOfMeasure.model.js";
 
 const InventoryIssueDetailSchema = new mongoose.Schema(
   {
@@ -18,6 +19,10 @@ const InventoryIssueDetailSchema = new mongoose.Schema(
         expiryDate: { type: Date },
         quantity: { type: Number, required: true, min: 1 },
         unitCost: { type: Number, required: true, min: 0 },
+        // Số lượng khoa/phòng đã hoàn trả về kho từ lô này
+        returnedQuantity: { type: Number, min: 0, default: 0 },
+        // Lô vi phạm chính sách hạn dùng tại thời điểm xuất (cảnh báo hoặc admin cho phép)
+        expiryFlag: { type: String, enum: ["EXPIRED", "NEAR_EXPIRY"] },
       },
     ],
     totalQuantity: {
@@ -35,6 +40,8 @@ const InventoryIssueDetailSchema = new mongoose.Schema(
       required: true,
       min: 0,
     },
+    // Xuất theo đơn vị quy đổi: totalQuantity/unitPrice đã quy về đơn vị cơ sở
+    uom: { type: UnitSnapshotSchema, default: undefined },
   },
   { _id: false }
 );
@@ -60,6 +67,15 @@ const InventoryIssueSchema = new mongoose.Schema(
       trim: true,
       maxlength: 200,
     },
+    departmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+    },
+    // Phiếu yêu cầu của khoa/phòng mà phiếu xuất này cấp phát
+    requisitionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Requisition",
+    },
     issueDate: {
       type: Date,
       required: [true, "Ngày xuất là bắt buộc"],
@@ -89,7 +105,7 @@ const InventoryIssueSchema = new mongoose.Schema(
     status: {
       type: String,
       enum: {
-        values: ["draft", "confirmed", "cancelled"],
+        values: ["draft", "confirmed", "rejected", "cancelled"],
         message: "Trạng thái không hợp lệ",
       },
       default: "confirmed",
@@ -106,6 +122,36 @@ const InventoryIssueSchema = new mongoose.Schema(
     confirmedAt: {
       type: Date,
     },
+    rejectedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    rejectedAt: {
+      type: Date,
+    },
+    rejectReason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    cancelledAt: {
+      type: Date,
+    },
+    cancelReason: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    // Admin cho phép xuất lô hết hạn/cận hạn bị chính sách chặn
+    expiryOverride: {
+      reason: { type: String, trim: true, maxlength: 500 },
+      overriddenBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      overriddenAt: { type: Date },
+    },
   },
   {
     timestamps: true,
@@ -124,6 +170,7 @@ const InventoryIssueSchema = new mongoose.Schema(
 InventoryIssueSchema.index({ issueCode: 1 });
 InventoryIssueSchema.index({ warehouseId: 1, issueDate: -1 });
 InventoryIssueSchema.index({ department: 1 });
+InventoryIssueSchema.index({ requisitionId: 1 });
 InventoryIssueSchema.index({ status: 1 });
 InventoryIssueSchema.index({ createdAt: -1 });
 
@@ -169,7 +216,8 @@ InventoryIssueSchema.pre("save", function (next) {
 // Static method: Validate stock availability
 InventoryIssueSchema.statics.validateStockAvailability = async function (
   warehouseId,
-  items
+  items,
+  { excludeSourceId = null } = {}
 ) {
   const InventoryLot = mongoose.model("InventoryLot");
   const Product = mongoose.model("Product");
@@ -182,13 +230,14 @@ InventoryIssueSchema.statics.validateStockAvailability = async function (
     const product = await Product.findById(productId).lean();
     const productName = product?.name || productId;
 
-    // Aggregate total stock for this product in warehouse
+    // Available stock = on-hand minus quantities held by other pending documents
     const stockInfo = await InventoryLot.aggregateStock({
       productId,
       warehouseId,
+      excludeSourceId,
     });
 
-    const availableQty = stockInfo[0]?.stockQty || 0;
+    const availableQty = stockInfo[0]?.availableQty || 0;
 
     if (quantity > availableQty) {
       validationErrors.push({
@@ -224,6 +273,20 @@ InventoryIssueSchema.statics.ErrorMessages = {
   ISSUE_NOT_FOUND: "Phiếu xuất kho không tồn tại",
   CANNOT_CANCEL_CONFIRMED: "Không thể hủy phiếu đã xác nhận",
   ALREADY_CANCELLED: "Phiếu đã bị hủy trước đó",
+  INVALID_ISSUE_ID: "ID phiếu xuất kho không hợp lệ",
+  CANCEL_REASON_REQUIRED: "Lý do hủy phiếu là bắt buộc",
+  REJECT_REASON_REQUIRED: "Lý do từ chối phiếu là bắt buộc",
+  ISSUE_NOT_DRAFT: "Chỉ có thể sửa/duyệt/từ chối phiếu nháp",
+  CANNOT_CANCEL_REJECTED: "Không thể hủy phiếu đã bị từ chối",
+  CANNOT_CANCEL_RETURNED: "Không thể hủy phiếu đã có hàng hoàn trả",
+  RETURN_LINES_REQUIRED: "Danh sách hàng hoàn trả không được để trống",
+  RETURN_NOT_CONFIRMED: "Chỉ hoàn trả được phiếu xuất đã xác nhận",
+  RETURN_LOT_NOT_IN_ISSUE: "Lô hoàn trả không thuộc phiếu xuất",
+  RETURN_QTY_EXCEEDED: "Số lượng hoàn trả vượt quá số đã xuất",
+  QUARANTINE_WAREHOUSE_NOT_FOUND: "Không tìm thấy kho biệt trữ",
+  QUARANTINE_WAREHOUSE_ISSUE: "Không thể xuất hàng từ kho biệt trữ",
+  EXPIRY_OVERRIDE_FORBIDDEN:
+    "Chỉ admin được xuất lô vi phạm chính sách hạn dùng",
 };
 
 export default mongoose.model("InventoryIssue", InventoryIssueSchema);
\ No newline at end of file
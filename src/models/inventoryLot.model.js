@@ -1,5 +1,15 @@
 import mongoose from "mongoose";
 
+// Trạng thái lô: chỉ lô available được tính vào tồn khả dụng, gợi ý và cấp phát.
+// quarantined: tạm giữ chờ kiểm tra; recalled: thu hồi theo thông báo; destroyed: đã tiêu hủy
+export const LotStatus = ["available", "quarantined", "recalled", "destroyed"];
+
+// Lọc lô được phép xuất (lô tạo trước khi có trạng thái coi như available)
+export const AVAILABLE_LOT = { status: { $in: ["available", null] } };
+const isAvailableLot = {
+  $eq: [{ $ifNull: ["$status", "available"] }, "available"],
+};
+
 const InventoryLotSchema = new mongoose.Schema(
   {
     productId: {
@@ -16,6 +26,9 @@ const InventoryLotSchema = new mongoose.Schema(
     expiryDate: { type: Date },
     quantity: { type: Number, required: true, min: 0, default: 0 },
     unitCost: { type: Number, required: true, min: 0, default: 0 }, // giá vốn theo lô
+    status: { type: String, enum: LotStatus, default: "available" },
+    statusReason: { type: String, trim: true, maxlength: 500 },
+    statusChangedAt: { type: Date },
   },
   { timestamps: true, versionKey: false, collection: "inventorylots" }
 );
@@ -26,8 +39,64 @@ InventoryLotSchema.index(
 );
 InventoryLotSchema.index({ expiryDate: 1 });
 InventoryLotSchema.index({ productId: 1, warehouseId: 1 });
+InventoryLotSchema.index({ productId: 1, lotNumber: 1 });
+
+// Số đang giữ hàng (StockReservation active, chưa hết hạn) của từng lô -> reservedQty.
+// excludeSourceId: bỏ qua phần giữ của chính phiếu đang được duyệt/cấp.
+// Lô không ở trạng thái available có availableQty = 0.
+const reservedQtyStages = (excludeSourceId = null) => [
+  {
+    $lookup: {
+      from: "stockreservations",
+      let: { lotId: "$_id" },
+      pipeline: [
+        {
+          $match: {
+            $expr: {
+              $and: [
+                { $eq: ["$inventoryLotId", "$$lotId"] },
+                { $eq: ["$status", "active"] },
+                { $gt: ["$expiresAt", "$$NOW"] },
+                ...(excludeSourceId
+                  ? [
+                      {
+                        $ne: [
+                          "$sourceId",
+                          new mongoose.Types.ObjectId(excludeSourceId),
+                        ],
+                      },
+                    ]
+                  : []),
+              ],
+            },
+          },
+        },
+        { $group: { _id: null, qty: { $sum: "$quantity" } } },
+      ],
+      as: "_reserved",
+    },
+  },
+  {
+    $addFields: {
+      reservedQty: { $min: ["$quantity", { $sum: "$_reserved.qty" }] },
+    },
+  },
+  {
+    $addFields: {
+      availableQty: {
+        $cond: [
+          isAvailableLot,
+          { $subtract: ["$quantity", "$reservedQty"] },
+          0,
+        ],
+      },
+    },
+  },
+];
 
 // Tổng tồn + hạn gần nhất + giá trị tồn theo (product, warehouse)
+// stockQty = tồn thực tế (mọi trạng thái), availableQty = tồn các lô available - reservedQty,
+// unavailableQty = tồn đang tạm giữ/thu hồi; hạn gần nhất chỉ xét lô available
 InventoryLotSchema.statics.aggregateStock = function (filter = {}) {
   const $match = {
     ...(filter.productId
@@ -39,12 +108,22 @@ InventoryLotSchema.statics.aggregateStock = function (filter = {}) {
   };
   return this.aggregate([
     { $match },
+    ...reservedQtyStages(filter.excludeSourceId),
     {
       $group: {
         _id: { productId: "$productId", warehouseId: "$warehouseId" },
         stockQty: { $sum: "$quantity" },
+        reservedQty: { $sum: "$reservedQty" },
+        availableQty: { $sum: "$availableQty" },
+        unavailableQty: { $sum: { $cond: [isAvailableLot, 0, "$quantity"] } },
         nearestExpiry: {
-          $min: { $cond: [{ $gt: ["$quantity", 0] }, "$expiryDate", null] },
+          $min: {
+            $cond: [
+              { $and: [{ $gt: ["$quantity", 0] }, isAvailableLot] },
+              "$expiryDate",
+              null,
+            ],
+          },
         },
         stockValue: { $sum: { $multiply: ["$quantity", "$unitCost"] } },
       },
@@ -55,6 +134,9 @@ InventoryLotSchema.statics.aggregateStock = function (filter = {}) {
         productId: "$_id.productId",
         warehouseId: "$_id.warehouseId",
         stockQty: 1,
+        reservedQty: 1,
+        availableQty: 1,
+        unavailableQty: 1,
         nearestExpiry: 1,
         stockValue: 1,
       },
@@ -62,11 +144,14 @@ InventoryLotSchema.statics.aggregateStock = function (filter = {}) {
   ]);
 };
 
-// FEFO: gợi ý lô theo hạn gần nhất, trả về [{inventoryLotId, pickQty}]
+// FEFO: gợi ý lô available theo hạn gần nhất trên phần khả dụng (đã trừ giữ hàng),
+// trả về [{inventoryLotId, pickQty}]. lotFilter: điều kiện thêm cho lô (vd: chính sách hạn dùng).
+// session: đọc trong transaction đang mở để thấy tồn đã trừ ở các dòng trước
 InventoryLotSchema.statics.fefoSuggestLots = function (
   productId,
   warehouseId,
-  requiredQty
+  requiredQty,
+  { excludeSourceId = null, lotFilter = null, session = null } = {}
 ) {
   const need = Number(requiredQty);
   if (!productId || !warehouseId || !(need > 0))
@@ -78,8 +163,12 @@ InventoryLotSchema.statics.fefoSuggestLots = function (
         productId: new mongoose.Types.ObjectId(productId),
         warehouseId: new mongoose.Types.ObjectId(warehouseId),
         quantity: { $gt: 0 },
+        ...AVAILABLE_LOT,
+        ...(lotFilter || {}),
       },
     },
+    ...reservedQtyStages(excludeSourceId),
+    { $match: { availableQty: { $gt: 0 } } },
     {
       $addFields: {
         _expNull: { $cond: [{ $eq: ["$expiryDate", null] }, 1, 0] },
@@ -91,7 +180,7 @@ InventoryLotSchema.statics.fefoSuggestLots = function (
         sortBy: { _expNull: 1, expiryDate: 1, createdAt: 1, _id: 1 },
         output: {
           cumQty: {
-            $sum: "$quantity",
+            $sum: "$availableQty",
             window: { documents: ["unbounded", "current"] },
           },
         },
@@ -101,10 +190,15 @@ InventoryLotSchema.statics.fefoSuggestLots = function (
       $addFields: {
         pickQty: {
           $min: [
-            "$quantity",
+            "$availableQty",
             {
               $max: [
-                { $subtract: [need, { $subtract: ["$cumQty", "$quantity"] }] },
+                {
+                  $subtract: [
+                    need,
+                    { $subtract: ["$cumQty", "$availableQty"] },
+                  ],
+                },
                 0,
               ],
             },
@@ -114,7 +208,7 @@ InventoryLotSchema.statics.fefoSuggestLots = function (
     },
     { $match: { pickQty: { $gt: 0 } } },
     { $project: { _id: 0, inventoryLotId: "$_id", pickQty: 1 } },
-  ]);
+  ]).session(session);
 };
 
 // Các lô sắp hết hạn trong X ngày (default 30)
@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// Ảnh chụp tồn cuối ngày theo lô (kèm sản phẩm, kho) tính từ sổ biến động.
+// snapshotDate: hết ngày được chụp (23:59:59.999); takenAt: thời điểm đọc sổ —
+// các dòng sổ ghi lùi ngày sau takenAt không có trong ảnh chụp và được cộng thêm khi dùng.
+const InventorySnapshotSchema = new mongoose.Schema(
+  {
+    snapshotDate: { type: Date, required: true },
+    takenAt: { type: Date, required: true },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: true,
+    },
+    inventoryLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLot",
+      required: true,
+    },
+    quantity: { type: Number, required: true },
+    unitCost: { type: Number, min: 0, default: 0 },
+    value: { type: Number, default: 0 }, // quantity x unitCost (giá theo lô)
+  },
+  { versionKey: false, collection: "inventorysnapshots" }
+);
+
+InventorySnapshotSchema.index(
+  { snapshotDate: 1, inventoryLotId: 1 },
+  { unique: true }
+);
+InventorySnapshotSchema.index({ productId: 1, snapshotDate: 1 });
+
+export default mongoose.model("InventorySnapshot", InventorySnapshotSchema);
@@ -0,0 +1,43 @@
+import mongoose from "mongoose";
+
+// Lô bị ảnh hưởng tại thời điểm thu hồi (mỗi kho một lô)
+const RecalledLotSchema = new mongoose.Schema(
+  {
+    inventoryLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLot",
+      required: true,
+    },
+    warehouseId: { type: mongoose.Schema.Types.ObjectId, ref: "Warehouse" },
+    lotNumber: { type: String, required: true },
+    expiryDate: { type: Date },
+    quantity: { type: Number, default: 0 }, // tồn của lô khi thu hồi
+    previousStatus: { type: String },
+  },
+  { _id: false }
+);
+
+// Thu hồi lô theo thông báo của cơ quan quản lý: các lô cùng sản phẩm + số lô
+// ở mọi kho chuyển sang "recalled"; truy vết các phiếu xuất đã cấp lô đó theo khoa/phòng
+const LotRecallSchema = new mongoose.Schema(
+  {
+    recallCode: { type: String, required: true, unique: true, trim: true },
+    noticeNumber: { type: String, required: true, trim: true, maxlength: 100 },
+    authority: { type: String, trim: true, maxlength: 200 },
+    reason: { type: String, trim: true, maxlength: 1000 },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    lotNumbers: { type: [String], required: true },
+    lots: { type: [RecalledLotSchema], default: [] },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true, versionKey: false, collection: "lotrecalls" }
+);
+
+LotRecallSchema.index({ productId: 1, createdAt: -1 });
+LotRecallSchema.index({ noticeNumber: 1 });
+
+export default mongoose.model("LotRecall", LotRecallSchema);
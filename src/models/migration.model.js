@@ -0,0 +1,13 @@
+import mongoose from "mongoose";
+
+// Trạng thái migration dữ liệu chạy theo từng lô nhỏ (vd: khởi tạo sổ biến động).
+// Có bản ghi nhưng chưa có completedAt = đang chạy dở, chạy lại sẽ làm tiếp.
+const MigrationSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    completedAt: { type: Date },
+  },
+  { timestamps: true, collection: "migrations" }
+);
+
+export default mongoose.model("Migration", MigrationSchema);
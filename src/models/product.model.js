@@ -12,8 +12,35 @@ const ProductSchema = new mongoose.Schema(
     name: { type: String, required: true, trim: true, maxlength: 250 },
     description: { type: String },
     activeIngredient: { type: String },
-    unit: { type: String, required: true, maxlength: 32 }, // viên/ống/chai...
+    unit: { type: String, required: true, maxlength: 32 }, // viên/ống/chai... (đơn vị cơ sở)
+    // Quy cách đóng gói: 1 unitId = factor đơn vị cơ sở (vd: 1 hộp = 100 viên)
+    unitConversions: [
+      {
+        _id: false,
+        unitId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "UnitOfMeasure",
+          required: true,
+        },
+        factor: {
+          type: Number,
+          required: true,
+          min: 1,
+          validate: {
+            validator: Number.isInteger,
+            message: "factor must be an integer",
+          },
+        },
+      },
+    ],
+    // Mã vạch của sản phẩm (EAN-13/GTIN-14 trên hộp, vỉ, mã nội bộ...), một sản phẩm có thể có nhiều mã
+    barcodes: {
+      type: [{ type: String, trim: true, maxlength: 64 }],
+      index: true,
+    },
     minimumStock: { type: Number, required: true, min: 0, default: 0 },
+    // Tồn an toàn dùng cho gợi ý đặt hàng (reorder point = tiêu thụ trong lead time + safetyStock)
+    safetyStock: { type: Number, min: 0, default: 0 },
     isActive: { type: Boolean, default: true },
     categoryId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -28,11 +55,117 @@ const ProductSchema = new mongoose.Schema(
     },
     averageCost: {
       type: Number,
-      default: 0, // giá vốn bình quân (nếu sau này cần)
+      default: 0, // giá vốn bình quân gia quyền di động, cập nhật qua applyCostMovements
       min: 0,
     },
   },
   { timestamps: true, versionKey: false }
 );
 
+// Đồng bộ currentStock = tổng tồn của các lô trên tất cả các kho
+ProductSchema.statics.syncCurrentStock = async function (
+  productIds,
+  session = null
+) {
+  const InventoryLot = mongoose.model("InventoryLot");
+  const ids = [...new Set([].concat(productIds).map(String))];
+
+  const ops = [];
+  for (const productId of ids) {
+    const perWarehouse = await InventoryLot.aggregateStock({
+      productId,
+    }).session(session);
+    const currentStock = perWarehouse.reduce((sum, s) => sum + s.stockQty, 0);
+    ops.push({
+      updateOne: {
+        filter: { _id: productId },
+        update: { $set: { currentStock } },
+      },
+    });
+  }
+
+  if (ops.length > 0) await this.bulkWrite(ops, { session });
+};
+
+const roundCost = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Cập nhật giá vốn bình quân gia quyền di động và ghi ProductCostHistory.
+ * Gọi TRƯỚC syncCurrentStock: currentStock lúc này vẫn là tồn trước biến động.
+ * - Nhập (quantity > 0): avg = (tồn x avg + SL x giá nhập) / (tồn + SL)
+ * - Hoàn nhập/trả NCC (quantity < 0, có unitCost): bỏ phần giá trị theo giá nhập gốc
+ * - Không có unitCost (vd: điều chỉnh giảm): tính theo giá bình quân hiện tại, avg không đổi
+ * @param {Array} movements [{ productId, quantity, unitCost? }]
+ * @param {*} source { transactionId, transactionType, reason? }
+ */
+ProductSchema.statics.applyCostMovements = async function (
+  movements,
+  source,
+  session = null
+) {
+  const ProductCostHistory = mongoose.model("ProductCostHistory");
+
+  const byProduct = new Map();
+  for (const m of movements) {
+    if (!m.quantity) continue;
+    const key = String(m.productId);
+    if (!byProduct.has(key)) byProduct.set(key, []);
+    byProduct.get(key).push(m);
+  }
+
+  const ops = [];
+  const history = [];
+  for (const [productId, rows] of byProduct) {
+    const product = await this.findById(productId)
+      .select("currentStock averageCost")
+      .session(session)
+      .lean();
+    if (!product) continue;
+
+    let stock = product.currentStock || 0;
+    let avg = product.averageCost || 0;
+    for (const row of rows) {
+      const unitCost = row.unitCost ?? avg;
+      const newStock = stock + row.quantity;
+      let newAvg = avg;
+      if (newStock > 0) {
+        newAvg = Math.max(
+          (Math.max(stock, 0) * avg + row.quantity * unitCost) / newStock,
+          0
+        );
+      } else if (row.quantity > 0) {
+        newAvg = unitCost;
+      }
+      newAvg = roundCost(newAvg);
+
+      history.push({
+        productId,
+        transactionId: source.transactionId,
+        transactionType: source.transactionType,
+        reason: source.reason,
+        quantity: row.quantity,
+        unitCost,
+        previousStock: stock,
+        previousAverageCost: avg,
+        newStock,
+        newAverageCost: newAvg,
+      });
+      stock = newStock;
+      avg = newAvg;
+    }
+
+    ops.push({
+      updateOne: {
+        filter: { _id: productId },
+        update: { $set: { averageCost: avg } },
+      },
+    });
+  }
+
+  if (ops.length > 0) {
+    await this.bulkWrite(ops, { session });
+    await ProductCostHistory.insertMany(history, { session });
+  }
+};
+
 export default mongoose.model("Product", ProductSchema);
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import { TxType } from "./_shared.js";
+
+// Lịch sử giá vốn bình quân gia quyền: mỗi biến động làm thay đổi giá vốn
+// (nhập, hủy phiếu nhập, trả NCC, điều chỉnh) ghi một dòng trước/sau.
+const ProductCostHistorySchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    transactionType: { type: String, enum: TxType, required: true },
+    // Ghi chú biến động (vd: hủy phiếu nhập, mã lý do điều chỉnh)
+    reason: { type: String, trim: true },
+
+    quantity: { type: Number, required: true }, // có dấu: + tăng / - giảm
+    unitCost: { type: Number, required: true, min: 0 },
+
+    previousStock: { type: Number, required: true },
+    previousAverageCost: { type: Number, required: true, min: 0 },
+    newStock: { type: Number, required: true },
+    newAverageCost: { type: Number, required: true, min: 0 },
+  },
+  { timestamps: true, versionKey: false, collection: "productcosthistories" }
+);
+
+ProductCostHistorySchema.index({ productId: 1, createdAt: -1 });
+ProductCostHistorySchema.index({ transactionId: 1 });
+
+export default mongoose.model("ProductCostHistory", ProductCostHistorySchema);
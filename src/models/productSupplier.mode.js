@@ -13,6 +13,8 @@ const ProductSupplierSchema = new mongoose.Schema(
       required: true,
     },
     isPrimary: { type: Boolean, default: false },
+    // Số ngày từ lúc đặt đến lúc nhận hàng (trống -> REORDER_LEAD_TIME_DAYS)
+    leadTimeDays: { type: Number, min: 0 },
   },
   { timestamps: true, versionKey: false }
 );
@@ -0,0 +1,99 @@
+import mongoose from "mongoose";
+import { PurchaseOrderStatus } from "./_shared.js";
+
+// Một dòng đặt hàng: còn phải nhận = orderedQty - receivedQty (nhận dư khi âm)
+const PurchaseOrderLineSchema = new mongoose.Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Product",
+    required: true,
+  },
+  orderedQty: { type: Number, required: true, min: 1 },
+  // Đơn giá đã thỏa thuận với nhà cung cấp
+  unitPrice: { type: Number, required: true, min: 0 },
+  receivedQty: { type: Number, required: true, min: 0, default: 0 },
+  note: { type: String, trim: true, maxlength: 500, default: "" },
+});
+
+const PurchaseOrderSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, trim: true },
+    supplierId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Supplier",
+      required: true,
+    },
+    // Kho nhận hàng
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: PurchaseOrderStatus,
+      default: "draft",
+      index: true,
+    },
+    expectedDate: { type: Date },
+    notes: { type: String, trim: true, maxlength: 1000, default: "" },
+    lines: {
+      type: [PurchaseOrderLineSchema],
+      validate: {
+        validator: (arr) => Array.isArray(arr) && arr.length > 0,
+        message: "Đơn đặt hàng phải có ít nhất một dòng",
+      },
+    },
+    totalAmount: { type: Number, min: 0, default: 0 },
+    // reorder: đơn nháp do engine gợi ý đặt hàng tạo (có thể chạy theo lịch, không có người tạo)
+    source: { type: String, enum: ["manual", "reorder"], default: "manual" },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: function () {
+        return this.source !== "reorder";
+      },
+    },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    approvedAt: { type: Date },
+    sentBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    sentAt: { type: Date },
+    closedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    closedAt: { type: Date },
+    // Có lý do -> đóng thủ công (không tự mở lại khi hủy phiếu nhập)
+    closeReason: { type: String, trim: true, maxlength: 500 },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+PurchaseOrderSchema.index({ supplierId: 1, status: 1, createdAt: -1 });
+
+PurchaseOrderSchema.pre("validate", function (next) {
+  this.totalAmount = (this.lines || []).reduce(
+    (sum, l) => sum + l.orderedQty * l.unitPrice,
+    0
+  );
+  next();
+});
+
+// Trạng thái nhận hàng suy ra từ số đã nhận (chỉ áp dụng sau khi đã gửi NCC)
+PurchaseOrderSchema.methods.refreshStatus = function () {
+  if (!["sent", "partially_received", "closed"].includes(this.status)) {
+    return this.status;
+  }
+  if (this.status === "closed" && this.closeReason) return this.status;
+
+  const received = this.lines.reduce((sum, l) => sum + l.receivedQty, 0);
+  const outstanding = this.lines.some((l) => l.receivedQty < l.orderedQty);
+  if (!outstanding) {
+    if (this.status !== "closed") this.closedAt = new Date();
+    this.status = "closed";
+  } else {
+    this.status = received > 0 ? "partially_received" : "sent";
+    this.closedAt = undefined;
+  }
+  return this.status;
+};
+
+export default mongoose.model("PurchaseOrder", PurchaseOrderSchema);
@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import { RequisitionStatus } from "./_shared.js";
+
+// Một dòng yêu cầu: phần còn nợ (backorder) = requestedQty - issuedQty
+const RequisitionLineSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    requestedQty: { type: Number, required: true, min: 1 },
+    issuedQty: { type: Number, required: true, min: 0, default: 0 },
+    note: { type: String, trim: true, maxlength: 500, default: "" },
+  },
+  { _id: false }
+);
+
+const RequisitionSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, trim: true },
+    departmentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Department",
+      required: true,
+    },
+    // Kho dược cấp phát
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: RequisitionStatus,
+      default: "submitted",
+      index: true,
+    },
+    neededBy: { type: Date },
+    notes: { type: String, trim: true, maxlength: 1000, default: "" },
+    lines: {
+      type: [RequisitionLineSchema],
+      validate: {
+        validator: (arr) => Array.isArray(arr) && arr.length > 0,
+        message: "Phiếu yêu cầu phải có ít nhất một dòng",
+      },
+    },
+
+    // Các phiếu xuất kho đã cấp cho yêu cầu này (có thể nhiều đợt)
+    issueIds: [{ type: mongoose.Schema.Types.ObjectId, ref: "InventoryIssue" }],
+
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    cancelledAt: { type: Date },
+    cancelReason: { type: String, trim: true, maxlength: 500 },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+RequisitionSchema.index({ departmentId: 1, status: 1, createdAt: -1 });
+
+// Trạng thái suy ra từ số đã cấp (không áp dụng cho phiếu đã hủy)
+RequisitionSchema.methods.refreshStatus = function () {
+  if (this.status === "cancelled") return this.status;
+  const issued = this.lines.reduce((sum, l) => sum + l.issuedQty, 0);
+  const outstanding = this.lines.some((l) => l.issuedQty < l.requestedQty);
+  if (!outstanding) this.status = "fulfilled";
+  else this.status = issued > 0 ? "partially_fulfilled" : "submitted";
+  return this.status;
+};
+
+export default mongoose.model("Requisition", RequisitionSchema);
@@ -0,0 +1,155 @@
+import mongoose from "mongoose";
+import { TxType } from "./_shared.js";
+
+// Sổ biến động tồn kho (append-only): mỗi thay đổi số lượng của một lô ghi một dòng,
+// không sửa/xóa. Hủy phiếu ghi dòng bù trừ. Tồn theo lô/kho/sản phẩm tại mọi thời điểm
+// = tổng quantity đến thời điểm đó; InventoryLot.quantity và Product.currentStock
+// là số lưu sẵn để đối chiếu.
+export const MovementType = [...TxType, "OPENING"];
+
+// Migration khởi tạo sổ cho dữ liệu có từ trước (xem backfillStockMovements)
+export const LEDGER_MIGRATION_KEY = "stock-movements";
+
+const StockMovementSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: true,
+    },
+    inventoryLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLot",
+      required: true,
+    },
+    // Không có với dòng OPENING (tồn đầu khi khởi tạo sổ)
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+    movementType: { type: String, enum: MovementType, required: true },
+    // Ghi chú biến động (vd: hủy phiếu nhập, mã lý do điều chỉnh)
+    reason: { type: String, trim: true },
+
+    quantity: { type: Number, required: true }, // có dấu: + tăng / - giảm
+    unitCost: { type: Number, min: 0, default: 0 },
+    balanceAfter: { type: Number, required: true }, // tồn của lô sau dòng này
+
+    occurredAt: { type: Date, required: true }, // ngày nghiệp vụ
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    collection: "stockmovements",
+  }
+);
+
+StockMovementSchema.index({ inventoryLotId: 1, _id: -1 });
+StockMovementSchema.index({ productId: 1, occurredAt: 1 });
+StockMovementSchema.index({ warehouseId: 1, occurredAt: 1 });
+StockMovementSchema.index({ transactionId: 1 });
+
+// Append-only: chặn sửa/xóa qua model
+const immutable = function () {
+  throw new Error("StockMovement is append-only");
+};
+StockMovementSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  immutable
+);
+StockMovementSchema.pre(
+  "deleteOne",
+  { document: true, query: false },
+  immutable
+);
+StockMovementSchema.pre("save", function () {
+  if (!this.isNew) immutable();
+});
+
+/**
+ * Ghi các dòng biến động của một nghiệp vụ; balanceAfter tính nối tiếp
+ * từ dòng gần nhất của từng lô trong sổ.
+ * @param {Array} entries [{ productId, warehouseId, inventoryLotId, quantity, unitCost? }]
+ * @param {*} source { transactionId?, movementType, reason?, occurredAt?, userId? }
+ */
+StockMovementSchema.statics.record = async function (
+  entries,
+  source,
+  session = null
+) {
+  const rows = entries.filter((e) => e.quantity);
+  if (rows.length === 0) return [];
+
+  const lotIds = [...new Set(rows.map((e) => String(e.inventoryLotId)))];
+  const last = await this.aggregate([
+    {
+      $match: {
+        inventoryLotId: {
+          $in: lotIds.map((id) => new mongoose.Types.ObjectId(id)),
+        },
+      },
+    },
+    { $sort: { _id: -1 } },
+    {
+      $group: { _id: "$inventoryLotId", balance: { $first: "$balanceAfter" } },
+    },
+  ]).session(session);
+  const balances = new Map(last.map((r) => [String(r._id), r.balance]));
+
+  const occurredAt = source.occurredAt || new Date();
+  const docs = rows.map((e) => {
+    const key = String(e.inventoryLotId);
+    const balanceAfter = (balances.get(key) || 0) + e.quantity;
+    balances.set(key, balanceAfter);
+    return {
+      productId: e.productId,
+      warehouseId: e.warehouseId,
+      inventoryLotId: e.inventoryLotId,
+      transactionId: source.transactionId,
+      movementType: source.movementType,
+      reason: source.reason,
+      quantity: e.quantity,
+      unitCost: e.unitCost ?? 0,
+      balanceAfter,
+      occurredAt,
+      userId: source.userId,
+    };
+  });
+
+  // ordered: giữ thứ tự _id theo thứ tự ghi để balanceAfter nối tiếp đúng
+  return this.insertMany(docs, { session, ordered: true });
+};
+
+/**
+ * Sổ đã đủ để đọc tồn: migration khởi tạo đã chạy xong; chưa từng chạy thì sổ
+ * phải có dữ liệu hoặc chưa có lô nào còn tồn (hệ thống dùng sổ ngay từ đầu)
+ */
+StockMovementSchema.statics.isInitialized = async function () {
+  const state = await mongoose
+    .model("Migration")
+    .findOne({ key: LEDGER_MIGRATION_KEY })
+    .select("completedAt")
+    .lean();
+  if (state) return Boolean(state.completedAt);
+  if (await this.exists({})) return true;
+  return !(await mongoose
+    .model("InventoryLot")
+    .exists({ quantity: { $ne: 0 } }));
+};
+
+export default mongoose.model("StockMovement", StockMovementSchema);
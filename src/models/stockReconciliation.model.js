@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// Một chênh lệch phát hiện khi đối soát:
+// - PRODUCT_COUNTER: Product.currentStock khác tổng InventoryLot.quantity
+// - LOT_LEDGER: InventoryLot.quantity khác tổng sổ biến động (StockMovement) của lô
+const DiscrepancySchema = new mongoose.Schema(
+  {
+    kind: {
+      type: String,
+      enum: ["PRODUCT_COUNTER", "LOT_LEDGER"],
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    sku: { type: String },
+    productName: { type: String },
+    inventoryLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLot",
+    },
+    lotNumber: { type: String },
+    warehouseId: { type: mongoose.Schema.Types.ObjectId, ref: "Warehouse" },
+
+    recordedQty: { type: Number, required: true }, // số đang lưu (currentStock / lot.quantity)
+    expectedQty: { type: Number, required: true }, // số tính lại (tổng lô / tổng sổ)
+    difference: { type: Number, required: true }, // recordedQty - expectedQty
+    fixed: { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const StockReconciliationSchema = new mongoose.Schema(
+  {
+    trigger: { type: String, enum: ["cron", "manual"], required: true },
+    autoFix: { type: Boolean, default: false },
+    startedAt: { type: Date, required: true },
+    finishedAt: { type: Date },
+
+    productsChecked: { type: Number, default: 0 },
+    lotsChecked: { type: Number, default: 0 },
+    discrepancyCount: { type: Number, default: 0, index: true },
+    fixedCount: { type: Number, default: 0 },
+    discrepancies: { type: [DiscrepancySchema], default: [] },
+
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true, versionKey: false, collection: "stockreconciliations" }
+);
+
+StockReconciliationSchema.index({ startedAt: -1 });
+
+export default mongoose.model("StockReconciliation", StockReconciliationSchema);
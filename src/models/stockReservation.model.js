@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+import { ReservationSource, ReservationStatus } from "./_shared.js";
+
+// Giữ hàng theo lô cho phiếu đang chờ (phiếu xuất nháp, phiếu yêu cầu còn nợ).
+// Tồn khả dụng = tồn thực tế - tổng giữ hàng đang active và chưa hết hạn.
+const StockReservationSchema = new mongoose.Schema(
+  {
+    inventoryLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLot",
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: true,
+    },
+    quantity: { type: Number, required: true, min: 1 },
+
+    // Phiếu đang giữ hàng
+    sourceType: { type: String, enum: ReservationSource, required: true },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "sourceType",
+      required: true,
+    },
+
+    status: {
+      type: String,
+      enum: ReservationStatus,
+      default: "active",
+      index: true,
+    },
+    expiresAt: { type: Date, required: true },
+    releasedAt: { type: Date },
+  },
+  { timestamps: true, versionKey: false, collection: "stockreservations" }
+);
+
+StockReservationSchema.index({ inventoryLotId: 1, status: 1, expiresAt: 1 });
+StockReservationSchema.index({ sourceId: 1, status: 1 });
+
+// Tổng số đang giữ theo lô -> Map(lotId, qty), bỏ qua phiếu excludeSourceId
+StockReservationSchema.statics.reservedQtyByLot = async function (
+  lotIds,
+  { excludeSourceId = null, session = null } = {}
+) {
+  const rows = await this.aggregate([
+    {
+      $match: {
+        inventoryLotId: {
+          $in: [].concat(lotIds).map((id) => new mongoose.Types.ObjectId(id)),
+        },
+        status: "active",
+        expiresAt: { $gt: new Date() },
+        ...(excludeSourceId
+          ? { sourceId: { $ne: new mongoose.Types.ObjectId(excludeSourceId) } }
+          : {}),
+      },
+    },
+    { $group: { _id: "$inventoryLotId", qty: { $sum: "$quantity" } } },
+  ]).session(session);
+
+  return new Map(rows.map((r) => [String(r._id), r.qty]));
+};
+
+export default mongoose.model("StockReservation", StockReservationSchema);
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+// Một dòng kiểm kê = một lô tại thời điểm mở phiên (expectedQty: sổ sách lúc mở phiên,
+// chênh lệch khi duyệt tính theo tồn của lô lúc duyệt - bookQty)
+const StocktakeLineSchema = new mongoose.Schema(
+  {
+    inventoryLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLot",
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      required: true,
+    },
+    lotNumber: { type: String, required: true },
+    expiryDate: { type: Date },
+    unitCost: { type: Number, required: true, min: 0, default: 0 },
+    expectedQty: { type: Number, required: true, min: 0 },
+    // Tồn sổ sách của lô lúc duyệt (đã gồm các phát sinh trong lúc đếm); chênh lệch ghi sổ = countedQty - bookQty
+    bookQty: { type: Number, min: 0, default: null },
+
+    // Kết quả đếm thực tế (người đếm sau cùng ghi đè)
+    countedQty: { type: Number, min: 0, default: null },
+    countedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    countedAt: { type: Date },
+    note: { type: String, trim: true, maxlength: 500, default: "" },
+  },
+  { _id: false }
+);
+
+const StocktakeSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, trim: true },
+    warehouseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Warehouse",
+      required: true,
+    },
+    categoryId: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
+    status: {
+      type: String,
+      enum: ["counting", "approved", "cancelled"],
+      default: "counting",
+      index: true,
+    },
+    notes: { type: String, trim: true, maxlength: 1000, default: "" },
+    lines: { type: [StocktakeLineSchema], default: [] },
+
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    approvedAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    cancelledAt: { type: Date },
+
+    // Phiếu ADJUSTMENT (COUNT_VARIANCE) sinh ra khi duyệt
+    adjustmentTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
+  },
+  { timestamps: true, versionKey: false }
+);
+
+StocktakeSchema.index({ warehouseId: 1, status: 1 });
+
+export default mongoose.model("Stocktake", StocktakeSchema);
@@ -1,6 +1,11 @@
 // src/models/Transaction.js
 import mongoose from "mongoose";
-import { TxType, TxStatus } from "./_shared.js";
+import {
+  TxType,
+  TxStatus,
+  AdjustmentReason,
+  SupplierReturnReason,
+} from "./_shared.js";
 
 const TransactionSchema = new mongoose.Schema(
   {
@@ -30,13 +35,50 @@ const TransactionSchema = new mongoose.Schema(
     },
 
     // TRANSFER uses sourceWarehouseId + destinationWarehouseId
+
+    // ADJUSTMENT uses sourceWarehouseId (kho điều chỉnh) + reasonCode
+    reasonCode: { type: String, enum: AdjustmentReason },
+
+    // SUPPLIER_RETURN (trả hàng nhà cung cấp) uses sourceWarehouseId + supplierId
+    // + relatedTransactionId (phiếu nhập gốc); giá trị hàng trả = creditNoteAmount
+    returnReason: { type: String, enum: SupplierReturnReason },
+    creditNoteNumber: { type: String, trim: true },
+    creditNoteAmount: { type: Number, min: 0 },
+
+    // INBOUND nhận hàng theo đơn đặt hàng (PurchaseOrder)
+    purchaseOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PurchaseOrder",
+    },
+
+    // DEPARTMENT_RETURN (khoa/phòng hoàn trả) uses departmentId + destinationWarehouseId
+    // (kho xuất gốc hoặc kho biệt trữ) + inventoryIssueId (phiếu xuất gốc)
+    inventoryIssueId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryIssue",
+    },
+
     completedAt: { type: Date },
+
+    // Hủy phiếu (status = CANCELED)
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    cancelledAt: { type: Date },
+    cancelReason: { type: String, trim: true },
+    // Phiếu liên quan: phiếu thay thế khi hủy một phần / phiếu gốc
+    relatedTransactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Transaction",
+    },
   },
   { timestamps: true, versionKey: false }
 );
 
 TransactionSchema.index({ transactionDate: 1, type: 1 });
 TransactionSchema.index({ status: 1 });
+TransactionSchema.index({ supplierId: 1, type: 1 });
+TransactionSchema.index({ relatedTransactionId: 1 });
+TransactionSchema.index({ inventoryIssueId: 1 });
+TransactionSchema.index({ purchaseOrderId: 1 });
 
 // Ràng buộc theo type (routing fields)
 TransactionSchema.pre("validate", function (next) {
@@ -54,7 +96,22 @@ TransactionSchema.pre("validate", function (next) {
       t.sourceWarehouseId &&
       t.destinationWarehouseId &&
       String(t.sourceWarehouseId) !== String(t.destinationWarehouseId)) ||
-    t.type === "ADJUSTMENT";
+    (t.type === "ADJUSTMENT" &&
+      t.sourceWarehouseId &&
+      t.reasonCode &&
+      !t.destinationWarehouseId) ||
+    (t.type === "SUPPLIER_RETURN" &&
+      t.sourceWarehouseId &&
+      t.supplierId &&
+      t.relatedTransactionId &&
+      !t.destinationWarehouseId &&
+      !t.departmentId) ||
+    (t.type === "DEPARTMENT_RETURN" &&
+      t.destinationWarehouseId &&
+      t.departmentId &&
+      t.inventoryIssueId &&
+      !t.sourceWarehouseId &&
+      !t.supplierId);
 
   if (!ok)
     return next(new Error("Invalid routing fields for transaction type"));
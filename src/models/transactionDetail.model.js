@@ -1,5 +1,6 @@
 // src/models/TransactionDetail.js
 import mongoose from "mongoose";
+import { UnitSnapshotSchema } from "./unitOfMeasure.model.js";
 
 const TransactionDetailSchema = new mongoose.Schema(
   {
@@ -17,8 +18,29 @@ const TransactionDetailSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: "InventoryLot",
     }, // cần cho OUTBOUND/TRANSFER
-    quantity: { type: Number, required: true, min: 1 },
+    destinationInventoryLotId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "InventoryLot",
+    }, // TRANSFER: lô nhận tại kho đích
+    // signed (chỉ dòng ADJUSTMENT): số lượng có dấu (+ tăng / - giảm), các dòng khác >= 1
+    signed: { type: Boolean, default: undefined },
+    quantity: {
+      type: Number,
+      required: true,
+      validate: {
+        validator: function (v) {
+          return this.signed ? v !== 0 : v >= 1;
+        },
+        message:
+          "quantity must be at least 1 (signed quantities are only allowed for ADJUSTMENT)",
+      },
+    },
     unitPrice: { type: Number, required: true, min: 0 },
+    // INBOUND theo đơn đặt hàng: dòng đơn được nhận + đơn giá đã thỏa thuận
+    purchaseOrderLineId: { type: mongoose.Schema.Types.ObjectId },
+    agreedUnitPrice: { type: Number, min: 0 },
+    // Nhập theo đơn vị quy đổi (hộp/vỉ...): quantity/unitPrice ở trên đã quy về đơn vị cơ sở
+    uom: { type: UnitSnapshotSchema, default: undefined },
   },
   { timestamps: true, versionKey: false }
 );
@@ -26,5 +48,6 @@ const TransactionDetailSchema = new mongoose.Schema(
 TransactionDetailSchema.index({ transactionId: 1 });
 TransactionDetailSchema.index({ productId: 1 });
 TransactionDetailSchema.index({ inventoryLotId: 1 });
+TransactionDetailSchema.index({ purchaseOrderLineId: 1 });
 
 export default mongoose.model("TransactionDetail", TransactionDetailSchema);
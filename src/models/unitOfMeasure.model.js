@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// Đơn vị tính dùng chung (viên, vỉ, hộp, ống...). Hệ số quy đổi khai báo theo
+// từng sản phẩm (Product.unitConversions), đơn vị cơ sở là Product.unit
+const UnitOfMeasureSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      trim: true,
+      uppercase: true,
+      maxlength: 32,
+      index: { unique: true },
+    },
+    name: { type: String, required: true, trim: true, maxlength: 32 },
+    description: { type: String, trim: true, maxlength: 200 },
+    isActive: { type: Boolean, default: true },
+  },
+  { timestamps: true, versionKey: false, collection: "unitofmeasures" }
+);
+
+// Đơn vị người dùng nhập trên chứng từ; quantity/unitPrice của dòng luôn theo đơn vị cơ sở
+export const UnitSnapshotSchema = new mongoose.Schema(
+  {
+    unitId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "UnitOfMeasure",
+      required: true,
+    },
+    unitName: { type: String, required: true },
+    factor: { type: Number, required: true, min: 1 }, // số đơn vị cơ sở / 1 đơn vị
+    quantity: { type: Number, required: true }, // số lượng theo đơn vị nhập
+    unitPrice: { type: Number, min: 0 }, // đơn giá theo đơn vị nhập
+  },
+  { _id: false }
+);
+
+export default mongoose.model("UnitOfMeasure", UnitOfMeasureSchema);
@@ -44,6 +44,12 @@ const UserSchema = new Schema(
       default: "user",
       required: [true, "Role is required"],
     },
+    // Khoa/phòng của người dùng (điều dưỡng khoa gửi phiếu yêu cầu)
+    departmentId: {
+      type: Schema.Types.ObjectId,
+      ref: "Department",
+      default: null,
+    },
     status: {
       type: String,
       enum: {
@@ -76,6 +82,7 @@ UserSchema.index({ email: 1 });
 UserSchema.index({ fullName: "text" });
 UserSchema.index({ status: 1 });
 UserSchema.index({ role: 1 });
+UserSchema.index({ departmentId: 1 });
 
 // Hash password before saving
 UserSchema.pre("save", async function (next) {
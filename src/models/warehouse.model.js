@@ -6,17 +6,10 @@ const WarehouseSchema = new mongoose.Schema(
     name: { type: String, required: true },
     address: { type: String },
     isActive: { type: Boolean, default: true },
+    // Kho biệt trữ: nhận hàng khoa/phòng hoàn trả chờ kiểm tra lại
+    isQuarantine: { type: Boolean, default: false },
   },
   { timestamps: true, versionKey: false }
 );
 
-WarehouseSchema.pre("save", async function (next) {
-  const count = await mongoose.model("Warehouse").countDocuments();
-  if (count > 0 && this.isNew) {
-    const err = new Error("Warehouse already exists. Only one allowed.");
-    return next(err);
-  }
-  next();
-});
-
 export default mongoose.model("Warehouse", WarehouseSchema);
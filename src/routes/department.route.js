@@ -0,0 +1,48 @@
+import express from "express";
+import DepartmentController from "../controllers/department.controller.js";
+import auth from "../middleware/auth.js";
+import roleAuth from "../middleware/roleAuth.js";
+
+const router = express.Router();
+
+// @route   GET /api/departments?search=&isActive=&type=&page=&limit=&pagination=
+// @desc    Get all departments (khoa/phòng)
+// @access  Private
+router.get("/", auth, DepartmentController.getDepartments);
+
+// @route   GET /api/departments/:id
+// @desc    Get department by ID (kèm người dùng thuộc khoa)
+// @access  Private
+router.get("/:id", auth, DepartmentController.getDepartmentById);
+
+// @route   POST /api/departments
+// @desc    Create department
+// @access  Private (admin only)
+router.post(
+  "/",
+  auth,
+  roleAuth(["admin"]),
+  DepartmentController.createDepartment
+);
+
+// @route   PUT /api/departments/:id
+// @desc    Update department
+// @access  Private (admin only)
+router.put(
+  "/:id",
+  auth,
+  roleAuth(["admin"]),
+  DepartmentController.updateDepartment
+);
+
+// @route   DELETE /api/departments/:id
+// @desc    Delete department (chỉ khi chưa có người dùng/phiếu liên quan)
+// @access  Private (admin only)
+router.delete(
+  "/:id",
+  auth,
+  roleAuth(["admin"]),
+  DepartmentController.deleteDepartment
+);
+
+export default router;
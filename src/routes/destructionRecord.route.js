@@ -0,0 +1,43 @@
+import express from "express";
+import DestructionRecordController from "../controllers/destructionRecord.controller.js";
+import auth from "../middleware/auth.js";
+import roleAuth from "../middleware/roleAuth.js";
+
+const router = express.Router();
+
+// @route   POST /api/destruction-records
+// @desc    Lập biên bản hủy các lô hết hạn của kho (lô chuyển tạm giữ chờ hủy)
+// @access  Private (admin only)
+router.post("/", auth, roleAuth(["admin"]), DestructionRecordController.create);
+
+// @route   GET /api/destruction-records?status=&warehouseId=&page=&limit=
+// @desc    Danh sách biên bản hủy
+// @access  Private
+router.get("/", auth, DestructionRecordController.getList);
+
+// @route   GET /api/destruction-records/:id?format=json|pdf
+// @desc    Chi tiết biên bản hủy / in biên bản PDF
+// @access  Private
+router.get("/:id", auth, DestructionRecordController.getById);
+
+// @route   POST /api/destruction-records/:id/complete
+// @desc    Hoàn tất hủy: ghi ADJUSTMENT EXPIRED_WRITE_OFF, đóng cảnh báo hết hạn
+// @access  Private (admin only)
+router.post(
+  "/:id/complete",
+  auth,
+  roleAuth(["admin"]),
+  DestructionRecordController.complete
+);
+
+// @route   POST /api/destruction-records/:id/cancel
+// @desc    Hủy biên bản đang lập, trả lô về trạng thái trước đó
+// @access  Private (admin only)
+router.post(
+  "/:id/cancel",
+  auth,
+  roleAuth(["admin"]),
+  DestructionRecordController.cancel
+);
+
+export default router;
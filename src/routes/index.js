@@ -10,6 +10,17 @@ import inventoryIssueRoutes from "./inventoryIssue.route.js";
 import reportRoutes from "./report.route.js";
 import alertRoutes from "./alert.route.js";
 import dashboardRoutes from "./dashboard.route.js";
+import warehouseRoutes from "./warehouse.route.js";
+import stocktakeRoutes from "./stocktake.route.js";
+import departmentRoutes from "./department.route.js";
+import requisitionRoutes from "./requisition.route.js";
+import purchaseOrderRoutes from "./purchaseOrder.route.js";
+import stockMovementRoutes from "./stockMovement.route.js";
+import stockReconciliationRoutes from "./stockReconciliation.route.js";
+import inventoryLotRoutes from "./inventoryLot.route.js";
+import lotRecallRoutes from "./lotRecall.route.js";
+import destructionRecordRoutes from "./destructionRecord.route.js";
+import unitOfMeasureRoutes from "./unitOfMeasure.route.js";
 const router = express.Router();
 
 // Mount routes
@@ -23,5 +34,16 @@ router.use("/inventory-issues", inventoryIssueRoutes);
 router.use("/reports", reportRoutes);
 router.use("/alerts", alertRoutes);
 router.use("/dashboard", dashboardRoutes);
+router.use("/warehouses", warehouseRoutes);
+router.use("/stocktakes", stocktakeRoutes);
+router.use("/departments", departmentRoutes);
+router.use("/requisitions", requisitionRoutes);
+router.use("/purchase-orders", purchaseOrderRoutes);
+router.use("/stock-movements", stockMovementRoutes);
+router.use("/stock-reconciliations", stockReconciliationRoutes);
+router.use("/inventory-lots", inventoryLotRoutes);
+router.use("/recalls", lotRecallRoutes);
+router.use("/destruction-records", destructionRecordRoutes);
+router.use("/units", unitOfMeasureRoutes);
 router.use("/", systemRoutes);
 export default router;
@@ -16,13 +16,76 @@ router.get(
 );
 
 // @route   POST /api/inventory-issues
-// @desc    Create inventory issue (Phiếu xuất kho)
-// @access  Private (admin)
+// @desc    Create inventory issue (Phiếu xuất kho). Role user -> phiếu nháp.
+//          Lô hết hạn/cận hạn bị chặn theo chính sách hạn dùng, admin gửi
+//          expiryOverrideReason để cho phép. Dòng có thể gửi barcode (mã quét
+//          GS1/EAN) thay cho productId + lô
+// @access  Private (admin, user)
 router.post(
   "/",
   auth,
-  roleAuth(["admin"]),
+  roleAuth(["admin", "user"]),
   InventoryIssueController.createInventoryIssue
 );
 
+// @route   GET /api/inventory-issues?department=&status=&productId=&issueCode=&fromDate=&toDate=
+// @desc    Get inventory issues
+// @access  Private
+router.get("/", auth, InventoryIssueController.getInventoryIssues);
+
+// @route   GET /api/inventory-issues/:id
+// @desc    Get inventory issue detail (with lot allocations)
+// @access  Private
+router.get("/:id", auth, InventoryIssueController.getInventoryIssueById);
+
+// @route   PUT /api/inventory-issues/:id
+// @desc    Edit draft inventory issue
+// @access  Private (admin)
+router.put(
+  "/:id",
+  auth,
+  roleAuth(["admin"]),
+  InventoryIssueController.updateDraftIssue
+);
+
+// @route   POST /api/inventory-issues/:id/approve
+// @desc    Approve draft issue (FEFO allocation at confirmation, expiryOverrideReason?)
+// @access  Private (admin)
+router.post(
+  "/:id/approve",
+  auth,
+  roleAuth(["admin"]),
+  InventoryIssueController.approveInventoryIssue
+);
+
+// @route   POST /api/inventory-issues/:id/reject
+// @desc    Reject draft issue with reason
+// @access  Private (admin)
+router.post(
+  "/:id/reject",
+  auth,
+  roleAuth(["admin"]),
+  InventoryIssueController.rejectInventoryIssue
+);
+
+// @route   POST /api/inventory-issues/:id/cancel
+// @desc    Cancel inventory issue, return quantities to lots
+// @access  Private (admin)
+router.post(
+  "/:id/cancel",
+  auth,
+  roleAuth(["admin"]),
+  InventoryIssueController.cancelInventoryIssue
+);
+
+// @route   POST /api/inventory-issues/:id/returns
+// @desc    Department returns unused items (về lô gốc hoặc kho biệt trữ)
+// @access  Private (admin)
+router.post(
+  "/:id/returns",
+  auth,
+  roleAuth(["admin"]),
+  InventoryIssueController.returnFromDepartment
+);
+
 export default router;
\ No newline at end of file
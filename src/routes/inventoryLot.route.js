@@ -0,0 +1,18 @@
+import express from "express";
+import LotRecallController from "../controllers/lotRecall.controller.js";
+import auth from "../middleware/auth.js";
+import roleAuth from "../middleware/roleAuth.js";
+
+const router = express.Router();
+
+// @route   PATCH /api/inventory-lots/:id/status  { status: available|quarantined, reason? }
+// @desc    Tạm giữ / mở lại lô (lô tạm giữ không được gợi ý, cấp phát)
+// @access  Private (admin only)
+router.patch(
+  "/:id/status",
+  auth,
+  roleAuth(["admin"]),
+  LotRecallController.updateLotStatus
+);
+
+export default router;
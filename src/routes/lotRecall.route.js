@@ -0,0 +1,23 @@
+import express from "express";
+import LotRecallController from "../controllers/lotRecall.controller.js";
+import auth from "../middleware/auth.js";
+import roleAuth from "../middleware/roleAuth.js";
+
+const router = express.Router();
+
+// @route   POST /api/recalls  { productId, lotNumbers[], noticeNumber, authority?, reason? }
+// @desc    Thu hồi lô theo thông báo: khóa các lô ở mọi kho và truy vết phiếu xuất đã cấp
+// @access  Private (admin only)
+router.post("/", auth, roleAuth(["admin"]), LotRecallController.create);
+
+// @route   GET /api/recalls?productId=&page=&limit=
+// @desc    Danh sách các đợt thu hồi
+// @access  Private
+router.get("/", auth, LotRecallController.getList);
+
+// @route   GET /api/recalls/:id/trace
+// @desc    Truy vết thu hồi: tồn còn trong kho và số đã cấp theo từng khoa/phòng
+// @access  Private
+router.get("/:id/trace", auth, LotRecallController.getTrace);
+
+export default router;
@@ -1,10 +1,16 @@
 import { Router } from "express";
 import auth from "../middleware/auth.js";
+import roleAuth from "../middleware/roleAuth.js";
 import ProductController from "../controllers/product.controller.js";
 import {
   validate,
   getProductsQuerySchema,
   productIdParamSchema,
+  reorderSettingsSchema,
+  costHistoryQuerySchema,
+  unitConversionsSchema,
+  productBarcodesSchema,
+  scanBarcodeSchema,
 } from "../validators/productValidator.js";
 
 const router = Router();
@@ -17,6 +23,15 @@ router.get(
   ProductController.getProducts
 );
 
+// POST /api/products/scan  { code, warehouseId? }
+// Chuỗi quét GS1 DataMatrix/EAN -> sản phẩm, số lô, hạn dùng (+ lô tồn trong kho)
+router.post(
+  "/scan",
+  auth,
+  validate(scanBarcodeSchema),
+  ProductController.scanBarcode
+);
+
 // GET /api/products/:id
 router.get(
   "/:id",
@@ -25,4 +40,51 @@ router.get(
   ProductController.getProductById
 );
 
+// GET /api/products/:id/cost-history?page=&limit=&fromDate=&toDate=
+router.get(
+  "/:id/cost-history",
+  auth,
+  validate(productIdParamSchema, "params"),
+  validate(costHistoryQuerySchema, "query"),
+  ProductController.getCostHistory
+);
+
+// PUT /api/products/:id/reorder-settings (admin)
+router.put(
+  "/:id/reorder-settings",
+  auth,
+  roleAuth(["admin"]),
+  validate(productIdParamSchema, "params"),
+  validate(reorderSettingsSchema),
+  ProductController.updateReorderSettings
+);
+
+// GET /api/products/:id/unit-conversions
+router.get(
+  "/:id/unit-conversions",
+  auth,
+  validate(productIdParamSchema, "params"),
+  ProductController.getUnitConversions
+);
+
+// PUT /api/products/:id/unit-conversions (admin)
+router.put(
+  "/:id/unit-conversions",
+  auth,
+  roleAuth(["admin"]),
+  validate(productIdParamSchema, "params"),
+  validate(unitConversionsSchema),
+  ProductController.updateUnitConversions
+);
+
+// PUT /api/products/:id/barcodes (admin)
+router.put(
+  "/:id/barcodes",
+  auth,
+  roleAuth(["admin"]),
+  validate(productIdParamSchema, "params"),
+  validate(productBarcodesSchema),
+  ProductController.updateBarcodes
+);
+
 export default router;
@@ -0,0 +1,77 @@
+import express from "express";
+import PurchaseOrderController from "../controllers/purchaseOrder.controller.js";
+import auth from "../middleware/auth.js";
+import roleAuth from "../middleware/roleAuth.js";
+
+const router = express.Router();
+
+// @route   POST /api/purchase-orders
+// @desc    Tạo đơn đặt hàng nháp cho nhà cung cấp
+// @access  Private (admin only)
+router.post("/", auth, roleAuth(["admin"]), PurchaseOrderController.create);
+
+// @route   GET /api/purchase-orders?status=&source=&supplierId=&warehouseId=&search=&fromDate=&toDate=&page=&limit=
+// @desc    Danh sách đơn đặt hàng
+// @access  Private
+router.get("/", auth, PurchaseOrderController.getList);
+
+// @route   GET /api/purchase-orders/reorder-suggestions?supplierId=&categoryId=
+// @desc    Gợi ý đặt hàng theo tiêu thụ, lead time, tồn an toàn; nhóm theo NCC chính
+// @access  Private
+router.get(
+  "/reorder-suggestions",
+  auth,
+  PurchaseOrderController.getReorderSuggestions
+);
+
+// @route   POST /api/purchase-orders/reorder-suggestions/generate
+// @desc    Tạo đơn đặt hàng nháp từ gợi ý (mỗi NCC chính một đơn)
+// @access  Private (admin only)
+router.post(
+  "/reorder-suggestions/generate",
+  auth,
+  roleAuth(["admin"]),
+  PurchaseOrderController.generateFromSuggestions
+);
+
+// @route   GET /api/purchase-orders/:id
+// @desc    Chi tiết đơn đặt hàng, các lần nhận, còn phải nhận, nhận dư, lệch giá
+// @access  Private
+router.get("/:id", auth, PurchaseOrderController.getById);
+
+// @route   PUT /api/purchase-orders/:id
+// @desc    Sửa đơn đặt hàng nháp
+// @access  Private (admin only)
+router.put("/:id", auth, roleAuth(["admin"]), PurchaseOrderController.update);
+
+// @route   POST /api/purchase-orders/:id/approve
+// @desc    Duyệt đơn nháp
+// @access  Private (admin only)
+router.post(
+  "/:id/approve",
+  auth,
+  roleAuth(["admin"]),
+  PurchaseOrderController.approve
+);
+
+// @route   POST /api/purchase-orders/:id/send
+// @desc    Đánh dấu đã gửi nhà cung cấp (bắt đầu nhận hàng theo đơn)
+// @access  Private (admin only)
+router.post(
+  "/:id/send",
+  auth,
+  roleAuth(["admin"]),
+  PurchaseOrderController.send
+);
+
+// @route   POST /api/purchase-orders/:id/close
+// @desc    Đóng đơn thủ công (hủy hoặc không nhận phần còn lại)
+// @access  Private (admin only)
+router.post(
+  "/:id/close",
+  auth,
+  roleAuth(["admin"]),
+  PurchaseOrderController.close
+);
+
+export default router;
@@ -1,11 +1,11 @@
 import express from "express";
-import { getStockSummary, getTrends, getStatusDistribution, exportReport, exportReportFile } from "../controllers/report.controller.js";
+import { getStockSummary, getTrends, getStatusDistribution, getSupplierReport, getValuationReport, getStockCard, createInventorySnapshot, exportReport, exportReportFile } from "../controllers/report.controller.js";
 import auth from "../middleware/auth.js";
 import roleAuth from "../middleware/roleAuth.js";
 
 const router = express.Router();
 
-// @route GET /api/reports/stock_summary
+// @route GET /api/reports/stock_summary?startDate=&endDate=&categoryId=&search=&page=&limit=
 // @desc Get stock summary report (Báo cáo xuất-nhập-tồn)
 // @access Private (admin, user)
 router.get(
@@ -35,7 +35,47 @@ router.get(
   getStatusDistribution
 );
 
-// @route GET /api/reports/export
+// @route GET /api/reports/suppliers
+// @desc Get supplier report (Giá trị nhập, hàng trả và credit note theo nhà cung cấp)
+// @access Private (admin, user)
+router.get(
+  "/suppliers",
+  auth,
+  roleAuth(["admin", "user"]),
+  getSupplierReport
+);
+
+// @route GET /api/reports/valuation?date=&method=lot|average&groupBy=product|category|warehouse&categoryId=&warehouseId=&format=json|excel|pdf
+// @desc Get inventory valuation report as of a date (Báo cáo định giá tồn kho)
+// @access Private (admin, user)
+router.get(
+  "/valuation",
+  auth,
+  roleAuth(["admin", "user"]),
+  getValuationReport
+);
+
+// @route GET /api/reports/stock_card?productId=&lotId=&warehouseId=&startDate=&endDate=&format=json|pdf
+// @desc Get stock card of a product or lot (Thẻ kho - mẫu S12-DN)
+// @access Private (admin, user)
+router.get(
+  "/stock_card",
+  auth,
+  roleAuth(["admin", "user"]),
+  getStockCard
+);
+
+// @route POST /api/reports/snapshots  { date? }
+// @desc Take end-of-day inventory snapshot (Chụp tồn cuối ngày theo lô)
+// @access Private (admin only)
+router.post(
+  "/snapshots",
+  auth,
+  roleAuth(["admin"]),
+  createInventorySnapshot
+);
+
+// @route GET /api/reports/export?type=excel|pdf&startDate=&endDate=&valuation=average|lot
 // @desc Export report to Excel or PDF file
 // @access Private (admin, user)
 router.get(
@@ -0,0 +1,48 @@
+import express from "express";
+import RequisitionController from "../controllers/requisition.controller.js";
+import auth from "../middleware/auth.js";
+import roleAuth from "../middleware/roleAuth.js";
+
+const router = express.Router();
+
+// @route   POST /api/requisitions
+// @desc    Khoa/phòng gửi phiếu yêu cầu lĩnh thuốc
+// @access  Private (admin, user)
+router.post(
+  "/",
+  auth,
+  roleAuth(["admin", "user"]),
+  RequisitionController.create
+);
+
+// @route   GET /api/requisitions?status=&departmentId=&warehouseId=&search=&page=&limit=
+// @desc    Danh sách phiếu yêu cầu (user chỉ thấy của khoa/phòng mình)
+// @access  Private
+router.get("/", auth, RequisitionController.getList);
+
+// @route   GET /api/requisitions/:id
+// @desc    Chi tiết phiếu yêu cầu, tình trạng cấp phát và phần còn nợ
+// @access  Private
+router.get("/:id", auth, RequisitionController.getById);
+
+// @route   POST /api/requisitions/:id/fulfill
+// @desc    Kho dược cấp phát (toàn bộ hoặc một phần)
+// @access  Private (admin only)
+router.post(
+  "/:id/fulfill",
+  auth,
+  roleAuth(["admin"]),
+  RequisitionController.fulfill
+);
+
+// @route   POST /api/requisitions/:id/cancel
+// @desc    Hủy phiếu yêu cầu / phần còn nợ
+// @access  Private (admin, user)
+router.post(
+  "/:id/cancel",
+  auth,
+  roleAuth(["admin", "user"]),
+  RequisitionController.cancel
+);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from "express";
+import StockMovementController from "../controllers/stockMovement.controller.js";
+import auth from "../middleware/auth.js";
+
+const router = express.Router();
+
+// @route   GET /api/stock-movements?productId=&warehouseId=&inventoryLotId=&transactionId=&movementType=&fromDate=&toDate=&page=&limit=
+// @desc    Sổ biến động tồn kho (append-only) để tra cứu, đối soát
+// @access  Private
+router.get("/", auth, StockMovementController.getList);
+
+// @route   GET /api/stock-movements/balances?date=&groupBy=lot|warehouse|product&productId=&warehouseId=
+// @desc    Tồn kho tính lại từ sổ biến động tại một ngày
+// @access  Private
+router.get("/balances", auth, StockMovementController.getBalances);
+
+export default router;
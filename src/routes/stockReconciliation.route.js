@@ -0,0 +1,23 @@
+import express from "express";
+import StockReconciliationController from "../controllers/stockReconciliation.controller.js";
+import auth from "../middleware/auth.js";
+import roleAuth from "../middleware/roleAuth.js";
+
+const router = express.Router();
+
+// @route   POST /api/stock-reconciliations  { autoFix? }
+// @desc    Chạy đối soát tồn kho ngay (job đêm chạy lúc 1:30 AM)
+// @access  Private (admin only)
+router.post("/", auth, roleAuth(["admin"]), StockReconciliationController.run);
+
+// @route   GET /api/stock-reconciliations?hasDiscrepancy=&page=&limit=
+// @desc    Lịch sử các lần đối soát tồn kho
+// @access  Private
+router.get("/", auth, StockReconciliationController.getList);
+
+// @route   GET /api/stock-reconciliations/:id
+// @desc    Chi tiết chênh lệch của một lần đối soát
+// @access  Private
+router.get("/:id", auth, StockReconciliationController.getById);
+
+export default router;
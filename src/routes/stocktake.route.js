@@ -0,0 +1,58 @@
+import express from "express";
+import StocktakeController from "../controllers/stocktake.controller.js";
+import auth from "../middleware/auth.js";
+import roleAuth from "../middleware/roleAuth.js";
+
+const router = express.Router();
+
+// @route   POST /api/stocktakes
+// @desc    Mở phiên kiểm kê cho kho (tùy chọn theo danh mục)
+// @access  Private (admin only)
+router.post("/", auth, roleAuth(["admin"]), StocktakeController.open);
+
+// @route   GET /api/stocktakes?status=&warehouseId=&page=&limit=
+// @desc    Danh sách phiên kiểm kê
+// @access  Private
+router.get("/", auth, StocktakeController.getList);
+
+// @route   GET /api/stocktakes/:id
+// @desc    Chi tiết phiên kiểm kê
+// @access  Private
+router.get("/:id", auth, StocktakeController.getById);
+
+// @route   PUT /api/stocktakes/:id/counts
+// @desc    Gửi số lượng đếm thực tế theo lô
+// @access  Private (admin, user)
+router.put(
+  "/:id/counts",
+  auth,
+  roleAuth(["admin", "user"]),
+  StocktakeController.submitCounts
+);
+
+// @route   GET /api/stocktakes/:id/variance
+// @desc    Báo cáo chênh lệch kiểm kê
+// @access  Private
+router.get("/:id/variance", auth, StocktakeController.getVariance);
+
+// @route   POST /api/stocktakes/:id/approve
+// @desc    Duyệt kiểm kê, ghi ADJUSTMENT cho phần chênh lệch
+// @access  Private (admin only)
+router.post(
+  "/:id/approve",
+  auth,
+  roleAuth(["admin"]),
+  StocktakeController.approve
+);
+
+// @route   POST /api/stocktakes/:id/cancel
+// @desc    Hủy phiên kiểm kê
+// @access  Private (admin only)
+router.post(
+  "/:id/cancel",
+  auth,
+  roleAuth(["admin"]),
+  StocktakeController.cancel
+);
+
+export default router;
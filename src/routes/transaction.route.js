@@ -12,7 +12,7 @@ router.post(
   TransactionController.create
 );
 
-// GET /api/transactions?type=OUTBOUND&search=&fromDate=&toDate=&page=&limit=
+// GET /api/transactions?type=INBOUND|OUTBOUND|TRANSFER|ADJUSTMENT|SUPPLIER_RETURN|DEPARTMENT_RETURN&search=&fromDate=&toDate=&page=&limit=
 router.get(
   "/",
   auth,
@@ -20,7 +20,15 @@ router.get(
   TransactionController.getList
 );
 
-// GET /api/transactions/:id?type=OUTBOUND or type=INBOUND
+// POST /api/transactions/:id/cancel  { reason, allowPartial? } (chỉ INBOUND)
+router.post(
+  "/:id/cancel",
+  auth,
+  roleAuth(["admin"]),
+  TransactionController.cancel
+);
+
+// GET /api/transactions/:id?type=INBOUND|OUTBOUND|TRANSFER|ADJUSTMENT|SUPPLIER_RETURN|DEPARTMENT_RETURN
 router.get(
   "/:id",
   auth,
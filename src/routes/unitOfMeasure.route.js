@@ -0,0 +1,23 @@
+import express from "express";
+import UnitOfMeasureController from "../controllers/unitOfMeasure.controller.js";
+import auth from "../middleware/auth.js";
+import roleAuth from "../middleware/roleAuth.js";
+
+const router = express.Router();
+
+// @route   POST /api/units
+// @desc    Tạo đơn vị tính (viên, vỉ, hộp...); quy đổi khai báo theo sản phẩm
+// @access  Private (admin only)
+router.post("/", auth, roleAuth(["admin"]), UnitOfMeasureController.create);
+
+// @route   GET /api/units?isActive=
+// @desc    Danh sách đơn vị tính
+// @access  Private
+router.get("/", auth, UnitOfMeasureController.getList);
+
+// @route   PUT /api/units/:id
+// @desc    Cập nhật tên/mô tả/trạng thái đơn vị tính
+// @access  Private (admin only)
+router.put("/:id", auth, roleAuth(["admin"]), UnitOfMeasureController.update);
+
+export default router;
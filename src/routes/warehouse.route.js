@@ -0,0 +1,48 @@
+import express from "express";
+import WarehouseController from "../controllers/warehouse.controller.js";
+import auth from "../middleware/auth.js";
+import roleAuth from "../middleware/roleAuth.js";
+
+const router = express.Router();
+
+// @route   GET /api/warehouses?search=&isActive=&isQuarantine=&page=&limit=&pagination=
+// @desc    Get all warehouses (kèm tồn kho tổng hợp)
+// @access  Private
+router.get("/", auth, WarehouseController.getWarehouses);
+
+// @route   GET /api/warehouses/:id
+// @desc    Get warehouse by ID (kèm tồn kho theo sản phẩm)
+// @access  Private
+router.get("/:id", auth, WarehouseController.getWarehouseById);
+
+// @route   POST /api/warehouses
+// @desc    Create warehouse
+// @access  Private (admin only)
+router.post(
+  "/",
+  auth,
+  roleAuth(["admin"]),
+  WarehouseController.createWarehouse
+);
+
+// @route   PUT /api/warehouses/:id
+// @desc    Update warehouse
+// @access  Private (admin only)
+router.put(
+  "/:id",
+  auth,
+  roleAuth(["admin"]),
+  WarehouseController.updateWarehouse
+);
+
+// @route   DELETE /api/warehouses/:id
+// @desc    Delete warehouse (chỉ khi chưa phát sinh tồn kho/giao dịch)
+// @access  Private (admin only)
+router.delete(
+  "/:id",
+  auth,
+  roleAuth(["admin"]),
+  WarehouseController.deleteWarehouse
+);
+
+export default router;
@@ -0,0 +1,29 @@
+import mongoose from "mongoose";
+import dotenv from "dotenv";
+import connectDB from "../config/database.js";
+import { backfillStockMovements } from "../services/stockMovement.service.js";
+
+dotenv.config();
+
+// Khởi tạo sổ biến động cho dữ liệu có từ trước (trước khi mở API; lỗi giữa chừng
+// thì chạy lại để làm tiếp các sản phẩm còn lại): npm run migrate:stock-movements
+const run = async () => {
+  await connectDB();
+  try {
+    const result = await backfillStockMovements();
+    if (result.skipped) {
+      console.log("Stock movement ledger already initialized, nothing to do");
+    } else {
+      console.log(
+        `Stock movement ledger initialized: ${result.transactions} transactions, ${result.openings} opening balances`
+      );
+    }
+  } catch (error) {
+    console.error("Stock movement backfill failed:", error);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+run();
@@ -0,0 +1,140 @@
+import mongoose from "mongoose";
+import Product from "../models/product.model.js";
+import InventoryLot from "../models/inventoryLot.model.js";
+import { httpError } from "../utils/httpError.js";
+import { parseBarcode, barcodeCandidates, isValidGtin } from "../utils/gs1.js";
+
+const sameDay = (a, b) =>
+  new Date(a).toISOString().slice(0, 10) ===
+  new Date(b).toISOString().slice(0, 10);
+
+/**
+ * Tìm sản phẩm theo mã vạch (GTIN khớp cả dạng EAN-13 lẫn GTIN-14)
+ */
+export async function findProductByBarcode(code, session = null) {
+  return Product.findOne({ barcodes: { $in: barcodeCandidates(code) } })
+    .session(session)
+    .lean();
+}
+
+/**
+ * Thay toàn bộ mã vạch của sản phẩm. Mã số dạng GTIN phải đúng số kiểm tra;
+ * một mã (kể cả dạng GTIN tương đương) chỉ thuộc một sản phẩm.
+ * @param {*} payload { barcodes: [String] }
+ */
+export async function setProductBarcodes(productId, payload) {
+  if (!mongoose.isValidObjectId(productId)) {
+    throw httpError("productId không hợp lệ", 400);
+  }
+  const product = await Product.findById(productId);
+  if (!product) throw httpError("Không tìm thấy sản phẩm", 404);
+
+  const barcodes = payload.barcodes.map((b) => b.trim());
+  for (const code of barcodes) {
+    if (/^\d+$/.test(code) && !isValidGtin(code)) {
+      throw httpError(`Mã vạch ${code} sai số kiểm tra GTIN`, 400);
+    }
+  }
+
+  const conflict = await Product.findOne({
+    _id: { $ne: product._id },
+    barcodes: { $in: barcodes.flatMap(barcodeCandidates) },
+  })
+    .select("sku name barcodes")
+    .lean();
+  if (conflict) {
+    throw httpError(
+      `Mã vạch đã được gán cho sản phẩm ${conflict.sku} - ${conflict.name}`,
+      409
+    );
+  }
+
+  product.barcodes = barcodes;
+  await product.save();
+  return { productId: product._id, sku: product.sku, barcodes };
+}
+
+/**
+ * Giải mã chuỗi quét: sản phẩm, số lô, hạn dùng (GS1) và lô tồn tương ứng trong kho
+ * @param {*} params { code, warehouseId? }
+ * @returns {Promise<{barcode, gtin, lotNumber, expiryDate, productionDate, serialNumber, product, lot}>}
+ */
+export async function resolveScan({ code, warehouseId }) {
+  if (warehouseId && !mongoose.isValidObjectId(warehouseId)) {
+    throw httpError("warehouseId không hợp lệ", 400);
+  }
+  const scan = parseBarcode(code);
+  const product = await findProductByBarcode(scan.barcode);
+  if (!product) {
+    throw httpError(`Không tìm thấy sản phẩm có mã vạch ${scan.barcode}`, 404);
+  }
+
+  let lot = null;
+  if (warehouseId && scan.lotNumber) {
+    lot = await InventoryLot.findOne({
+      productId: product._id,
+      warehouseId,
+      lotNumber: scan.lotNumber,
+    })
+      .select("lotNumber expiryDate quantity status")
+      .lean();
+  }
+
+  return {
+    ...scan,
+    product: {
+      _id: product._id,
+      sku: product.sku,
+      name: product.name,
+      unit: product.unit,
+    },
+    lot,
+  };
+}
+
+/**
+ * Điền dòng chứng từ từ mã quét (line.barcode): productId theo mã vạch,
+ * lotNumber/expiryDate theo mã GS1 nếu dòng chưa nhập. Giá trị đã nhập
+ * khác với mã quét -> 400. Sửa dòng tại chỗ.
+ * @param {*} line { barcode, productId?, productName?, lotNumber?, expiryDate? }
+ * @param {*} options { allowNewProduct } nhập hàng: mã chưa gán sản phẩm được dùng cho
+ * productId/productName của dòng (mã sẽ được gán cho sản phẩm đó)
+ * @returns {Promise<Object>} kết quả parseBarcode + knownBarcode (mã đã gán sản phẩm)
+ */
+export async function applyScanToLine(
+  line,
+  session = null,
+  { allowNewProduct = false } = {}
+) {
+  const scan = parseBarcode(line.barcode);
+
+  const product = await findProductByBarcode(scan.barcode, session);
+  if (product) {
+    if (line.productId && String(line.productId) !== String(product._id)) {
+      throw httpError(
+        `Mã vạch ${scan.barcode} thuộc sản phẩm ${product.sku}, không khớp productId ${line.productId}`,
+        400
+      );
+    }
+    line.productId = product._id;
+  } else if (!allowNewProduct || !(line.productId || line.productName)) {
+    throw httpError(`Không tìm thấy sản phẩm có mã vạch ${scan.barcode}`, 404);
+  }
+
+  if (scan.lotNumber) {
+    if (line.lotNumber?.trim() && line.lotNumber.trim() !== scan.lotNumber) {
+      throw httpError(
+        `Số lô "${line.lotNumber}" khác số lô trên mã quét "${scan.lotNumber}"`,
+        400
+      );
+    }
+    line.lotNumber = scan.lotNumber;
+  }
+  if (scan.expiryDate) {
+    if (line.expiryDate && !sameDay(line.expiryDate, scan.expiryDate)) {
+      throw httpError("Hạn dùng đã nhập khác hạn dùng trên mã quét", 400);
+    }
+    line.expiryDate = scan.expiryDate;
+  }
+  return { ...scan, knownBarcode: Boolean(product) };
+}
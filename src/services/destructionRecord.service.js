@@ -0,0 +1,315 @@
+import mongoose from "mongoose";
+import {
+  DestructionRecord,
+  InventoryLot,
+  Warehouse,
+  Alert,
+} from "../models/index.js";
+import { httpError } from "../utils/httpError.js";
+import { nextCode } from "../utils/codegen.js";
+import { postAdjustment } from "./transaction.service.js";
+
+const RECORD_POPULATE = [
+  { path: "warehouseId", select: "code name" },
+  { path: "createdBy", select: "username fullName" },
+  { path: "completedBy", select: "username fullName" },
+];
+
+function assertValidId(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError("ID biên bản hủy không hợp lệ", 400);
+  }
+}
+
+async function findRecordOrThrow(id, session = null) {
+  assertValidId(id);
+  const record = await DestructionRecord.findById(id).session(session);
+  if (!record) throw httpError("Không tìm thấy biên bản hủy", 404);
+  return record;
+}
+
+/**
+ * Lập biên bản hủy cho các lô đã hết hạn còn tồn trong một kho
+ * (mặc định tất cả, hoặc chỉ các lô chọn). Số lượng từng lô được chốt lại và
+ * lô available chuyển sang tạm giữ để không bị cấp phát trong lúc chờ hủy.
+ * @param {*} payload { warehouseId, inventoryLotIds?, destructionDate, method, location?, witnesses[], notes? }
+ * @param {*} actor {userId}
+ */
+export async function createDestructionRecord(payload, actor) {
+  const warehouse = await Warehouse.findById(payload.warehouseId).lean();
+  if (!warehouse) throw httpError("Kho không tồn tại", 404);
+
+  const lotFilter = {
+    warehouseId: warehouse._id,
+    quantity: { $gt: 0 },
+    expiryDate: { $ne: null, $lt: new Date() },
+    status: { $ne: "destroyed" },
+  };
+  if (payload.inventoryLotIds) {
+    lotFilter._id = { $in: payload.inventoryLotIds };
+  }
+  const code = await nextCode("HH", 5);
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const lots = await InventoryLot.find(lotFilter)
+      .sort({ productId: 1, expiryDate: 1 })
+      .session(session)
+      .lean();
+    if (payload.inventoryLotIds) {
+      const found = new Set(lots.map((l) => String(l._id)));
+      const invalid = payload.inventoryLotIds.filter((id) => !found.has(id));
+      if (invalid.length > 0) {
+        throw httpError(
+          `Lô không thuộc kho, chưa hết hạn hoặc đã hết hàng: ${invalid.join(", ")}`,
+          400
+        );
+      }
+    }
+    if (lots.length === 0) {
+      throw httpError("Không có lô hết hạn nào cần hủy", 400);
+    }
+
+    const lotIds = lots.map((l) => l._id);
+    const pending = await DestructionRecord.findOne({
+      status: "draft",
+      "lines.inventoryLotId": { $in: lotIds },
+    })
+      .select("code")
+      .session(session)
+      .lean();
+    if (pending) {
+      throw httpError(`Lô đã nằm trong biên bản hủy ${pending.code}`, 409);
+    }
+
+    const lines = lots.map((lot) => ({
+      inventoryLotId: lot._id,
+      productId: lot.productId,
+      lotNumber: lot.lotNumber,
+      expiryDate: lot.expiryDate,
+      unitCost: lot.unitCost,
+      quantity: lot.quantity,
+      previousStatus: lot.status || "available",
+    }));
+    const [record] = await DestructionRecord.create(
+      [
+        {
+          code,
+          warehouseId: warehouse._id,
+          destructionDate: payload.destructionDate,
+          method: payload.method,
+          location: payload.location,
+          witnesses: payload.witnesses,
+          notes: payload.notes || "",
+          lines,
+          totalQuantity: lines.reduce((sum, l) => sum + l.quantity, 0),
+          totalValue: lines.reduce(
+            (sum, l) => sum + l.quantity * l.unitCost,
+            0
+          ),
+          createdBy: actor?.userId,
+        },
+      ],
+      { session }
+    );
+
+    await InventoryLot.updateMany(
+      { _id: { $in: lotIds }, status: { $in: ["available", null] } },
+      {
+        $set: {
+          status: "quarantined",
+          statusReason: `Chờ tiêu hủy theo biên bản ${record.code}`,
+          statusChangedAt: new Date(),
+        },
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return record;
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * Hoàn tất hủy: ghi một phiếu ADJUSTMENT (EXPIRED_WRITE_OFF) tại thời điểm hoàn tất
+ * (ngày hủy chỉ lưu trên biên bản, không ghi lùi sổ biến động dưới các ảnh chụp tồn đã có),
+ * lô về 0 chuyển destroyed, đóng các cảnh báo EXPIRED/EXPIRING_SOON của lô
+ * @param {String} id destruction record id
+ * @param {*} actor {userId}
+ */
+export async function completeDestructionRecord(id, actor) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const record = await findRecordOrThrow(id, session);
+    if (record.status !== "draft") {
+      throw httpError("Chỉ có thể hoàn tất biên bản hủy đang lập", 400);
+    }
+    if (record.destructionDate > new Date()) {
+      throw httpError("Chưa đến ngày tiêu hủy trong biên bản", 400);
+    }
+
+    const { transaction } = await postAdjustment(
+      {
+        warehouseId: record.warehouseId,
+        reasonCode: "EXPIRED_WRITE_OFF",
+        referenceCode: record.code,
+        notes: `Tiêu hủy hàng hết hạn theo biên bản ${record.code}`,
+        details: record.lines.map((l) => ({
+          inventoryLotId: l.inventoryLotId,
+          quantity: -l.quantity,
+        })),
+      },
+      actor,
+      session
+    );
+
+    const lotIds = record.lines.map((l) => l.inventoryLotId);
+    const now = new Date();
+    await InventoryLot.updateMany(
+      { _id: { $in: lotIds }, quantity: 0 },
+      {
+        $set: {
+          status: "destroyed",
+          statusReason: `Đã tiêu hủy theo biên bản ${record.code}`,
+          statusChangedAt: now,
+        },
+      },
+      { session }
+    );
+    await Alert.updateMany(
+      {
+        alertType: { $in: ["EXPIRED", "EXPIRING_SOON"] },
+        inventoryLotId: { $in: lotIds },
+        status: { $ne: "RESOLVED" },
+      },
+      {
+        $set: {
+          status: "RESOLVED",
+          resolvedBy: actor?.userId || undefined,
+          resolvedAt: now,
+          notes: `Đã tiêu hủy theo biên bản ${record.code}`,
+        },
+      },
+      { session }
+    );
+
+    record.status = "completed";
+    record.completedBy = actor?.userId;
+    record.completedAt = now;
+    record.adjustmentTransactionId = transaction._id;
+    await record.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return record;
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * Hủy biên bản đang lập: các lô tạm giữ vì biên bản này trở lại trạng thái trước đó
+ * @param {String} id destruction record id
+ * @param {*} actor {userId}
+ */
+export async function cancelDestructionRecord(id, actor) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const record = await findRecordOrThrow(id, session);
+    if (record.status !== "draft") {
+      throw httpError("Chỉ có thể hủy biên bản đang lập", 400);
+    }
+
+    await InventoryLot.updateMany(
+      {
+        _id: {
+          $in: record.lines
+            .filter((l) => l.previousStatus === "available")
+            .map((l) => l.inventoryLotId),
+        },
+        status: "quarantined",
+      },
+      {
+        $set: { status: "available", statusChangedAt: new Date() },
+        $unset: { statusReason: "" },
+      },
+      { session }
+    );
+
+    record.status = "cancelled";
+    record.cancelledBy = actor?.userId;
+    record.cancelledAt = new Date();
+    await record.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return record;
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * Danh sách biên bản hủy (không kèm lines)
+ */
+export async function getDestructionRecords(filters = {}) {
+  const { status, warehouseId, page = 1, limit = 10 } = filters;
+
+  const query = {};
+  if (status) query.status = status;
+  if (warehouseId && mongoose.isValidObjectId(warehouseId)) {
+    query.warehouseId = warehouseId;
+  }
+
+  const [items, total] = await Promise.all([
+    DestructionRecord.find(query)
+      .select("-lines")
+      .populate(RECORD_POPULATE)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    DestructionRecord.countDocuments(query),
+  ]);
+
+  return {
+    destructionRecords: items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Chi tiết biên bản hủy kèm các dòng lô
+ */
+export async function getDestructionRecordById(id) {
+  assertValidId(id);
+  const record = await DestructionRecord.findById(id)
+    .populate(RECORD_POPULATE)
+    .populate({ path: "lines.productId", select: "sku name unit" })
+    .lean();
+  if (!record) throw httpError("Không tìm thấy biên bản hủy", 404);
+  return record;
+}
@@ -0,0 +1,94 @@
+import Category from "../models/category.model.js";
+
+const DAY_MS = 24 * 3600 * 1000;
+
+// Chính sách hạn dùng mặc định khi xuất kho; danh mục có thể ghi đè từng trường
+// (Category.expiryPolicy)
+export const DEFAULT_EXPIRY_POLICY = {
+  blockExpired: process.env.ISSUE_BLOCK_EXPIRED !== "false",
+  minDaysRemaining: Number(process.env.ISSUE_MIN_DAYS_REMAINING) || 0,
+  nearExpiryAction:
+    process.env.ISSUE_NEAR_EXPIRY_ACTION === "block" ? "block" : "warn",
+};
+
+const fmtDate = (d) => new Date(d).toLocaleDateString("vi-VN");
+
+/**
+ * Chính sách áp dụng cho một sản phẩm: mặc định hệ thống + ghi đè của danh mục
+ * @param {*} product { categoryId? }
+ * @param {*} session mongoose session
+ * @returns {Promise<{blockExpired, minDaysRemaining, nearExpiryAction}>}
+ */
+export async function resolveExpiryPolicy(product, session = null) {
+  if (!product?.categoryId) return { ...DEFAULT_EXPIRY_POLICY };
+
+  const category = await Category.findById(product.categoryId)
+    .select("expiryPolicy")
+    .session(session)
+    .lean();
+  const override = category?.expiryPolicy || {};
+  return {
+    blockExpired: override.blockExpired ?? DEFAULT_EXPIRY_POLICY.blockExpired,
+    minDaysRemaining:
+      override.minDaysRemaining ?? DEFAULT_EXPIRY_POLICY.minDaysRemaining,
+    nearExpiryAction:
+      override.nearExpiryAction ?? DEFAULT_EXPIRY_POLICY.nearExpiryAction,
+  };
+}
+
+/**
+ * Kiểm tra một lô theo chính sách. Lô không có hạn dùng luôn hợp lệ.
+ * @returns {null|{flag, blocked, daysRemaining, message}} null nếu không vi phạm
+ */
+export function checkLotExpiry(lot, policy, now = new Date()) {
+  if (!lot.expiryDate) return null;
+
+  const expiry = new Date(lot.expiryDate);
+  const daysRemaining = Math.ceil((expiry - now) / DAY_MS);
+  if (expiry < now) {
+    return {
+      flag: "EXPIRED",
+      blocked: policy.blockExpired,
+      daysRemaining,
+      message: `Lô "${lot.lotNumber}" đã hết hạn ngày ${fmtDate(expiry)}`,
+    };
+  }
+  if (expiry < new Date(now.getTime() + policy.minDaysRemaining * DAY_MS)) {
+    return {
+      flag: "NEAR_EXPIRY",
+      blocked: policy.nearExpiryAction === "block",
+      daysRemaining,
+      message: `Lô "${lot.lotNumber}" chỉ còn ${daysRemaining} ngày hạn dùng (tối thiểu ${policy.minDaysRemaining} ngày)`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Điều kiện $match loại các lô bị chính sách chặn, dùng cho FEFO
+ * @returns {Object|null} null nếu chính sách không chặn lô nào
+ */
+export function expiryLotFilter(policy, now = new Date()) {
+  const nearBlocked =
+    policy.nearExpiryAction === "block" && policy.minDaysRemaining > 0;
+  const nearCutoff = new Date(now.getTime() + policy.minDaysRemaining * DAY_MS);
+
+  if (policy.blockExpired && nearBlocked) {
+    return {
+      $or: [{ expiryDate: null }, { expiryDate: { $gte: nearCutoff } }],
+    };
+  }
+  if (policy.blockExpired) {
+    return { $or: [{ expiryDate: null }, { expiryDate: { $gte: now } }] };
+  }
+  if (nearBlocked) {
+    return {
+      $or: [
+        { expiryDate: null },
+        { expiryDate: { $lt: now } },
+        { expiryDate: { $gte: nearCutoff } },
+      ],
+    };
+  }
+  return null;
+}
@@ -0,0 +1,1007 @@
+import mongoose from "mongoose";
+import InventoryIssue from "../models/inventoryIssue.model.js";
+import InventoryLot from "../models/inventoryLot.model.js";
+import Product from "../models/product.model.js";
+import Department from "../models/department.model.js";
+import Requisition from "../models/requisition.model.js";
+import StockReservation from "../models/stockReservation.model.js";
+import Warehouse from "../models/warehouse.model.js";
+import Transaction from "../models/transaction.model.js";
+import TransactionDetail from "../models/transactionDetail.model.js";
+import StockMovement from "../models/stockMovement.model.js";
+import { httpError } from "../utils/httpError.js";
+import {
+  reserveStock,
+  releaseReservations,
+} from "./stockReservation.service.js";
+import {
+  resolveExpiryPolicy,
+  checkLotExpiry,
+  expiryLotFilter,
+} from "./expiryPolicy.service.js";
+import { toBaseUnits } from "./unitOfMeasure.service.js";
+import { applyScanToLine } from "./barcode.service.js";
+
+const ErrorMsg = InventoryIssue.ErrorMessages;
+
+const ISSUE_POPULATE = [
+  { path: "warehouseId", select: "code name" },
+  { path: "createdBy", select: "username fullName" },
+  { path: "confirmedBy", select: "username fullName" },
+  { path: "rejectedBy", select: "username fullName" },
+  { path: "cancelledBy", select: "username fullName" },
+  { path: "details.productId", select: "sku name unit" },
+];
+
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Kho xuất: hàng trong kho biệt trữ chỉ chờ xử lý, không cấp cho khoa/phòng
+async function findWarehouseOrThrow(warehouseId, session) {
+  const warehouse = await Warehouse.findById(warehouseId).session(session);
+  if (!warehouse) throw httpError(ErrorMsg.WAREHOUSE_NOT_FOUND, 404);
+  if (warehouse.isQuarantine) {
+    throw httpError(ErrorMsg.QUARANTINE_WAREHOUSE_ISSUE, 400);
+  }
+  return warehouse;
+}
+
+async function findProductOrThrow(productId) {
+  const product = await Product.findById(productId).lean();
+  if (!product) {
+    throw httpError(`${ErrorMsg.PRODUCT_NOT_FOUND}: ${productId}`, 404);
+  }
+  return product;
+}
+
+async function findDraftOrThrow(id, session = null) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError(ErrorMsg.INVALID_ISSUE_ID, 400);
+  }
+  const issue = await InventoryIssue.findById(id).session(session);
+  if (!issue) throw httpError(ErrorMsg.ISSUE_NOT_FOUND, 404);
+  if (issue.status !== "draft") throw httpError(ErrorMsg.ISSUE_NOT_DRAFT, 400);
+  return issue;
+}
+
+/**
+ * Quy dòng nhập theo đơn vị quy đổi (unitId) về đơn vị cơ sở: quantity, unitPrice
+ * và số lượng chọn lô thủ công; đơn vị đã nhập giữ lại ở uom.
+ * @param {Array<{productId, quantity, unitPrice?, unitId?, lotAllocations?}>} items
+ */
+async function toBaseIssueItems(items, session = null) {
+  const result = [];
+  for (const item of items) {
+    if (!item.unitId) {
+      result.push({ ...item, uom: undefined });
+      continue;
+    }
+    const product = await findProductOrThrow(item.productId);
+    const { quantity, unitPrice, uom } = await toBaseUnits(
+      product,
+      item,
+      session
+    );
+    result.push({
+      ...item,
+      unitId: undefined,
+      quantity,
+      unitPrice,
+      uom,
+      lotAllocations: Array.isArray(item.lotAllocations)
+        ? item.lotAllocations.map((a) => ({
+            ...a,
+            quantity: a.quantity * uom.factor,
+          }))
+        : item.lotAllocations,
+    });
+  }
+  return result;
+}
+
+/**
+ * Dòng xuất quét mã (item.barcode): productId theo mã vạch; mã GS1 có số lô thì
+ * chọn đúng lô đó trong kho xuất (khi dòng chưa chọn lotAllocations)
+ */
+async function resolveScannedIssueItems(warehouseId, items, session = null) {
+  const result = [];
+  for (const item of items) {
+    if (!item.barcode) {
+      result.push(item);
+      continue;
+    }
+    const line = { ...item };
+    await applyScanToLine(line, session);
+    const { barcode, lotNumber, expiryDate, ...rest } = line;
+
+    if (lotNumber && !rest.lotAllocations?.length) {
+      const lot = await InventoryLot.findOne({
+        productId: rest.productId,
+        warehouseId,
+        lotNumber,
+      })
+        .select("_id")
+        .session(session)
+        .lean();
+      if (!lot) {
+        throw httpError(
+          `Không tìm thấy lô "${lotNumber}" của sản phẩm trong kho xuất`,
+          404
+        );
+      }
+      rest.lotAllocations = [
+        { inventoryLotId: lot._id, quantity: rest.quantity },
+      ];
+    }
+    result.push(rest);
+  }
+  return result;
+}
+
+/**
+ * Phân bổ lô cho các dòng xuất và trừ tồn ngay trong session:
+ * dùng lotAllocations nếu người dùng chọn lô, ngược lại chạy FEFO.
+ * Chỉ lấy trên phần khả dụng (đã trừ hàng đang giữ cho phiếu khác).
+ * Lô bị chính sách hạn dùng chặn không được chọn, trừ khi admin cho phép (expiryOverride):
+ * chọn thủ công thì được lấy, FEFO thì chỉ lấy bù khi lô hợp lệ không đủ;
+ * lô vi phạm nhưng vẫn xuất được đánh dấu expiryFlag.
+ * Dòng quét mã được tra sản phẩm/lô; dòng có unitId được quy về đơn vị cơ sở trước khi kiểm tra tồn.
+ * @param {*} warehouseId kho xuất
+ * @param {Array<{productId|barcode, quantity, unitPrice, unitId?, lotAllocations?}>} items
+ * @param {*} session mongoose session
+ * @param {*} options { excludeSourceId?, expiryOverride? } excludeSourceId: phiếu đang giữ hàng cho chính lần xuất này
+ * @returns {Promise<Array>} details theo InventoryIssueDetailSchema
+ */
+export async function allocateIssueLines(
+  warehouseId,
+  items,
+  session,
+  { excludeSourceId = null, expiryOverride = false } = {}
+) {
+  await findWarehouseOrThrow(warehouseId, session);
+  items = await resolveScannedIssueItems(warehouseId, items, session);
+  items = await toBaseIssueItems(items, session);
+
+  const stockErrors = await InventoryIssue.validateStockAvailability(
+    warehouseId,
+    items,
+    { excludeSourceId }
+  );
+  if (stockErrors.length > 0) {
+    const err = httpError(ErrorMsg.INSUFFICIENT_STOCK, 400);
+    err.errors = stockErrors;
+    throw err;
+  }
+
+  const details = [];
+
+  for (const item of items) {
+    const {
+      productId,
+      quantity,
+      unitPrice,
+      uom,
+      lotAllocations: providedLots,
+    } = item;
+    const product = await findProductOrThrow(productId);
+    const policy = await resolveExpiryPolicy(product, session);
+    const now = new Date();
+
+    const lotAllocations = [];
+
+    if (Array.isArray(providedLots) && providedLots.length > 0) {
+      // Người dùng chọn lô thủ công
+      for (const allocation of providedLots) {
+        const lot = await InventoryLot.findById(
+          allocation.inventoryLotId
+        ).session(session);
+
+        if (!lot) {
+          throw httpError(
+            `Không tìm thấy lô hàng: ${allocation.inventoryLotId}`,
+            404
+          );
+        }
+        if (String(lot.warehouseId) !== String(warehouseId)) {
+          throw httpError(`Lô "${lot.lotNumber}" không thuộc kho xuất`, 400);
+        }
+        if ((lot.status || "available") !== "available") {
+          throw httpError(
+            `Lô "${lot.lotNumber}" đang ở trạng thái ${lot.status}, không được xuất`,
+            400
+          );
+        }
+        const violation = checkLotExpiry(lot, policy, now);
+        if (violation?.blocked && !expiryOverride) {
+          throw httpError(`${violation.message}, không được xuất`, 400);
+        }
+        const reserved = await StockReservation.reservedQtyByLot(lot._id, {
+          excludeSourceId,
+          session,
+        });
+        const lotAvailable =
+          lot.quantity - (reserved.get(String(lot._id)) || 0);
+        if (lotAvailable < allocation.quantity) {
+          throw httpError(
+            `Lô "${lot.lotNumber}" không đủ số lượng. Có sẵn: ${lotAvailable}, Yêu cầu: ${allocation.quantity}`,
+            400
+          );
+        }
+
+        lotAllocations.push({
+          inventoryLotId: lot._id,
+          lotNumber: lot.lotNumber,
+          expiryDate: lot.expiryDate,
+          quantity: allocation.quantity,
+          unitCost: lot.unitCost,
+          expiryFlag: violation?.flag,
+        });
+
+        lot.quantity -= allocation.quantity;
+        await lot.save({ session });
+      }
+    } else {
+      // FEFO: lô hết hạn trước xuất trước, chỉ lấy lô hợp lệ theo chính sách hạn dùng.
+      // Admin cho phép (expiryOverride): lô bị chặn chỉ bù phần còn thiếu
+      const lotFilter = expiryLotFilter(policy, now);
+      const passes = [lotFilter];
+      if (expiryOverride && lotFilter) passes.push({ $nor: [lotFilter] });
+      const policyNote =
+        lotFilter && !expiryOverride
+          ? " (không tính lô bị chặn theo chính sách hạn dùng)"
+          : "";
+
+      let remainingQty = quantity;
+      for (const filter of passes) {
+        if (remainingQty <= 0) break;
+        const fefoLots = await InventoryLot.fefoSuggestLots(
+          productId,
+          warehouseId,
+          remainingQty,
+          { excludeSourceId, lotFilter: filter, session }
+        );
+
+        for (const fefo of fefoLots || []) {
+          const lot = await InventoryLot.findById(fefo.inventoryLotId).session(
+            session
+          );
+          // Tồn đọc lại trong session: không trừ quá số còn trong lô
+          const allocQty = Math.min(
+            fefo.pickQty,
+            remainingQty,
+            lot?.quantity ?? 0
+          );
+          if (allocQty <= 0) continue;
+
+          lotAllocations.push({
+            inventoryLotId: lot._id,
+            lotNumber: lot.lotNumber,
+            expiryDate: lot.expiryDate,
+            quantity: allocQty,
+            unitCost: lot.unitCost,
+            expiryFlag: checkLotExpiry(lot, policy, now)?.flag,
+          });
+
+          lot.quantity -= allocQty;
+          await lot.save({ session });
+
+          remainingQty -= allocQty;
+          if (remainingQty <= 0) break;
+        }
+      }
+
+      if (lotAllocations.length === 0) {
+        throw httpError(
+          `${ErrorMsg.LOT_NOT_FOUND} cho sản phẩm "${product.name}" (${product.productCode})${policyNote}`,
+          400
+        );
+      }
+
+      if (remainingQty > 0) {
+        throw httpError(
+          `${ErrorMsg.INSUFFICIENT_STOCK} cho sản phẩm "${product.name}". Còn thiếu: ${remainingQty} ${product.unit || "đơn vị"}${policyNote}`,
+          400
+        );
+      }
+    }
+
+    // Không có đơn giá (cấp phát theo phiếu yêu cầu) -> tính theo giá vốn các lô
+    const costTotal = lotAllocations.reduce(
+      (sum, a) => sum + a.quantity * a.unitCost,
+      0
+    );
+    const hasPrice = unitPrice !== undefined && unitPrice !== null;
+
+    details.push({
+      productId,
+      lotAllocations,
+      totalQuantity: quantity,
+      unitPrice: hasPrice ? unitPrice : Math.round(costTotal / quantity),
+      lineTotal: hasPrice ? quantity * unitPrice : costTotal,
+      ...(uom ? { uom } : {}),
+    });
+  }
+
+  return details;
+}
+
+/**
+ * Dòng của phiếu nháp: chỉ kiểm tra kho/sản phẩm, không giữ hàng
+ * @param {*} warehouseId kho xuất
+ * @param {Array<{productId|barcode, quantity, unitPrice, unitId?}>} items
+ * @param {*} session mongoose session
+ */
+export async function buildDraftLines(warehouseId, items, session = null) {
+  await findWarehouseOrThrow(warehouseId, session);
+
+  const scanned = await resolveScannedIssueItems(warehouseId, items, session);
+  const details = [];
+  for (const item of await toBaseIssueItems(scanned, session)) {
+    await findProductOrThrow(item.productId);
+    details.push({
+      productId: item.productId,
+      lotAllocations: [],
+      totalQuantity: item.quantity,
+      unitPrice: item.unitPrice,
+      lineTotal: item.quantity * item.unitPrice,
+      ...(item.uom ? { uom: item.uom } : {}),
+    });
+  }
+  return details;
+}
+
+/**
+ * Giữ hàng (FEFO) cho phiếu nháp để lần duyệt khác không lấy mất
+ * @param {*} issue InventoryIssue document (status = draft)
+ * @param {*} session mongoose session
+ */
+export async function holdDraftStock(issue, session = null) {
+  return reserveStock({
+    sourceType: "InventoryIssue",
+    sourceId: issue._id,
+    warehouseId: issue.warehouseId,
+    items: issue.details.map((d) => ({
+      productId: d.productId,
+      quantity: d.totalQuantity,
+    })),
+    session,
+  });
+}
+
+/**
+ * Sinh mã phiếu xuất dạng PX-YYYYMMDD-NNN (đếm theo ngày tạo)
+ */
+export async function generateIssueCode(session) {
+  const today = new Date();
+  const year = today.getFullYear();
+  const month = String(today.getMonth() + 1).padStart(2, "0");
+  const day = String(today.getDate()).padStart(2, "0");
+
+  const todayStart = new Date(today.setHours(0, 0, 0, 0));
+  const todayEnd = new Date(today.setHours(23, 59, 59, 999));
+  const todayIssuesCount = await InventoryIssue.countDocuments({
+    createdAt: { $gte: todayStart, $lte: todayEnd },
+  }).session(session);
+
+  const sequentialNumber = String(todayIssuesCount + 1).padStart(3, "0");
+  return `PX-${year}${month}${day}-${sequentialNumber}`;
+}
+
+/**
+ * Ghi phiếu OUTBOUND + TransactionDetail (mỗi lô một dòng) cho phiếu đã xác nhận
+ * và đồng bộ Product.currentStock.
+ * @param {*} issue InventoryIssue document (status = confirmed)
+ * @param {*} userId người xác nhận
+ * @param {*} session mongoose session
+ */
+export async function postIssueOutbound(issue, userId, session) {
+  // Khoa/phòng đã liên kết (từ phiếu yêu cầu), hoặc tìm/tự tạo theo tên
+  let departmentDoc = issue.departmentId
+    ? { _id: issue.departmentId }
+    : await Department.findOne({ name: issue.department }).session(session);
+  if (!departmentDoc) {
+    const deptCode = issue.department.toUpperCase().replace(/\s+/g, "-");
+    departmentDoc = new Department({
+      code: `DEPT-${deptCode}-${Date.now()}`,
+      name: issue.department,
+      isActive: true,
+    });
+    await departmentDoc.save({ session });
+  }
+
+  const transaction = new Transaction({
+    type: "OUTBOUND",
+    status: "COMPLETED",
+    referenceCode: issue.issueCode,
+    notes: issue.notes,
+    transactionDate: issue.issueDate,
+    userId,
+    sourceWarehouseId: issue.warehouseId,
+    departmentId: departmentDoc._id,
+    completedAt: new Date(),
+  });
+  await transaction.save({ session });
+
+  const transactionDetails = [];
+  for (const detail of issue.details) {
+    for (const lotAlloc of detail.lotAllocations) {
+      transactionDetails.push(
+        new TransactionDetail({
+          transactionId: transaction._id,
+          productId: detail.productId,
+          inventoryLotId: lotAlloc.inventoryLotId,
+          quantity: lotAlloc.quantity,
+          unitPrice: detail.unitPrice,
+        })
+      );
+    }
+  }
+  await TransactionDetail.insertMany(transactionDetails, { session });
+  await StockMovement.record(
+    issue.details.flatMap((detail) =>
+      detail.lotAllocations.map((lotAlloc) => ({
+        productId: detail.productId,
+        warehouseId: issue.warehouseId,
+        inventoryLotId: lotAlloc.inventoryLotId,
+        quantity: -lotAlloc.quantity,
+        unitCost: lotAlloc.unitCost,
+      }))
+    ),
+    {
+      transactionId: transaction._id,
+      movementType: "OUTBOUND",
+      occurredAt: transaction.transactionDate,
+      userId,
+    },
+    session
+  );
+
+  await Product.syncCurrentStock(
+    issue.details.map((d) => d.productId),
+    session
+  );
+
+  return transaction;
+}
+
+/**
+ * Danh sách phiếu xuất kho
+ * @param {*} filters { department?, status?, productId?, issueCode?, warehouseId?, fromDate?, toDate?, page?, limit? }
+ */
+export async function getInventoryIssues(filters = {}) {
+  const {
+    department,
+    status,
+    productId,
+    issueCode,
+    warehouseId,
+    fromDate,
+    toDate,
+    page = 1,
+    limit = 10,
+  } = filters;
+
+  const query = {};
+  if (department && department.trim()) {
+    query.department = new RegExp(escapeRegex(department.trim()), "i");
+  }
+  if (issueCode && issueCode.trim()) {
+    query.issueCode = new RegExp(escapeRegex(issueCode.trim()), "i");
+  }
+  if (status) query.status = status;
+  if (productId && mongoose.isValidObjectId(productId)) {
+    query["details.productId"] = productId;
+  }
+  if (warehouseId && mongoose.isValidObjectId(warehouseId)) {
+    query.warehouseId = warehouseId;
+  }
+  if (fromDate || toDate) {
+    query.issueDate = {};
+    if (fromDate) query.issueDate.$gte = new Date(fromDate);
+    if (toDate) query.issueDate.$lte = new Date(toDate);
+  }
+
+  const [items, total] = await Promise.all([
+    InventoryIssue.find(query)
+      .populate(ISSUE_POPULATE)
+      .sort({ issueDate: -1, createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    InventoryIssue.countDocuments(query),
+  ]);
+
+  return {
+    issues: items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Chi tiết phiếu xuất kho kèm thông tin lô đã phân bổ
+ * @param {String} id issue id
+ */
+export async function getInventoryIssueById(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError(ErrorMsg.INVALID_ISSUE_ID, 400);
+  }
+
+  const issue = await InventoryIssue.findById(id)
+    .populate(ISSUE_POPULATE)
+    .populate({
+      path: "details.lotAllocations.inventoryLotId",
+      select: "lotNumber expiryDate quantity unitCost warehouseId",
+    })
+    .lean();
+  if (!issue) throw httpError(ErrorMsg.ISSUE_NOT_FOUND, 404);
+  return issue;
+}
+
+async function releaseRequisitionQty(issue, session) {
+  const requisition = await Requisition.findById(issue.requisitionId).session(
+    session
+  );
+  if (!requisition) return;
+
+  const restored = [];
+  for (const detail of issue.details) {
+    const line = requisition.lines.find(
+      (l) => String(l.productId) === String(detail.productId)
+    );
+    if (line) {
+      const qty = Math.min(detail.totalQuantity, line.issuedQty);
+      line.issuedQty -= qty;
+      restored.push({ productId: line.productId, quantity: qty });
+    }
+  }
+  requisition.refreshStatus();
+  await requisition.save({ session });
+
+  // Phần nợ quay lại -> giữ hàng lại cho phiếu yêu cầu còn hiệu lực
+  if (requisition.status !== "cancelled") {
+    await reserveStock({
+      sourceType: "Requisition",
+      sourceId: requisition._id,
+      warehouseId: requisition.warehouseId,
+      items: restored,
+      session,
+    });
+  }
+}
+
+/**
+ * Hủy phiếu xuất kho: hoàn số lượng về đúng các lô trong lotAllocations
+ * và hủy phiếu OUTBOUND tương ứng (referenceCode = issueCode).
+ * Phiếu nháp chưa trừ kho nên chỉ đổi trạng thái.
+ * @param {String} id issue id
+ * @param {*} payload { reason }
+ * @param {*} actor {userId}
+ */
+export async function cancelInventoryIssue(id, payload, actor) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError(ErrorMsg.INVALID_ISSUE_ID, 400);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const issue = await InventoryIssue.findById(id).session(session);
+    if (!issue) throw httpError(ErrorMsg.ISSUE_NOT_FOUND, 404);
+    if (issue.status === "cancelled") {
+      throw httpError(ErrorMsg.ALREADY_CANCELLED, 400);
+    }
+    if (issue.status === "rejected") {
+      throw httpError(ErrorMsg.CANNOT_CANCEL_REJECTED, 400);
+    }
+    // Hàng hoàn trả đã nhập lại kho -> hủy phiếu sẽ cộng tồn hai lần
+    const hasReturns = issue.details.some((d) =>
+      d.lotAllocations.some((la) => la.returnedQuantity > 0)
+    );
+    if (hasReturns) throw httpError(ErrorMsg.CANNOT_CANCEL_RETURNED, 400);
+
+    const now = new Date();
+
+    if (issue.status === "confirmed") {
+      for (const detail of issue.details) {
+        for (const alloc of detail.lotAllocations) {
+          const lot = await InventoryLot.findById(alloc.inventoryLotId).session(
+            session
+          );
+          if (!lot) {
+            throw httpError(
+              `${ErrorMsg.LOT_NOT_FOUND}: ${alloc.lotNumber}`,
+              404
+            );
+          }
+          lot.quantity += alloc.quantity;
+          await lot.save({ session });
+        }
+      }
+
+      const transaction = await Transaction.findOne({
+        type: "OUTBOUND",
+        referenceCode: issue.issueCode,
+        status: "COMPLETED",
+      }).session(session);
+      if (transaction) {
+        transaction.status = "CANCELED";
+        transaction.cancelledBy = actor?.userId;
+        transaction.cancelledAt = now;
+        transaction.cancelReason = payload.reason;
+        await transaction.save({ session });
+      }
+
+      // Sổ kho: ghi bù trừ số đã xuất tại thời điểm hủy
+      await StockMovement.record(
+        issue.details.flatMap((detail) =>
+          detail.lotAllocations.map((alloc) => ({
+            productId: detail.productId,
+            warehouseId: issue.warehouseId,
+            inventoryLotId: alloc.inventoryLotId,
+            quantity: alloc.quantity,
+            unitCost: alloc.unitCost,
+          }))
+        ),
+        {
+          transactionId: transaction?._id,
+          movementType: "OUTBOUND",
+          reason: "Hủy phiếu xuất",
+          occurredAt: now,
+          userId: actor?.userId,
+        },
+        session
+      );
+
+      await Product.syncCurrentStock(
+        issue.details.map((d) => d.productId),
+        session
+      );
+
+      // Phiếu cấp theo yêu cầu -> số đã hủy quay lại thành phần còn nợ
+      if (issue.requisitionId) {
+        await releaseRequisitionQty(issue, session);
+      }
+    } else {
+      // Phiếu nháp -> nhả hàng đang giữ
+      await releaseReservations(issue._id, session);
+    }
+
+    issue.status = "cancelled";
+    issue.cancelledBy = actor?.userId;
+    issue.cancelledAt = now;
+    issue.cancelReason = payload.reason;
+    await issue.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return issue;
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * Sửa phiếu nháp (khoa/phòng gửi lên) trước khi duyệt
+ * @param {String} id issue id
+ * @param {*} payload { department?, issueDate?, notes?, items? }
+ */
+export async function updateDraftIssue(id, payload) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const issue = await findDraftOrThrow(id, session);
+    const itemsChanged = payload.items !== undefined;
+
+    if (payload.department !== undefined) {
+      issue.department = payload.department.trim();
+    }
+    if (payload.issueDate !== undefined) {
+      issue.issueDate = new Date(payload.issueDate);
+    }
+    if (payload.notes !== undefined) {
+      issue.notes = (payload.notes || "").trim();
+    }
+    if (itemsChanged) {
+      issue.details = await buildDraftLines(
+        issue.warehouseId,
+        payload.items,
+        session
+      );
+    }
+
+    await issue.save({ session });
+
+    // Đổi dòng -> giữ hàng lại theo số lượng mới
+    if (itemsChanged) {
+      await releaseReservations(issue._id, session);
+      await holdDraftStock(issue, session);
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return issue;
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * Duyệt phiếu nháp: chạy FEFO tại thời điểm duyệt, trừ tồn và ghi OUTBOUND
+ * @param {String} id issue id
+ * @param {*} actor {userId}
+ * @param {*} payload { expiryOverrideReason? } admin cho phép lấy lô bị chính sách hạn dùng chặn
+ */
+export async function approveInventoryIssue(id, actor, payload = {}) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const issue = await findDraftOrThrow(id, session);
+
+    // Hàng đang giữ cho chính phiếu này được tính là khả dụng
+    const allocated = await allocateIssueLines(
+      issue.warehouseId,
+      issue.details.map((d) => ({
+        productId: d.productId,
+        quantity: d.totalQuantity,
+        unitPrice: d.unitPrice,
+      })),
+      session,
+      {
+        excludeSourceId: issue._id,
+        expiryOverride: Boolean(payload.expiryOverrideReason),
+      }
+    );
+    // Dòng nháp đã quy về đơn vị cơ sở, giữ lại đơn vị người lập đã nhập
+    issue.details = allocated.map((d, i) => ({
+      ...d,
+      uom: issue.details[i].uom?.toObject?.() || undefined,
+    }));
+    issue.status = "confirmed";
+    issue.confirmedBy = actor?.userId;
+    issue.confirmedAt = new Date();
+    if (payload.expiryOverrideReason) {
+      issue.expiryOverride = {
+        reason: payload.expiryOverrideReason,
+        overriddenBy: actor?.userId,
+        overriddenAt: issue.confirmedAt,
+      };
+    }
+    await issue.save({ session });
+
+    await postIssueOutbound(issue, actor?.userId, session);
+    await releaseReservations(issue._id, session, "consumed");
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return issue;
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * Từ chối phiếu nháp kèm lý do (không phát sinh xuất kho)
+ * @param {String} id issue id
+ * @param {*} payload { reason }
+ * @param {*} actor {userId}
+ */
+export async function rejectInventoryIssue(id, payload, actor) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const issue = await findDraftOrThrow(id, session);
+
+    issue.status = "rejected";
+    issue.rejectedBy = actor?.userId;
+    issue.rejectedAt = new Date();
+    issue.rejectReason = payload.reason;
+    await issue.save({ session });
+    await releaseReservations(issue._id, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return issue;
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+// Kho nhận hàng biệt trữ: kho chỉ định hoặc kho biệt trữ đang hoạt động đầu tiên
+async function findQuarantineWarehouseOrThrow(warehouseId, session) {
+  const filter = warehouseId
+    ? { _id: warehouseId, isQuarantine: true }
+    : { isQuarantine: true, isActive: true };
+  const warehouse = await Warehouse.findOne(filter)
+    .sort({ createdAt: 1 })
+    .session(session);
+  if (!warehouse) throw httpError(ErrorMsg.QUARANTINE_WAREHOUSE_NOT_FOUND, 404);
+  return warehouse;
+}
+
+/**
+ * Khoa/phòng hoàn trả hàng chưa dùng (vd. bệnh nhân ra viện) theo phiếu xuất gốc.
+ * Số lượng quay về đúng các lô trong lotAllocations, hoặc vào lô cùng số lô
+ * tại kho biệt trữ khi quarantine = true (lô đó ở trạng thái quarantined).
+ * Ghi nhận phiếu DEPARTMENT_RETURN.
+ * @param {String} id issue id
+ * @param {*} payload { lines[{inventoryLotId, quantity}], quarantine?, quarantineWarehouseId?, returnDate?, notes? }
+ * @param {*} actor { userId }
+ */
+export async function returnFromDepartment(id, payload, actor) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError(ErrorMsg.INVALID_ISSUE_ID, 400);
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const issue = await InventoryIssue.findById(id).session(session);
+    if (!issue) throw httpError(ErrorMsg.ISSUE_NOT_FOUND, 404);
+    if (issue.status !== "confirmed") {
+      throw httpError(ErrorMsg.RETURN_NOT_CONFIRMED, 400);
+    }
+
+    const outbound = await Transaction.findOne({
+      type: "OUTBOUND",
+      referenceCode: issue.issueCode,
+      status: "COMPLETED",
+    }).session(session);
+    const departmentId = issue.departmentId || outbound?.departmentId;
+
+    const quarantine = payload.quarantine
+      ? await findQuarantineWarehouseOrThrow(
+          payload.quarantineWarehouseId,
+          session
+        )
+      : null;
+    const destinationWarehouseId = quarantine?._id || issue.warehouseId;
+
+    const transaction = new Transaction({
+      type: "DEPARTMENT_RETURN",
+      status: "COMPLETED",
+      referenceCode: issue.issueCode,
+      notes: payload.notes ?? `Hoàn trả từ phiếu xuất ${issue.issueCode}`,
+      transactionDate: payload.returnDate
+        ? new Date(payload.returnDate)
+        : new Date(),
+      userId: actor?.userId,
+      departmentId,
+      destinationWarehouseId,
+      inventoryIssueId: issue._id,
+      relatedTransactionId: outbound?._id,
+      completedAt: new Date(),
+    });
+    await transaction.save({ session });
+
+    const transactionDetails = [];
+    const stockMovements = [];
+    for (const line of payload.lines) {
+      let detail = null;
+      let alloc = null;
+      for (const d of issue.details) {
+        alloc = d.lotAllocations.find(
+          (la) => String(la.inventoryLotId) === String(line.inventoryLotId)
+        );
+        if (alloc) {
+          detail = d;
+          break;
+        }
+      }
+      if (!alloc) {
+        throw httpError(
+          `${ErrorMsg.RETURN_LOT_NOT_IN_ISSUE}: ${line.inventoryLotId}`,
+          400
+        );
+      }
+
+      const returnable = alloc.quantity - (alloc.returnedQuantity || 0);
+      if (line.quantity > returnable) {
+        throw httpError(
+          `${ErrorMsg.RETURN_QTY_EXCEEDED} (lô ${alloc.lotNumber}, còn ${returnable})`,
+          400
+        );
+      }
+
+      const source = await InventoryLot.findById(alloc.inventoryLotId).session(
+        session
+      );
+      if (!source) {
+        throw httpError(`${ErrorMsg.LOT_NOT_FOUND}: ${alloc.lotNumber}`, 404);
+      }
+
+      let lot = source;
+      if (quarantine) {
+        lot = await InventoryLot.findOne({
+          productId: source.productId,
+          warehouseId: quarantine._id,
+          lotNumber: source.lotNumber,
+        }).session(session);
+        if (!lot) {
+          lot = new InventoryLot({
+            productId: source.productId,
+            warehouseId: quarantine._id,
+            lotNumber: source.lotNumber,
+            expiryDate: source.expiryDate,
+            quantity: 0,
+            unitCost: alloc.unitCost,
+          });
+        }
+        // Lô đã thu hồi/tiêu hủy giữ nguyên trạng thái
+        if ((lot.status || "available") === "available") {
+          lot.status = "quarantined";
+          lot.statusReason = `Hoàn trả biệt trữ từ phiếu xuất ${issue.issueCode}`;
+          lot.statusChangedAt = new Date();
+        }
+      }
+
+      lot.quantity += line.quantity;
+      await lot.save({ session });
+      alloc.returnedQuantity = (alloc.returnedQuantity || 0) + line.quantity;
+
+      transactionDetails.push(
+        new TransactionDetail({
+          transactionId: transaction._id,
+          productId: detail.productId,
+          inventoryLotId: lot._id,
+          quantity: line.quantity,
+          unitPrice: alloc.unitCost,
+        })
+      );
+      stockMovements.push({
+        productId: detail.productId,
+        warehouseId: lot.warehouseId,
+        inventoryLotId: lot._id,
+        quantity: line.quantity,
+        unitCost: alloc.unitCost,
+      });
+    }
+    await TransactionDetail.insertMany(transactionDetails, { session });
+    await StockMovement.record(
+      stockMovements,
+      {
+        transactionId: transaction._id,
+        movementType: "DEPARTMENT_RETURN",
+        occurredAt: transaction.transactionDate,
+        userId: actor?.userId,
+      },
+      session
+    );
+
+    await issue.save({ session });
+
+    await Product.syncCurrentStock(
+      transactionDetails.map((d) => d.productId),
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return { issue, transaction, details: transactionDetails };
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
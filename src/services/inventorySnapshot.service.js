@@ -0,0 +1,175 @@
+import { InventorySnapshot, StockMovement } from "../models/index.js";
+import { httpError } from "../utils/httpError.js";
+import { endOfBusinessDay } from "../utils/businessDay.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Ảnh chụp gần nhất tại/trước asOf (strict: trước asOf)
+ * @returns {Promise<{snapshotDate, takenAt} | null>}
+ */
+export async function findSnapshotBase(
+  asOf,
+  { strict = false, session = null } = {}
+) {
+  if (!asOf) return null;
+  return InventorySnapshot.findOne({
+    snapshotDate: strict ? { $lt: asOf } : { $lte: asOf },
+  })
+    .sort({ snapshotDate: -1 })
+    .select("snapshotDate takenAt")
+    .session(session)
+    .lean();
+}
+
+/**
+ * Ghép ảnh chụp vào pipeline trên StockMovement: chỉ đọc các dòng sổ sau ảnh chụp
+ * (ngày nghiệp vụ sau snapshotDate, hoặc ghi lùi ngày sau takenAt) và nối các dòng
+ * ảnh chụp như biến động { movementType: "SNAPSHOT", occurredAt: snapshotDate }.
+ * @param {*} base kết quả findSnapshotBase (null = đọc toàn bộ sổ)
+ * @param {*} keys lọc chung cho sổ và ảnh chụp (productId, warehouseId, inventoryLotId)
+ * @returns {{ after, union }} after: điều kiện thêm cho $match trên sổ; union: stage nối ảnh chụp
+ */
+export function withSnapshot(base, keys = {}) {
+  if (!base) return { after: {}, union: [] };
+  return {
+    after: {
+      $or: [
+        { occurredAt: { $gt: base.snapshotDate } },
+        { createdAt: { $gt: base.takenAt } },
+      ],
+    },
+    union: [
+      {
+        $unionWith: {
+          coll: InventorySnapshot.collection.name,
+          pipeline: [
+            { $match: { snapshotDate: base.snapshotDate, ...keys } },
+            {
+              $project: {
+                _id: 0,
+                productId: 1,
+                warehouseId: 1,
+                inventoryLotId: 1,
+                quantity: 1,
+                movementType: { $literal: "SNAPSHOT" },
+                occurredAt: "$snapshotDate",
+              },
+            },
+          ],
+        },
+      },
+    ],
+  };
+}
+
+/**
+ * Chụp tồn cuối ngày theo lô (mặc định: hôm qua) = ảnh chụp trước đó + sổ biến động sau đó.
+ * Cuối ngày tính theo múi giờ nghiệp vụ (BUSINESS_TIMEZONE), cùng ranh giới với báo cáo.
+ * Ngày đã có ảnh chụp thì bỏ qua; lô tồn 0 không ghi.
+ * @param {String|Date} date chuỗi YYYY-MM-DD hoặc thời điểm bất kỳ trong ngày cần chụp
+ * @returns {Promise<{snapshotDate, skipped, lots}>}
+ */
+export async function takeInventorySnapshot(
+  date = new Date(Date.now() - DAY_MS)
+) {
+  const snapshotDate = endOfBusinessDay(date);
+  if (isNaN(snapshotDate.getTime())) {
+    throw httpError("Định dạng ngày không hợp lệ", 400);
+  }
+
+  const takenAt = new Date();
+  if (snapshotDate > takenAt) {
+    throw httpError("Chỉ chụp tồn kho cho ngày đã kết thúc", 400);
+  }
+  if (await InventorySnapshot.exists({ snapshotDate })) {
+    return { snapshotDate, skipped: true, lots: 0 };
+  }
+  // Ảnh chụp từ sổ chưa khởi tạo xong sẽ thiếu tồn cũ và thành mốc sai cho các kỳ sau
+  if (!(await StockMovement.isInitialized())) {
+    throw httpError(
+      "Sổ biến động tồn kho chưa khởi tạo xong, chưa thể chụp tồn",
+      503
+    );
+  }
+
+  const base = await findSnapshotBase(snapshotDate, { strict: true });
+  const { after, union } = withSnapshot(base);
+  const rows = await StockMovement.aggregate([
+    {
+      $match: {
+        occurredAt: { $lte: snapshotDate },
+        createdAt: { $lte: takenAt },
+        ...after,
+      },
+    },
+    ...union,
+    {
+      $group: {
+        _id: "$inventoryLotId",
+        productId: { $first: "$productId" },
+        warehouseId: { $first: "$warehouseId" },
+        quantity: { $sum: "$quantity" },
+      },
+    },
+    { $match: { quantity: { $ne: 0 } } },
+    {
+      $lookup: {
+        from: "inventorylots",
+        localField: "_id",
+        foreignField: "_id",
+        pipeline: [{ $project: { unitCost: 1 } }],
+        as: "lot",
+      },
+    },
+  ]);
+
+  await InventorySnapshot.insertMany(
+    rows.map((r) => {
+      const unitCost = r.lot[0]?.unitCost || 0;
+      return {
+        snapshotDate,
+        takenAt,
+        productId: r.productId,
+        warehouseId: r.warehouseId,
+        inventoryLotId: r._id,
+        quantity: r.quantity,
+        unitCost,
+        value: r.quantity * unitCost,
+      };
+    })
+  );
+
+  return { snapshotDate, skipped: false, lots: rows.length };
+}
+
+/**
+ * Chụp lại các ngày có phiếu ghi lùi ngày sau khi chụp (ngày nghiệp vụ <= snapshotDate,
+ * ghi sổ sau takenAt). Báo cáo vẫn đúng nhờ withSnapshot đọc thêm các dòng này, nhưng
+ * chụp lại để ảnh chụp khớp sổ và báo cáo không phải đọc lại chúng mãi.
+ * Chụp lại theo thứ tự ngày tăng dần để mỗi ngày dựng trên ảnh chụp trước đã đúng.
+ * @returns {Promise<{rebuilt: Date[]}>}
+ */
+export async function rebuildStaleSnapshots() {
+  const snapshots = await InventorySnapshot.aggregate([
+    {
+      $group: { _id: "$snapshotDate", takenAt: { $min: "$takenAt" } },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const rebuilt = [];
+  for (const { _id: snapshotDate, takenAt } of snapshots) {
+    const stale = await StockMovement.exists({
+      occurredAt: { $lte: snapshotDate },
+      createdAt: { $gt: takenAt },
+    });
+    if (!stale) continue;
+
+    await InventorySnapshot.deleteMany({ snapshotDate });
+    await takeInventorySnapshot(snapshotDate);
+    rebuilt.push(snapshotDate);
+  }
+
+  return { rebuilt };
+}
@@ -0,0 +1,277 @@
+import mongoose from "mongoose";
+import {
+  Product,
+  InventoryLot,
+  InventoryIssue,
+  LotRecall,
+  DestructionRecord,
+  Warehouse,
+} from "../models/index.js";
+import { httpError } from "../utils/httpError.js";
+import { nextCode } from "../utils/codegen.js";
+import { releaseLotReservations } from "./stockReservation.service.js";
+
+const FINAL_STATUSES = ["recalled", "destroyed"];
+
+/**
+ * Tạm giữ / mở lại một lô (lô đã thu hồi hoặc tiêu hủy không chỉnh tay được).
+ * Không mở lại lô đang nằm trong biên bản hủy nháp hoặc đang ở kho biệt trữ.
+ * @param {*} payload { status: available|quarantined, reason? }
+ */
+export async function setLotStatus(lotId, payload) {
+  if (!mongoose.isValidObjectId(lotId)) {
+    throw httpError("ID lô không hợp lệ", 400);
+  }
+  const lot = await InventoryLot.findById(lotId);
+  if (!lot) throw httpError("Không tìm thấy lô hàng", 404);
+  if (FINAL_STATUSES.includes(lot.status)) {
+    throw httpError(
+      `Lô "${lot.lotNumber}" đã ở trạng thái ${lot.status}, không thể đổi`,
+      400
+    );
+  }
+
+  if (payload.status === "available") {
+    const [pending, warehouse] = await Promise.all([
+      DestructionRecord.findOne({
+        status: "draft",
+        "lines.inventoryLotId": lot._id,
+      })
+        .select("code")
+        .lean(),
+      Warehouse.findById(lot.warehouseId).select("code isQuarantine").lean(),
+    ]);
+    if (pending) {
+      throw httpError(
+        `Lô "${lot.lotNumber}" đang nằm trong biên bản hủy ${pending.code}, hủy biên bản trước khi mở lại`,
+        409
+      );
+    }
+    if (warehouse?.isQuarantine) {
+      throw httpError(
+        `Lô "${lot.lotNumber}" đang ở kho biệt trữ ${warehouse.code}, chuyển về kho thường trước khi mở lại`,
+        409
+      );
+    }
+  }
+
+  lot.status = payload.status;
+  lot.statusReason = payload.reason || undefined;
+  lot.statusChangedAt = new Date();
+  await lot.save();
+  return lot;
+}
+
+/**
+ * Truy vết thu hồi: tồn hiện tại của các lô bị thu hồi và các phiếu xuất
+ * đã cấp các lô đó (theo lotAllocations), gom theo khoa/phòng nhận
+ * @returns {Promise<{recall, lots, departments, totals}>}
+ */
+export async function getRecallTrace(recallId) {
+  if (!mongoose.isValidObjectId(recallId)) {
+    throw httpError("ID không hợp lệ", 400);
+  }
+  const recall = await LotRecall.findById(recallId)
+    .populate("productId", "sku name unit")
+    .populate("createdBy", "username fullName")
+    .lean();
+  if (!recall) throw httpError("Không tìm thấy đợt thu hồi", 404);
+
+  const lotIds = recall.lots.map((l) => l.inventoryLotId);
+  const [lots, rows] = await Promise.all([
+    InventoryLot.find({ _id: { $in: lotIds } })
+      .select("warehouseId lotNumber expiryDate quantity status")
+      .populate("warehouseId", "code name")
+      .lean(),
+    InventoryIssue.aggregate([
+      {
+        $match: {
+          status: "confirmed",
+          "details.lotAllocations.inventoryLotId": { $in: lotIds },
+        },
+      },
+      { $unwind: "$details" },
+      { $unwind: "$details.lotAllocations" },
+      { $match: { "details.lotAllocations.inventoryLotId": { $in: lotIds } } },
+      { $sort: { issueDate: 1, issueCode: 1 } },
+      {
+        $group: {
+          _id: { departmentId: "$departmentId", department: "$department" },
+          issues: {
+            $push: {
+              issueId: "$_id",
+              issueCode: "$issueCode",
+              issueDate: "$issueDate",
+              warehouseId: "$warehouseId",
+              inventoryLotId: "$details.lotAllocations.inventoryLotId",
+              lotNumber: "$details.lotAllocations.lotNumber",
+              quantity: "$details.lotAllocations.quantity",
+              returnedQuantity: {
+                $ifNull: ["$details.lotAllocations.returnedQuantity", 0],
+              },
+            },
+          },
+          issuedQty: { $sum: "$details.lotAllocations.quantity" },
+          returnedQty: {
+            $sum: { $ifNull: ["$details.lotAllocations.returnedQuantity", 0] },
+          },
+        },
+      },
+      { $sort: { "_id.department": 1 } },
+    ]),
+  ]);
+
+  // Phần còn ở khoa/phòng = đã cấp - đã hoàn trả (cần thu về)
+  const departments = rows.map((r) => ({
+    departmentId: r._id.departmentId || null,
+    department: r._id.department,
+    issueCount: new Set(r.issues.map((i) => String(i.issueId))).size,
+    issuedQty: r.issuedQty,
+    returnedQty: r.returnedQty,
+    outstandingQty: r.issuedQty - r.returnedQty,
+    issues: r.issues.map((i) => ({
+      ...i,
+      outstandingQty: i.quantity - i.returnedQuantity,
+    })),
+  }));
+
+  const totals = departments.reduce(
+    (acc, d) => ({
+      ...acc,
+      issuedQty: acc.issuedQty + d.issuedQty,
+      returnedQty: acc.returnedQty + d.returnedQty,
+      outstandingQty: acc.outstandingQty + d.outstandingQty,
+    }),
+    {
+      inStockQty: lots.reduce((sum, l) => sum + l.quantity, 0),
+      issuedQty: 0,
+      returnedQty: 0,
+      outstandingQty: 0,
+    }
+  );
+
+  return { recall, lots, departments, totals };
+}
+
+/**
+ * Thu hồi lô theo thông báo: mọi lô của sản phẩm có số lô trong danh sách (ở mọi kho)
+ * chuyển sang "recalled" (lô đã tiêu hủy giữ nguyên), nhả hàng đang giữ trên các lô đó,
+ * ghi LotRecall (cùng một transaction) và trả về truy vết
+ * @param {*} payload { productId, lotNumbers[], noticeNumber, authority?, reason? }
+ * @param {*} actor { userId? }
+ */
+export async function recallLots(payload, actor = null) {
+  const { productId, lotNumbers, noticeNumber, authority, reason } = payload;
+
+  if (!mongoose.isValidObjectId(productId)) {
+    throw httpError("productId không hợp lệ", 400);
+  }
+  const product = await Product.exists({ _id: productId });
+  if (!product) throw httpError("Không tìm thấy sản phẩm", 404);
+
+  const recallCode = await nextCode("TH", 4);
+
+  let recall;
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const lots = await InventoryLot.find({
+      productId,
+      lotNumber: { $in: lotNumbers },
+    })
+      .select("warehouseId lotNumber expiryDate quantity status")
+      .session(session)
+      .lean();
+    if (lots.length === 0) {
+      throw httpError(
+        `Không tìm thấy lô ${lotNumbers.join(", ")} của sản phẩm`,
+        404
+      );
+    }
+
+    const recalledIds = lots
+      .filter((l) => l.status !== "destroyed")
+      .map((l) => l._id);
+    await InventoryLot.updateMany(
+      { _id: { $in: recalledIds } },
+      {
+        $set: {
+          status: "recalled",
+          statusReason: `Thu hồi theo thông báo ${noticeNumber}`,
+          statusChangedAt: new Date(),
+        },
+      },
+      { session }
+    );
+    await releaseLotReservations(recalledIds, session);
+
+    [recall] = await LotRecall.create(
+      [
+        {
+          recallCode,
+          noticeNumber,
+          authority,
+          reason,
+          productId,
+          lotNumbers,
+          lots: lots.map((l) => ({
+            inventoryLotId: l._id,
+            warehouseId: l.warehouseId,
+            lotNumber: l.lotNumber,
+            expiryDate: l.expiryDate,
+            quantity: l.quantity,
+            previousStatus: l.status || "available",
+          })),
+          createdBy: actor?.userId || undefined,
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+
+  return getRecallTrace(recall._id);
+}
+
+/**
+ * Danh sách các đợt thu hồi (mới nhất trước)
+ * @param {*} filters { productId?, page?, limit? }
+ */
+export async function getRecalls(filters = {}) {
+  const { productId, page = 1, limit = 20 } = filters;
+
+  const query = {};
+  if (productId) {
+    if (!mongoose.isValidObjectId(productId)) {
+      throw httpError("productId không hợp lệ", 400);
+    }
+    query.productId = productId;
+  }
+
+  const [recalls, total] = await Promise.all([
+    LotRecall.find(query)
+      .populate("productId", "sku name unit")
+      .populate("createdBy", "username fullName")
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    LotRecall.countDocuments(query),
+  ]);
+
+  return {
+    recalls,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
@@ -0,0 +1,311 @@
+import mongoose from "mongoose";
+import {
+  PurchaseOrder,
+  Supplier,
+  Warehouse,
+  Product,
+  TransactionDetail,
+} from "../models/index.js";
+import { httpError } from "../utils/httpError.js";
+import { nextCode } from "../utils/codegen.js";
+
+const PURCHASE_ORDER_POPULATE = [
+  { path: "supplierId", select: "code name status" },
+  { path: "warehouseId", select: "code name" },
+  { path: "createdBy", select: "username fullName" },
+  { path: "approvedBy", select: "username fullName" },
+  { path: "sentBy", select: "username fullName" },
+  { path: "closedBy", select: "username fullName" },
+];
+
+async function findPurchaseOrderOrThrow(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError("ID đơn đặt hàng không hợp lệ", 400);
+  }
+  const po = await PurchaseOrder.findById(id);
+  if (!po) throw httpError("Không tìm thấy đơn đặt hàng", 404);
+  return po;
+}
+
+async function assertSupplierActive(supplierId) {
+  const supplier = await Supplier.findById(supplierId).lean();
+  if (!supplier) throw httpError("Nhà cung cấp không tồn tại", 404);
+  if (supplier.status === "locked") {
+    throw httpError("Nhà cung cấp đang bị khóa, không thể đặt hàng", 400);
+  }
+}
+
+async function assertWarehouseExists(warehouseId) {
+  const warehouse = await Warehouse.findById(warehouseId).lean();
+  if (!warehouse) throw httpError("Kho không tồn tại", 404);
+}
+
+async function assertProductsExist(lines) {
+  const productIds = [...new Set(lines.map((l) => String(l.productId)))];
+  const found = await Product.countDocuments({ _id: { $in: productIds } });
+  if (found !== productIds.length) {
+    throw httpError("Có sản phẩm không tồn tại trong đơn đặt hàng", 404);
+  }
+}
+
+const toLines = (lines) =>
+  lines.map((l) => ({
+    productId: l.productId,
+    orderedQty: l.orderedQty,
+    unitPrice: l.unitPrice,
+    note: l.note || "",
+  }));
+
+/**
+ * Gắn tình trạng nhận hàng theo từng dòng: còn phải nhận, nhận dư,
+ * các lần nhận (phiếu INBOUND đã hoàn tất) và lệch giá so với giá thỏa thuận
+ * @param {*} po purchase order (lean)
+ * @param {Map} receiptsByLine purchaseOrderLineId -> receipts[]
+ */
+function withReceiving(po, receiptsByLine = new Map()) {
+  const lines = po.lines.map((l) => {
+    const receipts = receiptsByLine.get(String(l._id)) || [];
+    return {
+      ...l,
+      outstandingQty: Math.max(l.orderedQty - l.receivedQty, 0),
+      overReceivedQty: Math.max(l.receivedQty - l.orderedQty, 0),
+      priceMismatch: receipts.some((r) => r.unitPrice !== l.unitPrice),
+      receipts,
+    };
+  });
+  const summary = lines.reduce(
+    (acc, l) => ({
+      orderedQty: acc.orderedQty + l.orderedQty,
+      receivedQty: acc.receivedQty + l.receivedQty,
+      outstandingQty: acc.outstandingQty + l.outstandingQty,
+      overReceivedQty: acc.overReceivedQty + l.overReceivedQty,
+    }),
+    { orderedQty: 0, receivedQty: 0, outstandingQty: 0, overReceivedQty: 0 }
+  );
+  return { ...po, lines, summary };
+}
+
+/**
+ * Các lần nhận hàng theo dòng đơn (bỏ qua phiếu nhập đã hủy)
+ */
+async function findReceiptsByLine(lineIds) {
+  const rows = await TransactionDetail.aggregate([
+    { $match: { purchaseOrderLineId: { $in: lineIds } } },
+    {
+      $lookup: {
+        from: "transactions",
+        localField: "transactionId",
+        foreignField: "_id",
+        as: "transaction",
+      },
+    },
+    { $unwind: "$transaction" },
+    { $match: { "transaction.status": "COMPLETED" } },
+    { $sort: { "transaction.transactionDate": 1, _id: 1 } },
+    {
+      $project: {
+        _id: 0,
+        purchaseOrderLineId: 1,
+        transactionId: 1,
+        transactionDate: "$transaction.transactionDate",
+        inventoryLotId: 1,
+        quantity: 1,
+        unitPrice: 1,
+        agreedUnitPrice: 1,
+      },
+    },
+  ]);
+
+  const byLine = new Map();
+  for (const r of rows) {
+    const key = String(r.purchaseOrderLineId);
+    if (!byLine.has(key)) byLine.set(key, []);
+    byLine.get(key).push({
+      ...r,
+      priceVariance: r.unitPrice - (r.agreedUnitPrice ?? r.unitPrice),
+    });
+  }
+  return byLine;
+}
+
+/**
+ * Tạo đơn đặt hàng nháp cho một nhà cung cấp
+ * @param {*} payload { supplierId, warehouseId, expectedDate?, notes?, source?, lines[{productId, orderedQty, unitPrice, note?}] }
+ * @param {*} actor { userId } (trống với đơn tự động source = reorder)
+ */
+export async function createPurchaseOrder(payload, actor) {
+  await assertSupplierActive(payload.supplierId);
+  await assertWarehouseExists(payload.warehouseId);
+  await assertProductsExist(payload.lines);
+
+  return PurchaseOrder.create({
+    code: await nextCode("PO", 5),
+    supplierId: payload.supplierId,
+    warehouseId: payload.warehouseId,
+    expectedDate: payload.expectedDate,
+    notes: payload.notes || "",
+    lines: toLines(payload.lines),
+    source: payload.source || "manual",
+    createdBy: actor?.userId,
+  });
+}
+
+/**
+ * Danh sách đơn đặt hàng
+ * @param {*} filters { status?, source?, supplierId?, warehouseId?, search?, fromDate?, toDate?, page?, limit? }
+ */
+export async function getPurchaseOrders(filters = {}) {
+  const {
+    status,
+    source,
+    supplierId,
+    warehouseId,
+    search,
+    fromDate,
+    toDate,
+    page = 1,
+    limit = 10,
+  } = filters;
+
+  const query = {};
+  if (status) query.status = status;
+  if (source) query.source = source;
+  if (supplierId && mongoose.isValidObjectId(supplierId)) {
+    query.supplierId = supplierId;
+  }
+  if (warehouseId && mongoose.isValidObjectId(warehouseId)) {
+    query.warehouseId = warehouseId;
+  }
+  if (search && search.trim()) {
+    const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    query.code = new RegExp(escaped, "i");
+  }
+  if (fromDate || toDate) {
+    query.createdAt = {};
+    if (fromDate) query.createdAt.$gte = new Date(fromDate);
+    if (toDate) query.createdAt.$lte = new Date(toDate);
+  }
+
+  const [items, total] = await Promise.all([
+    PurchaseOrder.find(query)
+      .populate(PURCHASE_ORDER_POPULATE)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    PurchaseOrder.countDocuments(query),
+  ]);
+
+  return {
+    purchaseOrders: items.map((po) => withReceiving(po)),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Chi tiết đơn đặt hàng: số đã nhận, còn phải nhận, nhận dư và lệch giá theo từng dòng
+ */
+export async function getPurchaseOrderById(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError("ID đơn đặt hàng không hợp lệ", 400);
+  }
+
+  const po = await PurchaseOrder.findById(id)
+    .populate(PURCHASE_ORDER_POPULATE)
+    .populate({ path: "lines.productId", select: "sku name unit" })
+    .lean();
+  if (!po) throw httpError("Không tìm thấy đơn đặt hàng", 404);
+
+  const receiptsByLine = await findReceiptsByLine(po.lines.map((l) => l._id));
+  return withReceiving(po, receiptsByLine);
+}
+
+/**
+ * Sửa đơn đặt hàng nháp
+ * @param {String} id purchase order id
+ * @param {*} payload { supplierId?, warehouseId?, expectedDate?, notes?, lines? }
+ */
+export async function updatePurchaseOrder(id, payload) {
+  const po = await findPurchaseOrderOrThrow(id);
+  if (po.status !== "draft") {
+    throw httpError("Chỉ có thể sửa đơn đặt hàng nháp", 400);
+  }
+
+  if (payload.supplierId !== undefined) {
+    await assertSupplierActive(payload.supplierId);
+    po.supplierId = payload.supplierId;
+  }
+  if (payload.warehouseId !== undefined) {
+    await assertWarehouseExists(payload.warehouseId);
+    po.warehouseId = payload.warehouseId;
+  }
+  if (payload.expectedDate !== undefined) {
+    po.expectedDate = payload.expectedDate || undefined;
+  }
+  if (payload.notes !== undefined) po.notes = payload.notes;
+  if (payload.lines !== undefined) {
+    await assertProductsExist(payload.lines);
+    po.lines = toLines(payload.lines);
+  }
+
+  await po.save();
+  return po;
+}
+
+/**
+ * Duyệt đơn nháp (draft -> approved)
+ */
+export async function approvePurchaseOrder(id, actor) {
+  const po = await findPurchaseOrderOrThrow(id);
+  if (po.status !== "draft") {
+    throw httpError("Chỉ có thể duyệt đơn đặt hàng nháp", 400);
+  }
+  await assertSupplierActive(po.supplierId);
+
+  po.status = "approved";
+  po.approvedBy = actor?.userId;
+  po.approvedAt = new Date();
+  await po.save();
+  return po;
+}
+
+/**
+ * Đánh dấu đã gửi nhà cung cấp (approved -> sent); từ đây được nhận hàng theo đơn
+ */
+export async function sendPurchaseOrder(id, actor) {
+  const po = await findPurchaseOrderOrThrow(id);
+  if (po.status !== "approved") {
+    throw httpError("Chỉ có thể gửi đơn đặt hàng đã duyệt", 400);
+  }
+
+  po.status = "sent";
+  po.sentBy = actor?.userId;
+  po.sentAt = new Date();
+  await po.save();
+  return po;
+}
+
+/**
+ * Đóng đơn đặt hàng thủ công (hủy đơn hoặc không nhận phần còn lại)
+ * @param {String} id purchase order id
+ * @param {*} payload { reason }
+ * @param {*} actor { userId }
+ */
+export async function closePurchaseOrder(id, payload, actor) {
+  const po = await findPurchaseOrderOrThrow(id);
+  if (po.status === "closed") {
+    throw httpError("Đơn đặt hàng đã đóng", 400);
+  }
+
+  po.status = "closed";
+  po.closedBy = actor?.userId;
+  po.closedAt = new Date();
+  po.closeReason = payload.reason;
+  await po.save();
+  return po;
+}
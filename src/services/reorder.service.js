@@ -0,0 +1,373 @@
+import mongoose from "mongoose";
+import {
+  Product,
+  ProductSupplier,
+  Supplier,
+  Warehouse,
+  Transaction,
+  TransactionDetail,
+  PurchaseOrder,
+} from "../models/index.js";
+import { httpError } from "../utils/httpError.js";
+import { createPurchaseOrder } from "./purchaseOrder.service.js";
+
+// Số ngày tiêu thụ gần nhất dùng để tính mức tiêu thụ trung bình/ngày
+const LOOKBACK_DAYS = Number(process.env.REORDER_LOOKBACK_DAYS) || 90;
+// Lead time mặc định khi liên kết NCC chính chưa khai báo leadTimeDays
+const DEFAULT_LEAD_TIME_DAYS = Number(process.env.REORDER_LEAD_TIME_DAYS) || 7;
+// Số ngày tiêu thụ mà một lần đặt hàng cần đủ cho (sau khi hàng về)
+const COVERAGE_DAYS = Number(process.env.REORDER_COVERAGE_DAYS) || 30;
+
+// Đơn đặt hàng còn hiệu lực: phần chưa nhận được tính là hàng đang về
+const OPEN_PURCHASE_ORDER_STATUSES = [
+  "draft",
+  "approved",
+  "sent",
+  "partially_received",
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Tiêu thụ ròng theo sản phẩm từ `since`: xuất kho (OUTBOUND) trừ hàng khoa hoàn trả
+ * @returns {Promise<Map>} productId -> quantity
+ */
+async function findNetConsumption(since) {
+  const rows = await Transaction.aggregate([
+    {
+      $match: {
+        type: { $in: ["OUTBOUND", "DEPARTMENT_RETURN"] },
+        status: "COMPLETED",
+        transactionDate: { $gte: since },
+      },
+    },
+    {
+      $lookup: {
+        from: "transactiondetails",
+        localField: "_id",
+        foreignField: "transactionId",
+        as: "details",
+      },
+    },
+    { $unwind: "$details" },
+    {
+      $group: {
+        _id: "$details.productId",
+        quantity: {
+          $sum: {
+            $cond: [
+              { $eq: ["$type", "OUTBOUND"] },
+              "$details.quantity",
+              { $multiply: ["$details.quantity", -1] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), Math.max(r.quantity, 0)]));
+}
+
+/**
+ * Số lượng đang về theo sản phẩm (phần chưa nhận của các đơn đặt hàng còn mở, kể cả đơn nháp)
+ * @returns {Promise<Map>} productId -> quantity
+ */
+async function findOnOrder() {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { status: { $in: OPEN_PURCHASE_ORDER_STATUSES } } },
+    { $unwind: "$lines" },
+    {
+      $group: {
+        _id: "$lines.productId",
+        quantity: {
+          $sum: {
+            $max: [
+              { $subtract: ["$lines.orderedQty", "$lines.receivedQty"] },
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+  return new Map(rows.map((r) => [String(r._id), r.quantity]));
+}
+
+/**
+ * Giá nhập gần nhất theo cặp sản phẩm - nhà cung cấp
+ * @returns {Promise<Map>} `${productId}:${supplierId}` -> unitPrice
+ */
+async function findLastInboundPrices(productIds) {
+  const rows = await TransactionDetail.aggregate([
+    { $match: { productId: { $in: productIds } } },
+    {
+      $lookup: {
+        from: "transactions",
+        localField: "transactionId",
+        foreignField: "_id",
+        as: "transaction",
+      },
+    },
+    { $unwind: "$transaction" },
+    {
+      $match: {
+        "transaction.type": "INBOUND",
+        "transaction.status": "COMPLETED",
+      },
+    },
+    { $sort: { "transaction.transactionDate": -1, _id: -1 } },
+    {
+      $group: {
+        _id: {
+          productId: "$productId",
+          supplierId: "$transaction.supplierId",
+        },
+        unitPrice: { $first: "$unitPrice" },
+      },
+    },
+  ]);
+  return new Map(
+    rows.map((r) => [`${r._id.productId}:${r._id.supplierId}`, r.unitPrice])
+  );
+}
+
+/**
+ * Gợi ý đặt hàng theo nhà cung cấp chính.
+ * - Tiêu thụ TB/ngày = tiêu thụ ròng trong LOOKBACK_DAYS / LOOKBACK_DAYS
+ * - Điểm đặt hàng = max(TB/ngày x lead time + safetyStock, minimumStock)
+ * - Cần đặt khi tồn hiện tại + hàng đang về <= điểm đặt hàng; số lượng gợi ý đưa
+ *   vị thế tồn lên mức đủ dùng trong lead time + COVERAGE_DAYS (cộng safetyStock)
+ * @param {*} filters { supplierId?, categoryId? }
+ * @returns {Promise<{generatedAt, lookbackDays, coverageDays, suppliers[], unassigned[]}>}
+ */
+export async function getReorderSuggestions(filters = {}) {
+  const { supplierId, categoryId } = filters;
+
+  const productQuery = { isActive: true };
+  if (categoryId && mongoose.isValidObjectId(categoryId)) {
+    productQuery.categoryId = categoryId;
+  }
+
+  const since = new Date(Date.now() - LOOKBACK_DAYS * 24 * 3600 * 1000);
+  const [products, consumption, onOrder, primaryLinks] = await Promise.all([
+    Product.find(productQuery).lean(),
+    findNetConsumption(since),
+    findOnOrder(),
+    ProductSupplier.find({ isPrimary: true })
+      .populate({ path: "supplierId", select: "code name status" })
+      .lean(),
+  ]);
+
+  const primaryByProduct = new Map(
+    primaryLinks
+      .filter((l) => l.supplierId)
+      .map((l) => [String(l.productId), l])
+  );
+
+  const items = [];
+  for (const p of products) {
+    const key = String(p._id);
+    const link = primaryByProduct.get(key);
+    if (supplierId && String(link?.supplierId?._id) !== String(supplierId)) {
+      continue;
+    }
+
+    const consumedQty = consumption.get(key) || 0;
+    const avgDailyUsage = consumedQty / LOOKBACK_DAYS;
+    const leadTimeDays = link?.leadTimeDays ?? DEFAULT_LEAD_TIME_DAYS;
+    const safetyStock = p.safetyStock || 0;
+    const minimumStock = p.minimumStock || 0;
+    const onOrderQty = onOrder.get(key) || 0;
+    const position = (p.currentStock || 0) + onOrderQty;
+
+    const reorderPoint = Math.max(
+      avgDailyUsage * leadTimeDays + safetyStock,
+      minimumStock
+    );
+    if (reorderPoint <= 0 || position > reorderPoint) continue;
+
+    const targetStock = Math.max(
+      avgDailyUsage * (leadTimeDays + COVERAGE_DAYS) + safetyStock,
+      minimumStock
+    );
+    const suggestedQty = Math.ceil(targetStock - position);
+    if (suggestedQty <= 0) continue;
+
+    items.push({
+      productId: p._id,
+      sku: p.sku,
+      name: p.name,
+      unit: p.unit,
+      currentStock: p.currentStock || 0,
+      onOrderQty,
+      consumedQty,
+      avgDailyUsage: round2(avgDailyUsage),
+      leadTimeDays,
+      safetyStock,
+      minimumStock,
+      reorderPoint: Math.ceil(reorderPoint),
+      suggestedQty,
+      averageCost: p.averageCost || 0,
+      supplier: link?.supplierId || null,
+    });
+  }
+
+  const lastPrices = await findLastInboundPrices(items.map((i) => i.productId));
+
+  const groups = new Map();
+  const unassigned = [];
+  for (const { supplier, averageCost, ...item } of items) {
+    if (!supplier) {
+      unassigned.push(item);
+      continue;
+    }
+    const unitPrice =
+      lastPrices.get(`${item.productId}:${supplier._id}`) ?? averageCost;
+    const supplierKey = String(supplier._id);
+    if (!groups.has(supplierKey)) {
+      groups.set(supplierKey, { supplier, items: [], totalAmount: 0 });
+    }
+    const group = groups.get(supplierKey);
+    group.items.push({ ...item, unitPrice });
+    group.totalAmount += item.suggestedQty * unitPrice;
+  }
+
+  return {
+    generatedAt: new Date(),
+    lookbackDays: LOOKBACK_DAYS,
+    coverageDays: COVERAGE_DAYS,
+    suppliers: [...groups.values()],
+    unassigned,
+  };
+}
+
+/**
+ * Kho nhận hàng mặc định cho đơn tự động: kho đang hoạt động đầu tiên (không phải kho biệt trữ)
+ */
+async function resolveReceivingWarehouse(warehouseId) {
+  if (warehouseId) {
+    if (!mongoose.isValidObjectId(warehouseId)) {
+      throw httpError("ID kho không hợp lệ", 400);
+    }
+    const warehouse = await Warehouse.findById(warehouseId).lean();
+    if (!warehouse) throw httpError("Kho không tồn tại", 404);
+    return warehouse;
+  }
+
+  const warehouse = await Warehouse.findOne({
+    isActive: true,
+    isQuarantine: { $ne: true },
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+  if (!warehouse) throw httpError("Không tìm thấy kho nhận hàng", 404);
+  return warehouse;
+}
+
+/**
+ * Tạo đơn đặt hàng nháp (source = reorder) cho từng NCC chính từ gợi ý đặt hàng.
+ * Đơn nháp được tính vào hàng đang về nên chạy lại không tạo trùng.
+ * @param {*} options { warehouseId?, supplierIds? }
+ * @param {*} actor { userId } (trống khi chạy theo lịch)
+ * @returns {Promise<{purchaseOrders[], skipped[], unassigned[]}>}
+ */
+export async function generateReorderPurchaseOrders(
+  options = {},
+  actor = null
+) {
+  const { warehouseId, supplierIds } = options;
+  const warehouse = await resolveReceivingWarehouse(warehouseId);
+  const { suppliers, unassigned } = await getReorderSuggestions();
+
+  const wanted = supplierIds?.length ? new Set(supplierIds.map(String)) : null;
+
+  const purchaseOrders = [];
+  const skipped = [];
+  for (const { supplier, items } of suppliers) {
+    if (wanted && !wanted.has(String(supplier._id))) continue;
+    if (supplier.status === "locked") {
+      skipped.push({
+        supplierId: supplier._id,
+        reason: "Nhà cung cấp đang bị khóa",
+      });
+      continue;
+    }
+
+    const po = await createPurchaseOrder(
+      {
+        supplierId: supplier._id,
+        warehouseId: warehouse._id,
+        source: "reorder",
+        notes: "Tạo tự động từ gợi ý đặt hàng",
+        lines: items.map((i) => ({
+          productId: i.productId,
+          orderedQty: i.suggestedQty,
+          unitPrice: i.unitPrice,
+        })),
+      },
+      actor
+    );
+    purchaseOrders.push(po);
+  }
+
+  return { purchaseOrders, skipped, unassigned };
+}
+
+/**
+ * Cập nhật thông số đặt hàng của sản phẩm
+ * @param {String} productId
+ * @param {*} payload { safetyStock?, minimumStock?, primarySupplierId?, leadTimeDays? }
+ */
+export async function updateReorderSettings(productId, payload) {
+  const product = await Product.findById(productId);
+  if (!product) throw httpError("Product not found", 404);
+
+  if (payload.primarySupplierId) {
+    const supplier = await Supplier.findById(payload.primarySupplierId).lean();
+    if (!supplier) throw httpError("Supplier not found", 404);
+
+    await ProductSupplier.updateOne(
+      { productId, supplierId: payload.primarySupplierId },
+      { $set: { isPrimary: true } },
+      { upsert: true }
+    );
+    await ProductSupplier.updateMany(
+      { productId, supplierId: { $ne: payload.primarySupplierId } },
+      { $set: { isPrimary: false } }
+    );
+  }
+
+  if (payload.leadTimeDays !== undefined) {
+    const { matchedCount } = await ProductSupplier.updateOne(
+      { productId, isPrimary: true },
+      { $set: { leadTimeDays: payload.leadTimeDays } }
+    );
+    if (!matchedCount) {
+      throw httpError("Product has no primary supplier to set lead time", 400);
+    }
+  }
+
+  if (payload.safetyStock !== undefined) {
+    product.safetyStock = payload.safetyStock;
+  }
+  if (payload.minimumStock !== undefined) {
+    product.minimumStock = payload.minimumStock;
+  }
+  await product.save();
+
+  const primary = await ProductSupplier.findOne({ productId, isPrimary: true })
+    .populate({ path: "supplierId", select: "code name status" })
+    .lean();
+
+  return {
+    _id: product._id,
+    sku: product.sku,
+    name: product.name,
+    minimumStock: product.minimumStock,
+    safetyStock: product.safetyStock,
+    primarySupplier: primary?.supplierId || null,
+    leadTimeDays: primary
+      ? (primary.leadTimeDays ?? DEFAULT_LEAD_TIME_DAYS)
+      : null,
+  };
+}
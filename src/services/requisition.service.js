@@ -0,0 +1,386 @@
+import mongoose from "mongoose";
+import {
+  Requisition,
+  Department,
+  Warehouse,
+  Product,
+  InventoryLot,
+  InventoryIssue,
+} from "../models/index.js";
+import { httpError } from "../utils/httpError.js";
+import { nextCode } from "../utils/codegen.js";
+import {
+  allocateIssueLines,
+  generateIssueCode,
+  postIssueOutbound,
+} from "./inventoryIssue.service.js";
+import {
+  reserveStock,
+  releaseReservations,
+} from "./stockReservation.service.js";
+
+const REQUISITION_POPULATE = [
+  { path: "departmentId", select: "code name" },
+  { path: "warehouseId", select: "code name" },
+  { path: "requestedBy", select: "username fullName" },
+  { path: "cancelledBy", select: "username fullName" },
+];
+
+const isAdmin = (actor) => actor?.role === "admin";
+
+// Role user chỉ thao tác trên phiếu của khoa/phòng mình
+function departmentScope(actor) {
+  if (isAdmin(actor)) return {};
+  if (!actor?.departmentId) {
+    throw httpError("Tài khoản chưa được gán khoa/phòng", 403);
+  }
+  return { departmentId: actor.departmentId };
+}
+
+async function findRequisitionOrThrow(id, actor, session = null) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError("ID phiếu yêu cầu không hợp lệ", 400);
+  }
+  const requisition = await Requisition.findOne({
+    _id: id,
+    ...departmentScope(actor),
+  }).session(session);
+  if (!requisition) throw httpError("Không tìm thấy phiếu yêu cầu", 404);
+  return requisition;
+}
+
+// Giữ hàng cho phần còn nợ của phiếu yêu cầu
+function holdBackorder(requisition, session = null) {
+  return reserveStock({
+    sourceType: "Requisition",
+    sourceId: requisition._id,
+    warehouseId: requisition.warehouseId,
+    items: requisition.lines.map((l) => ({
+      productId: l.productId,
+      quantity: l.requestedQty - l.issuedQty,
+    })),
+    session,
+  });
+}
+
+function withBackorder(requisition) {
+  const cancelled = requisition.status === "cancelled";
+  const lines = requisition.lines.map((l) => ({
+    ...l,
+    backorderedQty: cancelled ? 0 : l.requestedQty - l.issuedQty,
+  }));
+  const summary = lines.reduce(
+    (acc, l) => ({
+      requestedQty: acc.requestedQty + l.requestedQty,
+      issuedQty: acc.issuedQty + l.issuedQty,
+      backorderedQty: acc.backorderedQty + l.backorderedQty,
+    }),
+    { requestedQty: 0, issuedQty: 0, backorderedQty: 0 }
+  );
+  return { ...requisition, lines, summary };
+}
+
+/**
+ * Khoa/phòng gửi phiếu yêu cầu thuốc/vật tư tới kho dược
+ * @param {*} payload { warehouseId, departmentId?, neededBy?, notes?, lines[{productId, requestedQty, note?}] }
+ * @param {*} actor { userId, role, departmentId }
+ */
+export async function createRequisition(payload, actor) {
+  const departmentId = isAdmin(actor)
+    ? payload.departmentId || actor.departmentId
+    : departmentScope(actor).departmentId;
+  if (!departmentId) throw httpError("Khoa/phòng yêu cầu là bắt buộc", 400);
+
+  const department = await Department.findById(departmentId).lean();
+  if (!department) throw httpError("Khoa/phòng không tồn tại", 404);
+  if (department.isActive === false) {
+    throw httpError("Khoa/phòng đã ngừng hoạt động", 400);
+  }
+
+  const warehouse = await Warehouse.findById(payload.warehouseId).lean();
+  if (!warehouse) throw httpError("Kho không tồn tại", 404);
+
+  // Gộp các dòng trùng sản phẩm
+  const merged = new Map();
+  for (const line of payload.lines) {
+    const key = String(line.productId);
+    const prev = merged.get(key);
+    if (prev) prev.requestedQty += line.requestedQty;
+    else merged.set(key, { ...line, note: line.note || "" });
+  }
+
+  const productIds = [...merged.keys()];
+  const found = await Product.countDocuments({ _id: { $in: productIds } });
+  if (found !== productIds.length) {
+    throw httpError("Có sản phẩm không tồn tại trong phiếu yêu cầu", 404);
+  }
+
+  const code = await nextCode("YC", 5);
+
+  // Phiếu và phần giữ hàng ghi cùng nhau
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const [requisition] = await Requisition.create(
+      [
+        {
+          code,
+          departmentId: department._id,
+          warehouseId: warehouse._id,
+          neededBy: payload.neededBy,
+          notes: payload.notes || "",
+          requestedBy: actor?.userId,
+          lines: [...merged.values()].map((l) => ({
+            productId: l.productId,
+            requestedQty: l.requestedQty,
+            note: l.note,
+          })),
+        },
+      ],
+      { session }
+    );
+
+    await holdBackorder(requisition, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return requisition;
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * Danh sách phiếu yêu cầu (role user chỉ thấy phiếu của khoa/phòng mình)
+ */
+export async function getRequisitions(filters = {}, actor) {
+  const {
+    status,
+    departmentId,
+    warehouseId,
+    search,
+    page = 1,
+    limit = 10,
+  } = filters;
+
+  const query = { ...departmentScope(actor) };
+  if (status) query.status = status;
+  if (
+    isAdmin(actor) &&
+    departmentId &&
+    mongoose.isValidObjectId(departmentId)
+  ) {
+    query.departmentId = departmentId;
+  }
+  if (warehouseId && mongoose.isValidObjectId(warehouseId)) {
+    query.warehouseId = warehouseId;
+  }
+  if (search && search.trim()) {
+    const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    query.code = new RegExp(escaped, "i");
+  }
+
+  const [items, total] = await Promise.all([
+    Requisition.find(query)
+      .populate(REQUISITION_POPULATE)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Requisition.countDocuments(query),
+  ]);
+
+  return {
+    requisitions: items.map(withBackorder),
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Chi tiết phiếu yêu cầu: số đã cấp, còn nợ theo từng dòng và các phiếu xuất đã cấp
+ */
+export async function getRequisitionById(id, actor) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError("ID phiếu yêu cầu không hợp lệ", 400);
+  }
+
+  const requisition = await Requisition.findOne({
+    _id: id,
+    ...departmentScope(actor),
+  })
+    .populate(REQUISITION_POPULATE)
+    .populate({ path: "lines.productId", select: "sku name unit" })
+    .populate({
+      path: "issueIds",
+      select: "issueCode issueDate status totalAmount",
+    })
+    .lean();
+  if (!requisition) throw httpError("Không tìm thấy phiếu yêu cầu", 404);
+
+  return withBackorder(requisition);
+}
+
+/**
+ * Kho dược cấp phát cho phiếu yêu cầu (có thể cấp nhiều đợt).
+ * Tạo phiếu xuất kho đã xác nhận (FEFO), phần chưa cấp được giữ lại làm backorder.
+ * Hàng đang giữ cho chính phiếu yêu cầu được tính là khả dụng.
+ * @param {String} id requisition id
+ * @param {*} payload { lines?[{productId, quantity}], issueDate?, notes? }
+ * @param {*} actor { userId, role }
+ */
+export async function fulfillRequisition(id, payload, actor) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const requisition = await findRequisitionOrThrow(id, actor, session);
+    if (!["submitted", "partially_fulfilled"].includes(requisition.status)) {
+      throw httpError(
+        `Phiếu yêu cầu đang ở trạng thái ${requisition.status}, không thể cấp phát`,
+        400
+      );
+    }
+
+    const linesByProduct = new Map(
+      requisition.lines.map((l) => [String(l.productId), l])
+    );
+
+    const plan = [];
+    if (payload.lines) {
+      for (const { productId, quantity } of payload.lines) {
+        const line = linesByProduct.get(String(productId));
+        if (!line) {
+          throw httpError(
+            `Sản phẩm ${productId} không có trong phiếu yêu cầu`,
+            400
+          );
+        }
+        if (plan.some((p) => p.line === line)) {
+          throw httpError(`Sản phẩm ${productId} bị lặp trong đợt cấp`, 400);
+        }
+        const remaining = line.requestedQty - line.issuedQty;
+        if (quantity > remaining) {
+          throw httpError(
+            `Số cấp vượt phần còn nợ của sản phẩm ${productId} (còn ${remaining})`,
+            400
+          );
+        }
+        plan.push({ line, quantity });
+      }
+    } else {
+      // Cấp tối đa theo tồn kho hiện có, phần thiếu để lại backorder
+      for (const line of requisition.lines) {
+        const remaining = line.requestedQty - line.issuedQty;
+        if (remaining <= 0) continue;
+        const [stock] = await InventoryLot.aggregateStock({
+          productId: line.productId,
+          warehouseId: requisition.warehouseId,
+          excludeSourceId: requisition._id,
+        });
+        const quantity = Math.min(remaining, stock?.availableQty || 0);
+        if (quantity > 0) plan.push({ line, quantity });
+      }
+      if (plan.length === 0) {
+        throw httpError("Kho chưa có hàng để cấp cho phiếu yêu cầu", 400);
+      }
+    }
+
+    const department = await Department.findById(requisition.departmentId)
+      .session(session)
+      .lean();
+
+    const details = await allocateIssueLines(
+      requisition.warehouseId,
+      plan.map((p) => ({ productId: p.line.productId, quantity: p.quantity })),
+      session,
+      { excludeSourceId: requisition._id }
+    );
+
+    const issue = new InventoryIssue({
+      issueCode: await generateIssueCode(session),
+      warehouseId: requisition.warehouseId,
+      department: department?.name || requisition.code,
+      departmentId: requisition.departmentId,
+      requisitionId: requisition._id,
+      issueDate: payload.issueDate ? new Date(payload.issueDate) : new Date(),
+      notes: payload.notes ?? `Cấp phát theo phiếu yêu cầu ${requisition.code}`,
+      details,
+      totalAmount: details.reduce((sum, d) => sum + d.lineTotal, 0),
+      status: "confirmed",
+      createdBy: actor?.userId,
+      confirmedBy: actor?.userId,
+      confirmedAt: new Date(),
+    });
+    await issue.save({ session });
+    await postIssueOutbound(issue, actor?.userId, session);
+
+    for (const { line, quantity } of plan) line.issuedQty += quantity;
+    requisition.issueIds.push(issue._id);
+    requisition.refreshStatus();
+    await requisition.save({ session });
+
+    // Hàng đã xuất -> consumed, phần còn nợ được giữ lại trên tồn mới
+    await releaseReservations(requisition._id, session, "consumed");
+    if (requisition.status !== "fulfilled") {
+      await holdBackorder(requisition, session);
+    }
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return {
+      requisition: await getRequisitionById(id, actor),
+      issue,
+    };
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * Hủy phần còn nợ của phiếu yêu cầu (số đã cấp giữ nguyên)
+ * @param {String} id requisition id
+ * @param {*} payload { reason }
+ * @param {*} actor { userId, role, departmentId }
+ */
+export async function cancelRequisition(id, payload, actor) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const requisition = await findRequisitionOrThrow(id, actor, session);
+    if (!["submitted", "partially_fulfilled"].includes(requisition.status)) {
+      throw httpError(
+        `Phiếu yêu cầu đang ở trạng thái ${requisition.status}, không thể hủy`,
+        400
+      );
+    }
+
+    requisition.status = "cancelled";
+    requisition.cancelledBy = actor?.userId;
+    requisition.cancelledAt = new Date();
+    requisition.cancelReason = payload.reason;
+    await requisition.save({ session });
+    await releaseReservations(requisition._id, session);
+
+    await session.commitTransaction();
+    session.endSession();
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+
+  return getRequisitionById(id, actor);
+}
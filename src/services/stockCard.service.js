@@ -0,0 +1,216 @@
+import mongoose from "mongoose";
+import {
+  Product,
+  InventoryLot,
+  Warehouse,
+  StockMovement,
+} from "../models/index.js";
+import { httpError } from "../utils/httpError.js";
+import { assertLedgerReady } from "./stockMovement.service.js";
+import { formatPackaging } from "./unitOfMeasure.service.js";
+
+const ADJUSTMENT_LABELS = {
+  DAMAGED: "hư hỏng",
+  LOST: "mất mát",
+  FOUND: "phát hiện thừa",
+  COUNT_VARIANCE: "chênh lệch kiểm kê",
+  EXPIRED_WRITE_OFF: "hủy hàng hết hạn",
+};
+
+/**
+ * Diễn giải nghiệp vụ của một dòng thẻ kho
+ */
+function describeMovement(row, warehouses) {
+  const whName = (id) => warehouses.get(String(id))?.name || "";
+  const supplier = row.supplier?.name || "nhà cung cấp";
+  const department = row.department?.name || "khoa/phòng";
+  switch (row.movementType) {
+    case "INBOUND":
+      return row.quantity > 0
+        ? `Nhập kho từ ${supplier}`
+        : `Hủy phiếu nhập từ ${supplier}`;
+    case "OUTBOUND":
+      return row.quantity < 0
+        ? `Xuất cho ${department}`
+        : `Hủy phiếu xuất cho ${department}`;
+    case "DEPARTMENT_RETURN":
+      return `${row.department?.name || "Khoa/phòng"} hoàn trả`;
+    case "SUPPLIER_RETURN":
+      return `Trả hàng ${supplier}`;
+    case "TRANSFER":
+      return row.quantity > 0
+        ? `Nhận chuyển kho từ ${whName(row.tx?.sourceWarehouseId)}`
+        : `Chuyển kho đến ${whName(row.tx?.destinationWarehouseId)}`;
+    case "ADJUSTMENT":
+      return `Điều chỉnh ${ADJUSTMENT_LABELS[row.reason] || ""}`.trim();
+    case "OPENING":
+      return "Tồn đầu khi khởi tạo sổ kho";
+    default:
+      return row.movementType;
+  }
+}
+
+const lookupOne = (from, localField, project, as) => ({
+  $lookup: {
+    from,
+    localField,
+    foreignField: "_id",
+    pipeline: [{ $project: project }],
+    as,
+  },
+});
+
+/**
+ * Các dòng sổ biến động của các lô đến hết `end`, theo thứ tự thời gian
+ */
+function findMovements(lotIds, end) {
+  return StockMovement.aggregate([
+    { $match: { inventoryLotId: { $in: lotIds }, occurredAt: { $lte: end } } },
+    { $sort: { occurredAt: 1, _id: 1 } },
+    lookupOne(
+      "transactions",
+      "transactionId",
+      {
+        referenceCode: 1,
+        notes: 1,
+        supplierId: 1,
+        departmentId: 1,
+        sourceWarehouseId: 1,
+        destinationWarehouseId: 1,
+      },
+      "tx"
+    ),
+    { $set: { tx: { $first: "$tx" } } },
+    lookupOne("users", "userId", { username: 1, fullName: 1 }, "user"),
+    lookupOne("suppliers", "tx.supplierId", { code: 1, name: 1 }, "supplier"),
+    lookupOne(
+      "departments",
+      "tx.departmentId",
+      { code: 1, name: 1 },
+      "department"
+    ),
+    {
+      $set: {
+        user: { $first: "$user" },
+        supplier: { $first: "$supplier" },
+        department: { $first: "$department" },
+      },
+    },
+  ]);
+}
+
+/**
+ * Thẻ kho: sổ chi tiết nhập - xuất - tồn của một sản phẩm (tùy chọn theo lô hoặc kho)
+ * từ startDate đến endDate, có tồn đầu kỳ, tồn sau từng nghiệp vụ và người thực hiện.
+ * Mỗi dòng là một dòng StockMovement; chuyển kho giữa hai lô trong phạm vi thẻ
+ * gồm một dòng xuất và một dòng nhập, hủy phiếu là dòng bù trừ tại ngày hủy.
+ * @param {*} params { productId, inventoryLotId?, warehouseId?, startDate, endDate }
+ */
+export async function getStockCard(params) {
+  const { productId, inventoryLotId, warehouseId, startDate, endDate } = params;
+
+  if (!mongoose.isValidObjectId(productId)) {
+    throw httpError("productId không hợp lệ", 400);
+  }
+  for (const [name, id] of Object.entries({ inventoryLotId, warehouseId })) {
+    if (id && !mongoose.isValidObjectId(id)) {
+      throw httpError(`${name} không hợp lệ`, 400);
+    }
+  }
+  await assertLedgerReady();
+
+  const product = await Product.findById(productId)
+    .select("sku name unit unitConversions")
+    .populate("unitConversions.unitId", "name")
+    .lean();
+  if (!product) throw httpError("Không tìm thấy sản phẩm", 404);
+  // Quy cách đóng gói (đơn vị lớn trước) để diễn giải tồn theo hộp/vỉ
+  const { unitConversions = [], ...productInfo } = product;
+  productInfo.packaging = unitConversions
+    .filter((c) => c.unitId)
+    .map((c) => ({ unitName: c.unitId.name, factor: c.factor }))
+    .sort((a, b) => b.factor - a.factor);
+
+  // Phạm vi lô của thẻ: một lô, các lô của một kho, hoặc tất cả
+  const lotQuery = { productId };
+  if (inventoryLotId) lotQuery._id = inventoryLotId;
+  if (warehouseId) lotQuery.warehouseId = warehouseId;
+  const lots = await InventoryLot.find(lotQuery)
+    .select("lotNumber expiryDate warehouseId")
+    .lean();
+  if (inventoryLotId && lots.length === 0) {
+    throw httpError("Lô không thuộc sản phẩm hoặc kho đã chọn", 404);
+  }
+
+  const [warehouses, movements] = await Promise.all([
+    Warehouse.find({}).select("code name").lean(),
+    findMovements(
+      lots.map((l) => l._id),
+      endDate
+    ),
+  ]);
+  const warehouseMap = new Map(warehouses.map((w) => [String(w._id), w]));
+  const lotMap = new Map(lots.map((l) => [String(l._id), l]));
+
+  let openingBalance = 0;
+  let balance = 0;
+  let totalIn = 0;
+  let totalOut = 0;
+  const entries = [];
+  for (const row of movements) {
+    if (row.occurredAt < startDate) {
+      openingBalance += row.quantity;
+      balance = openingBalance;
+      continue;
+    }
+
+    balance += row.quantity;
+    const inQty = row.quantity > 0 ? row.quantity : 0;
+    const outQty = row.quantity < 0 ? -row.quantity : 0;
+    totalIn += inQty;
+    totalOut += outQty;
+
+    const lot = lotMap.get(String(row.inventoryLotId));
+    const documentNo = row.transactionId
+      ? row.tx?.referenceCode ||
+        String(row.transactionId).slice(-8).toUpperCase()
+      : "";
+    entries.push({
+      stockMovementId: row._id,
+      transactionId: row.transactionId || null,
+      transactionDate: row.occurredAt,
+      type: row.movementType,
+      documentNo,
+      description: describeMovement(row, warehouseMap),
+      notes: row.tx?.notes || "",
+      inventoryLotId: lot._id,
+      lotNumber: lot.lotNumber,
+      expiryDate: lot.expiryDate,
+      warehouse: warehouseMap.get(String(lot.warehouseId)) || null,
+      inQty,
+      outQty,
+      balance,
+      unitPrice: row.unitCost,
+      user: row.user || null,
+    });
+  }
+
+  const closingBalance = openingBalance + totalIn - totalOut;
+  return {
+    product: productInfo,
+    lot: inventoryLotId ? lots[0] : null,
+    warehouse: warehouseId ? warehouseMap.get(String(warehouseId)) : null,
+    startDate,
+    endDate,
+    openingBalance,
+    totalIn,
+    totalOut,
+    closingBalance,
+    closingBalancePackaging: formatPackaging(
+      closingBalance,
+      product.unit,
+      productInfo.packaging
+    ),
+    entries,
+  };
+}
@@ -0,0 +1,314 @@
+import mongoose from "mongoose";
+import {
+  InventoryLot,
+  Migration,
+  StockMovement,
+  TransactionDetail,
+} from "../models/index.js";
+import {
+  LEDGER_MIGRATION_KEY,
+  MovementType,
+} from "../models/stockMovement.model.js";
+import { httpError } from "../utils/httpError.js";
+import { lotEffects } from "../utils/lotMovements.js";
+import { findSnapshotBase, withSnapshot } from "./inventorySnapshot.service.js";
+
+const toObjectIds = (ids) =>
+  [].concat(ids).map((id) => new mongoose.Types.ObjectId(String(id)));
+
+const BALANCE_KEYS = {
+  lot: { inventoryLotId: "$inventoryLotId" },
+  warehouse: { productId: "$productId", warehouseId: "$warehouseId" },
+  product: { productId: "$productId" },
+};
+
+/**
+ * Chặn báo cáo đọc từ sổ khi sổ chưa khởi tạo xong: tồn theo sổ lúc đó
+ * thiếu phần dữ liệu cũ chứ không phải bằng 0
+ */
+export async function assertLedgerReady() {
+  if (!(await StockMovement.isInitialized())) {
+    throw httpError(
+      "Sổ biến động tồn kho chưa khởi tạo xong (npm run migrate:stock-movements), chưa thể lập báo cáo",
+      503
+    );
+  }
+}
+
+/**
+ * Tồn kho theo sổ biến động tại thời điểm asOf (mặc định: hiện tại);
+ * có asOf thì cộng từ ảnh chụp cuối ngày gần nhất thay vì đọc cả sổ
+ * @param {*} options { asOf?, groupBy?: lot|warehouse|product, productIds?, warehouseId?, inventoryLotIds?, session? }
+ * @returns {Promise<Array>} [{ productId?, warehouseId?, inventoryLotId?, quantity }]
+ */
+export async function getLedgerBalances(options = {}) {
+  const {
+    asOf,
+    groupBy = "lot",
+    productIds,
+    warehouseId,
+    inventoryLotIds,
+    session = null,
+  } = options;
+
+  if (!BALANCE_KEYS[groupBy]) {
+    throw httpError("groupBy phải là lot, warehouse hoặc product", 400);
+  }
+  for (const id of [].concat(productIds || [], warehouseId || [])) {
+    if (!mongoose.isValidObjectId(id)) {
+      throw httpError(`ID không hợp lệ: ${id}`, 400);
+    }
+  }
+  await assertLedgerReady();
+
+  const keys = {};
+  if (productIds) keys.productId = { $in: toObjectIds(productIds) };
+  if (warehouseId) keys.warehouseId = toObjectIds(warehouseId)[0];
+  if (inventoryLotIds) {
+    keys.inventoryLotId = { $in: toObjectIds(inventoryLotIds) };
+  }
+
+  // Tồn tại một ngày trong quá khứ: bắt đầu từ ảnh chụp cuối ngày gần nhất
+  const { after, union } = withSnapshot(
+    await findSnapshotBase(asOf, { session }),
+    keys
+  );
+  const $match = { ...keys, ...after };
+  if (asOf) $match.occurredAt = { $lte: asOf };
+
+  const rows = await StockMovement.aggregate([
+    { $match },
+    ...union,
+    {
+      $group: {
+        _id: BALANCE_KEYS[groupBy],
+        quantity: { $sum: "$quantity" },
+      },
+    },
+  ]).session(session);
+  return rows.map((r) => ({ ...r._id, quantity: r.quantity }));
+}
+
+/**
+ * Tra cứu sổ biến động (kiểm tra, đối soát)
+ * @param {*} filters { productId?, warehouseId?, inventoryLotId?, transactionId?, movementType?, fromDate?, toDate?, page?, limit? }
+ */
+export async function getStockMovements(filters = {}) {
+  const {
+    productId,
+    warehouseId,
+    inventoryLotId,
+    transactionId,
+    movementType,
+    fromDate,
+    toDate,
+    page = 1,
+    limit = 20,
+  } = filters;
+
+  const query = {};
+  for (const [key, id] of Object.entries({
+    productId,
+    warehouseId,
+    inventoryLotId,
+    transactionId,
+  })) {
+    if (!id) continue;
+    if (!mongoose.isValidObjectId(id)) {
+      throw httpError(`${key} không hợp lệ`, 400);
+    }
+    query[key] = id;
+  }
+  if (movementType) {
+    if (!MovementType.includes(movementType)) {
+      throw httpError(`movementType phải là ${MovementType.join(", ")}`, 400);
+    }
+    query.movementType = movementType;
+  }
+  if (fromDate || toDate) {
+    query.occurredAt = {};
+    if (fromDate) query.occurredAt.$gte = new Date(fromDate);
+    if (toDate) query.occurredAt.$lte = new Date(toDate);
+  }
+
+  const [movements, total] = await Promise.all([
+    StockMovement.find(query)
+      .populate("productId", "sku name unit")
+      .populate("warehouseId", "code name")
+      .populate("inventoryLotId", "lotNumber expiryDate")
+      .populate("transactionId", "type status referenceCode")
+      .populate("userId", "username fullName")
+      .sort({ occurredAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    StockMovement.countDocuments(query),
+  ]);
+
+  return {
+    movements,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Khởi tạo sổ biến động cho dữ liệu có sẵn: phát lại các phiếu COMPLETED theo ngày
+ * nghiệp vụ, phần chênh còn lại so với InventoryLot.quantity ghi thành dòng OPENING.
+ * Chạy theo từng sản phẩm, mỗi sản phẩm một transaction ngắn; sản phẩm đã có dòng
+ * trên sổ được bỏ qua nên chạy lại sau lỗi sẽ làm tiếp phần còn dở. Báo cáo theo sổ
+ * bị chặn đến khi chạy xong. Chạy bằng script migration
+ * (npm run migrate:stock-movements) trước khi mở API.
+ * @returns {Promise<{skipped, transactions, openings}>}
+ */
+export async function backfillStockMovements() {
+  const skipped = { skipped: true, transactions: 0, openings: 0 };
+  const state = await Migration.findOne({ key: LEDGER_MIGRATION_KEY }).lean();
+  if (state?.completedAt) return skipped;
+  if (!state) {
+    // Sổ đã được ghi từ đầu (hoặc khởi tạo từ trước): chỉ đánh dấu hoàn tất
+    const live = Boolean(await StockMovement.exists({}));
+    await Migration.create({
+      key: LEDGER_MIGRATION_KEY,
+      completedAt: live ? new Date() : undefined,
+    });
+    if (live) return skipped;
+  }
+
+  const transactionIds = new Set();
+  let openings = 0;
+  for (const productId of await InventoryLot.distinct("productId")) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const result = await replayProductLedger(productId, session);
+      await session.commitTransaction();
+      session.endSession();
+      result.transactionIds.forEach((id) => transactionIds.add(id));
+      openings += result.openings;
+    } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+      throw err;
+    }
+  }
+
+  await Migration.updateOne(
+    { key: LEDGER_MIGRATION_KEY },
+    { completedAt: new Date() }
+  );
+  return { skipped: false, transactions: transactionIds.size, openings };
+}
+
+// Phát lại sổ của một sản phẩm (chuyển kho chỉ đi giữa các lô cùng sản phẩm)
+async function replayProductLedger(productId, session) {
+  // Đã ghi ở lần chạy trước
+  if (await StockMovement.exists({ productId }).session(session)) {
+    return { transactionIds: [], openings: 0 };
+  }
+
+  const lots = await InventoryLot.find({ productId })
+    .select("productId warehouseId quantity createdAt")
+    .session(session)
+    .lean();
+  const lotMap = new Map(lots.map((l) => [String(l._id), l]));
+
+  const rows = await TransactionDetail.aggregate([
+    { $match: { productId } },
+    {
+      $lookup: {
+        from: "transactions",
+        localField: "transactionId",
+        foreignField: "_id",
+        as: "tx",
+      },
+    },
+    { $unwind: "$tx" },
+    { $match: { "tx.status": "COMPLETED" } },
+    { $sort: { "tx.transactionDate": 1, "tx._id": 1, _id: 1 } },
+    {
+      $project: {
+        transactionId: "$tx._id",
+        type: "$tx.type",
+        reason: { $ifNull: ["$tx.reasonCode", "$tx.returnReason"] },
+        occurredAt: "$tx.transactionDate",
+        userId: "$tx.userId",
+        productId: 1,
+        inventoryLotId: 1,
+        destinationInventoryLotId: 1,
+        quantity: 1,
+        unitPrice: 1,
+      },
+    },
+  ]).session(session);
+
+  // Gom theo phiếu, giữ thứ tự ngày nghiệp vụ
+  const byTransaction = new Map();
+  for (const row of rows) {
+    const key = String(row.transactionId);
+    if (!byTransaction.has(key)) byTransaction.set(key, []);
+    byTransaction.get(key).push(row);
+  }
+
+  // Tồn theo sổ của từng lô sau khi phát lại
+  const balances = new Map();
+  for (const details of byTransaction.values()) {
+    const [first] = details;
+    const entries = details.flatMap((d) =>
+      lotEffects(d.type, d)
+        .filter((e) => lotMap.has(String(e.inventoryLotId)))
+        .map((e) => ({
+          productId: d.productId,
+          warehouseId: lotMap.get(String(e.inventoryLotId)).warehouseId,
+          inventoryLotId: e.inventoryLotId,
+          quantity: e.quantity,
+          unitCost: d.unitPrice,
+        }))
+    );
+    await StockMovement.record(
+      entries,
+      {
+        transactionId: first.transactionId,
+        movementType: first.type,
+        reason: first.reason,
+        occurredAt: first.occurredAt,
+        userId: first.userId,
+      },
+      session
+    );
+    for (const e of entries) {
+      const key = String(e.inventoryLotId);
+      balances.set(key, (balances.get(key) || 0) + e.quantity);
+    }
+  }
+
+  let openings = 0;
+  for (const lot of lots) {
+    const diff = lot.quantity - (balances.get(String(lot._id)) || 0);
+    if (diff === 0) continue;
+    await StockMovement.record(
+      [
+        {
+          productId: lot.productId,
+          warehouseId: lot.warehouseId,
+          inventoryLotId: lot._id,
+          quantity: diff,
+        },
+      ],
+      {
+        movementType: "OPENING",
+        reason: "Chênh lệch khi khởi tạo sổ biến động",
+        occurredAt: lot.createdAt,
+      },
+      session
+    );
+    openings += 1;
+  }
+
+  return { transactionIds: [...byTransaction.keys()], openings };
+}
@@ -0,0 +1,228 @@
+import mongoose from "mongoose";
+import {
+  Product,
+  InventoryLot,
+  Alert,
+  StockReconciliation,
+} from "../models/index.js";
+import { httpError } from "../utils/httpError.js";
+import { getLedgerBalances } from "./stockMovement.service.js";
+import inventoryScanner from "./inventoryScanner.service.js";
+
+// Job đêm có tự sửa Product.currentStock theo tổng lô hay chỉ ghi nhận
+export const AUTO_FIX_DEFAULT = process.env.STOCK_RECONCILE_AUTO_FIX === "true";
+
+/**
+ * Cảnh báo STOCK_DISCREPANCY cho từng sản phẩm còn chênh lệch;
+ * sản phẩm đã hết chênh lệch thì tự đóng cảnh báo cũ
+ */
+async function raiseDiscrepancyAlerts(discrepancies) {
+  const byProduct = new Map();
+  for (const d of discrepancies) {
+    const key = String(d.productId);
+    if (!byProduct.has(key)) byProduct.set(key, []);
+    byProduct.get(key).push(d);
+  }
+
+  for (const items of byProduct.values()) {
+    const counter = items.find((d) => d.kind === "PRODUCT_COUNTER");
+    const lotCount = items.filter((d) => d.kind === "LOT_LEDGER").length;
+    const parts = [];
+    if (counter) {
+      parts.push(
+        `tồn sản phẩm ${counter.recordedQty} khác tổng các lô ${counter.expectedQty}` +
+          (counter.fixed ? " (đã tự sửa)" : "")
+      );
+    }
+    if (lotCount > 0) parts.push(`${lotCount} lô lệch sổ biến động`);
+
+    const [first] = items;
+    await inventoryScanner.createOrUpdateAlert({
+      alertType: "STOCK_DISCREPANCY",
+      // Lệch sổ biến động cần kiểm tra thủ công; lệch bộ đếm đã sửa chỉ để lưu vết
+      severity: lotCount > 0 ? "HIGH" : counter.fixed ? "LOW" : "MEDIUM",
+      productId: first.productId,
+      productSku: first.sku,
+      productName: first.productName,
+      message: `Đối soát tồn kho ${first.productName} (SKU: ${first.sku}): ${parts.join("; ")}`,
+    });
+  }
+
+  await Alert.updateMany(
+    {
+      alertType: "STOCK_DISCREPANCY",
+      status: "ACTIVE",
+      productId: {
+        $nin: [...byProduct.keys()].map(
+          (id) => new mongoose.Types.ObjectId(id)
+        ),
+      },
+    },
+    {
+      $set: {
+        status: "RESOLVED",
+        resolvedAt: new Date(),
+        notes: "Auto-resolved: Đối soát không còn chênh lệch",
+      },
+    }
+  );
+}
+
+/**
+ * Đối soát tồn kho: so Product.currentStock với tổng InventoryLot.quantity,
+ * và InventoryLot.quantity với sổ biến động (lịch sử phiếu) của từng lô.
+ * Ghi kết quả vào StockReconciliation và bật cảnh báo STOCK_DISCREPANCY.
+ * Sản phẩm, lô và sổ được đọc trên cùng một snapshot (transaction readConcern "snapshot")
+ * để phiếu ghi xen giữa các lần đọc không tạo chênh lệch giả.
+ * autoFix chỉ sửa bộ đếm Product.currentStock; lệch lô/sổ cần điều chỉnh kho thủ công.
+ * @param {*} options { autoFix?, trigger?: cron|manual }
+ * @param {*} actor { userId? }
+ */
+export async function reconcileStock(options = {}, actor = null) {
+  const { autoFix = AUTO_FIX_DEFAULT, trigger = "manual" } = options;
+  const startedAt = new Date();
+
+  let products, lots, balances;
+  const readSession = await mongoose.startSession();
+  readSession.startTransaction({ readConcern: { level: "snapshot" } });
+  try {
+    // Cùng một transaction: đọc tuần tự, không song song
+    products = await Product.find({})
+      .select("sku name currentStock")
+      .session(readSession)
+      .lean();
+    lots = await InventoryLot.find({})
+      .select("productId warehouseId lotNumber quantity")
+      .session(readSession)
+      .lean();
+    balances = await getLedgerBalances({ session: readSession });
+
+    await readSession.commitTransaction();
+    readSession.endSession();
+  } catch (err) {
+    await readSession.abortTransaction();
+    readSession.endSession();
+    throw err;
+  }
+
+  const productMap = new Map(products.map((p) => [String(p._id), p]));
+  const ledger = new Map(
+    balances.map((b) => [String(b.inventoryLotId), b.quantity])
+  );
+
+  const discrepancies = [];
+  const lotTotals = new Map();
+  for (const lot of lots) {
+    const key = String(lot.productId);
+    lotTotals.set(key, (lotTotals.get(key) || 0) + lot.quantity);
+
+    const expectedQty = ledger.get(String(lot._id)) || 0;
+    if (lot.quantity === expectedQty) continue;
+    const product = productMap.get(key);
+    discrepancies.push({
+      kind: "LOT_LEDGER",
+      productId: lot.productId,
+      sku: product?.sku,
+      productName: product?.name,
+      inventoryLotId: lot._id,
+      lotNumber: lot.lotNumber,
+      warehouseId: lot.warehouseId,
+      recordedQty: lot.quantity,
+      expectedQty,
+      difference: lot.quantity - expectedQty,
+    });
+  }
+
+  const counterDrift = [];
+  for (const product of products) {
+    const recordedQty = product.currentStock || 0;
+    const expectedQty = lotTotals.get(String(product._id)) || 0;
+    if (recordedQty === expectedQty) continue;
+    counterDrift.push(product._id);
+    discrepancies.push({
+      kind: "PRODUCT_COUNTER",
+      productId: product._id,
+      sku: product.sku,
+      productName: product.name,
+      recordedQty,
+      expectedQty,
+      difference: recordedQty - expectedQty,
+      fixed: autoFix,
+    });
+  }
+
+  if (autoFix && counterDrift.length > 0) {
+    // Tính lại từ tổng lô ngay trong transaction ghi, không dùng số đã đọc ở trên
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      await Product.syncCurrentStock(counterDrift, session);
+      await session.commitTransaction();
+      session.endSession();
+    } catch (err) {
+      await session.abortTransaction();
+      session.endSession();
+      throw err;
+    }
+  }
+
+  await raiseDiscrepancyAlerts(discrepancies);
+
+  return StockReconciliation.create({
+    trigger,
+    autoFix,
+    startedAt,
+    finishedAt: new Date(),
+    productsChecked: products.length,
+    lotsChecked: lots.length,
+    discrepancyCount: discrepancies.length,
+    fixedCount: autoFix ? counterDrift.length : 0,
+    discrepancies,
+    createdBy: actor?.userId || undefined,
+  });
+}
+
+/**
+ * Danh sách các lần đối soát (mới nhất trước)
+ * @param {*} filters { hasDiscrepancy?, page?, limit? }
+ */
+export async function getStockReconciliations(filters = {}) {
+  const { hasDiscrepancy, page = 1, limit = 20 } = filters;
+
+  const query = {};
+  if (hasDiscrepancy === true) query.discrepancyCount = { $gt: 0 };
+  if (hasDiscrepancy === false) query.discrepancyCount = 0;
+
+  const [reconciliations, total] = await Promise.all([
+    StockReconciliation.find(query)
+      .select("-discrepancies")
+      .populate("createdBy", "username fullName")
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    StockReconciliation.countDocuments(query),
+  ]);
+
+  return {
+    reconciliations,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+export async function getStockReconciliationById(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError("ID không hợp lệ", 400);
+  }
+  const reconciliation = await StockReconciliation.findById(id)
+    .populate("createdBy", "username fullName")
+    .populate("discrepancies.warehouseId", "code name")
+    .lean();
+  if (!reconciliation) throw httpError("Không tìm thấy kết quả đối soát", 404);
+  return reconciliation;
+}
@@ -0,0 +1,93 @@
+import InventoryLot from "../models/inventoryLot.model.js";
+import StockReservation from "../models/stockReservation.model.js";
+
+// Thời gian giữ hàng mặc định (giờ), quá hạn cron sẽ nhả hàng
+const RESERVATION_TTL_HOURS = Number(process.env.RESERVATION_TTL_HOURS) || 48;
+
+/**
+ * Giữ hàng theo FEFO cho phiếu đang chờ trên phần tồn khả dụng.
+ * Phần không đủ hàng không được giữ; khi duyệt/cấp phát sẽ kiểm tra lại tồn.
+ * @param {*} params { sourceType, sourceId, warehouseId, items[{productId, quantity}], session? }
+ * @returns {Promise<Array>} các bản ghi giữ hàng đã tạo
+ */
+export async function reserveStock({
+  sourceType,
+  sourceId,
+  warehouseId,
+  items,
+  session = null,
+}) {
+  const expiresAt = new Date(Date.now() + RESERVATION_TTL_HOURS * 3600 * 1000);
+
+  const docs = [];
+  for (const { productId, quantity } of items) {
+    if (!(quantity > 0)) continue;
+    const picks = await InventoryLot.fefoSuggestLots(
+      productId,
+      warehouseId,
+      quantity,
+      { excludeSourceId: sourceId, session }
+    );
+
+    for (const pick of picks) {
+      docs.push({
+        inventoryLotId: pick.inventoryLotId,
+        productId,
+        warehouseId,
+        quantity: pick.pickQty,
+        sourceType,
+        sourceId,
+        expiresAt,
+      });
+    }
+  }
+
+  if (docs.length === 0) return [];
+  return StockReservation.insertMany(docs, { session });
+}
+
+/**
+ * Nhả toàn bộ hàng đang giữ của một phiếu
+ * @param {*} sourceId id phiếu
+ * @param {*} session mongoose session
+ * @param {String} status "released" (hủy/từ chối) | "consumed" (đã xuất kho)
+ */
+export async function releaseReservations(
+  sourceId,
+  session = null,
+  status = "released"
+) {
+  const result = await StockReservation.updateMany(
+    { sourceId, status: "active" },
+    { $set: { status, releasedAt: new Date() } },
+    { session }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Nhả mọi phần giữ hàng đang active trên các lô (lô bị thu hồi, không còn xuất được)
+ * @param {Array} lotIds
+ * @param {*} session mongoose session
+ * @returns {Promise<Number>} số bản ghi giữ hàng đã nhả
+ */
+export async function releaseLotReservations(lotIds, session = null) {
+  const result = await StockReservation.updateMany(
+    { inventoryLotId: { $in: lotIds }, status: "active" },
+    { $set: { status: "released", releasedAt: new Date() } },
+    { session }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Nhả các phần giữ hàng đã quá hạn (chạy bởi cron)
+ * @returns {Promise<{expired: Number}>}
+ */
+export async function releaseExpiredReservations(now = new Date()) {
+  const result = await StockReservation.updateMany(
+    { status: "active", expiresAt: { $lte: now } },
+    { $set: { status: "expired", releasedAt: now } }
+  );
+  return { expired: result.modifiedCount };
+}
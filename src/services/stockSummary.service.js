@@ -0,0 +1,171 @@
+import mongoose from "mongoose";
+import { Product, StockMovement } from "../models/index.js";
+import { httpError } from "../utils/httpError.js";
+import { findSnapshotBase, withSnapshot } from "./inventorySnapshot.service.js";
+import { assertLedgerReady } from "./stockMovement.service.js";
+import { attachPackaging } from "./unitOfMeasure.service.js";
+
+// Cột báo cáo xuất-nhập-tồn theo loại dòng sổ biến động (StockMovement, số lượng có dấu).
+// Trả hàng nhà cung cấp cũng làm giảm tồn -> cộng vào cột "xuất";
+// khoa/phòng hoàn trả báo cáo ở cột riêng; OPENING (khởi tạo sổ) tính vào điều chỉnh.
+// Chuyển kho không đổi tồn của sản phẩm nên không thuộc cột nào.
+const LEDGER_COLUMNS = {
+  totalInbound: { types: ["INBOUND"], sign: 1 },
+  totalOutbound: { types: ["OUTBOUND", "SUPPLIER_RETURN"], sign: -1 },
+  totalAdjustment: { types: ["ADJUSTMENT", "OPENING"], sign: 1 },
+  totalDepartmentReturn: { types: ["DEPARTMENT_RETURN"], sign: 1 },
+};
+
+/**
+ * Sản phẩm thỏa bộ lọc danh mục/tìm kiếm (null = không lọc)
+ */
+async function findFilteredProductIds({ categoryId, search }) {
+  if (!categoryId && !search?.trim()) return null;
+
+  const query = {};
+  if (categoryId) query.categoryId = categoryId;
+  if (search?.trim()) {
+    const escaped = search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    const regex = new RegExp(escaped, "i");
+    query.$or = [{ name: regex }, { sku: regex }];
+  }
+  const products = await Product.find(query).select("_id").lean();
+  return products.map((p) => p._id);
+}
+
+/**
+ * Báo cáo xuất-nhập-tồn theo sản phẩm bằng một pipeline trên sổ biến động:
+ * gom theo sản phẩm, tồn đầu = tổng trước start (từ ảnh chụp cuối ngày gần nhất),
+ * các cột = tổng trong kỳ theo loại;
+ * bỏ sản phẩm không phát sinh, sắp theo tên, phân trang.
+ * Không có start: không tính tồn đầu, cột kỳ tính từ đầu sổ đến end (hoặc hiện tại).
+ * Số lượng theo đơn vị cơ sở, tồn cuối kèm diễn giải theo quy cách (closingStockPackaging).
+ * @param {*} options { start?, end?, categoryId?, search?, page?, limit? } (limit null = tất cả)
+ * @returns {Promise<{products, total}>}
+ */
+export async function getStockSummaryReport(options = {}) {
+  const { start, end, categoryId, search, page = 1, limit = null } = options;
+
+  if (categoryId && !mongoose.isValidObjectId(categoryId)) {
+    throw httpError("categoryId không hợp lệ", 400);
+  }
+  await assertLedgerReady();
+
+  const productIds = await findFilteredProductIds({ categoryId, search });
+  if (productIds && productIds.length === 0) return { products: [], total: 0 };
+
+  const keys = productIds ? { productId: { $in: productIds } } : {};
+  // Tồn đầu kỳ: ảnh chụp cuối ngày gần nhất trước start + các dòng sổ sau ảnh chụp
+  const { after, union } = withSnapshot(
+    await findSnapshotBase(start, { strict: true }),
+    keys
+  );
+  const $match = { ...keys, ...after };
+  if (end) $match.occurredAt = { $lte: end };
+
+  const inPeriod = start ? { $gte: ["$occurredAt", start] } : true;
+  const columns = Object.fromEntries(
+    Object.entries(LEDGER_COLUMNS).map(([field, { types, sign }]) => [
+      field,
+      {
+        $sum: {
+          $cond: [
+            { $and: [inPeriod, { $in: ["$movementType", types] }] },
+            { $multiply: ["$quantity", sign] },
+            0,
+          ],
+        },
+      },
+    ])
+  );
+
+  const pageStages =
+    limit == null ? [] : [{ $skip: (page - 1) * limit }, { $limit: limit }];
+
+  const [result] = await StockMovement.aggregate([
+    { $match },
+    ...union,
+    {
+      $group: {
+        _id: "$productId",
+        openingStock: { $sum: { $cond: [inPeriod, 0, "$quantity"] } },
+        ...columns,
+      },
+    },
+    {
+      $set: {
+        closingStock: {
+          $subtract: [
+            {
+              $add: [
+                "$openingStock",
+                "$totalInbound",
+                "$totalDepartmentReturn",
+                "$totalAdjustment",
+              ],
+            },
+            "$totalOutbound",
+          ],
+        },
+      },
+    },
+    // Bỏ sản phẩm không tồn, không phát sinh trong kỳ
+    {
+      $match: {
+        $or: [
+          { openingStock: { $gt: 0 } },
+          { totalInbound: { $gt: 0 } },
+          { totalOutbound: { $gt: 0 } },
+          { totalAdjustment: { $ne: 0 } },
+          { totalDepartmentReturn: { $gt: 0 } },
+          { closingStock: { $gt: 0 } },
+        ],
+      },
+    },
+    {
+      $lookup: {
+        from: "products",
+        localField: "_id",
+        foreignField: "_id",
+        pipeline: [
+          { $project: { sku: 1, name: 1, unit: 1, unitConversions: 1 } },
+        ],
+        as: "product",
+      },
+    },
+    { $unwind: "$product" },
+    { $sort: { "product.name": 1, _id: 1 } },
+    {
+      $facet: {
+        products: [
+          ...pageStages,
+          {
+            $project: {
+              _id: 0,
+              productId: "$_id",
+              sku: "$product.sku",
+              productName: "$product.name",
+              unit: "$product.unit",
+              unitConversions: "$product.unitConversions",
+              openingStock: 1,
+              totalInbound: 1,
+              totalOutbound: 1,
+              totalAdjustment: 1,
+              totalDepartmentReturn: 1,
+              closingStock: 1,
+            },
+          },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const products = result?.products || [];
+  await attachPackaging(products, { closingStock: "closingStockPackaging" });
+
+  return {
+    products,
+    total: result?.total[0]?.count || 0,
+  };
+}
@@ -0,0 +1,342 @@
+import mongoose from "mongoose";
+import {
+  Stocktake,
+  InventoryLot,
+  Product,
+  Warehouse,
+  Category,
+} from "../models/index.js";
+import { httpError } from "../utils/httpError.js";
+import { nextCode } from "../utils/codegen.js";
+import { postAdjustment } from "./transaction.service.js";
+
+const SESSION_POPULATE = [
+  { path: "warehouseId", select: "code name" },
+  { path: "categoryId", select: "code name" },
+  { path: "createdBy", select: "username fullName" },
+  { path: "approvedBy", select: "username fullName" },
+];
+
+function assertValidId(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError("ID phiên kiểm kê không hợp lệ", 400);
+  }
+}
+
+async function findStocktakeOrThrow(id, session = null) {
+  assertValidId(id);
+  const stocktake = await Stocktake.findById(id).session(session);
+  if (!stocktake) throw httpError("Không tìm thấy phiên kiểm kê", 404);
+  return stocktake;
+}
+
+async function findPopulatedOrThrow(id) {
+  assertValidId(id);
+  const stocktake = await Stocktake.findById(id)
+    .populate(SESSION_POPULATE)
+    .populate({ path: "lines.productId", select: "sku name unit" })
+    .populate({ path: "lines.countedBy", select: "username fullName" })
+    .lean();
+  if (!stocktake) throw httpError("Không tìm thấy phiên kiểm kê", 404);
+  return stocktake;
+}
+
+/**
+ * Mở phiên kiểm kê cho một kho (tùy chọn lọc theo danh mục).
+ * Số lượng sổ sách của từng lô được chụp lại tại thời điểm mở.
+ * @param {*} payload { warehouseId, categoryId?, notes? }
+ * @param {*} actor {userId}
+ */
+export async function openStocktake(payload, actor) {
+  const warehouse = await Warehouse.findById(payload.warehouseId).lean();
+  if (!warehouse) throw httpError("Kho không tồn tại", 404);
+
+  const running = await Stocktake.exists({
+    warehouseId: warehouse._id,
+    status: "counting",
+  });
+  if (running) {
+    throw httpError("Kho đang có phiên kiểm kê chưa hoàn tất", 409);
+  }
+
+  const lotFilter = { warehouseId: warehouse._id, quantity: { $gt: 0 } };
+  if (payload.categoryId) {
+    const category = await Category.findById(payload.categoryId).lean();
+    if (!category) throw httpError("Danh mục không tồn tại", 404);
+    const productIds = await Product.find({
+      categoryId: category._id,
+    }).distinct("_id");
+    lotFilter.productId = { $in: productIds };
+  }
+
+  const lots = await InventoryLot.find(lotFilter)
+    .sort({ productId: 1, expiryDate: 1 })
+    .lean();
+  if (lots.length === 0) {
+    throw httpError("Không có lô hàng nào để kiểm kê", 400);
+  }
+
+  return Stocktake.create({
+    code: await nextCode("KK", 5),
+    warehouseId: warehouse._id,
+    categoryId: payload.categoryId || undefined,
+    notes: payload.notes || "",
+    createdBy: actor?.userId,
+    lines: lots.map((lot) => ({
+      inventoryLotId: lot._id,
+      productId: lot.productId,
+      lotNumber: lot.lotNumber,
+      expiryDate: lot.expiryDate,
+      unitCost: lot.unitCost,
+      expectedQty: lot.quantity,
+    })),
+  });
+}
+
+/**
+ * Ghi nhận số lượng đếm thực tế. Nhiều người có thể gửi song song:
+ * mỗi dòng được cập nhật nguyên tử theo inventoryLotId.
+ * @param {String} id stocktake id
+ * @param {Array<{inventoryLotId, countedQty, note?}>} counts
+ * @param {*} actor {userId}
+ */
+export async function submitCounts(id, counts, actor) {
+  const stocktake = await findStocktakeOrThrow(id);
+  if (stocktake.status !== "counting") {
+    throw httpError("Phiên kiểm kê đã đóng, không thể cập nhật số đếm", 400);
+  }
+
+  const lotIds = new Set(stocktake.lines.map((l) => String(l.inventoryLotId)));
+  const unknown = counts.filter((c) => !lotIds.has(String(c.inventoryLotId)));
+  if (unknown.length > 0) {
+    throw httpError(
+      `Lô không thuộc phiên kiểm kê: ${unknown
+        .map((c) => c.inventoryLotId)
+        .join(", ")}`,
+      400
+    );
+  }
+
+  const now = new Date();
+  await Stocktake.bulkWrite(
+    counts.map((c) => ({
+      updateOne: {
+        filter: { _id: stocktake._id, status: "counting" },
+        update: {
+          $set: {
+            "lines.$[line].countedQty": c.countedQty,
+            "lines.$[line].countedBy": actor?.userId,
+            "lines.$[line].countedAt": now,
+            "lines.$[line].note": c.note || "",
+          },
+        },
+        arrayFilters: [
+          {
+            "line.inventoryLotId": new mongoose.Types.ObjectId(
+              c.inventoryLotId
+            ),
+          },
+        ],
+      },
+    }))
+  );
+
+  return getStocktakeById(id);
+}
+
+/**
+ * Tồn hiện tại của các lô trong phiên, đọc trong session
+ * @returns {Promise<Map<String, Number>>} inventoryLotId -> quantity
+ */
+async function liveLotQuantities(lines, session = null) {
+  const lots = await InventoryLot.find({
+    _id: { $in: lines.map((l) => l.inventoryLotId) },
+  })
+    .select("quantity")
+    .session(session)
+    .lean();
+  return new Map(lots.map((lot) => [String(lot._id), lot.quantity]));
+}
+
+/**
+ * Báo cáo chênh lệch: đếm thực tế - sổ sách. Phiên đang đếm so với tồn hiện tại
+ * của lô (xuất/nhập/chuyển trong lúc đếm không bị tính hai lần), phiên đã duyệt
+ * so với tồn lúc duyệt (bookQty)
+ * @param {String} id stocktake id
+ * @param {*} options { onlyDiff? }
+ */
+export async function getVarianceReport(id, { onlyDiff = false } = {}) {
+  const stocktake = await findPopulatedOrThrow(id);
+  const live =
+    stocktake.status === "counting"
+      ? await liveLotQuantities(stocktake.lines)
+      : null;
+
+  const summary = {
+    totalLines: stocktake.lines.length,
+    countedLines: 0,
+    uncountedLines: 0,
+    surplusQty: 0,
+    shortageQty: 0,
+    varianceValue: 0,
+  };
+
+  const lines = [];
+  for (const line of stocktake.lines) {
+    const bookQty = live
+      ? (live.get(String(line.inventoryLotId)) ?? 0)
+      : (line.bookQty ?? line.expectedQty);
+    const counted = line.countedQty !== null && line.countedQty !== undefined;
+    const variance = counted ? line.countedQty - bookQty : null;
+
+    if (counted) {
+      summary.countedLines += 1;
+      if (variance > 0) summary.surplusQty += variance;
+      if (variance < 0) summary.shortageQty += -variance;
+      summary.varianceValue += variance * line.unitCost;
+    } else {
+      summary.uncountedLines += 1;
+    }
+
+    if (onlyDiff && !variance) continue;
+    lines.push({
+      ...line,
+      bookQty,
+      variance,
+      varianceValue: counted ? variance * line.unitCost : null,
+    });
+  }
+
+  const { lines: _omit, ...header } = stocktake;
+  return { header, summary, lines };
+}
+
+/**
+ * Duyệt phiên kiểm kê: ghi các chênh lệch thành một phiếu ADJUSTMENT (COUNT_VARIANCE).
+ * Chênh lệch = số đếm - tồn của lô đọc trong session duyệt, để các phát sinh
+ * trong lúc đếm không bị trừ thêm lần nữa.
+ * @param {String} id stocktake id
+ * @param {*} actor {userId}
+ */
+export async function approveStocktake(id, actor) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const stocktake = await findStocktakeOrThrow(id, session);
+    if (stocktake.status !== "counting") {
+      throw httpError("Chỉ có thể duyệt phiên kiểm kê đang đếm", 400);
+    }
+
+    const uncounted = stocktake.lines.filter(
+      (l) => l.countedQty === null || l.countedQty === undefined
+    );
+    if (uncounted.length > 0) {
+      throw httpError(
+        `Còn ${uncounted.length} lô chưa được đếm: ${uncounted
+          .map((l) => l.lotNumber)
+          .join(", ")}`,
+        400
+      );
+    }
+
+    const live = await liveLotQuantities(stocktake.lines, session);
+    for (const line of stocktake.lines) {
+      line.bookQty = live.get(String(line.inventoryLotId)) ?? 0;
+    }
+    const details = stocktake.lines
+      .filter((l) => l.countedQty !== l.bookQty)
+      .map((l) => ({
+        inventoryLotId: l.inventoryLotId,
+        quantity: l.countedQty - l.bookQty,
+      }));
+
+    if (details.length > 0) {
+      const { transaction } = await postAdjustment(
+        {
+          warehouseId: stocktake.warehouseId,
+          reasonCode: "COUNT_VARIANCE",
+          referenceCode: stocktake.code,
+          notes: `Kiểm kê ${stocktake.code}`,
+          details,
+        },
+        actor,
+        session
+      );
+      stocktake.adjustmentTransactionId = transaction._id;
+    }
+
+    stocktake.status = "approved";
+    stocktake.approvedBy = actor?.userId;
+    stocktake.approvedAt = new Date();
+    await stocktake.save({ session });
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return stocktake;
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * Hủy phiên kiểm kê đang đếm (không phát sinh điều chỉnh)
+ * @param {String} id stocktake id
+ * @param {*} actor {userId}
+ */
+export async function cancelStocktake(id, actor) {
+  const stocktake = await findStocktakeOrThrow(id);
+  if (stocktake.status !== "counting") {
+    throw httpError("Chỉ có thể hủy phiên kiểm kê đang đếm", 400);
+  }
+
+  stocktake.status = "cancelled";
+  stocktake.cancelledBy = actor?.userId;
+  stocktake.cancelledAt = new Date();
+  await stocktake.save();
+  return stocktake;
+}
+
+/**
+ * Danh sách phiên kiểm kê (không kèm lines)
+ */
+export async function getStocktakes(filters = {}) {
+  const { status, warehouseId, page = 1, limit = 10 } = filters;
+
+  const query = {};
+  if (status) query.status = status;
+  if (warehouseId && mongoose.isValidObjectId(warehouseId)) {
+    query.warehouseId = warehouseId;
+  }
+
+  const [items, total] = await Promise.all([
+    Stocktake.find(query)
+      .select("-lines")
+      .populate(SESSION_POPULATE)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Stocktake.countDocuments(query),
+  ]);
+
+  return {
+    stocktakes: items,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Chi tiết phiên kiểm kê kèm các dòng lô
+ */
+export async function getStocktakeById(id) {
+  return findPopulatedOrThrow(id);
+}
@@ -41,7 +41,9 @@ export async function getInboundTransactionById(id) {
   const tx = await Transaction.findOne({ _id: id, type: "INBOUND" })
     .populate({ path: "destinationWarehouseId", select: "code name address" })
     .populate({ path: "supplierId", select: "code name status" })
+    .populate({ path: "purchaseOrderId", select: "code status" })
     .populate({ path: "userId", select: "username fullName" })
+    .populate({ path: "cancelledBy", select: "username fullName" })
     .lean();
 
   if (!tx) {
@@ -328,3 +330,600 @@ export async function getOutboundTransactionById(id) {
 
   return { header: tx, details };
 }
+
+/**
+ * Get list of TRANSFER transactions with filters and pagination
+ */
+export async function getTransferTransactions(filters = {}) {
+  const {
+    search = "",
+    fromDate,
+    toDate,
+    page = 1,
+    limit = 10,
+    lotNumber,
+    warehouseId,
+  } = filters;
+
+  const query = { type: "TRANSFER" };
+  const searchConditions = [];
+
+  // --- 1. XỬ LÝ TÌM KIẾM CHUNG ---
+  if (search && search.trim()) {
+    const searchTrim = search.trim();
+    if (mongoose.isValidObjectId(searchTrim)) {
+      searchConditions.push({ _id: searchTrim });
+    }
+    searchConditions.push({
+      referenceCode: { $regex: searchTrim, $options: "i" },
+    });
+
+    const txIdsByLot = await findTransactionIdsByLotNumber(searchTrim);
+    if (txIdsByLot.length > 0) {
+      searchConditions.push({ _id: { $in: txIdsByLot } });
+    }
+
+    query.$or = searchConditions;
+  }
+
+  // --- 2. LỌC THEO LOT ---
+  if (lotNumber && lotNumber.trim()) {
+    const txIds = await findTransactionIdsByLotNumber(lotNumber.trim());
+    if (txIds.length > 0) {
+      if (!query.$and) query.$and = [];
+      query.$and.push({ _id: { $in: txIds } });
+    } else {
+      return {
+        transactions: [],
+        pagination: { page, limit, total: 0, totalPages: 0 },
+      };
+    }
+  }
+
+  // --- 3. LỌC THEO KHO (nguồn hoặc đích) ---
+  if (warehouseId && mongoose.isValidObjectId(warehouseId)) {
+    if (!query.$and) query.$and = [];
+    query.$and.push({
+      $or: [
+        { sourceWarehouseId: warehouseId },
+        { destinationWarehouseId: warehouseId },
+      ],
+    });
+  }
+
+  // --- 4. FILTER DATE ---
+  if (fromDate || toDate) {
+    query.transactionDate = {};
+    if (fromDate) {
+      query.transactionDate.$gte = new Date(fromDate);
+    }
+    if (toDate) {
+      query.transactionDate.$lte = new Date(toDate);
+    }
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [transactions, total] = await Promise.all([
+    Transaction.find(query)
+      .populate({ path: "sourceWarehouseId", select: "code name address" })
+      .populate({ path: "destinationWarehouseId", select: "code name address" })
+      .populate({ path: "userId", select: "username fullName" })
+      .sort({ transactionDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Transaction.countDocuments(query),
+  ]);
+
+  // --- 5. GẮN LOT NUMBERS VÀO KẾT QUẢ ---
+  const txIds = transactions.map((tx) => tx._id);
+  const details = await TransactionDetail.find({
+    transactionId: { $in: txIds },
+  })
+    .populate({ path: "inventoryLotId", select: "lotNumber" })
+    .select("transactionId inventoryLotId")
+    .lean();
+
+  const lotMap = {};
+  details.forEach((d) => {
+    const txId = String(d.transactionId);
+    if (!lotMap[txId]) lotMap[txId] = [];
+    const lotNum = d.inventoryLotId?.lotNumber;
+    if (lotNum && !lotMap[txId].includes(lotNum)) {
+      lotMap[txId].push(lotNum);
+    }
+  });
+
+  const transactionsWithLots = transactions.map((tx) => ({
+    ...tx,
+    lotNumbers: lotMap[String(tx._id)] || [],
+  }));
+
+  return {
+    transactions: transactionsWithLots,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get TRANSFER transaction by ID with details (lô nguồn + lô đích)
+ */
+export async function getTransferTransactionById(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    const err = new Error("Invalid id");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const tx = await Transaction.findOne({ _id: id, type: "TRANSFER" })
+    .populate({ path: "sourceWarehouseId", select: "code name address" })
+    .populate({ path: "destinationWarehouseId", select: "code name address" })
+    .populate({ path: "userId", select: "username fullName" })
+    .lean();
+
+  if (!tx) {
+    const err = new Error("Transaction not found");
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const details = await TransactionDetail.find({ transactionId: id })
+    .populate({ path: "productId", select: "sku name unit" })
+    .populate({
+      path: "inventoryLotId",
+      select: "lotNumber expiryDate quantity unitCost warehouseId",
+    })
+    .populate({
+      path: "destinationInventoryLotId",
+      select: "lotNumber expiryDate quantity unitCost warehouseId",
+    })
+    .lean();
+
+  return { header: tx, details };
+}
+
+/**
+ * Get list of ADJUSTMENT transactions with filters and pagination
+ */
+export async function getAdjustmentTransactions(filters = {}) {
+  const {
+    search = "",
+    fromDate,
+    toDate,
+    page = 1,
+    limit = 10,
+    lotNumber,
+    warehouseId,
+    reasonCode,
+  } = filters;
+
+  const query = { type: "ADJUSTMENT" };
+  const searchConditions = [];
+
+  // --- 1. XỬ LÝ TÌM KIẾM CHUNG ---
+  if (search && search.trim()) {
+    const searchTrim = search.trim();
+    if (mongoose.isValidObjectId(searchTrim)) {
+      searchConditions.push({ _id: searchTrim });
+    }
+    searchConditions.push({
+      referenceCode: { $regex: searchTrim, $options: "i" },
+    });
+    searchConditions.push({ notes: { $regex: searchTrim, $options: "i" } });
+
+    const txIdsByLot = await findTransactionIdsByLotNumber(searchTrim);
+    if (txIdsByLot.length > 0) {
+      searchConditions.push({ _id: { $in: txIdsByLot } });
+    }
+
+    query.$or = searchConditions;
+  }
+
+  // --- 2. LỌC THEO LOT ---
+  if (lotNumber && lotNumber.trim()) {
+    const txIds = await findTransactionIdsByLotNumber(lotNumber.trim());
+    if (txIds.length > 0) {
+      if (!query.$and) query.$and = [];
+      query.$and.push({ _id: { $in: txIds } });
+    } else {
+      return {
+        transactions: [],
+        pagination: { page, limit, total: 0, totalPages: 0 },
+      };
+    }
+  }
+
+  // --- 3. LỌC THEO KHO / LÝ DO ---
+  if (warehouseId && mongoose.isValidObjectId(warehouseId)) {
+    query.sourceWarehouseId = warehouseId;
+  }
+  if (reasonCode) {
+    query.reasonCode = reasonCode;
+  }
+
+  // --- 4. FILTER DATE ---
+  if (fromDate || toDate) {
+    query.transactionDate = {};
+    if (fromDate) {
+      query.transactionDate.$gte = new Date(fromDate);
+    }
+    if (toDate) {
+      query.transactionDate.$lte = new Date(toDate);
+    }
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [transactions, total] = await Promise.all([
+    Transaction.find(query)
+      .populate({ path: "sourceWarehouseId", select: "code name address" })
+      .populate({ path: "userId", select: "username fullName" })
+      .sort({ transactionDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Transaction.countDocuments(query),
+  ]);
+
+  // --- 5. GẮN LOT NUMBERS + TỔNG TĂNG/GIẢM VÀO KẾT QUẢ ---
+  const txIds = transactions.map((tx) => tx._id);
+  const details = await TransactionDetail.find({
+    transactionId: { $in: txIds },
+  })
+    .populate({ path: "inventoryLotId", select: "lotNumber" })
+    .select("transactionId inventoryLotId quantity")
+    .lean();
+
+  const summaryMap = {};
+  details.forEach((d) => {
+    const txId = String(d.transactionId);
+    if (!summaryMap[txId]) {
+      summaryMap[txId] = { lotNumbers: [], increase: 0, decrease: 0 };
+    }
+    const summary = summaryMap[txId];
+    const lotNum = d.inventoryLotId?.lotNumber;
+    if (lotNum && !summary.lotNumbers.includes(lotNum)) {
+      summary.lotNumbers.push(lotNum);
+    }
+    if (d.quantity > 0) summary.increase += d.quantity;
+    else summary.decrease += -d.quantity;
+  });
+
+  const transactionsWithLots = transactions.map((tx) => ({
+    ...tx,
+    ...(summaryMap[String(tx._id)] || {
+      lotNumbers: [],
+      increase: 0,
+      decrease: 0,
+    }),
+  }));
+
+  return {
+    transactions: transactionsWithLots,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get ADJUSTMENT transaction by ID with details
+ */
+export async function getAdjustmentTransactionById(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    const err = new Error("Invalid id");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const tx = await Transaction.findOne({ _id: id, type: "ADJUSTMENT" })
+    .populate({ path: "sourceWarehouseId", select: "code name address" })
+    .populate({ path: "userId", select: "username fullName" })
+    .lean();
+
+  if (!tx) {
+    const err = new Error("Transaction not found");
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const details = await TransactionDetail.find({ transactionId: id })
+    .populate({ path: "productId", select: "sku name unit" })
+    .populate({
+      path: "inventoryLotId",
+      select: "lotNumber expiryDate quantity unitCost warehouseId",
+    })
+    .lean();
+
+  return { header: tx, details };
+}
+
+/**
+ * Get list of SUPPLIER_RETURN transactions with filters and pagination
+ */
+export async function getSupplierReturnTransactions(filters = {}) {
+  const {
+    search = "",
+    fromDate,
+    toDate,
+    page = 1,
+    limit = 10,
+    lotNumber,
+    warehouseId,
+    supplierId,
+    returnReason,
+  } = filters;
+
+  const query = { type: "SUPPLIER_RETURN" };
+  const searchConditions = [];
+
+  // --- 1. XỬ LÝ TÌM KIẾM CHUNG ---
+  if (search && search.trim()) {
+    const searchTrim = search.trim();
+    if (mongoose.isValidObjectId(searchTrim)) {
+      searchConditions.push({ _id: searchTrim });
+    }
+    searchConditions.push({
+      referenceCode: { $regex: searchTrim, $options: "i" },
+    });
+    searchConditions.push({
+      creditNoteNumber: { $regex: searchTrim, $options: "i" },
+    });
+
+    const txIdsByLot = await findTransactionIdsByLotNumber(searchTrim);
+    if (txIdsByLot.length > 0) {
+      searchConditions.push({ _id: { $in: txIdsByLot } });
+    }
+
+    query.$or = searchConditions;
+  }
+
+  // --- 2. LỌC THEO LOT ---
+  if (lotNumber && lotNumber.trim()) {
+    const txIds = await findTransactionIdsByLotNumber(lotNumber.trim());
+    if (txIds.length > 0) {
+      if (!query.$and) query.$and = [];
+      query.$and.push({ _id: { $in: txIds } });
+    } else {
+      return {
+        transactions: [],
+        pagination: { page, limit, total: 0, totalPages: 0 },
+      };
+    }
+  }
+
+  // --- 3. LỌC THEO KHO / NHÀ CUNG CẤP / LÝ DO ---
+  if (warehouseId && mongoose.isValidObjectId(warehouseId)) {
+    query.sourceWarehouseId = warehouseId;
+  }
+  if (supplierId && mongoose.isValidObjectId(supplierId)) {
+    query.supplierId = supplierId;
+  }
+  if (returnReason) {
+    query.returnReason = returnReason;
+  }
+
+  // --- 4. FILTER DATE ---
+  if (fromDate || toDate) {
+    query.transactionDate = {};
+    if (fromDate) {
+      query.transactionDate.$gte = new Date(fromDate);
+    }
+    if (toDate) {
+      query.transactionDate.$lte = new Date(toDate);
+    }
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [transactions, total] = await Promise.all([
+    Transaction.find(query)
+      .populate({ path: "sourceWarehouseId", select: "code name address" })
+      .populate({ path: "supplierId", select: "code name status" })
+      .populate({ path: "userId", select: "username fullName" })
+      .sort({ transactionDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Transaction.countDocuments(query),
+  ]);
+
+  // --- 5. GẮN LOT NUMBERS VÀO KẾT QUẢ ---
+  const txIds = transactions.map((tx) => tx._id);
+  const details = await TransactionDetail.find({
+    transactionId: { $in: txIds },
+  })
+    .populate({ path: "inventoryLotId", select: "lotNumber" })
+    .select("transactionId inventoryLotId")
+    .lean();
+
+  const lotMap = {};
+  details.forEach((d) => {
+    const txId = String(d.transactionId);
+    if (!lotMap[txId]) lotMap[txId] = [];
+    const lotNum = d.inventoryLotId?.lotNumber;
+    if (lotNum && !lotMap[txId].includes(lotNum)) {
+      lotMap[txId].push(lotNum);
+    }
+  });
+
+  const transactionsWithLots = transactions.map((tx) => ({
+    ...tx,
+    lotNumbers: lotMap[String(tx._id)] || [],
+  }));
+
+  return {
+    transactions: transactionsWithLots,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get SUPPLIER_RETURN transaction by ID with details and original inbound
+ */
+export async function getSupplierReturnTransactionById(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    const err = new Error("Invalid id");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const tx = await Transaction.findOne({ _id: id, type: "SUPPLIER_RETURN" })
+    .populate({ path: "sourceWarehouseId", select: "code name address" })
+    .populate({ path: "supplierId", select: "code name status" })
+    .populate({
+      path: "relatedTransactionId",
+      select: "referenceCode transactionDate status",
+    })
+    .populate({ path: "userId", select: "username fullName" })
+    .lean();
+
+  if (!tx) {
+    const err = new Error("Transaction not found");
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const details = await TransactionDetail.find({ transactionId: id })
+    .populate({ path: "productId", select: "sku name unit" })
+    .populate({
+      path: "inventoryLotId",
+      select: "lotNumber expiryDate quantity unitCost",
+    })
+    .lean();
+
+  return { header: tx, details };
+}
+
+/**
+ * Get DEPARTMENT_RETURN transactions (khoa/phòng hoàn trả) with filters
+ * @param {*} filters { search?, fromDate?, toDate?, page?, limit?, lotNumber?, warehouseId?, departmentId? }
+ */
+export async function getDepartmentReturnTransactions(filters = {}) {
+  const {
+    search = "",
+    fromDate,
+    toDate,
+    page = 1,
+    limit = 10,
+    lotNumber,
+    warehouseId,
+    departmentId,
+  } = filters;
+
+  const query = { type: "DEPARTMENT_RETURN" };
+
+  if (search && search.trim()) {
+    const searchTrim = search.trim();
+    const searchConditions = [
+      { referenceCode: { $regex: searchTrim, $options: "i" } },
+    ];
+    if (mongoose.isValidObjectId(searchTrim)) {
+      searchConditions.push({ _id: searchTrim });
+    }
+    const txIdsByLot = await findTransactionIdsByLotNumber(searchTrim);
+    if (txIdsByLot.length > 0) {
+      searchConditions.push({ _id: { $in: txIdsByLot } });
+    }
+    query.$or = searchConditions;
+  }
+
+  if (lotNumber && lotNumber.trim()) {
+    const txIds = await findTransactionIdsByLotNumber(lotNumber.trim());
+    if (txIds.length === 0) {
+      return {
+        transactions: [],
+        pagination: { page, limit, total: 0, totalPages: 0 },
+      };
+    }
+    query.$and = [{ _id: { $in: txIds } }];
+  }
+
+  if (warehouseId && mongoose.isValidObjectId(warehouseId)) {
+    query.destinationWarehouseId = warehouseId;
+  }
+  if (departmentId && mongoose.isValidObjectId(departmentId)) {
+    query.departmentId = departmentId;
+  }
+
+  if (fromDate || toDate) {
+    query.transactionDate = {};
+    if (fromDate) query.transactionDate.$gte = new Date(fromDate);
+    if (toDate) query.transactionDate.$lte = new Date(toDate);
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [transactions, total] = await Promise.all([
+    Transaction.find(query)
+      .populate({ path: "destinationWarehouseId", select: "code name address" })
+      .populate({ path: "departmentId", select: "code name" })
+      .populate({ path: "userId", select: "username fullName" })
+      .sort({ transactionDate: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean(),
+    Transaction.countDocuments(query),
+  ]);
+
+  return {
+    transactions,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+    },
+  };
+}
+
+/**
+ * Get DEPARTMENT_RETURN transaction by ID with details and original issue
+ */
+export async function getDepartmentReturnTransactionById(id) {
+  if (!mongoose.isValidObjectId(id)) {
+    const err = new Error("Invalid id");
+    err.statusCode = 400;
+    throw err;
+  }
+
+  const tx = await Transaction.findOne({ _id: id, type: "DEPARTMENT_RETURN" })
+    .populate({ path: "destinationWarehouseId", select: "code name address" })
+    .populate({ path: "departmentId", select: "code name" })
+    .populate({
+      path: "inventoryIssueId",
+      select: "issueCode issueDate department status",
+    })
+    .populate({ path: "userId", select: "username fullName" })
+    .lean();
+
+  if (!tx) {
+    const err = new Error("Transaction not found");
+    err.statusCode = 404;
+    throw err;
+  }
+
+  const details = await TransactionDetail.find({ transactionId: id })
+    .populate({ path: "productId", select: "sku name unit" })
+    .populate({
+      path: "inventoryLotId",
+      select: "lotNumber expiryDate quantity unitCost warehouseId",
+    })
+    .lean();
+
+  return { header: tx, details };
+}
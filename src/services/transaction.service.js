@@ -8,7 +8,13 @@ import {
   Supplier,
   Warehouse,
   ProductSupplier,
+  StockReservation,
+  PurchaseOrder,
+  StockMovement,
 } from "../models/index.js";
+import { httpError } from "../utils/httpError.js";
+import { toBaseUnits } from "./unitOfMeasure.service.js";
+import { applyScanToLine } from "./barcode.service.js";
 
 function autoLotNumber() {
   const d = new Date();
@@ -19,7 +25,65 @@ function autoLotNumber() {
 }
 
 /**
- * Create INBOUND transaction (nhập kho) + update InventoryLot + Product
+ * Đơn đặt hàng đang chờ nhận hàng, cùng nhà cung cấp và kho với phiếu nhập
+ */
+async function findReceivablePurchaseOrder(payload, session) {
+  if (!mongoose.isValidObjectId(payload.purchaseOrderId)) {
+    throw httpError("Invalid purchaseOrderId");
+  }
+  const po = await PurchaseOrder.findById(payload.purchaseOrderId).session(
+    session
+  );
+  if (!po) throw httpError("Purchase order not found", 404);
+  if (!["sent", "partially_received"].includes(po.status)) {
+    throw httpError(`Purchase order is ${po.status}, cannot receive`);
+  }
+  if (String(po.supplierId) !== String(payload.supplierId)) {
+    throw httpError("supplierId does not match the purchase order");
+  }
+  if (String(po.warehouseId) !== String(payload.warehouseId)) {
+    throw httpError("warehouseId does not match the purchase order");
+  }
+  return po;
+}
+
+/**
+ * Dòng đơn đặt hàng cho một dòng nhập: theo purchaseOrderLineId,
+ * hoặc dòng duy nhất của đơn có cùng productId
+ */
+function matchPurchaseOrderLine(po, row) {
+  if (row.purchaseOrderLineId) {
+    const line = po.lines.id(row.purchaseOrderLineId);
+    if (!line) {
+      throw httpError(
+        `Purchase order line ${row.purchaseOrderLineId} not found`
+      );
+    }
+    if (row.productId && String(row.productId) !== String(line.productId)) {
+      throw httpError(
+        `productId does not match purchase order line ${line._id}`
+      );
+    }
+    return line;
+  }
+
+  const candidates = po.lines.filter(
+    (l) => row.productId && String(l.productId) === String(row.productId)
+  );
+  if (candidates.length !== 1) {
+    throw httpError(
+      candidates.length === 0
+        ? `Product ${row.productId || row.productName} is not on purchase order ${po.code}`
+        : `Product ${row.productId} has several lines on ${po.code}, purchaseOrderLineId is required`
+    );
+  }
+  return candidates[0];
+}
+
+/**
+ * Create INBOUND transaction (nhập kho) + update InventoryLot + Product.
+ * Có purchaseOrderId: mỗi dòng nhập gắn với một dòng đơn đặt hàng, cộng receivedQty
+ * và trả về các chênh lệch (nhận dư, lệch giá so với giá đã thỏa thuận).
  * @param {*} payload validated body
  * @param {*} actor {userId}
  */
@@ -28,31 +92,32 @@ export async function createInboundTransaction(payload, actor) {
   session.startTransaction();
 
   try {
-    let wh = null;
-    if (payload.warehouseId) {
-      wh = await Warehouse.findById(payload.warehouseId).session(session);
-    } else {
-      wh = await Warehouse.findOne().session(session);
-    }
-
-    if (!wh)
-      throw new Error("No warehouse found (system must have at least one)");
+    const wh = await Warehouse.findById(payload.warehouseId).session(session);
+    if (!wh) throw new Error("warehouseId not found");
 
     const sup = await Supplier.findById(payload.supplierId).session(session);
     if (!sup) throw new Error("supplierId not found");
 
+    const po = payload.purchaseOrderId
+      ? await findReceivablePurchaseOrder(payload, session)
+      : null;
+    if (!po && payload.details.some((d) => d.purchaseOrderLineId)) {
+      throw httpError("purchaseOrderId is required with purchaseOrderLineId");
+    }
+
     const txDoc = await Transaction.create(
       [
         {
           type: "INBOUND",
           status: "COMPLETED",
-          referenceCode: undefined,
+          referenceCode: po?.code,
+          purchaseOrderId: po?._id,
           notes: payload.notes || "",
           transactionDate: payload.transactionDate || new Date(),
 
           userId: actor?.userId || null,
           supplierId: payload.supplierId,
-          destinationWarehouseId: wh._id, // luôn dùng kho duy nhất
+          destinationWarehouseId: wh._id,
 
           departmentId: null,
           sourceWarehouseId: null,
@@ -64,10 +129,19 @@ export async function createInboundTransaction(payload, actor) {
 
     const tx = txDoc[0];
     const detailDocs = [];
+    const discrepancies = [];
 
     for (const row of payload.details) {
       let prod = null;
 
+      // Dòng quét mã (GS1 DataMatrix/EAN): sản phẩm, số lô, hạn dùng lấy từ mã
+      const scan = row.barcode
+        ? await applyScanToLine(row, session, { allowNewProduct: true })
+        : null;
+
+      const poLine = po ? matchPurchaseOrderLine(po, row) : null;
+      if (poLine && !row.productId) row.productId = poLine.productId;
+
       // Nếu có productId thì tìm
       if (row.productId) {
         prod = await Product.findById(row.productId).session(session);
@@ -88,7 +162,6 @@ export async function createInboundTransaction(payload, actor) {
               sku: row.sku || `SKU-${Date.now()}`,
               unit: row.unit || "unit",
               description: (row.description && row.description.trim()) || "",
-              currentStock: row.quantity,
               categoryId: row.categoryId || null,
               isActive: true,
             },
@@ -97,18 +170,25 @@ export async function createInboundTransaction(payload, actor) {
         );
 
         prod = prod[0];
-      } else {
-        // Nếu có rồi: cộng thêm tồn kho và cập nhật description nếu có
-        prod.currentStock = (prod.currentStock ?? 0) + row.quantity;
-        
-        // Cập nhật description nếu được cung cấp
-        if (row.description && row.description.trim()) {
-          prod.description = row.description.trim();
-        }
-        
+      } else if (row.description && row.description.trim()) {
+        // Nếu có rồi: cập nhật description nếu được cung cấp
+        prod.description = row.description.trim();
         await prod.save({ session });
       }
 
+      // GTIN quét được chưa gán sản phẩm nào: gán cho sản phẩm của dòng
+      if (scan?.gtin && !scan.knownBarcode) {
+        prod.barcodes.push(scan.barcode);
+        await prod.save({ session });
+      }
+
+      // Số lượng/đơn giá theo đơn vị cơ sở (dòng có thể nhập theo hộp/vỉ...)
+      const { quantity, unitPrice, uom } = await toBaseUnits(
+        prod,
+        row,
+        session
+      );
+
       const lotNumber = row.lotNumber?.trim()
         ? row.lotNumber.trim()
         : autoLotNumber();
@@ -127,11 +207,11 @@ export async function createInboundTransaction(payload, actor) {
           lotNumber,
           expiryDate: row.expiryDate || null,
           quantity: 0,
-          unitCost: row.unitPrice ?? 0,
+          unitCost: unitPrice ?? 0,
         });
       }
 
-      lot.quantity += row.quantity;
+      lot.quantity += quantity;
       await lot.save({ session });
 
       // Lưu ProductSupplier nếu chưa tồn tại
@@ -157,12 +237,878 @@ export async function createInboundTransaction(payload, actor) {
         transactionId: tx._id,
         productId: prod._id,
         inventoryLotId: lot._id,
+        quantity,
+        unitPrice,
+        ...(uom ? { uom } : {}),
+        ...(poLine
+          ? {
+              purchaseOrderLineId: poLine._id,
+              agreedUnitPrice: poLine.unitPrice,
+            }
+          : {}),
+      });
+
+      if (poLine) {
+        const outstanding = Math.max(poLine.orderedQty - poLine.receivedQty, 0);
+        poLine.receivedQty += quantity;
+        if (quantity > outstanding) {
+          discrepancies.push({
+            type: "OVER_RECEIPT",
+            productId: prod._id,
+            purchaseOrderLineId: poLine._id,
+            orderedQty: poLine.orderedQty,
+            receivedQty: poLine.receivedQty,
+            overQty: quantity - outstanding,
+          });
+        }
+        if (unitPrice !== poLine.unitPrice) {
+          discrepancies.push({
+            type: "PRICE_MISMATCH",
+            productId: prod._id,
+            purchaseOrderLineId: poLine._id,
+            agreedUnitPrice: poLine.unitPrice,
+            unitPrice,
+          });
+        }
+      }
+    }
+
+    await TransactionDetail.insertMany(detailDocs, { session });
+    await StockMovement.record(
+      detailDocs.map((d) => ({
+        productId: d.productId,
+        warehouseId: wh._id,
+        inventoryLotId: d.inventoryLotId,
+        quantity: d.quantity,
+        unitCost: d.unitPrice,
+      })),
+      {
+        transactionId: tx._id,
+        movementType: "INBOUND",
+        occurredAt: tx.transactionDate,
+        userId: actor?.userId,
+      },
+      session
+    );
+
+    if (po) {
+      po.refreshStatus();
+      await po.save({ session });
+    }
+
+    await Product.applyCostMovements(
+      detailDocs.map((d) => ({
+        productId: d.productId,
+        quantity: d.quantity,
+        unitCost: d.unitPrice,
+      })),
+      { transactionId: tx._id, transactionType: "INBOUND" },
+      session
+    );
+
+    // currentStock = tổng tồn các lô trên mọi kho
+    await Product.syncCurrentStock(
+      detailDocs.map((d) => d.productId),
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return {
+      transaction: tx,
+      details: detailDocs,
+      status: TxStatus[1], // COMPLETED
+      ...(po
+        ? {
+            purchaseOrder: { _id: po._id, code: po.code, status: po.status },
+            discrepancies,
+          }
+        : {}),
+    };
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * Cancel a COMPLETED INBOUND transaction (hủy phiếu nhập) và hoàn lại tồn kho.
+ * - Lô còn đủ số lượng: trừ toàn bộ số đã nhập
+ * - Lô đã xuất một phần, đang được giữ hàng hoặc không còn available: từ chối (409),
+ *   hoặc nếu allowPartial thì chỉ hoàn phần còn trống và tạo phiếu nhập thay thế cho
+ *   phần còn lại (liên kết qua relatedTransactionId)
+ * @param {String} id transaction id
+ * @param {*} payload validated body { reason, allowPartial }
+ * @param {*} actor {userId}
+ */
+export async function cancelInboundTransaction(id, payload, actor) {
+  if (!mongoose.isValidObjectId(id)) throw httpError("Invalid id");
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const tx = await Transaction.findById(id).session(session);
+    if (!tx) throw httpError("Transaction not found", 404);
+    if (tx.type !== "INBOUND") {
+      throw httpError("Only INBOUND transactions can be cancelled");
+    }
+    if (tx.status !== "COMPLETED") {
+      throw httpError(`Transaction is ${tx.status}, cannot cancel`);
+    }
+
+    const returned = await Transaction.countDocuments({
+      type: "SUPPLIER_RETURN",
+      status: "COMPLETED",
+      relatedTransactionId: tx._id,
+    }).session(session);
+    if (returned > 0) {
+      throw httpError(
+        "Transaction has supplier returns and cannot be cancelled",
+        409
+      );
+    }
+
+    const details = await TransactionDetail.find({ transactionId: tx._id })
+      .sort({ _id: 1 })
+      .session(session);
+
+    // Tính số hoàn được của từng dòng theo tồn hiện tại của lô: không lấy phần
+    // đang giữ cho phiếu khác; lô không còn available (biệt trữ, thu hồi...) giữ nguyên
+    const reserved = await StockReservation.reservedQtyByLot(
+      details.map((d) => d.inventoryLotId),
+      { session }
+    );
+    const lots = new Map();
+    const free = new Map();
+    const plan = [];
+    for (const d of details) {
+      const key = String(d.inventoryLotId);
+      if (!lots.has(key)) {
+        const lot = await InventoryLot.findById(d.inventoryLotId).session(
+          session
+        );
+        lots.set(key, lot);
+        free.set(
+          key,
+          lot && (lot.status || "available") === "available"
+            ? Math.max(lot.quantity - (reserved.get(key) || 0), 0)
+            : 0
+        );
+      }
+      const lot = lots.get(key);
+      const reversible = Math.min(free.get(key), d.quantity);
+      free.set(key, free.get(key) - reversible);
+      if (lot) lot.quantity -= reversible;
+      plan.push({
+        detail: d,
+        lot,
+        reversed: reversible,
+        kept: d.quantity - reversible,
+      });
+    }
+
+    const consumed = plan.filter((p) => p.kept > 0);
+    if (consumed.length > 0 && !payload.allowPartial) {
+      const issued = consumed
+        .map(
+          (p) =>
+            `${p.lot?.lotNumber || p.detail.inventoryLotId} (received ${p.detail.quantity}, not reversible ${p.kept})`
+        )
+        .join(", ");
+      throw httpError(
+        `Lot already issued, reserved or no longer available: ${issued}. Set allowPartial to reverse only the remaining quantity`,
+        409
+      );
+    }
+
+    for (const lot of lots.values()) {
+      if (lot) await lot.save({ session });
+    }
+
+    // Phần hoàn kho không còn tính là đã nhận theo đơn đặt hàng
+    if (tx.purchaseOrderId) {
+      const po = await PurchaseOrder.findById(tx.purchaseOrderId).session(
+        session
+      );
+      if (po) {
+        for (const p of plan) {
+          const line = p.detail.purchaseOrderLineId
+            ? po.lines.id(p.detail.purchaseOrderLineId)
+            : null;
+          if (line) {
+            line.receivedQty = Math.max(line.receivedQty - p.reversed, 0);
+          }
+        }
+        po.refreshStatus();
+        await po.save({ session });
+      }
+    }
+
+    tx.status = "CANCELED";
+    tx.cancelledBy = actor?.userId || null;
+    tx.cancelledAt = new Date();
+    tx.cancelReason = payload.reason;
+
+    // Phần đã xuất vẫn là hàng thực nhập -> ghi lại bằng phiếu nhập thay thế
+    let replacement = null;
+    if (consumed.length > 0) {
+      const created = await Transaction.create(
+        [
+          {
+            type: "INBOUND",
+            status: "COMPLETED",
+            referenceCode: tx.referenceCode,
+            notes:
+              `Thay thế phiếu nhập đã hủy ${tx._id}. ${tx.notes || ""}`.trim(),
+            transactionDate: tx.transactionDate,
+            userId: actor?.userId || tx.userId,
+            supplierId: tx.supplierId,
+            destinationWarehouseId: tx.destinationWarehouseId,
+            purchaseOrderId: tx.purchaseOrderId,
+            relatedTransactionId: tx._id,
+            completedAt: new Date(),
+          },
+        ],
+        { session }
+      );
+      replacement = created[0];
+      tx.relatedTransactionId = replacement._id;
+
+      await TransactionDetail.insertMany(
+        consumed.map((p) => ({
+          transactionId: replacement._id,
+          productId: p.detail.productId,
+          inventoryLotId: p.detail.inventoryLotId,
+          quantity: p.kept,
+          unitPrice: p.detail.unitPrice,
+          purchaseOrderLineId: p.detail.purchaseOrderLineId,
+          agreedUnitPrice: p.detail.agreedUnitPrice,
+        })),
+        { session }
+      );
+    }
+
+    await tx.save({ session });
+
+    // Sổ kho: ghi bù trừ phần hoàn kho tại thời điểm hủy
+    await StockMovement.record(
+      plan
+        .filter((p) => p.lot)
+        .map((p) => ({
+          productId: p.detail.productId,
+          warehouseId: p.lot.warehouseId,
+          inventoryLotId: p.lot._id,
+          quantity: -p.reversed,
+          unitCost: p.detail.unitPrice,
+        })),
+      {
+        transactionId: tx._id,
+        movementType: "INBOUND",
+        reason: "Hủy phiếu nhập",
+        occurredAt: tx.cancelledAt,
+        userId: actor?.userId,
+      },
+      session
+    );
+
+    // Phần hoàn kho rời giá vốn theo đúng giá đã nhập
+    await Product.applyCostMovements(
+      plan.map((p) => ({
+        productId: p.detail.productId,
+        quantity: -p.reversed,
+        unitCost: p.detail.unitPrice,
+      })),
+      {
+        transactionId: tx._id,
+        transactionType: "INBOUND",
+        reason: "Hủy phiếu nhập",
+      },
+      session
+    );
+
+    await Product.syncCurrentStock(
+      details.map((d) => d.productId),
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return {
+      transaction: tx,
+      replacement,
+      reversed: plan
+        .filter((p) => p.reversed > 0)
+        .map((p) => ({
+          productId: p.detail.productId,
+          inventoryLotId: p.detail.inventoryLotId,
+          lotNumber: p.lot?.lotNumber,
+          quantity: p.reversed,
+        })),
+    };
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * Chọn các lô nguồn cho một dòng chuyển kho.
+ * - Có inventoryLotId: lấy đúng lô đó (phải thuộc kho nguồn), trừ phần đang giữ hàng;
+ *   lô không available chỉ được chuyển vào kho biệt trữ
+ * - Chỉ có productId: tự chọn lô theo FEFO trong kho nguồn
+ * @param {*} options { toQuarantine } kho nhận là kho biệt trữ
+ * @returns {Promise<Array<{lot, quantity}>>}
+ */
+async function pickTransferLots(
+  row,
+  sourceWarehouseId,
+  session,
+  { toQuarantine = false } = {}
+) {
+  if (row.inventoryLotId) {
+    const lot = await InventoryLot.findById(row.inventoryLotId).session(
+      session
+    );
+    if (!lot)
+      throw httpError(`inventoryLotId not found: ${row.inventoryLotId}`);
+    if (String(lot.warehouseId) !== String(sourceWarehouseId)) {
+      throw httpError(
+        `Lot ${lot.lotNumber} does not belong to the source warehouse`
+      );
+    }
+    const status = lot.status || "available";
+    if (status !== "available" && !toQuarantine) {
+      throw httpError(
+        `Lot ${lot.lotNumber} is ${status}, it can only be transferred to a quarantine warehouse`
+      );
+    }
+    let available = lot.quantity;
+    if (status === "available") {
+      const reserved = await StockReservation.reservedQtyByLot(lot._id, {
+        session,
+      });
+      available -= reserved.get(String(lot._id)) || 0;
+    }
+    if (available < row.quantity) {
+      throw httpError(
+        `Insufficient quantity in lot ${lot.lotNumber}. Available: ${available}, requested: ${row.quantity}`
+      );
+    }
+    return [{ lot, quantity: row.quantity }];
+  }
+
+  const suggestions = await InventoryLot.fefoSuggestLots(
+    row.productId,
+    sourceWarehouseId,
+    row.quantity,
+    { session }
+  );
+
+  const picked = suggestions.reduce((sum, s) => sum + s.pickQty, 0);
+  if (picked < row.quantity) {
+    throw httpError(
+      `Insufficient stock for productId ${row.productId} in source warehouse. Available: ${picked}, requested: ${row.quantity}`
+    );
+  }
+
+  const picks = [];
+  for (const s of suggestions) {
+    const lot = await InventoryLot.findById(s.inventoryLotId).session(session);
+    picks.push({ lot, quantity: s.pickQty });
+  }
+  return picks;
+}
+
+/**
+ * Create TRANSFER transaction (chuyển kho) giữa hai kho.
+ * Số lượng được chuyển theo từng lô, giữ nguyên lotNumber/expiryDate/unitCost.
+ * Lô cùng số lô ở kho nhận phải cùng trạng thái và cùng hạn dùng mới được gộp
+ * (mỗi kho chỉ có một lô cho một số lô nên không tách được lô đích).
+ * @param {*} payload validated body
+ * @param {*} actor {userId}
+ */
+export async function createTransferTransaction(payload, actor) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const [src, dest] = await Promise.all([
+      Warehouse.findById(payload.sourceWarehouseId).session(session),
+      Warehouse.findById(payload.destinationWarehouseId).session(session),
+    ]);
+    if (!src) throw httpError("sourceWarehouseId not found");
+    if (!dest) throw httpError("destinationWarehouseId not found");
+    if (src.isQuarantine) {
+      throw httpError("Cannot transfer out of a quarantine warehouse");
+    }
+
+    const txDoc = await Transaction.create(
+      [
+        {
+          type: "TRANSFER",
+          status: "COMPLETED",
+          notes: payload.notes || "",
+          transactionDate: payload.transactionDate || new Date(),
+
+          userId: actor?.userId || null,
+          sourceWarehouseId: src._id,
+          destinationWarehouseId: dest._id,
+          completedAt: new Date(),
+        },
+      ],
+      { session }
+    );
+
+    const tx = txDoc[0];
+    const detailDocs = [];
+
+    for (const row of payload.details) {
+      const picks = await pickTransferLots(row, src._id, session, {
+        toQuarantine: dest.isQuarantine,
+      });
+
+      for (const { lot, quantity } of picks) {
+        lot.quantity -= quantity;
+        await lot.save({ session });
+
+        // Lô đích: cùng product + lotNumber tại kho nhận
+        let destLot = await InventoryLot.findOne({
+          productId: lot.productId,
+          warehouseId: dest._id,
+          lotNumber: lot.lotNumber,
+        }).session(session);
+
+        if (!destLot) {
+          destLot = new InventoryLot({
+            productId: lot.productId,
+            warehouseId: dest._id,
+            lotNumber: lot.lotNumber,
+            expiryDate: lot.expiryDate,
+            quantity: 0,
+            unitCost: lot.unitCost,
+            // Lô tạm giữ/thu hồi sang kho khác vẫn giữ nguyên trạng thái
+            status: lot.status,
+            statusReason: lot.statusReason,
+            statusChangedAt: lot.statusChangedAt,
+          });
+        } else if (
+          (destLot.status || "available") !== (lot.status || "available")
+        ) {
+          // Gộp sẽ đổi tồn khả dụng của một trong hai phần -> không cho gộp
+          throw httpError(
+            `Lot ${lot.lotNumber} is ${destLot.status} at the destination warehouse, cannot merge ${lot.status || "available"} stock into it`
+          );
+        } else if (
+          (destLot.expiryDate?.getTime() ?? null) !==
+          (lot.expiryDate?.getTime() ?? null)
+        ) {
+          // Gộp sẽ gán sai hạn dùng cho một trong hai phần (FEFO, cảnh báo hết hạn)
+          throw httpError(
+            `Lot ${lot.lotNumber} has a different expiry date at the destination warehouse (${destLot.expiryDate?.toISOString().slice(0, 10) ?? "none"} vs ${lot.expiryDate?.toISOString().slice(0, 10) ?? "none"}), cannot merge`
+          );
+        } else if (destLot.unitCost !== lot.unitCost) {
+          // Cùng số lô nhưng khác giá vốn -> bình quân theo số lượng
+          const totalQty = destLot.quantity + quantity;
+          destLot.unitCost =
+            totalQty > 0
+              ? (destLot.quantity * destLot.unitCost +
+                  quantity * lot.unitCost) /
+                totalQty
+              : lot.unitCost;
+        }
+
+        destLot.quantity += quantity;
+        await destLot.save({ session });
+
+        detailDocs.push({
+          transactionId: tx._id,
+          productId: lot.productId,
+          inventoryLotId: lot._id,
+          destinationInventoryLotId: destLot._id,
+          quantity,
+          unitPrice: lot.unitCost,
+        });
+      }
+    }
+
+    await TransactionDetail.insertMany(detailDocs, { session });
+    await StockMovement.record(
+      detailDocs.flatMap((d) => [
+        {
+          productId: d.productId,
+          warehouseId: src._id,
+          inventoryLotId: d.inventoryLotId,
+          quantity: -d.quantity,
+          unitCost: d.unitPrice,
+        },
+        {
+          productId: d.productId,
+          warehouseId: dest._id,
+          inventoryLotId: d.destinationInventoryLotId,
+          quantity: d.quantity,
+          unitCost: d.unitPrice,
+        },
+      ]),
+      {
+        transactionId: tx._id,
+        movementType: "TRANSFER",
+        occurredAt: tx.transactionDate,
+        userId: actor?.userId,
+      },
+      session
+    );
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return {
+      transaction: tx,
+      details: detailDocs,
+      status: TxStatus[1], // COMPLETED
+    };
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+// Chiều điều chỉnh hợp lệ theo lý do: -1 chỉ giảm, 1 chỉ tăng, 0 cả hai
+const ADJUSTMENT_DIRECTION = {
+  DAMAGED: -1,
+  LOST: -1,
+  EXPIRED_WRITE_OFF: -1,
+  FOUND: 1,
+  COUNT_VARIANCE: 0,
+};
+
+/**
+ * Ghi nhận ADJUSTMENT trong một session có sẵn (dùng lại cho kiểm kê, hủy hàng...).
+ * Mỗi dòng điều chỉnh trực tiếp một InventoryLot với số lượng có dấu.
+ * @param {*} payload { warehouseId, reasonCode, notes?, transactionDate?, referenceCode?, details: [{ inventoryLotId, quantity }] }
+ * @param {*} actor {userId}
+ * @param {*} session mongoose session đang mở transaction
+ */
+export async function postAdjustment(payload, actor, session) {
+  const wh = await Warehouse.findById(payload.warehouseId).session(session);
+  if (!wh) throw httpError("warehouseId not found");
+
+  const direction = ADJUSTMENT_DIRECTION[payload.reasonCode];
+  if (direction === undefined) {
+    throw httpError(`Invalid reasonCode: ${payload.reasonCode}`);
+  }
+
+  const txDoc = await Transaction.create(
+    [
+      {
+        type: "ADJUSTMENT",
+        status: "COMPLETED",
+        referenceCode: payload.referenceCode,
+        notes: payload.notes || "",
+        transactionDate: payload.transactionDate || new Date(),
+
+        userId: actor?.userId || null,
+        sourceWarehouseId: wh._id,
+        reasonCode: payload.reasonCode,
+        completedAt: new Date(),
+      },
+    ],
+    { session }
+  );
+
+  const tx = txDoc[0];
+  const detailDocs = [];
+  // Dòng giảm không được lấy vào phần đang giữ hàng cho phiếu khác
+  // (lô không available không cấp được nên phần giữ không còn ý nghĩa)
+  const reserved = await StockReservation.reservedQtyByLot(
+    payload.details
+      .filter((row) => row.quantity < 0)
+      .map((row) => row.inventoryLotId),
+    { session }
+  );
+
+  for (const row of payload.details) {
+    if (direction !== 0 && Math.sign(row.quantity) !== direction) {
+      throw httpError(
+        `${payload.reasonCode} adjustment quantity must be ${
+          direction > 0 ? "positive" : "negative"
+        }`
+      );
+    }
+
+    const lot = await InventoryLot.findById(row.inventoryLotId).session(
+      session
+    );
+    if (!lot)
+      throw httpError(`inventoryLotId not found: ${row.inventoryLotId}`);
+    if (String(lot.warehouseId) !== String(wh._id)) {
+      throw httpError(
+        `Lot ${lot.lotNumber} does not belong to the adjusted warehouse`
+      );
+    }
+    const available =
+      row.quantity < 0 && (lot.status || "available") === "available"
+        ? lot.quantity - (reserved.get(String(lot._id)) || 0)
+        : lot.quantity;
+    if (available + row.quantity < 0) {
+      throw httpError(
+        `Insufficient quantity in lot ${lot.lotNumber}. Available: ${available}, adjustment: ${row.quantity}`
+      );
+    }
+
+    lot.quantity += row.quantity;
+    await lot.save({ session });
+
+    detailDocs.push({
+      transactionId: tx._id,
+      productId: lot.productId,
+      inventoryLotId: lot._id,
+      signed: true,
+      quantity: row.quantity,
+      unitPrice: lot.unitCost,
+    });
+  }
+
+  await TransactionDetail.insertMany(detailDocs, { session });
+  await StockMovement.record(
+    detailDocs.map((d) => ({
+      productId: d.productId,
+      warehouseId: wh._id,
+      inventoryLotId: d.inventoryLotId,
+      quantity: d.quantity,
+      unitCost: d.unitPrice,
+    })),
+    {
+      transactionId: tx._id,
+      movementType: "ADJUSTMENT",
+      reason: payload.reasonCode,
+      occurredAt: tx.transactionDate,
+      userId: actor?.userId,
+    },
+    session
+  );
+
+  // Tăng theo giá lô, giảm theo giá bình quân hiện tại (không đổi giá vốn)
+  await Product.applyCostMovements(
+    detailDocs.map((d) => ({
+      productId: d.productId,
+      quantity: d.quantity,
+      unitCost: d.quantity > 0 ? d.unitPrice : undefined,
+    })),
+    {
+      transactionId: tx._id,
+      transactionType: "ADJUSTMENT",
+      reason: payload.reasonCode,
+    },
+    session
+  );
+
+  await Product.syncCurrentStock(
+    detailDocs.map((d) => d.productId),
+    session
+  );
+
+  return { transaction: tx, details: detailDocs };
+}
+
+/**
+ * Create ADJUSTMENT transaction (điều chỉnh tồn kho) theo lô, có mã lý do.
+ * @param {*} payload validated body
+ * @param {*} actor {userId}
+ */
+export async function createAdjustmentTransaction(payload, actor) {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const result = await postAdjustment(payload, actor, session);
+
+    await session.commitTransaction();
+    session.endSession();
+
+    return {
+      ...result,
+      status: TxStatus[1], // COMPLETED
+    };
+  } catch (err) {
+    await session.abortTransaction();
+    session.endSession();
+    throw err;
+  }
+}
+
+/**
+ * Create SUPPLIER_RETURN transaction (trả hàng nhà cung cấp).
+ * Trừ đúng các lô của phiếu nhập gốc, không vượt số đã nhập trừ số đã trả trước đó.
+ * Giá trị hàng trả được ghi thành creditNoteAmount để đối trừ công nợ nhà cung cấp.
+ * @param {*} payload validated body
+ * @param {*} actor {userId}
+ */
+export async function createSupplierReturnTransaction(payload, actor) {
+  if (!mongoose.isValidObjectId(payload.inboundTransactionId)) {
+    throw httpError("Invalid inboundTransactionId");
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const inbound = await Transaction.findById(
+      payload.inboundTransactionId
+    ).session(session);
+    if (!inbound || inbound.type !== "INBOUND") {
+      throw httpError("inboundTransactionId not found", 404);
+    }
+    if (inbound.status !== "COMPLETED") {
+      throw httpError(
+        `Inbound transaction is ${inbound.status}, cannot return goods`
+      );
+    }
+
+    // Số còn được trả theo lô = đã nhập - đã trả ở các phiếu trả trước
+    const received = await TransactionDetail.find({
+      transactionId: inbound._id,
+    }).session(session);
+    const priorReturns = await Transaction.find({
+      type: "SUPPLIER_RETURN",
+      status: "COMPLETED",
+      relatedTransactionId: inbound._id,
+    })
+      .select("_id")
+      .session(session);
+    const returnedDetails = await TransactionDetail.find({
+      transactionId: { $in: priorReturns.map((t) => t._id) },
+    }).session(session);
+
+    const returnable = new Map();
+    for (const d of received) {
+      const key = String(d.inventoryLotId);
+      const prev = returnable.get(key);
+      returnable.set(key, {
+        quantity: (prev?.quantity || 0) + d.quantity,
+        unitPrice: prev?.unitPrice ?? d.unitPrice,
+      });
+    }
+    for (const d of returnedDetails) {
+      const entry = returnable.get(String(d.inventoryLotId));
+      if (entry) entry.quantity -= d.quantity;
+    }
+
+    const reserved = await StockReservation.reservedQtyByLot(
+      payload.details.map((row) => row.inventoryLotId),
+      { session }
+    );
+
+    const txDoc = await Transaction.create(
+      [
+        {
+          type: "SUPPLIER_RETURN",
+          status: "COMPLETED",
+          referenceCode: payload.creditNoteNumber || inbound.referenceCode,
+          notes: payload.notes || "",
+          transactionDate: payload.transactionDate || new Date(),
+
+          userId: actor?.userId || null,
+          supplierId: inbound.supplierId,
+          sourceWarehouseId: inbound.destinationWarehouseId,
+          relatedTransactionId: inbound._id,
+          returnReason: payload.returnReason,
+          creditNoteNumber: payload.creditNoteNumber || undefined,
+          completedAt: new Date(),
+        },
+      ],
+      { session }
+    );
+
+    const tx = txDoc[0];
+    const detailDocs = [];
+    const costMovements = [];
+    const stockMovements = [];
+
+    for (const row of payload.details) {
+      const entry = returnable.get(String(row.inventoryLotId));
+      if (!entry) {
+        throw httpError(
+          `inventoryLotId ${row.inventoryLotId} was not received in the inbound transaction`
+        );
+      }
+      if (row.quantity > entry.quantity) {
+        throw httpError(
+          `Return quantity exceeds received quantity for lot ${row.inventoryLotId}. Returnable: ${entry.quantity}, requested: ${row.quantity}`
+        );
+      }
+
+      const lot = await InventoryLot.findById(row.inventoryLotId).session(
+        session
+      );
+      if (!lot)
+        throw httpError(`inventoryLotId not found: ${row.inventoryLotId}`);
+
+      const available = lot.quantity - (reserved.get(String(lot._id)) || 0);
+      if (available < row.quantity) {
+        throw httpError(
+          `Insufficient quantity in lot ${lot.lotNumber}. Available: ${available}, requested: ${row.quantity}`
+        );
+      }
+
+      lot.quantity -= row.quantity;
+      await lot.save({ session });
+      entry.quantity -= row.quantity;
+
+      detailDocs.push({
+        transactionId: tx._id,
+        productId: lot.productId,
+        inventoryLotId: lot._id,
         quantity: row.quantity,
-        unitPrice: row.unitPrice,
+        unitPrice: row.unitPrice ?? entry.unitPrice,
+      });
+      // Giá vốn giảm theo giá nhập gốc, không theo giá trên credit note
+      costMovements.push({
+        productId: lot.productId,
+        quantity: -row.quantity,
+        unitCost: entry.unitPrice,
+      });
+      stockMovements.push({
+        productId: lot.productId,
+        warehouseId: lot.warehouseId,
+        inventoryLotId: lot._id,
+        quantity: -row.quantity,
+        unitCost: entry.unitPrice,
       });
     }
 
+    tx.creditNoteAmount = detailDocs.reduce(
+      (sum, d) => sum + d.quantity * d.unitPrice,
+      0
+    );
+    await tx.save({ session });
+
     await TransactionDetail.insertMany(detailDocs, { session });
+    await StockMovement.record(
+      stockMovements,
+      {
+        transactionId: tx._id,
+        movementType: "SUPPLIER_RETURN",
+        reason: payload.returnReason,
+        occurredAt: tx.transactionDate,
+        userId: actor?.userId,
+      },
+      session
+    );
+    await Product.applyCostMovements(
+      costMovements,
+      { transactionId: tx._id, transactionType: "SUPPLIER_RETURN" },
+      session
+    );
+    await Product.syncCurrentStock(
+      detailDocs.map((d) => d.productId),
+      session
+    );
 
     await session.commitTransaction();
     session.endSession();
@@ -0,0 +1,215 @@
+import mongoose from "mongoose";
+import UnitOfMeasure from "../models/unitOfMeasure.model.js";
+import Product from "../models/product.model.js";
+import { httpError } from "../utils/httpError.js";
+
+function assertValidId(id, label = "ID đơn vị tính") {
+  if (!mongoose.isValidObjectId(id)) {
+    throw httpError(`${label} không hợp lệ`, 400);
+  }
+}
+
+/**
+ * Tạo đơn vị tính (mã viết hoa, không trùng)
+ * @param {*} payload { code, name, description? }
+ */
+export async function createUnit(payload) {
+  const exists = await UnitOfMeasure.exists({
+    code: payload.code.toUpperCase(),
+  });
+  if (exists) {
+    throw httpError(`Mã đơn vị tính "${payload.code}" đã tồn tại`, 409);
+  }
+  return UnitOfMeasure.create(payload);
+}
+
+/**
+ * Danh sách đơn vị tính, sắp theo tên
+ * @param {*} filters { isActive? }
+ */
+export async function getUnits(filters = {}) {
+  const query = {};
+  if (filters.isActive !== undefined) query.isActive = filters.isActive;
+  return UnitOfMeasure.find(query).sort({ name: 1 }).lean();
+}
+
+/**
+ * Cập nhật tên/mô tả/trạng thái đơn vị tính (không đổi mã)
+ */
+export async function updateUnit(id, payload) {
+  assertValidId(id);
+  const unit = await UnitOfMeasure.findByIdAndUpdate(
+    id,
+    { $set: payload },
+    { new: true, runValidators: true }
+  ).lean();
+  if (!unit) throw httpError("Không tìm thấy đơn vị tính", 404);
+  return unit;
+}
+
+/**
+ * Quy cách của sản phẩm: đơn vị cơ sở + các đơn vị quy đổi (kèm tên), đơn vị lớn trước
+ * @returns {Promise<{productId, sku, name, baseUnit, conversions[{unitId, unitName, factor}]}>}
+ */
+export async function getProductConversions(productId) {
+  assertValidId(productId, "productId");
+  const product = await Product.findById(productId)
+    .select("sku name unit unitConversions")
+    .populate("unitConversions.unitId", "code name")
+    .lean();
+  if (!product) throw httpError("Không tìm thấy sản phẩm", 404);
+
+  return {
+    productId: product._id,
+    sku: product.sku,
+    name: product.name,
+    baseUnit: product.unit,
+    conversions: (product.unitConversions || [])
+      .filter((c) => c.unitId)
+      .map((c) => ({
+        unitId: c.unitId._id,
+        unitCode: c.unitId.code,
+        unitName: c.unitId.name,
+        factor: c.factor,
+      }))
+      .sort((a, b) => b.factor - a.factor),
+  };
+}
+
+/**
+ * Thay toàn bộ quy cách đóng gói của sản phẩm.
+ * Chỉ đổi cách nhập/hiển thị: tồn kho và chứng từ cũ luôn lưu theo đơn vị cơ sở.
+ * @param {*} payload { conversions: [{ unitId, factor }] }
+ */
+export async function setProductConversions(productId, payload) {
+  assertValidId(productId, "productId");
+  const product = await Product.findById(productId);
+  if (!product) throw httpError("Không tìm thấy sản phẩm", 404);
+
+  const unitIds = payload.conversions.map((c) => c.unitId);
+  const units = await UnitOfMeasure.find({
+    _id: { $in: unitIds },
+    isActive: true,
+  })
+    .select("_id")
+    .lean();
+  const found = new Set(units.map((u) => String(u._id)));
+  const missing = unitIds.filter((id) => !found.has(String(id)));
+  if (missing.length > 0) {
+    throw httpError(
+      `Đơn vị tính không tồn tại hoặc đã ngừng dùng: ${missing.join(", ")}`,
+      400
+    );
+  }
+
+  product.unitConversions = payload.conversions;
+  await product.save();
+  return getProductConversions(productId);
+}
+
+/**
+ * Quy đổi số lượng/đơn giá nhập theo đơn vị unitId về đơn vị cơ sở của sản phẩm
+ * @param {*} product Product (có unitConversions)
+ * @param {*} row { unitId?, quantity, unitPrice? }
+ * @param {*} session mongoose session
+ * @returns {Promise<{quantity, unitPrice, uom}>} uom = null khi nhập theo đơn vị cơ sở
+ */
+export async function toBaseUnits(product, row, session = null) {
+  if (!row.unitId) {
+    return { quantity: row.quantity, unitPrice: row.unitPrice, uom: null };
+  }
+
+  const conversion = (product.unitConversions || []).find(
+    (c) => String(c.unitId) === String(row.unitId)
+  );
+  if (!conversion) {
+    throw httpError(
+      `Sản phẩm "${product.name}" chưa khai báo quy đổi cho đơn vị ${row.unitId}`,
+      400
+    );
+  }
+  const unit = await UnitOfMeasure.findById(row.unitId)
+    .select("name")
+    .session(session)
+    .lean();
+  if (!unit) throw httpError(`Không tìm thấy đơn vị tính: ${row.unitId}`, 404);
+
+  const hasPrice = row.unitPrice !== undefined && row.unitPrice !== null;
+  return {
+    quantity: row.quantity * conversion.factor,
+    unitPrice: hasPrice ? row.unitPrice / conversion.factor : row.unitPrice,
+    uom: {
+      unitId: unit._id,
+      unitName: unit.name,
+      factor: conversion.factor,
+      quantity: row.quantity,
+      ...(hasPrice ? { unitPrice: row.unitPrice } : {}),
+    },
+  };
+}
+
+/**
+ * Diễn giải số lượng cơ sở theo quy cách, đơn vị lớn trước: 125 -> "1 hộp 2 vỉ 5 viên"
+ * @param {Number} qty số lượng theo đơn vị cơ sở
+ * @param {String} baseUnit Product.unit
+ * @param {Array<{unitName, factor}>} conversions
+ */
+export function formatPackaging(qty, baseUnit, conversions = []) {
+  const units = conversions
+    .filter((c) => c.factor > 1)
+    .sort((a, b) => b.factor - a.factor);
+
+  let rest = Math.abs(qty);
+  const parts = [];
+  for (const u of units) {
+    const n = Math.floor(rest / u.factor);
+    if (n > 0) {
+      parts.push(`${n} ${u.unitName}`);
+      rest -= n * u.factor;
+    }
+  }
+  if (rest > 0 || parts.length === 0) parts.push(`${rest} ${baseUnit}`);
+  return `${qty < 0 ? "-" : ""}${parts.join(" ")}`;
+}
+
+/**
+ * Gắn diễn giải quy cách cho các dòng báo cáo (sửa tại chỗ).
+ * Dòng có unitConversions [{unitId, factor}] được tra tên đơn vị một lần cho cả trang,
+ * sau đó bỏ unitConversions khỏi dòng.
+ * @param {Array} rows dòng báo cáo có unit (+ unitConversions)
+ * @param {Object} fields { trườngSốLượng: trườngDiễnGiải }
+ */
+export async function attachPackaging(rows, fields) {
+  const unitIds = [
+    ...new Set(
+      rows.flatMap((r) =>
+        (r.unitConversions || []).map((c) => String(c.unitId))
+      )
+    ),
+  ];
+  const names = new Map();
+  if (unitIds.length > 0) {
+    const units = await UnitOfMeasure.find({ _id: { $in: unitIds } })
+      .select("name")
+      .lean();
+    for (const u of units) names.set(String(u._id), u.name);
+  }
+
+  for (const row of rows) {
+    const conversions = (row.unitConversions || [])
+      .filter((c) => names.has(String(c.unitId)))
+      .map((c) => ({
+        unitName: names.get(String(c.unitId)),
+        factor: c.factor,
+      }));
+    for (const [qtyField, textField] of Object.entries(fields)) {
+      row[textField] = formatPackaging(
+        row[qtyField] || 0,
+        row.unit,
+        conversions
+      );
+    }
+    delete row.unitConversions;
+  }
+  return rows;
+}
@@ -0,0 +1,188 @@
+import mongoose from "mongoose";
+import {
+  Product,
+  Category,
+  Warehouse,
+  InventoryLot,
+  ProductCostHistory,
+} from "../models/index.js";
+import { httpError } from "../utils/httpError.js";
+import { getLedgerBalances } from "./stockMovement.service.js";
+
+export const VALUATION_METHODS = ["lot", "average"];
+export const VALUATION_GROUPS = ["product", "category", "warehouse"];
+
+/**
+ * Giá vốn bình quân tại thời điểm asOf theo ProductCostHistory:
+ * dòng gần nhất trước asOf, nếu không có thì giá trước biến động đầu tiên sau asOf,
+ * nếu chưa có lịch sử thì dùng Product.averageCost hiện tại
+ * @returns {Promise<Map>} productId -> averageCost
+ */
+async function findAverageCostsAt(products, asOf) {
+  const ids = products.map((p) => p._id);
+  const [before, after] = await Promise.all([
+    ProductCostHistory.aggregate([
+      { $match: { productId: { $in: ids }, createdAt: { $lte: asOf } } },
+      { $sort: { createdAt: -1, _id: -1 } },
+      { $group: { _id: "$productId", cost: { $first: "$newAverageCost" } } },
+    ]),
+    ProductCostHistory.aggregate([
+      { $match: { productId: { $in: ids }, createdAt: { $gt: asOf } } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: "$productId",
+          cost: { $first: "$previousAverageCost" },
+        },
+      },
+    ]),
+  ]);
+
+  const costs = new Map(products.map((p) => [String(p._id), p.averageCost]));
+  for (const r of after) costs.set(String(r._id), r.cost);
+  for (const r of before) costs.set(String(r._id), r.cost);
+  return costs;
+}
+
+const byValueDesc = (a, b) => b.value - a.value;
+
+function groupRows(lines, groupBy, lookups) {
+  const groups = new Map();
+  for (const line of lines) {
+    const key = String(line[`${groupBy}Id`] ?? "none");
+    if (!groups.has(key)) {
+      groups.set(key, { products: new Set(), quantity: 0, value: 0 });
+    }
+    const g = groups.get(key);
+    g.products.add(String(line.productId));
+    g.quantity += line.quantity;
+    g.value += line.value;
+  }
+
+  return [...groups.entries()]
+    .map(([key, g]) => {
+      const base = { quantity: g.quantity, value: g.value };
+      if (groupBy === "product") {
+        const p = lookups.products.get(key);
+        return {
+          productId: p._id,
+          sku: p.sku,
+          name: p.name,
+          unit: p.unit,
+          categoryName:
+            lookups.categories.get(String(p.categoryId))?.name || "",
+          ...base,
+          unitCost: g.quantity > 0 ? g.value / g.quantity : 0,
+        };
+      }
+      if (groupBy === "category") {
+        const c = lookups.categories.get(key);
+        return {
+          categoryId: c?._id || null,
+          categoryName: c?.name || "Chưa phân loại",
+          productCount: g.products.size,
+          ...base,
+        };
+      }
+      const w = lookups.warehouses.get(key);
+      return {
+        warehouseId: w?._id || key,
+        warehouseCode: w?.code || "",
+        warehouseName: w?.name || "",
+        productCount: g.products.size,
+        ...base,
+      };
+    })
+    .sort(byValueDesc);
+}
+
+/**
+ * Định giá tồn kho tại một thời điểm.
+ * Tồn theo lô tại asOf = tổng sổ biến động (StockMovement) đến asOf.
+ * - lot: SL x unitCost của từng lô (giá thực tế theo lô, khớp FIFO/FEFO)
+ * - average: SL x giá vốn bình quân của sản phẩm tại asOf
+ * @param {*} options { asOf?, method?, groupBy?, categoryId?, warehouseId? }
+ * @returns {Promise<{asOfDate, method, groupBy, rows[], totals}>}
+ */
+export async function getInventoryValuation(options = {}) {
+  const {
+    asOf = new Date(),
+    method = "lot",
+    groupBy = "product",
+    categoryId,
+    warehouseId,
+  } = options;
+
+  if (!VALUATION_METHODS.includes(method)) {
+    throw httpError("method phải là 'lot' hoặc 'average'", 400);
+  }
+  if (!VALUATION_GROUPS.includes(groupBy)) {
+    throw httpError("groupBy phải là product, category hoặc warehouse", 400);
+  }
+  for (const [name, id] of Object.entries({ categoryId, warehouseId })) {
+    if (id && !mongoose.isValidObjectId(id)) {
+      throw httpError(`${name} không hợp lệ`, 400);
+    }
+  }
+
+  const productQuery = categoryId ? { categoryId } : {};
+  const lotQuery = warehouseId ? { warehouseId } : {};
+
+  const [products, categories, warehouses, balances] = await Promise.all([
+    Product.find(productQuery)
+      .select("sku name unit categoryId averageCost")
+      .lean(),
+    Category.find({}).select("name").lean(),
+    Warehouse.find({}).select("code name").lean(),
+    getLedgerBalances({ asOf, warehouseId }),
+  ]);
+
+  const lots = await InventoryLot.find({
+    ...lotQuery,
+    productId: { $in: products.map((p) => p._id) },
+  })
+    .select("productId warehouseId unitCost")
+    .lean();
+
+  const averageCosts =
+    method === "average" ? await findAverageCostsAt(products, asOf) : null;
+
+  const lotBalances = new Map(
+    balances.map((b) => [String(b.inventoryLotId), b.quantity])
+  );
+  const productMap = new Map(products.map((p) => [String(p._id), p]));
+  const lines = [];
+  for (const lot of lots) {
+    const quantity = lotBalances.get(String(lot._id)) || 0;
+    if (quantity <= 0) continue;
+
+    const product = productMap.get(String(lot.productId));
+    const unitCost =
+      method === "average"
+        ? averageCosts.get(String(lot.productId)) || 0
+        : lot.unitCost || 0;
+    lines.push({
+      productId: lot.productId,
+      categoryId: product.categoryId,
+      warehouseId: lot.warehouseId,
+      quantity,
+      value: quantity * unitCost,
+    });
+  }
+
+  const rows = groupRows(lines, groupBy, {
+    products: productMap,
+    categories: new Map(categories.map((c) => [String(c._id), c])),
+    warehouses: new Map(warehouses.map((w) => [String(w._id), w])),
+  });
+
+  const totals = rows.reduce(
+    (acc, r) => ({
+      quantity: acc.quantity + r.quantity,
+      value: acc.value + r.value,
+    }),
+    { quantity: 0, value: 0 }
+  );
+
+  return { asOfDate: asOf, method, groupBy, rows, totals };
+}
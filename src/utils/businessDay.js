@@ -0,0 +1,86 @@
+// Ranh giới ngày nghiệp vụ (báo cáo theo ngày, ảnh chụp tồn cuối ngày) tính theo
+// múi giờ của cơ sở, không theo múi giờ của máy chủ. Đổi bằng BUSINESS_TIMEZONE (tên IANA).
+const DEFAULT_TIMEZONE = "Asia/Ho_Chi_Minh";
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+export function businessTimeZone() {
+  return process.env.BUSINESS_TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+const zonedParts = (instant) =>
+  Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: businessTimeZone(),
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(instant)
+      .map((p) => [p.type, Number(p.value)])
+  );
+
+// Độ lệch (ms) của múi giờ nghiệp vụ so với UTC tại thời điểm instant
+const offsetAt = (instant) => {
+  const p = zonedParts(instant);
+  const wallClock = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  return wallClock - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// Ngày dương lịch của value: chuỗi YYYY-MM-DD giữ nguyên ngày, còn lại lấy ngày theo múi giờ nghiệp vụ
+const calendarDay = (value) => {
+  const m = typeof value === "string" && value.match(DATE_ONLY);
+  if (m) {
+    if (isNaN(Date.parse(value))) return null;
+    return { year: +m[1], month: +m[2], day: +m[3] };
+  }
+  const date = new Date(value);
+  if (value == null || isNaN(date.getTime())) return null;
+  const { year, month, day } = zonedParts(date);
+  return { year, month, day };
+};
+
+// 0 giờ của ngày dương lịch theo múi giờ nghiệp vụ (tính lại lần 2 cho ngày đổi giờ mùa hè)
+const midnight = ({ year, month, day }) => {
+  const wallClock = Date.UTC(year, month - 1, day);
+  const guess = wallClock - offsetAt(new Date(wallClock));
+  return new Date(wallClock - offsetAt(new Date(guess)));
+};
+
+/**
+ * Đầu ngày nghiệp vụ chứa value
+ * @param {String|Date|Number} value chuỗi YYYY-MM-DD hoặc thời điểm bất kỳ
+ * @returns {Date} Invalid Date nếu value không hợp lệ
+ */
+export function startOfBusinessDay(value) {
+  const day = calendarDay(value);
+  return day ? midnight(day) : new Date(NaN);
+}
+
+/**
+ * Cuối ngày nghiệp vụ chứa value (23:59:59.999 theo múi giờ nghiệp vụ)
+ * @param {String|Date|Number} value chuỗi YYYY-MM-DD hoặc thời điểm bất kỳ
+ * @returns {Date} Invalid Date nếu value không hợp lệ
+ */
+export function endOfBusinessDay(value) {
+  const day = calendarDay(value);
+  if (!day) return new Date(NaN);
+  const next = new Date(Date.UTC(day.year, day.month - 1, day.day + 1));
+  return new Date(
+    midnight({
+      year: next.getUTCFullYear(),
+      month: next.getUTCMonth() + 1,
+      day: next.getUTCDate(),
+    }).getTime() - 1
+  );
+}
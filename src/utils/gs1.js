@@ -0,0 +1,177 @@
+import { httpError } from "./httpError.js";
+
+const GS = "\x1d"; // FNC1 phân cách trường độ dài thay đổi
+
+// Các AI (Application Identifier) thường gặp trên bao bì thuốc.
+// length: độ dài cố định; max: độ dài thay đổi, kết thúc bằng GS hoặc hết chuỗi
+const AI_TABLE = {
+  "00": { field: "sscc", length: 18 },
+  "01": { field: "gtin", length: 14 },
+  "02": { field: "contentGtin", length: 14 },
+  10: { field: "lotNumber", max: 20 },
+  11: { field: "productionDate", length: 6, date: true },
+  17: { field: "expiryDate", length: 6, date: true },
+  21: { field: "serialNumber", max: 20 },
+  30: { field: "count", max: 8 },
+  240: { field: "additionalId", max: 30 },
+};
+
+/**
+ * Kiểm tra số kiểm tra (mod 10) của GTIN-8/12/13/14
+ */
+export function isValidGtin(code) {
+  if (!/^(\d{8}|\d{12,14})$/.test(code)) return false;
+  const digits = code.split("").map(Number);
+  const check = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+/**
+ * Các cách ghi tương đương của một mã GTIN để tra Product.barcodes:
+ * GTIN-14 trong mã GS1 = EAN-13/UPC-12/EAN-8 thêm 0 ở đầu.
+ * Mã không phải GTIN trả về nguyên dạng.
+ */
+export function barcodeCandidates(code) {
+  const value = String(code).trim();
+  if (!/^(\d{8}|\d{12,14})$/.test(value)) return [value];
+  const gtin14 = value.padStart(14, "0");
+  return [14, 13, 12, 8]
+    .filter((len) => /^0*$/.test(gtin14.slice(0, 14 - len)))
+    .map((len) => gtin14.slice(14 - len));
+}
+
+/**
+ * YYMMDD -> Date (UTC). DD = 00: ngày cuối tháng.
+ * Thế kỷ theo quy tắc GS1: lệch hơn 50 năm so với năm hiện tại thì lùi/tiến 100 năm.
+ */
+function parseGs1Date(value, ai) {
+  const yy = Number(value.slice(0, 2));
+  const mm = Number(value.slice(2, 4));
+  const dd = Number(value.slice(4, 6));
+  if (mm < 1 || mm > 12) {
+    throw httpError(`Ngày trong AI (${ai}) không hợp lệ: ${value}`, 400);
+  }
+
+  const now = new Date().getUTCFullYear();
+  let year = Math.floor(now / 100) * 100 + yy;
+  if (year - now >= 51) year -= 100;
+  else if (year - now <= -50) year += 100;
+
+  const lastDay = new Date(Date.UTC(year, mm, 0)).getUTCDate();
+  if (dd > lastDay) {
+    throw httpError(`Ngày trong AI (${ai}) không hợp lệ: ${value}`, 400);
+  }
+  return new Date(Date.UTC(year, mm - 1, dd || lastDay));
+}
+
+function matchAi(data, pos) {
+  for (const len of [2, 3, 4]) {
+    const ai = data.slice(pos, pos + len);
+    if (AI_TABLE[ai]) return ai;
+  }
+  throw httpError(
+    `Mã GS1 có AI không hỗ trợ tại vị trí ${pos + 1}: ${data.slice(pos, pos + 4)}`,
+    400
+  );
+}
+
+function setField(result, ai, value) {
+  const spec = AI_TABLE[ai];
+  const invalid = spec.length
+    ? value.length !== spec.length || !/^\d+$/.test(value)
+    : value.length === 0 || value.length > spec.max;
+  if (invalid) {
+    throw httpError(`Giá trị AI (${ai}) không hợp lệ: ${value}`, 400);
+  }
+  if (spec.field === "gtin" && !isValidGtin(value)) {
+    throw httpError(`GTIN sai số kiểm tra: ${value}`, 400);
+  }
+  result[spec.field] = spec.date ? parseGs1Date(value, ai) : value;
+}
+
+/**
+ * Chuỗi GS1 dạng máy quét (FNC1/GS, có thể kèm ]d2 ]C1 ]Q3 ]e0 ở đầu)
+ * hoặc dạng in trên nhãn "(01)...(17)...(10)..."
+ */
+export function parseGs1(code) {
+  const result = {};
+  const raw = String(code).trim();
+
+  if (raw.startsWith("(")) {
+    const re = /\((\d{2,4})\)([^(]*)/g;
+    let consumed = 0;
+    for (const [whole, ai, value] of raw.matchAll(re)) {
+      if (!AI_TABLE[ai]) {
+        throw httpError(`Mã GS1 có AI không hỗ trợ: (${ai})`, 400);
+      }
+      setField(result, ai, value.trim());
+      consumed += whole.length;
+    }
+    if (consumed !== raw.length) {
+      throw httpError("Mã GS1 dạng (AI) không đúng định dạng", 400);
+    }
+    return result;
+  }
+
+  let data = raw.replace(/^\][A-Za-z]\d/, "");
+  while (data.startsWith(GS)) data = data.slice(1);
+  let pos = 0;
+  while (pos < data.length) {
+    const ai = matchAi(data, pos);
+    const spec = AI_TABLE[ai];
+    pos += ai.length;
+    let value;
+    if (spec.length) {
+      value = data.slice(pos, pos + spec.length);
+      pos += spec.length;
+      if (data[pos] === GS) pos += 1;
+    } else {
+      const end = data.indexOf(GS, pos);
+      value = data.slice(pos, end === -1 ? data.length : end);
+      pos = end === -1 ? data.length : end + 1;
+    }
+    setField(result, ai, value);
+  }
+  return result;
+}
+
+/**
+ * Nhận dạng chuỗi quét: mã GS1 (DataMatrix/GS1-128) hoặc mã vạch thường (EAN/mã nội bộ).
+ * @returns {{barcode, gtin, lotNumber, expiryDate, productionDate, serialNumber}}
+ * barcode: mã dùng tra sản phẩm (GTIN nếu có)
+ */
+export function parseBarcode(code) {
+  const raw = String(code || "").trim();
+  if (!raw) throw httpError("Mã quét không được để trống", 400);
+
+  const isGs1 =
+    raw.startsWith("(") ||
+    /^\][A-Za-z]\d/.test(raw) ||
+    raw.includes(GS) ||
+    /^0[12]\d{14}/.test(raw);
+  if (!isGs1) {
+    return {
+      barcode: raw,
+      gtin: isValidGtin(raw) ? raw.padStart(14, "0") : null,
+      lotNumber: null,
+      expiryDate: null,
+      productionDate: null,
+      serialNumber: null,
+    };
+  }
+
+  const fields = parseGs1(raw);
+  const gtin = fields.gtin || fields.contentGtin || null;
+  if (!gtin) throw httpError("Mã GS1 không chứa GTIN (01)", 400);
+  return {
+    barcode: gtin,
+    gtin,
+    lotNumber: fields.lotNumber || null,
+    expiryDate: fields.expiryDate || null,
+    productionDate: fields.productionDate || null,
+    serialNumber: fields.serialNumber || null,
+  };
+}
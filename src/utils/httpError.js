@@ -0,0 +1,11 @@
+/**
+ * Tạo Error kèm statusCode để controller trả về đúng mã HTTP
+ * @param {String} message
+ * @param {Number} statusCode
+ * @returns {Error}
+ */
+export function httpError(message, statusCode = 400) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
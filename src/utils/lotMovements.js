@@ -0,0 +1,33 @@
+// Chiều tác động lên inventoryLotId của dòng chi tiết theo loại phiếu
+// (TRANSFER còn cộng vào destinationInventoryLotId)
+const LOT_SIGN = {
+  INBOUND: 1,
+  DEPARTMENT_RETURN: 1,
+  ADJUSTMENT: 1, // quantity đã có dấu
+  OUTBOUND: -1,
+  TRANSFER: -1,
+  SUPPLIER_RETURN: -1,
+};
+
+/**
+ * Tác động của một dòng chi tiết phiếu lên tồn các lô
+ * @param {String} type loại phiếu (TxType)
+ * @param {*} detail { inventoryLotId, destinationInventoryLotId, quantity }
+ * @returns {Array<{inventoryLotId, quantity}>} số lượng có dấu theo lô
+ */
+export function lotEffects(type, detail) {
+  const effects = [];
+  if (detail.inventoryLotId) {
+    effects.push({
+      inventoryLotId: detail.inventoryLotId,
+      quantity: (LOT_SIGN[type] || 0) * detail.quantity,
+    });
+  }
+  if (type === "TRANSFER" && detail.destinationInventoryLotId) {
+    effects.push({
+      inventoryLotId: detail.destinationInventoryLotId,
+      quantity: detail.quantity,
+    });
+  }
+  return effects;
+}
@@ -0,0 +1,134 @@
+import path from "path";
+import { fileURLToPath } from "url";
+import fs from "fs";
+
+// Lấy đường dẫn thư mục hiện tại (ES Modules)
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Đường dẫn tới Font Roboto
+export const FONT_REGULAR = path.join(
+  __dirname,
+  "../assets/fonts/Roboto/static/Roboto-Regular.ttf"
+);
+export const FONT_BOLD = path.join(
+  __dirname,
+  "../assets/fonts/Roboto/static/Roboto-Bold.ttf"
+);
+
+/**
+ * Register Roboto fonts (tiếng Việt) if available, fallback to Helvetica
+ * @returns {{regular: String, bold: String}}
+ */
+export function registerPdfFonts(doc) {
+  let fonts;
+  if (fs.existsSync(FONT_REGULAR) && fs.existsSync(FONT_BOLD)) {
+    doc.registerFont("Roboto-Regular", FONT_REGULAR);
+    doc.registerFont("Roboto-Bold", FONT_BOLD);
+    fonts = { regular: "Roboto-Regular", bold: "Roboto-Bold" };
+  } else {
+    console.warn("Font files not found, using default fonts");
+    fonts = { regular: "Helvetica", bold: "Helvetica-Bold" };
+  }
+  doc.font(fonts.bold);
+  return fonts;
+}
+
+/**
+ * Core function to draw formatted table with headers and rows
+ */
+export function drawTable(
+  doc,
+  headers,
+  rows,
+  colWidths,
+  fonts = { regular: "Helvetica", bold: "Helvetica-Bold" }
+) {
+  const startX = 30;
+  let startY = doc.y;
+  const rowHeight = 25; // Chiều cao mỗi dòng
+  const usableWidth = doc.page.width - 60;
+
+  // 1. Vẽ Header
+  doc.font(fonts.bold).fontSize(9);
+
+  // Vẽ nền header
+  doc.fillColor("#eeeeee").rect(startX, startY, usableWidth, rowHeight).fill();
+  doc.fillColor("black"); // Reset lại màu chữ
+
+  let currentX = startX;
+  headers.forEach((header, i) => {
+    // Căn giữa text trong header
+    doc.text(header, currentX + 5, startY + 8, {
+      width: colWidths[i] - 10,
+      align: "center",
+    });
+    currentX += colWidths[i];
+  });
+
+  startY += rowHeight;
+  doc.font(fonts.regular).fontSize(9);
+
+  // 2. Vẽ Rows
+  rows.forEach((row, rowIndex) => {
+    // Check page break
+    if (startY + rowHeight > doc.page.height - 30) {
+      doc.addPage();
+      startY = 30; // Reset Y về đầu trang mới
+
+      // Vẽ lại header ở trang mới
+      doc.font(fonts.bold).fontSize(9);
+      doc
+        .fillColor("#eeeeee")
+        .rect(startX, startY, usableWidth, rowHeight)
+        .fill();
+      doc.fillColor("black");
+
+      let hX = startX;
+      headers.forEach((h, i) => {
+        doc.text(h, hX + 5, startY + 8, {
+          width: colWidths[i] - 10,
+          align: "center",
+        });
+        hX += colWidths[i];
+      });
+      startY += rowHeight;
+      doc.font(fonts.regular).fontSize(9);
+    }
+
+    // Vẽ màu nền xen kẽ (Zebra striping)
+    if (rowIndex % 2 === 1) {
+      doc
+        .fillColor("#f9f9f9")
+        .rect(startX, startY, usableWidth, rowHeight)
+        .fill();
+      doc.fillColor("black");
+    }
+
+    let cellX = startX;
+    row.forEach((text, i) => {
+      // Căn chỉnh: Cột đầu (STT) giữa, Cột chữ (Tên) trái, Cột số phải
+      let align = "center";
+      if (colWidths[i] > 100) align = "left"; // Cột tên dài
+      if (colWidths[i] <= 80 && i > 1) align = "right"; // Cột số
+
+      doc.text(text, cellX + 5, startY + 8, {
+        width: colWidths[i] - 10,
+        align: align,
+        lineBreak: false,
+        ellipsis: true,
+      });
+      cellX += colWidths[i];
+    });
+
+    // Vẽ đường kẻ mờ bên dưới mỗi dòng
+    doc
+      .moveTo(startX, startY + rowHeight)
+      .lineTo(startX + usableWidth, startY + rowHeight)
+      .lineWidth(0.5)
+      .strokeColor("#cccccc")
+      .stroke();
+
+    startY += rowHeight;
+  });
+}
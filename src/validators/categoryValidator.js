@@ -15,6 +15,21 @@ export const validateCreateCategory = [
     .optional()
     .isBoolean()
     .withMessage("isActive must be a boolean"),
+
+  body("expiryPolicy.blockExpired")
+    .optional({ values: "null" })
+    .isBoolean()
+    .withMessage("expiryPolicy.blockExpired must be a boolean"),
+
+  body("expiryPolicy.minDaysRemaining")
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .withMessage("expiryPolicy.minDaysRemaining must be an integer >= 0"),
+
+  body("expiryPolicy.nearExpiryAction")
+    .optional({ values: "null" })
+    .isIn(["warn", "block"])
+    .withMessage("expiryPolicy.nearExpiryAction must be warn or block"),
 ];
 
 export const validateUpdateCategory = [
@@ -40,6 +55,21 @@ export const validateUpdateCategory = [
     .optional()
     .isBoolean()
     .withMessage("isActive must be a boolean"),
+
+  body("expiryPolicy.blockExpired")
+    .optional({ values: "null" })
+    .isBoolean()
+    .withMessage("expiryPolicy.blockExpired must be a boolean"),
+
+  body("expiryPolicy.minDaysRemaining")
+    .optional({ values: "null" })
+    .isInt({ min: 0 })
+    .withMessage("expiryPolicy.minDaysRemaining must be an integer >= 0"),
+
+  body("expiryPolicy.nearExpiryAction")
+    .optional({ values: "null" })
+    .isIn(["warn", "block"])
+    .withMessage("expiryPolicy.nearExpiryAction must be warn or block"),
 ];
 
 // Search validation
@@ -0,0 +1,22 @@
+import Joi from "joi";
+
+const objectId = Joi.string().hex().length(24);
+
+export const createDestructionSchema = Joi.object({
+  warehouseId: objectId.required(),
+  // Không gửi: lấy tất cả lô hết hạn còn tồn của kho
+  inventoryLotIds: Joi.array().items(objectId).min(1).unique().optional(),
+  destructionDate: Joi.date().required(),
+  method: Joi.string().trim().max(200).required(),
+  location: Joi.string().trim().max(200).allow("").optional(),
+  witnesses: Joi.array()
+    .items(
+      Joi.object({
+        fullName: Joi.string().trim().max(100).required(),
+        position: Joi.string().trim().max(100).allow("").optional(),
+      })
+    )
+    .min(1)
+    .required(),
+  notes: Joi.string().allow("").optional(),
+});
@@ -0,0 +1,19 @@
+import Joi from "joi";
+
+// Chỉnh tay chỉ giữa available <-> quarantined; recalled/destroyed đi qua thu hồi/tiêu hủy
+export const lotStatusSchema = Joi.object({
+  status: Joi.string().valid("available", "quarantined").required(),
+  reason: Joi.string().trim().max(500).allow("").optional(),
+});
+
+export const createRecallSchema = Joi.object({
+  productId: Joi.string().required(),
+  lotNumbers: Joi.array()
+    .items(Joi.string().trim().max(100).required())
+    .min(1)
+    .unique()
+    .required(),
+  noticeNumber: Joi.string().trim().max(100).required(),
+  authority: Joi.string().trim().max(200).allow("").optional(),
+  reason: Joi.string().trim().max(1000).allow("").optional(),
+});
@@ -75,6 +75,81 @@ export const getProductsQuerySchema = Joi.object({
   pagination: Joi.boolean().optional().default(true),
 }).unknown(false);
 
+/** REORDER SETTINGS: tồn an toàn, NCC chính và lead time (ít nhất 1 field) */
+export const reorderSettingsSchema = Joi.object({
+  safetyStock: Joi.number().min(0).optional().messages({
+    "number.min": "Safety stock must be a non-negative number",
+  }),
+  minimumStock: minimumStock.optional().messages({
+    "number.min": "Minimum stock must be a non-negative number",
+  }),
+  primarySupplierId: objectId.optional().messages({
+    "string.length": "Invalid supplier ID format",
+    "string.hex": "Invalid supplier ID format",
+  }),
+  leadTimeDays: Joi.number().integer().min(0).optional().messages({
+    "number.min": "Lead time must be a non-negative number of days",
+  }),
+})
+  .min(1)
+  .unknown(false);
+
+/** QUY CÁCH: thay toàn bộ đơn vị quy đổi (mảng rỗng = chỉ dùng đơn vị cơ sở) */
+export const unitConversionsSchema = Joi.object({
+  conversions: Joi.array()
+    .items(
+      Joi.object({
+        unitId: objectId.required().messages({
+          "string.length": "Invalid unit ID format",
+          "string.hex": "Invalid unit ID format",
+        }),
+        factor: Joi.number().integer().min(1).required().messages({
+          "number.min": "Conversion factor must be at least 1",
+          "number.integer": "Conversion factor must be an integer",
+        }),
+      })
+    )
+    .unique("unitId")
+    .required(),
+}).unknown(false);
+
+/** MÃ VẠCH: thay toàn bộ mã vạch của sản phẩm (mảng rỗng = bỏ hết) */
+export const productBarcodesSchema = Joi.object({
+  barcodes: Joi.array()
+    .items(
+      Joi.string()
+        .trim()
+        .max(64)
+        .pattern(/^[\x21-\x7E]+$/)
+        .messages({
+          "string.pattern.base":
+            "Barcode must contain printable ASCII characters without spaces",
+        })
+    )
+    .unique()
+    .required(),
+}).unknown(false);
+
+/** QUÉT MÃ: chuỗi GS1 DataMatrix/EAN, warehouseId để tra lô tồn */
+export const scanBarcodeSchema = Joi.object({
+  code: Joi.string().max(200).required().messages({
+    "any.required": "Scanned code is required",
+    "string.empty": "Scanned code is required",
+  }),
+  warehouseId: objectId.optional().messages({
+    "string.length": "Invalid warehouse ID format",
+    "string.hex": "Invalid warehouse ID format",
+  }),
+}).unknown(false);
+
+/** QUERY: lịch sử giá vốn */
+export const costHistoryQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  fromDate: Joi.date().optional(),
+  toDate: Joi.date().optional(),
+}).unknown(false);
+
 /** PARAM: /:id */
 export const productIdParamSchema = Joi.object({
   id: objectId.required().messages({
@@ -0,0 +1,35 @@
+import Joi from "joi";
+
+const lineSchema = Joi.object({
+  productId: Joi.string().required(),
+  orderedQty: Joi.number().integer().min(1).required(),
+  unitPrice: Joi.number().min(0).required(),
+  note: Joi.string().allow("").optional(),
+});
+
+export const createPurchaseOrderSchema = Joi.object({
+  supplierId: Joi.string().required(),
+  warehouseId: Joi.string().required(),
+  expectedDate: Joi.date().optional(),
+  notes: Joi.string().allow("").optional(),
+  lines: Joi.array().items(lineSchema).min(1).required(),
+});
+
+// Chỉ sửa được đơn nháp; lines (nếu có) thay thế toàn bộ các dòng cũ
+export const updatePurchaseOrderSchema = Joi.object({
+  supplierId: Joi.string().optional(),
+  warehouseId: Joi.string().optional(),
+  expectedDate: Joi.date().allow(null).optional(),
+  notes: Joi.string().allow("").optional(),
+  lines: Joi.array().items(lineSchema).min(1).optional(),
+}).min(1);
+
+export const closePurchaseOrderSchema = Joi.object({
+  reason: Joi.string().trim().min(1).required(),
+});
+
+// Tạo đơn nháp từ gợi ý đặt hàng; không truyền supplierIds -> tất cả NCC chính
+export const generateReorderSchema = Joi.object({
+  warehouseId: Joi.string().optional(),
+  supplierIds: Joi.array().items(Joi.string()).optional(),
+});
@@ -0,0 +1,38 @@
+import Joi from "joi";
+
+export const createRequisitionSchema = Joi.object({
+  warehouseId: Joi.string().required(),
+  // Chỉ admin được chỉ định khoa/phòng; role user dùng khoa/phòng của tài khoản
+  departmentId: Joi.string().optional(),
+  neededBy: Joi.date().optional(),
+  notes: Joi.string().allow("").optional(),
+  lines: Joi.array()
+    .items(
+      Joi.object({
+        productId: Joi.string().required(),
+        requestedQty: Joi.number().integer().min(1).required(),
+        note: Joi.string().allow("").optional(),
+      })
+    )
+    .min(1)
+    .required(),
+});
+
+export const fulfillRequisitionSchema = Joi.object({
+  // Bỏ trống -> cấp tối đa theo tồn kho hiện có cho mọi dòng còn nợ
+  lines: Joi.array()
+    .items(
+      Joi.object({
+        productId: Joi.string().required(),
+        quantity: Joi.number().integer().min(1).required(),
+      })
+    )
+    .min(1)
+    .optional(),
+  issueDate: Joi.date().optional(),
+  notes: Joi.string().allow("").optional(),
+});
+
+export const cancelRequisitionSchema = Joi.object({
+  reason: Joi.string().trim().min(1).required(),
+});
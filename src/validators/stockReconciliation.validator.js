@@ -0,0 +1,6 @@
+import Joi from "joi";
+
+// Không gửi autoFix thì theo cấu hình STOCK_RECONCILE_AUTO_FIX
+export const runReconciliationSchema = Joi.object({
+  autoFix: Joi.boolean().optional(),
+});
@@ -0,0 +1,20 @@
+import Joi from "joi";
+
+export const openStocktakeSchema = Joi.object({
+  warehouseId: Joi.string().required(),
+  categoryId: Joi.string().optional(),
+  notes: Joi.string().allow("").optional(),
+});
+
+export const submitCountsSchema = Joi.object({
+  counts: Joi.array()
+    .items(
+      Joi.object({
+        inventoryLotId: Joi.string().required(),
+        countedQty: Joi.number().integer().min(0).required(),
+        note: Joi.string().allow("").optional(),
+      })
+    )
+    .min(1)
+    .required(),
+});
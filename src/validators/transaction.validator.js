@@ -1,28 +1,42 @@
 import Joi from "joi";
+import { AdjustmentReason, SupplierReturnReason } from "../models/_shared.js";
 
 export const createInboundTransactionSchema = Joi.object({
   type: Joi.string().valid("INBOUND").required(),
-  warehouseId: Joi.string().optional(),
+  warehouseId: Joi.string().required(),
   supplierId: Joi.string().required(),
+  // Nhận hàng theo đơn đặt hàng (đơn đã gửi NCC)
+  purchaseOrderId: Joi.string().optional(),
   notes: Joi.string().allow("").optional(),
   transactionDate: Joi.date().optional(),
   details: Joi.array()
     .items(
       Joi.object({
         productId: Joi.string().optional(),
+        // Chuỗi quét GS1 DataMatrix/EAN: thay cho productId, lotNumber, expiryDate
+        barcode: Joi.string().max(200).optional(),
+        // Bỏ trống -> khớp dòng đơn đặt hàng theo productId
+        purchaseOrderLineId: Joi.string().optional(),
         productName: Joi.string()
           .when("productId", {
             is: Joi.exist(),
             then: Joi.optional(),
-            otherwise: Joi.required(), // bắt buộc khi không có productId
+            // bắt buộc khi không có productId hoặc mã quét
+            otherwise: Joi.when("barcode", {
+              is: Joi.exist(),
+              then: Joi.optional(),
+              otherwise: Joi.required(),
+            }),
           })
           .messages({
             "any.required":
-              "Product name is required if productId not provided",
+              "Product name is required if productId or barcode not provided",
           }),
         sku: Joi.string().optional(),
         unit: Joi.string().optional(),
         description: Joi.string().allow("").optional(),
+        // Đơn vị quy đổi của sản phẩm (bỏ trống = đơn vị cơ sở); quantity/unitPrice theo đơn vị này
+        unitId: Joi.string().optional(),
         quantity: Joi.number().min(1).required(),
         categoryId: Joi.string().optional(),
         unitPrice: Joi.number().min(0).required(),
@@ -33,3 +47,88 @@ export const createInboundTransactionSchema = Joi.object({
     .min(1)
     .required(),
 });
+
+export const createTransferTransactionSchema = Joi.object({
+  type: Joi.string().valid("TRANSFER").required(),
+  sourceWarehouseId: Joi.string().required(),
+  destinationWarehouseId: Joi.string()
+    .required()
+    .invalid(Joi.ref("sourceWarehouseId"))
+    .messages({
+      "any.invalid":
+        "destinationWarehouseId must be different from sourceWarehouseId",
+    }),
+  notes: Joi.string().allow("").optional(),
+  transactionDate: Joi.date().optional(),
+  details: Joi.array()
+    .items(
+      Joi.object({
+        // Chọn lô cụ thể, hoặc chỉ truyền productId để tự chọn lô theo FEFO
+        inventoryLotId: Joi.string().optional(),
+        productId: Joi.string()
+          .when("inventoryLotId", {
+            is: Joi.exist(),
+            then: Joi.optional(),
+            otherwise: Joi.required(),
+          })
+          .messages({
+            "any.required":
+              "productId is required if inventoryLotId not provided",
+          }),
+        quantity: Joi.number().min(1).required(),
+      })
+    )
+    .min(1)
+    .required(),
+});
+
+export const cancelTransactionSchema = Joi.object({
+  reason: Joi.string().trim().min(1).required(),
+  // true: chỉ hoàn phần còn lại trong lô khi hàng đã được xuất một phần
+  allowPartial: Joi.boolean().default(false),
+});
+
+export const createAdjustmentTransactionSchema = Joi.object({
+  type: Joi.string().valid("ADJUSTMENT").required(),
+  warehouseId: Joi.string().required(),
+  reasonCode: Joi.string()
+    .valid(...AdjustmentReason)
+    .required(),
+  notes: Joi.string().allow("").optional(),
+  transactionDate: Joi.date().optional(),
+  details: Joi.array()
+    .items(
+      Joi.object({
+        inventoryLotId: Joi.string().required(),
+        // Số lượng có dấu: dương = tăng tồn, âm = giảm tồn
+        quantity: Joi.number().integer().invalid(0).required().messages({
+          "any.invalid": "quantity must not be 0",
+        }),
+      })
+    )
+    .min(1)
+    .required(),
+});
+
+export const createSupplierReturnTransactionSchema = Joi.object({
+  type: Joi.string().valid("SUPPLIER_RETURN").required(),
+  // Phiếu nhập gốc: xác định nhà cung cấp, kho và các lô được phép trả
+  inboundTransactionId: Joi.string().required(),
+  returnReason: Joi.string()
+    .valid(...SupplierReturnReason)
+    .required(),
+  creditNoteNumber: Joi.string().trim().allow("").optional(),
+  notes: Joi.string().allow("").optional(),
+  transactionDate: Joi.date().optional(),
+  details: Joi.array()
+    .items(
+      Joi.object({
+        inventoryLotId: Joi.string().required(),
+        quantity: Joi.number().integer().min(1).required(),
+        // Bỏ trống -> lấy đơn giá của dòng nhập gốc
+        unitPrice: Joi.number().min(0).optional(),
+      })
+    )
+    .min(1)
+    .required(),
+});
@@ -0,0 +1,14 @@
+import Joi from "joi";
+
+export const createUnitSchema = Joi.object({
+  code: Joi.string().trim().max(32).required(),
+  name: Joi.string().trim().max(32).required(),
+  description: Joi.string().trim().max(200).allow("").optional(),
+});
+
+// Mã đơn vị không đổi sau khi tạo (đã dùng trên chứng từ)
+export const updateUnitSchema = Joi.object({
+  name: Joi.string().trim().max(32).optional(),
+  description: Joi.string().trim().max(200).allow("").optional(),
+  isActive: Joi.boolean().optional(),
+}).min(1);